@@ -0,0 +1,178 @@
+/**
+ * Deterministic call analytics computed from stored transcripts
+ * Talk time, talk/listen ratio, longest monologue, interruptions and questions per
+ * speaker - no LLM involved. Uses segment timings when available and falls back to an
+ * estimate based on speaking rate otherwise.
+ * Also flattens the stored coaching cards into a metric history for trend charts.
+ */
+
+// Average speaking rate used when a segment has no timings (~150 words per minute)
+export const WORDS_PER_SECOND = 2.5;
+
+// Interrogative openers for transcripts without punctuation (EN/ES)
+const QUESTION_WORDS = [
+  'what', 'why', 'how', 'when', 'where', 'who', 'which', 'do', 'does', 'did', 'is', 'are',
+  'can', 'could', 'would', 'will', 'should', 'have', 'has',
+  'qué', 'por qué', 'cómo', 'cuándo', 'dónde', 'quién', 'cuál', 'cuánto', 'cuántos',
+  'puede', 'pueden', 'tienen',
+];
+
+/**
+ * Duration of a segment in seconds
+ * @param {Object} segment - Transcript segment
+ * @returns {number}
+ */
+function segmentDuration(segment) {
+  if (typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end >= segment.start) {
+    return segment.end - segment.start;
+  }
+  const words = segment.text ? segment.text.trim().split(/\s+/).length : 0;
+  return words / WORDS_PER_SECOND;
+}
+
+/**
+ * Number of questions asked in a segment
+ * @param {string} text - Segment text
+ * @returns {number}
+ */
+export function countQuestions(text) {
+  if (!text) return 0;
+
+  const marks = (text.match(/\?/g) || []).length;
+  if (marks > 0) return marks;
+
+  // No punctuation: count the segment as a question if it opens with an interrogative
+  const opening = text.trim().toLowerCase().replace(/^¿/, '');
+  return QUESTION_WORDS.some((word) => opening === word || opening.startsWith(`${word} `)) ? 1 : 0;
+}
+
+/**
+ * Group consecutive segments of the same speaker into turns
+ * @param {Array} transcripts - Segments in chronological order
+ * @returns {Array} Turns as { speaker, start, end, duration }
+ */
+function buildTurns(transcripts) {
+  const turns = [];
+
+  transcripts.forEach((segment) => {
+    const speaker = segment.speaker || 'Unknown';
+    const last = turns[turns.length - 1];
+    const duration = segmentDuration(segment);
+
+    if (last && last.speaker === speaker) {
+      last.end = typeof segment.end === 'number' ? segment.end : last.end;
+      last.duration += duration;
+      return;
+    }
+
+    turns.push({
+      speaker,
+      start: typeof segment.start === 'number' ? segment.start : null,
+      end: typeof segment.end === 'number' ? segment.end : null,
+      duration,
+    });
+  });
+
+  // With timings, a turn lasts from its first word to its last word (pauses included)
+  turns.forEach((turn) => {
+    if (turn.start !== null && turn.end !== null && turn.end >= turn.start) {
+      turn.duration = Math.max(turn.duration, turn.end - turn.start);
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Compute talk-time, interruption, monologue and question metrics per speaker
+ * @param {Array} transcripts - Finalized transcript segments in chronological order
+ * @returns {Object} Call analytics
+ */
+export function computeCallAnalytics(transcripts = []) {
+  const speakers = new Map();
+  const getSpeaker = (name) => {
+    if (!speakers.has(name)) {
+      speakers.set(name, {
+        speaker: name,
+        talkTime: 0,
+        talkRatio: 0,
+        words: 0,
+        turns: 0,
+        longestMonologue: 0,
+        interruptions: 0,
+        questions: 0,
+      });
+    }
+    return speakers.get(name);
+  };
+
+  transcripts.forEach((segment) => {
+    const stats = getSpeaker(segment.speaker || 'Unknown');
+    stats.talkTime += segmentDuration(segment);
+    stats.words += segment.text ? segment.text.trim().split(/\s+/).length : 0;
+    stats.questions += countQuestions(segment.text);
+  });
+
+  const turns = buildTurns(transcripts);
+  turns.forEach((turn, index) => {
+    const stats = getSpeaker(turn.speaker);
+    stats.turns += 1;
+    stats.longestMonologue = Math.max(stats.longestMonologue, turn.duration);
+
+    // Starting to speak before the previous speaker finished is an interruption
+    const previous = turns[index - 1];
+    if (previous && previous.end !== null && turn.start !== null && turn.start < previous.end) {
+      stats.interruptions += 1;
+    }
+  });
+
+  const totalTalkTime = Array.from(speakers.values()).reduce((sum, s) => sum + s.talkTime, 0);
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const perSpeaker = Array.from(speakers.values())
+    .map((stats) => ({
+      ...stats,
+      talkTime: round(stats.talkTime),
+      longestMonologue: round(stats.longestMonologue),
+      talkRatio: totalTalkTime > 0 ? Math.round((stats.talkTime / totalTalkTime) * 100) : 0,
+    }))
+    .sort((a, b) => b.talkTime - a.talkTime);
+
+  return {
+    totalTalkTime: round(totalTalkTime),
+    turns: turns.length,
+    segments: transcripts.length,
+    speakers: perSpeaker,
+  };
+}
+
+// Coaching metrics plotted over time (stakeholders is a count, not a 0-100 score)
+export const TREND_METRICS = ['discovery', 'pain_quantified', 'dm_engagement', 'alignment'];
+
+/**
+ * Metric history of a call, one point per coaching card
+ * @param {Array} coachingRecommendations - Stored coaching cards in chronological order
+ * @param {string} startTime - Call start (ISO string), used for call offsets
+ * @returns {Array} Points as { timestamp, offset, ...metrics, stakeholders, methodology, stage, risk }
+ */
+export function buildMetricHistory(coachingRecommendations = [], startTime) {
+  const start = new Date(startTime).getTime();
+
+  return coachingRecommendations
+    .filter((coaching) => coaching.metrics)
+    .map((coaching) => {
+      const offset = (new Date(coaching.timestamp).getTime() - start) / 1000;
+      const warning = coaching.risk?.warning?.trim();
+
+      return {
+        timestamp: coaching.timestamp,
+        offset: Number.isNaN(offset) ? null : Math.max(0, Math.round(offset)),
+        ...Object.fromEntries(TREND_METRICS.map((metric) => [metric, coaching.metrics[metric] ?? null])),
+        stakeholders: coaching.metrics.stakeholders ?? null,
+        methodology: coaching.phase?.methodology || null,
+        stage: coaching.phase?.stage || null,
+        // Risk alert fired with this card
+        risk: warning ? { warning, consequence: coaching.risk.consequence || '' } : null,
+      };
+    });
+}
@@ -0,0 +1,399 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import storage from '@/lib/storage';
+import { DEFAULT_WORKSPACE, canManageWorkspaces, getWorkspace, workspaceOf } from '@/lib/workspaces';
+
+/**
+ * Authentication and role-based access
+ * Users live in storage and sign in with a local password or a signed login link
+ * created by an admin. Sessions are tokens signed with NEXTAUTH_SECRET (HMAC-SHA256)
+ * and kept in an HttpOnly cookie; the user record is reloaded on every request, so role
+ * changes and deletions take effect immediately. Session tokens carry the user's
+ * sessionVersion, which signing out and password changes bump to revoke every session.
+ * Login links are single-use: their ID (jti) is recorded on the user until consumed, which
+ * only happens when the user confirms the sign-in (link previews and scanners only GET).
+ *
+ * Every user belongs to one workspace (see lib/workspaces.js) and only sees its data.
+ * Roles within the workspace:
+ * - rep: creates bots and sees the meetings they own
+ * - manager: sees every meeting
+ * - admin: sees every meeting, changes settings and manages users
+ */
+
+export const ROLES = ['rep', 'manager', 'admin'];
+export const SESSION_COOKIE = 'rtsc_session';
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const LOGIN_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Normalize a login email
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {Promise<string>} scrypt:<salt>:<hash>
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Sign a payload into a compact token (base64url payload + HMAC)
+ * @param {Object} payload - Must include exp (seconds since epoch)
+ * @returns {string}
+ */
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', process.env.NEXTAUTH_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token
+ * @param {string} type - Expected token type ('session' or 'link')
+ * @returns {Object|null} Payload, or null when invalid or expired
+ */
+function verifyToken(token, type) {
+  if (typeof token !== 'string' || !process.env.NEXTAUTH_SECRET) return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', process.env.NEXTAUTH_SECRET).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.typ !== type || typeof payload.exp !== 'number') return null;
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * User fields that are safe to return to clients
+ * @param {Object} user - Stored user record
+ * @returns {Object} { email, name, role, workspaceId }
+ */
+export function publicUser(user) {
+  return { email: user.email, name: user.name, role: user.role, workspaceId: workspaceOf(user) };
+}
+
+/**
+ * Signed-in user as sent to the client, with their workspace
+ * @param {Object} user - Stored user record
+ * @returns {Promise<Object>} { email, name, role, workspaceId, workspaceName, canManageWorkspaces }
+ */
+export async function sessionUser(user) {
+  const workspace = await getWorkspace(workspaceOf(user));
+  return {
+    ...publicUser(user),
+    workspaceName: workspace?.name || workspaceOf(user),
+    canManageWorkspaces: canManageWorkspaces(user),
+  };
+}
+
+/**
+ * Validate user fields sent to the users API
+ * @param {Object} fields - { email, name, role, password }
+ * @param {boolean} partial - Only validate the fields that are present (updates)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateUserFields(fields, partial = false) {
+  if (!fields || typeof fields !== 'object') return ['user fields must be an object'];
+
+  const errors = [];
+  const { email, name, role, password } = fields;
+
+  if (!partial && !/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) {
+    errors.push('email must be a valid email address');
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    errors.push('name must be a non-empty string');
+  }
+  if ((!partial || role !== undefined) && !ROLES.includes(role)) {
+    errors.push(`role must be one of ${ROLES.join(', ')}`);
+  }
+  // Users without a password sign in with login links only
+  if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 8)) {
+    errors.push('password must be at least 8 characters');
+  }
+
+  return errors;
+}
+
+/**
+ * Check local credentials
+ * While no user exists yet, ADMIN_EMAIL / ADMIN_PASSWORD sign in and create the
+ * first admin account, in the default workspace.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} Stored user, or null when the credentials are wrong
+ */
+export async function authenticate(email, password) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || typeof password !== 'string' || !password) return null;
+
+  const user = await storage.getUser(normalized);
+  if (user) {
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  const bootstrapEmail = normalizeEmail(process.env.ADMIN_EMAIL);
+  if (!bootstrapEmail || normalized !== bootstrapEmail || password !== process.env.ADMIN_PASSWORD) {
+    return null;
+  }
+  if ((await storage.getAllUsers()).length > 0) return null;
+
+  const admin = {
+    email: normalized,
+    name: 'Admin',
+    role: 'admin',
+    workspaceId: DEFAULT_WORKSPACE,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  await storage.setUser(admin);
+  console.log(`Created bootstrap admin account ${normalized}`);
+  return admin;
+}
+
+/**
+ * Session cookie header for a signed-in user
+ * @param {Object} user - Stored user record
+ * @returns {string} Set-Cookie value
+ */
+export function sessionCookie(user) {
+  const token = signToken({
+    typ: 'session',
+    sub: user.email,
+    ver: user.sessionVersion || 0,
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS,
+  });
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}${secure}`;
+}
+
+/**
+ * Set-Cookie value that clears the session
+ * @returns {string}
+ */
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+/**
+ * Revoke every session of a user (sign out, password change)
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} The updated user, or null when it doesn't exist
+ */
+export async function revokeSessions(email) {
+  return storage.updateUser(email, (user) => {
+    user.sessionVersion = (user.sessionVersion || 0) + 1;
+  });
+}
+
+/**
+ * Login links of a user that haven't expired
+ * @param {Object} user - Stored user record
+ * @returns {Object} { [jti]: exp }
+ */
+function pendingLoginLinks(user) {
+  const now = Date.now() / 1000;
+  return Object.fromEntries(Object.entries(user.loginLinks || {}).filter(([, exp]) => exp > now));
+}
+
+/**
+ * Create a signed, single-use login link for a user
+ * @param {string} email - User email
+ * @param {number} ttlSeconds - Link lifetime
+ * @returns {Promise<Object|null>} { url, expiresAt }, or null when the user doesn't exist
+ */
+export async function createLoginLink(email, ttlSeconds = LOGIN_LINK_TTL_SECONDS) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const jti = crypto.randomBytes(16).toString('hex');
+
+  const user = await storage.updateUser(email, (stored) => {
+    stored.loginLinks = { ...pendingLoginLinks(stored), [jti]: exp };
+  });
+  if (!user) return null;
+
+  const token = signToken({ typ: 'link', sub: email, jti, exp });
+  return {
+    url: `${process.env.NEXT_PUBLIC_APP_URL}/api/auth/link?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Resolve the user of a signed login link without using it up
+ * @param {string} token - Link token
+ * @returns {Promise<Object|null>} Stored user, or null when the link is invalid, expired or already used
+ */
+export async function checkLoginLink(token) {
+  const payload = verifyToken(token, 'link');
+  if (!payload || typeof payload.jti !== 'string') return null;
+
+  const user = await storage.getUser(payload.sub);
+  return user && Object.hasOwn(pendingLoginLinks(user), payload.jti) ? user : null;
+}
+
+/**
+ * Resolve the user of a signed login link and use the link up
+ * @param {string} token - Link token
+ * @returns {Promise<Object|null>} Stored user, or null when the link is invalid, expired or already used
+ */
+export async function consumeLoginLink(token) {
+  const payload = verifyToken(token, 'link');
+  if (!payload || typeof payload.jti !== 'string') return null;
+
+  let consumed = false;
+  const user = await storage.updateUser(payload.sub, (stored) => {
+    const links = pendingLoginLinks(stored);
+    consumed = Object.hasOwn(links, payload.jti);
+    delete links[payload.jti];
+    stored.loginLinks = links;
+  });
+  return consumed ? user : null;
+}
+
+/**
+ * Resolve the signed-in user of a request
+ * Tokens issued before the user's sessions were revoked are rejected.
+ * @param {Object} req - Next.js API request
+ * @returns {Promise<Object|null>} Stored user, or null when not signed in
+ */
+export async function getSessionUser(req) {
+  const payload = verifyToken(req.cookies?.[SESSION_COOKIE], 'session');
+  if (!payload) return null;
+
+  const user = await storage.getUser(payload.sub);
+  return user && (user.sessionVersion || 0) === (payload.ver ?? 0) ? user : null;
+}
+
+/**
+ * Whether a user may see a call: it must belong to the user's workspace, and reps
+ * must own it
+ * @param {Object} user - Stored user record
+ * @param {Object|null} call - Call context
+ * @returns {boolean}
+ */
+export function canAccessCall(user, call) {
+  if (workspaceOf(call) !== workspaceOf(user)) return false;
+  if (user.role === 'manager' || user.role === 'admin') return true;
+  return Boolean(call && call.owner === user.email);
+}
+
+/**
+ * Meetings a user may list or search: their workspace, and for reps only the ones they own
+ * @param {Object} user - Stored user record
+ * @returns {Object} { workspaceId, owner } (owner undefined for every meeting of the workspace)
+ */
+export function meetingScope(user) {
+  return {
+    workspaceId: workspaceOf(user),
+    owner: user.role === 'rep' ? user.email : undefined,
+  };
+}
+
+/**
+ * Require a signed-in user on an API route
+ * The user is available as req.user and their workspace as req.workspaceId in the
+ * wrapped handler.
+ * @param {Function} handler - API route handler
+ * @param {Object} options
+ * @param {string[]} options.roles - Roles allowed to call the route (default: any)
+ * @param {string[]} options.writeRoles - Roles allowed to use methods other than GET
+ * @returns {Function} API route handler
+ */
+export function withAuth(handler, { roles = ROLES, writeRoles = roles } = {}) {
+  return async (req, res) => {
+    if (!process.env.NEXTAUTH_SECRET) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        message: 'NEXTAUTH_SECRET not configured'
+      });
+    }
+
+    try {
+      const user = await getSessionUser(req);
+
+      if (!user) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Sign in required'
+        });
+      }
+
+      const allowed = req.method === 'GET' ? roles : writeRoles;
+      if (!allowed.includes(user.role)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Requires role ${allowed.join(' or ')}`
+        });
+      }
+
+      req.user = user;
+      req.workspaceId = workspaceOf(user);
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * Require a signed-in user who may see the meeting in req.query.meetingId
+ * Meetings the user may not see are reported as not found, so IDs can't be probed.
+ * @param {Function} handler - API route handler
+ * @returns {Function} API route handler
+ */
+export function withMeetingAccess(handler) {
+  return withAuth(async (req, res) => {
+    const { meetingId } = req.query;
+
+    if (meetingId && !canAccessCall(req.user, await storage.getCall(meetingId))) {
+      return res.status(404).json({
+        error: 'Meeting not found',
+        message: `No data found for meeting ${meetingId}`,
+      });
+    }
+
+    return handler(req, res);
+  });
+}
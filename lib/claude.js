@@ -1,6 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
-import storage from '@/lib/storage';
-import { DEFAULT_SYSTEM_PROMPT, DEFAULT_USER_PROMPT } from '@/pages/api/settings/prompt';
+import { getActivePrompts } from '@/lib/prompts';
+import { buildPromptValues, renderTemplate } from '@/lib/template';
+import { COACHING_SCHEMA, MAX_CALL_STATE_ITEMS, SUMMARY_SCHEMA, validateCoaching, validateSummary } from '@/lib/schema';
+import { getConfig } from '@/lib/config';
 
 /**
  * Initialize Claude API client
@@ -10,14 +12,161 @@ if (!process.env.CLAUDE_API_KEY) {
   console.error('Please set CLAUDE_API_KEY in your Vercel environment variables or .env file');
 }
 
-const anthropic = new Anthropic({
+let anthropic = new Anthropic({
   apiKey: process.env.CLAUDE_API_KEY,
 });
 
+// Set once another client is swapped in, which needs no API key
+let clientSwapped = false;
+
+/**
+ * Replace the Claude API client
+ * Used by the evaluation command to answer with recorded or scripted responses. The
+ * replacement only needs messages.create (and beta.messages.create with skills).
+ * @param {Object} client - Object with the Anthropic client's messages API
+ */
+export function setAnthropicClient(client) {
+  anthropic = client;
+  clientSwapped = true;
+}
+
+// Tool Claude calls to record the coaching card; its input is the structured card
+const COACHING_TOOL = {
+  name: 'record_coaching',
+  description: 'Record the real-time coaching card for the sales rep. Always call this tool exactly once with the final coaching.',
+  input_schema: COACHING_SCHEMA,
+};
+
+// Server-side turns (skill execution) can pause; continue them at most this many times
+const MAX_CONTINUATIONS = 3;
+
+/**
+ * Call Claude API for a coaching card
+ * With the coaching-live-sales-calls skill, Claude may run code in the skills container
+ * before calling the coaching tool; without it, the coaching tool call is forced.
+ * @param {Object} config - Coaching configuration (see lib/config.js)
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} messages - Conversation messages
+ * @param {string|null} containerId - Container to reuse when continuing a skills turn
+ * @returns {Promise<Object>} Claude message
+ */
+function requestCoaching(config, systemPrompt, messages, containerId) {
+  const params = {
+    model: config.model,
+    max_tokens: config.maxTokens,
+    temperature: config.temperature,
+    system: systemPrompt,
+    messages,
+  };
+
+  if (!config.skillsEnabled) {
+    return anthropic.messages.create({
+      ...params,
+      tools: [COACHING_TOOL],
+      tool_choice: { type: 'tool', name: COACHING_TOOL.name },
+    });
+  }
+
+  return anthropic.beta.messages.create({
+    ...params,
+    betas: config.betas,
+    container: {
+      ...(containerId ? { id: containerId } : {}),
+      skills: [
+        {
+          type: 'custom',
+          skill_id: config.skillId,
+          version: config.skillVersion
+        }
+      ]
+    },
+    tools: [
+      {
+        type: 'code_execution_20250825',
+        name: 'code_execution'
+      },
+      COACHING_TOOL,
+    ],
+    tool_choice: { type: 'auto' },
+  });
+}
+
+/**
+ * Run a coaching request to completion, continuing paused server-side turns
+ * Paused turns that are continued are appended to messages; the returned message never
+ * is, so the caller can append it (e.g. before a repair request) without repeating a turn.
+ * @param {Object} config - Coaching configuration (see lib/config.js)
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} messages - Conversation messages (continued paused turns are appended)
+ * @param {Object} state - { usage, containerId }, updated in place
+ * @returns {Promise<Object>} The final Claude message, still paused if MAX_CONTINUATIONS ran out
+ */
+async function completeCoaching(config, systemPrompt, messages, state) {
+  for (let turn = 0; ; turn++) {
+    const message = await requestCoaching(config, systemPrompt, messages, state.containerId);
+    state.usage.inputTokens += message.usage.input_tokens;
+    state.usage.outputTokens += message.usage.output_tokens;
+    state.containerId = message.container?.id || state.containerId;
+
+    if (message.stop_reason !== 'pause_turn') return message;
+    if (turn === MAX_CONTINUATIONS) {
+      console.warn(`⚠️ Skill execution still paused after ${MAX_CONTINUATIONS} continuations`);
+      return message;
+    }
+
+    console.log(`⏸️ Skill execution paused, continuing (${turn + 1}/${MAX_CONTINUATIONS})`);
+    messages.push({ role: 'assistant', content: message.content });
+  }
+}
+
+/**
+ * Extract the coaching card from a response and validate it
+ * Reads the record_coaching tool call, wherever it sits among the content blocks;
+ * falls back to JSON in the text blocks for prompts that still ask for plain JSON.
+ * The evaluation command also uses it to score first responses before any repair.
+ * @param {Object} message - Claude message
+ * @returns {Object} { coaching, toolUse, errors } - errors is empty when the card is valid
+ */
+export function extractCoaching(message) {
+  const toolUse = message.content.find(
+    (block) => block.type === 'tool_use' && block.name === COACHING_TOOL.name
+  );
+
+  if (toolUse) {
+    const { errors } = validateCoaching(toolUse.input);
+    return { coaching: toolUse.input, toolUse, errors };
+  }
+
+  const responseText = message.content
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('\n');
+
+  let coaching;
+  try {
+    // Remove any markdown code blocks if present
+    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
+                     responseText.match(/(\{[\s\S]*\})/);
+    const jsonText = jsonMatch ? jsonMatch[1] : responseText;
+    coaching = JSON.parse(jsonText);
+  } catch (parseError) {
+    return {
+      coaching: null,
+      toolUse: null,
+      errors: [`No ${COACHING_TOOL.name} tool call and no valid JSON in the response (${parseError.message})`],
+    };
+  }
+
+  const { errors } = validateCoaching(coaching);
+  return { coaching, toolUse: null, errors };
+}
+
 /**
  * Generate sales coaching recommendations based on call transcripts
  * @param {Array} transcripts - Array of transcript objects with speaker and text
- * @param {Object} context - Additional context about the call
+ * @param {Object} context - Additional context about the call (see buildPromptValues in lib/template.js);
+ *   context.workspaceId selects the prompts and models and context.promptProfileId the prompt profile.
+ *   context.prompts ({ systemPrompt, userPrompt }) replaces the profile's prompts, e.g. with a draft
  * @returns {Promise<Object>} Coaching recommendations in structured format
  */
 export async function generateSalesCoaching(transcripts, context = {}) {
@@ -25,7 +174,7 @@ export async function generateSalesCoaching(transcripts, context = {}) {
     console.log(`🤖 Generating coaching for ${transcripts.length} transcript segments`);
 
     // Validate API key
-    if (!process.env.CLAUDE_API_KEY) {
+    if (!process.env.CLAUDE_API_KEY && !clientSwapped) {
       const error = 'CLAUDE_API_KEY environment variable is not set';
       console.error(`❌ ${error}`);
       return {
@@ -45,114 +194,202 @@ export async function generateSalesCoaching(transcripts, context = {}) {
       };
     }
 
-    // Prepare the transcript text
+    // Prompts of the meeting's profile (or the workspace's active profile), unless given
+    const prompts = context.prompts
+      ? { profileId: null, version: null, ...context.prompts }
+      : await getActivePrompts(context.workspaceId, context.promptProfileId);
+    console.log(prompts.profileId
+      ? `📋 Using prompt profile "${prompts.profileName}" version ${prompts.version}`
+      : '📋 Using draft prompts');
+
+    // Render both prompt templates with the call's data
+    const values = buildPromptValues(transcripts, context);
+    const systemPrompt = renderTemplate(prompts.systemPrompt, values);
+    const userPrompt = renderTemplate(prompts.userPrompt, values);
+
+    console.log(`📝 Transcript preview: ${values.TRANSCRIPT.substring(0, 200)}...`);
+
+    // Call Claude API (with the coaching-live-sales-calls skill when enabled)
+    const config = (await getConfig(context.workspaceId)).coaching;
+    const messages = [
+      {
+        role: 'user',
+        content: userPrompt,
+      },
+    ];
+    const state = {
+      usage: { inputTokens: 0, outputTokens: 0 },
+      containerId: null,
+    };
+
+    console.log(`🚀 Calling Claude API (${config.model}) ${config.skillsEnabled ? 'with' : 'without'} coaching-live-sales-calls skill...`);
+    let message = await completeCoaching(config, systemPrompt, messages, state);
+    console.log(`📨 Claude response received (${message.content.length} content blocks, stop: ${message.stop_reason})`);
+
+    let { coaching, toolUse, errors } = extractCoaching(message);
+
+    // One repair attempt: show Claude what is wrong with its card
+    if (errors.length > 0) {
+      console.warn(`⚠️ Invalid coaching output, requesting repair: ${errors.join('; ')}`);
+      const problems = `The coaching card is invalid:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Call the ${COACHING_TOOL.name} tool again with the corrected card.`;
+
+      messages.push({ role: 'assistant', content: message.content });
+      messages.push({
+        role: 'user',
+        content: toolUse
+          ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: problems }]
+          : problems,
+      });
+
+      message = await completeCoaching(config, systemPrompt, messages, state);
+      ({ coaching, errors } = extractCoaching(message));
+    }
+
+    if (errors.length > 0) {
+      console.error(`❌ Coaching output still invalid after repair: ${errors.join('; ')}`);
+      console.error('Raw response:', JSON.stringify(message.content));
+      return {
+        success: false,
+        error: 'Coaching output failed schema validation',
+        details: errors,
+        data: null,
+      };
+    }
+
+    console.log('✅ Successfully parsed and validated coaching card');
+
+    return {
+      success: true,
+      data: coaching,
+      metadata: {
+        model: message.model,
+        usage: state.usage,
+        prompt: { profileId: prompts.profileId, version: prompts.version },
+      },
+    };
+  } catch (error) {
+    console.error('❌ CRITICAL ERROR generating sales coaching:', error);
+    console.error('Error name:', error.name);
+    console.error('Error message:', error.message);
+    console.error('Error stack:', error.stack);
+
+    // Log additional context for debugging
+    console.error('Context:', {
+      meetingId: context?.meetingId,
+      participantsCount: context?.participants?.length,
+      transcriptCount: transcripts?.length,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      data: null,
+    };
+  }
+}
+
+const SUMMARY_SYSTEM_PROMPT = `<role>
+Senior sales analyst. Review the full transcript of a finished sales call and produce a structured post-call summary plus a draft follow-up email from the sales rep.
+</role>
+
+<output_format>
+Call the record_summary tool exactly once with the summary and the follow-up email.
+</output_format>
+
+<rules>
+1. Only use facts stated in the transcript; write "Unknown" for BANT/MEDDIC fields that were not covered
+2. Next steps must be the ones agreed in the call, not new suggestions
+3. Write the follow-up email in the language the customer spoke during the call
+4. The email recaps pains, agreed next steps and open questions; max 180 words, no placeholders other than the rep's signature
+</rules>`;
+
+// Tool Claude is forced to call with the summary; its input is the structured summary
+const SUMMARY_TOOL = {
+  name: 'record_summary',
+  description: 'Record the post-call summary and the draft follow-up email.',
+  input_schema: SUMMARY_SCHEMA,
+};
+
+/**
+ * Generate a post-call summary and follow-up email from the full transcript
+ * @param {Array} transcripts - Array of transcript objects with speaker and text, in chronological order
+ * @param {Object} context - Additional context about the call; context.workspaceId selects the model
+ * @returns {Promise<Object>} Summary in structured format; fails when the summary does not match SUMMARY_SCHEMA
+ */
+export async function generateCallSummary(transcripts, context = {}) {
+  try {
+    console.log(`📝 Generating post-call summary for ${transcripts.length} transcript segments`);
+
+    if (!process.env.CLAUDE_API_KEY && !clientSwapped) {
+      const error = 'CLAUDE_API_KEY environment variable is not set';
+      console.error(`❌ ${error}`);
+      return {
+        success: false,
+        error: error,
+        data: null,
+      };
+    }
+
+    if (!transcripts || transcripts.length === 0) {
+      return {
+        success: false,
+        error: 'No transcripts provided',
+        data: null,
+      };
+    }
+
     const transcriptText = transcripts
       .map((t) => `${t.speaker || 'Unknown'}: ${t.text}`)
       .join('\n');
 
-    console.log(`📝 Transcript preview: ${transcriptText.substring(0, 200)}...`);
-
-    // Get custom prompts or use defaults
-    const prompts = storage.getPrompts();
-    const systemPrompt = prompts.systemPrompt || DEFAULT_SYSTEM_PROMPT;
-    const userPromptTemplate = prompts.userPrompt || DEFAULT_USER_PROMPT;
-
-    console.log(`📋 Using ${prompts.systemPrompt ? 'custom' : 'default'} system prompt`);
-    console.log(`📋 Using ${prompts.userPrompt ? 'custom' : 'default'} user prompt`);
-
-    // Replace placeholders with actual data in user prompt
-    const userPrompt = userPromptTemplate
-      .replace('{{TRANSCRIPT}}', transcriptText)
-      .replace('{{MEETING_ID}}', context.meetingId || 'Unknown')
-      .replace('{{PARTICIPANTS}}', context.participants?.join(', ') || 'Unknown')
-      .replace('{{DURATION}}', context.duration || 'Unknown');
-
-    // Call Claude API with coaching-live-sales-calls skill
-    console.log(`🚀 Calling Claude API with coaching-live-sales-calls skill...`);
-    const message = await anthropic.beta.messages.create({
-      model: 'claude-sonnet-4-5-20250929', // Claude 4.5 Sonnet (supports skills)
-      max_tokens: 2048,
-      temperature: 0.7,
-      betas: ['code-execution-2025-08-25', 'skills-2025-10-02'],
-      container: {
-        skills: [
-          {
-            type: 'custom',
-            skill_id: 'skill_014euk38s3AuzPzVVdpAtPjv',
-            version: 'latest'
-          }
-        ]
-      },
-      tools: [
-        {
-          type: 'bash_20250124',
-          name: 'bash'
-        }
-      ],
-      system: systemPrompt,
+    const config = (await getConfig(context.workspaceId)).summary;
+    const message = await anthropic.messages.create({
+      model: config.model,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      system: SUMMARY_SYSTEM_PROMPT,
+      tools: [SUMMARY_TOOL],
+      tool_choice: { type: 'tool', name: SUMMARY_TOOL.name },
       messages: [
         {
           role: 'user',
-          content: userPrompt,
+          content: `<transcript>
+${transcriptText}
+</transcript>
+
+<context>
+meeting_id=${context.meetingId || 'Unknown'}|participants=${context.participants?.join(', ') || 'Unknown'}|duration=${context.duration || 'Unknown'}m
+</context>
+
+Summarize this call.`,
         },
       ],
     });
 
-    // Extract and parse the response
-    const responseText = message.content[0].text;
-    console.log(`📨 Claude response received (${responseText.length} chars)`);
-    console.log(`📄 Response preview: ${responseText.substring(0, 300)}...`);
-
-    // Try to extract JSON from the response
-    let coaching;
-    try {
-      // Remove any markdown code blocks if present
-      const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
-                       responseText.match(/(\{[\s\S]*\})/);
-      const jsonText = jsonMatch ? jsonMatch[1] : responseText;
-      coaching = JSON.parse(jsonText);
-      console.log('✅ Successfully parsed coaching JSON');
-    } catch (parseError) {
-      console.error('❌ Failed to parse Claude response as JSON:', parseError);
-      console.error('Raw response:', responseText);
-      // Return a fallback structure matching the new format
-      coaching = {
-        phase: {
-          methodology: 'BANT',
-          stage: 'Qualification',
-          context: 'Early stage qualification for Colombian AWS prospect'
-        },
-        action: {
-          script: 'Cuéntame más sobre tu proceso actual y los desafíos que enfrentas con la infraestructura',
-          language: 'ES'
-        },
-        tip: {
-          insight: 'Build rapport through active listening and cultural understanding',
-          rationale: 'Colombian deals are relationship-driven, trust must come first',
-          language: 'EN'
-        },
-        risk: {
-          warning: 'Insufficient discovery may lead to misalignment',
-          consequence: 'Wrong solution proposed',
-          language: 'EN'
-        },
-        metrics: {
-          discovery: 30,
-          pain_quantified: 20,
-          dm_engagement: 40,
-          stakeholders: 1,
-          alignment: 35
-        },
-        next: {
-          action: 'Ask about budget and decision timeline',
-          timeline: 'immediate'
-        }
+    const toolUse = message.content.find(
+      (block) => block.type === 'tool_use' && block.name === SUMMARY_TOOL.name
+    );
+    const summary = toolUse?.input;
+    const { errors } = toolUse ? validateSummary(summary) : { errors: [`No ${SUMMARY_TOOL.name} tool call in the response`] };
+
+    if (errors.length > 0) {
+      console.error(`❌ Summary output invalid: ${errors.join('; ')}`);
+      return {
+        success: false,
+        error: 'Summary output failed schema validation',
+        details: errors,
+        data: null,
       };
     }
 
+    console.log('✅ Successfully parsed and validated summary');
+
     return {
       success: true,
-      data: coaching,
+      data: summary,
       metadata: {
         model: message.model,
         usage: {
@@ -162,18 +399,96 @@ export async function generateSalesCoaching(transcripts, context = {}) {
       },
     };
   } catch (error) {
-    console.error('❌ CRITICAL ERROR generating sales coaching:', error);
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
+    console.error('❌ Error generating call summary:', error);
+    return {
+      success: false,
+      error: error.message,
+      data: null,
+    };
+  }
+}
 
-    // Log additional context for debugging
-    console.error('Context:', {
-      meetingId: context?.meetingId,
-      participantsCount: context?.participants?.length,
-      transcriptCount: transcripts?.length,
+const CALL_STATE_SYSTEM_PROMPT = `<role>
+Sales call note-taker. Keep a compact running record of what has been learned so far in a live sales call.
+</role>
+
+<output_format>
+Return ONLY valid JSON (no markdown). Required structure:
+{
+  "pains": ["string"],
+  "budget": "string",
+  "authority": "string",
+  "timeline": "string",
+  "stakeholders": ["string (name - role)"],
+  "objections": ["string"]
+}
+</output_format>
+
+<rules>
+1. Start from the previous state and merge in what the new transcript reveals; never drop facts unless the prospect corrected them
+2. Only use facts stated in the call; use an empty string or list for anything not covered yet
+3. Keep each item under 20 words and each list to the most important ${MAX_CALL_STATE_ITEMS} items
+4. Keep numbers, amounts and dates exactly as said
+</rules>`;
+
+/**
+ * Update the rolling call state with newly finalized transcript segments
+ * @param {Object} previousState - Current call state (see CALL_STATE_SYSTEM_PROMPT)
+ * @param {Array} transcripts - New transcript segments, in chronological order
+ * @param {Object} context - Additional context about the call; context.workspaceId selects the model
+ * @returns {Promise<Object>} Updated call state
+ */
+export async function updateCallState(previousState, transcripts, context = {}) {
+  try {
+    if (!process.env.CLAUDE_API_KEY && !clientSwapped) {
+      return {
+        success: false,
+        error: 'CLAUDE_API_KEY environment variable is not set',
+        data: null,
+      };
+    }
+
+    const transcriptText = transcripts
+      .map((t) => `${t.speaker || 'Unknown'}: ${t.text}`)
+      .join('\n');
+
+    const config = (await getConfig(context.workspaceId)).memory;
+    const message = await anthropic.messages.create({
+      model: config.model,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      system: CALL_STATE_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: 'user',
+          content: `<previous_state>
+${JSON.stringify(previousState)}
+</previous_state>
+
+<new_transcript>
+${transcriptText}
+</new_transcript>
+
+<context>
+meeting_id=${context.meetingId || 'Unknown'}|participants=${context.participants?.join(', ') || 'Unknown'}
+</context>
+
+Return the updated state JSON.`,
+        },
+      ],
     });
 
+    const responseText = message.content.find((block) => block.type === 'text')?.text || '';
+    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
+                     responseText.match(/(\{[\s\S]*\})/);
+    const jsonText = jsonMatch ? jsonMatch[1] : responseText;
+
+    return {
+      success: true,
+      data: JSON.parse(jsonText),
+    };
+  } catch (error) {
+    console.error('❌ Error updating call state:', error);
     return {
       success: false,
       error: error.message,
@@ -184,29 +499,34 @@ export async function generateSalesCoaching(transcripts, context = {}) {
 
 /**
  * Analyze a single transcript segment for immediate feedback
+ * Used by the instant tip lane, so it must stay cheap: one short, non-streaming call
+ * on the segment model.
  * @param {string} text - The transcript text
  * @param {string} speaker - The speaker identifier
+ * @param {string} role - Speaker role, e.g. 'prospect'
+ * @param {string} workspaceId - Workspace whose model configuration applies
  * @returns {Promise<Object>} Quick coaching insight
  */
-export async function analyzeSegment(text, speaker) {
+export async function analyzeSegment(text, speaker, role = 'prospect', workspaceId) {
   try {
-    const systemPrompt = `You are a sales coach providing brief real-time insights about sales conversations. Always respond with only a JSON object containing a single coaching tip.`;
+    const systemPrompt = `You are a sales coach providing brief real-time insights about sales conversations. The tip is for the sales rep and must be usable within seconds. Respond in the language of the statement. Always respond with only a JSON object containing a single coaching tip.`;
 
-    const userPrompt = `Analyze this statement from a ${speaker}:
+    const userPrompt = `Analyze this statement from ${speaker} (${role}):
 
 "${text}"
 
 Respond with a JSON object:
 {
-  "tip": "Brief actionable tip",
+  "tip": "Brief actionable tip for the rep, max 15 words",
   "category": "questioning|active_listening|objection_handling|rapport_building|closing|other",
   "sentiment": "positive|neutral|negative"
 }`;
 
+    const config = (await getConfig(workspaceId)).segment;
     const message = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001', // Claude 4.5 Haiku (Oct 2025)
-      max_tokens: 200,
-      temperature: 0.5,
+      model: config.model,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
       system: systemPrompt,
       messages: [
         {
@@ -216,7 +536,10 @@ Respond with a JSON object:
       ],
     });
 
-    const responseText = message.content[0].text;
+    const responseText = message.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
     const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
                      responseText.match(/(\{[\s\S]*\})/);
     const jsonText = jsonMatch ? jsonMatch[1] : responseText;
@@ -238,5 +561,7 @@ Respond with a JSON object:
 
 export default {
   generateSalesCoaching,
+  generateCallSummary,
+  updateCallState,
   analyzeSegment,
 };
@@ -0,0 +1,147 @@
+import storage from '@/lib/storage';
+
+/**
+ * Model and generation configuration for the Claude calls
+ * Defaults come from environment variables; overrides saved from the Settings page
+ * (POST /api/settings/config) are stored and merged on top of them.
+ */
+
+/**
+ * Read a number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+export const DEFAULT_CONFIG = {
+  // Real-time coaching cards (slower lane, driven by the coaching scheduler)
+  coaching: {
+    enabled: process.env.COACHING_ENABLED !== 'false',
+    model: process.env.COACHING_MODEL || 'claude-sonnet-4-5-20250929',
+    maxTokens: envNumber('COACHING_MAX_TOKENS', 2048),
+    temperature: envNumber('COACHING_TEMPERATURE', 0.7),
+    skillsEnabled: process.env.COACHING_SKILLS_ENABLED !== 'false',
+    skillId: process.env.COACHING_SKILL_ID || 'skill_014euk38s3AuzPzVVdpAtPjv',
+    skillVersion: process.env.COACHING_SKILL_VERSION || 'latest',
+    betas: process.env.COACHING_BETAS
+      ? process.env.COACHING_BETAS.split(',').map((beta) => beta.trim()).filter(Boolean)
+      : ['code-execution-2025-08-25', 'skills-2025-10-02'],
+  },
+  // Instant tips: quick analysis of each prospect statement (analyzeSegment)
+  segment: {
+    enabled: process.env.SEGMENT_ENABLED !== 'false',
+    minWords: envNumber('SEGMENT_MIN_WORDS', 4),
+    model: process.env.SEGMENT_MODEL || 'claude-haiku-4-5-20251001',
+    maxTokens: envNumber('SEGMENT_MAX_TOKENS', 200),
+    temperature: envNumber('SEGMENT_TEMPERATURE', 0.5),
+  },
+  // Rolling call state folded in after each coaching card (lib/memory.js)
+  memory: {
+    enabled: process.env.MEMORY_ENABLED !== 'false',
+    model: process.env.MEMORY_MODEL || 'claude-haiku-4-5-20251001',
+    maxTokens: envNumber('MEMORY_MAX_TOKENS', 1024),
+    temperature: envNumber('MEMORY_TEMPERATURE', 0.2),
+  },
+  // Post-call summary and follow-up email
+  summary: {
+    enabled: process.env.SUMMARY_ENABLED !== 'false',
+    model: process.env.SUMMARY_MODEL || 'claude-sonnet-4-5-20250929',
+    maxTokens: envNumber('SUMMARY_MAX_TOKENS', 4096),
+    temperature: envNumber('SUMMARY_TEMPERATURE', 0.3),
+  },
+};
+
+/**
+ * Merge saved overrides on top of the defaults, group by group
+ * @param {Object} overrides - Partial configuration
+ * @returns {Object} Full configuration
+ */
+export function mergeConfig(overrides = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_CONFIG).map(([group, defaults]) => [
+      group,
+      { ...defaults, ...(overrides?.[group] || {}) },
+    ])
+  );
+}
+
+/**
+ * Validate a (partial) configuration
+ * @param {Object} config - Configuration to check
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  if (typeof config !== 'object' || config === null) {
+    return ['Configuration must be an object'];
+  }
+
+  Object.entries(config).forEach(([group, values]) => {
+    if (!Object.hasOwn(DEFAULT_CONFIG, group)) {
+      errors.push(`Unknown configuration group "${group}"`);
+      return;
+    }
+    if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+      errors.push(`Configuration group "${group}" must be an object`);
+      return;
+    }
+
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const path = `${group}.${key}`;
+
+      // Each group only accepts its own settings (segment has no betas, summary no skillId...)
+      if (!Object.hasOwn(DEFAULT_CONFIG[group], key)) {
+        errors.push(`Unknown setting "${path}"`);
+        return;
+      }
+
+      switch (key) {
+        case 'model':
+        case 'skillVersion':
+          if (typeof value !== 'string' || !value.trim()) errors.push(`${path} must be a non-empty string`);
+          break;
+        case 'skillId':
+          if (typeof value !== 'string') errors.push(`${path} must be a string`);
+          break;
+        case 'maxTokens':
+          if (!Number.isInteger(value) || value < 1 || value > 64000) errors.push(`${path} must be an integer between 1 and 64000`);
+          break;
+        case 'temperature':
+          if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`${path} must be a number between 0 and 1`);
+          break;
+        case 'enabled':
+        case 'skillsEnabled':
+          if (typeof value !== 'boolean') errors.push(`${path} must be a boolean`);
+          break;
+        case 'minWords':
+          if (!Number.isInteger(value) || value < 0) errors.push(`${path} must be a non-negative integer`);
+          break;
+        case 'betas':
+          if (!Array.isArray(value) || value.some((beta) => typeof beta !== 'string')) errors.push(`${path} must be an array of strings`);
+          break;
+      }
+    });
+  });
+
+  // A skillId that is not a string was reported above
+  const coaching = mergeConfig(config).coaching;
+  if (coaching.skillsEnabled && typeof coaching.skillId === 'string' && !coaching.skillId.trim()) {
+    errors.push('coaching.skillId is required when skills are enabled');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the effective configuration of a workspace (defaults + saved overrides)
+ * @param {string} workspaceId - Workspace identifier (default workspace when omitted)
+ * @returns {Promise<Object>} Full configuration
+ */
+export async function getConfig(workspaceId) {
+  return mergeConfig(await storage.getConfig(workspaceId));
+}
@@ -0,0 +1,100 @@
+/**
+ * Deal context: CRM details about a call, given when the bot is created
+ * Stored on the call (context.deal) and available to the coaching prompt templates
+ * as placeholders. The home page builds its deal form from DEAL_FIELDS.
+ */
+
+// Fields as sent to /api/bot/create (param), stored on the call (key) and used in templates (placeholder)
+export const DEAL_FIELDS = [
+  { key: 'accountName', param: 'account_name', placeholder: 'ACCOUNT_NAME', label: 'Account name', maxLength: 200 },
+  { key: 'dealStage', param: 'deal_stage', placeholder: 'DEAL_STAGE', label: 'Deal stage', maxLength: 100 },
+  { key: 'product', param: 'product', placeholder: 'PRODUCT', label: 'Product', maxLength: 200 },
+  { key: 'expectedStakeholders', param: 'expected_stakeholders', placeholder: 'EXPECTED_STAKEHOLDERS', label: 'Expected stakeholders', maxLength: 100, maxItems: 20 },
+  { key: 'customerLanguage', param: 'customer_language', placeholder: 'CUSTOMER_LANGUAGE', label: 'Customer language', maxLength: 40 },
+  { key: 'crmOpportunityId', param: 'crm_opportunity_id', placeholder: 'CRM_OPPORTUNITY_ID', label: 'CRM opportunity ID', maxLength: 100 },
+];
+
+/**
+ * Validate the deal context sent to /api/bot/create
+ * Expected stakeholders can be a list or a comma-separated string; empty fields are dropped.
+ * @param {Object} input - { account_name, deal_stage, product, expected_stakeholders, customer_language, crm_opportunity_id }
+ * @returns {Object} { deal, errors } - deal uses the stored (camelCase) keys
+ */
+export function parseDealContext(input) {
+  if (input === undefined || input === null) return { deal: {}, errors: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { deal: {}, errors: ['deal_context must be an object'] };
+  }
+
+  const deal = {};
+  const errors = [];
+
+  DEAL_FIELDS.forEach(({ key, param, maxLength, maxItems }) => {
+    const value = input[param];
+    if (value === undefined || value === null || value === '') return;
+
+    if (maxItems) {
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+        errors.push(`deal_context.${param} must be a list of names or a comma-separated string`);
+        return;
+      }
+      const names = items.map((item) => item.trim()).filter(Boolean);
+      if (names.length > maxItems) {
+        errors.push(`deal_context.${param} must have at most ${maxItems} entries`);
+      } else if (names.some((name) => name.length > maxLength)) {
+        errors.push(`deal_context.${param} entries must be at most ${maxLength} characters`);
+      } else if (names.length > 0) {
+        deal[key] = names;
+      }
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      errors.push(`deal_context.${param} must be a string`);
+    } else if (value.trim().length > maxLength) {
+      errors.push(`deal_context.${param} must be at most ${maxLength} characters`);
+    } else if (value.trim()) {
+      deal[key] = value.trim();
+    }
+  });
+
+  return { deal, errors };
+}
+
+/**
+ * Text of one deal field as used in prompts
+ * @param {Object} deal - Stored deal context
+ * @param {string} key - Field key
+ * @returns {string|null} Value, or null when not provided
+ */
+function fieldText(deal, key) {
+  const value = deal?.[key];
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : null;
+  return value || null;
+}
+
+/**
+ * One-line summary of the deal context for the coaching prompt
+ * @param {Object} deal - Stored deal context
+ * @returns {string} e.g. "account_name=Acme|deal_stage=Discovery", or an empty string
+ */
+export function formatDealContext(deal) {
+  return DEAL_FIELDS
+    .map(({ key, param }) => [param, fieldText(deal, key)])
+    .filter(([, text]) => text)
+    .map(([param, text]) => `${param}=${text}`)
+    .join('|');
+}
+
+/**
+ * Template variable values of a deal context: one per field plus DEAL_CONTEXT (all fields)
+ * @param {Object} deal - Stored deal context
+ * @returns {Object} { ACCOUNT_NAME: 'Acme', EXPECTED_STAKEHOLDERS: ['CFO'], ..., DEAL_CONTEXT: '...' } (null when missing)
+ */
+export function dealValues(deal) {
+  const values = Object.fromEntries(
+    DEAL_FIELDS.map(({ key, placeholder }) => [placeholder, deal?.[key] ?? null])
+  );
+  return { ...values, DEAL_CONTEXT: formatDealContext(deal) };
+}
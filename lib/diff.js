@@ -0,0 +1,57 @@
+/**
+ * Line diff for prompt versions
+ * Backs GET /api/settings/prompts/[profileId]/diff, which compares the system and user
+ * prompts of two versions of a profile.
+ */
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} [{ type: 'same'|'added'|'removed', text }] in reading order
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Count changed lines in a diff
+ * @param {Array} lines - Result of diffLines
+ * @returns {Object} { added, removed }
+ */
+export function diffStats(lines) {
+  return {
+    added: lines.filter((line) => line.type === 'added').length,
+    removed: lines.filter((line) => line.type === 'removed').length,
+  };
+}
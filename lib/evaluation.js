@@ -0,0 +1,446 @@
+import crypto from 'crypto';
+import { extractCoaching, generateSalesCoaching, setAnthropicClient } from '@/lib/claude';
+import { coachingInput } from '@/lib/scheduler';
+import { parseDealContext } from '@/lib/deal';
+import { findProfile, getPromptLibrary, latestVersion } from '@/lib/prompts';
+import { callAtPoint, parseTranscriptUpload, uploadedCall } from '@/lib/playground';
+import { LANGUAGES, METHODOLOGIES, validateCoaching } from '@/lib/schema';
+
+/**
+ * Offline coaching evaluation
+ * Golden fixtures (eval/fixtures/*.json) are transcripts with checkpoints: after a given
+ * segment, the coaching pipeline generates a card exactly as in a live call, and the card
+ * is scored against the fixture's expectations. Reports carry a hash of the prompts, so
+ * runs against different prompt versions can be compared (see scripts/evaluate-coaching.mjs).
+ *
+ * Fixture: { id, description, repName, deal_context, transcript, checkpoints: [
+ *   { after, expect: { language, methodology: [], stage: [] } } ] }
+ * - transcript: any format accepted by the prompt playground (see lib/playground.js)
+ * - deal_context: as sent to /api/bot/create
+ * - stage: expected stage keywords (any of them, case-insensitive)
+ *
+ * Sample responses (eval/responses.json), answered by the scripted client:
+ *   { [fixtureId]: { [after]: [response, ...] } }
+ * - one response per request of the checkpoint, in order (the first answer, then the repair)
+ * - a card is answered as a tool call, a string as a text reply
+ * They include typical model mistakes, so a scripted run exercises the checks and the repair.
+ */
+
+// Checks applied to every checkpoint; the expectation checks only when the fixture sets them
+export const CHECKS = {
+  schema: 'First response matches the card schema',
+  word_limits: 'First response keeps every field within its word limit',
+  delivered: 'A valid card was delivered (after at most one repair)',
+  language: 'Language fields and the script are in the expected language',
+  methodology: 'Methodology is one of the expected ones',
+  stage: 'Stage matches one of the expected stages',
+};
+
+// Frequent words that only occur in one of the languages
+const LANGUAGE_WORDS = {
+  ES: ['el', 'la', 'los', 'las', 'que', 'de', 'del', 'y', 'es', 'en', 'por', 'para', 'con', 'su', 'sus', 'usted', 'ustedes', 'qué', 'cómo', 'cuánto', 'cuál', 'está', 'están', 'pero', 'muy', 'más', 'nos', 'hoy', 'le', 'lo', 'una', 'un'],
+  EN: ['the', 'and', 'of', 'to', 'is', 'are', 'you', 'your', 'we', 'our', 'what', 'how', 'which', 'would', 'could', 'can', 'for', 'with', 'this', 'that', 'it', 'be', 'do', 'does', 'today', 'about', 'an'],
+};
+
+/**
+ * Guess the language of a short text from its function words
+ * @param {string} text
+ * @returns {string|null} 'ES', 'EN', or null when undecided
+ */
+export function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/[a-záéíóúñü]+/g) || [];
+  const counts = Object.fromEntries(
+    Object.entries(LANGUAGE_WORDS).map(([language, list]) => [language, words.filter((word) => list.includes(word)).length])
+  );
+
+  if (counts.ES === counts.EN) return null;
+  return counts.ES > counts.EN ? 'ES' : 'EN';
+}
+
+/**
+ * Validate a fixture and prepare its transcript
+ * @param {Object} fixture - Parsed fixture file
+ * @returns {Object} { fixture, segments, deal, errors }
+ */
+export function parseFixture(fixture) {
+  const errors = [];
+  if (typeof fixture?.id !== 'string' || !fixture.id.trim()) errors.push('id must be a non-empty string');
+
+  const transcript = typeof fixture?.transcript === 'string' ? fixture.transcript : JSON.stringify(fixture?.transcript ?? '');
+  const upload = parseTranscriptUpload(transcript);
+  errors.push(...upload.errors.map((error) => `transcript: ${error}`));
+
+  const { deal, errors: dealErrors } = parseDealContext(fixture?.deal_context);
+  errors.push(...dealErrors);
+
+  if (!Array.isArray(fixture?.checkpoints) || fixture.checkpoints.length === 0) {
+    errors.push('checkpoints must be a non-empty list');
+  } else {
+    fixture.checkpoints.forEach((checkpoint, index) => {
+      const label = `checkpoints[${index}]`;
+      const expect = checkpoint.expect || {};
+      if (!Number.isInteger(checkpoint.after) || checkpoint.after < 1 || checkpoint.after > upload.segments.length) {
+        errors.push(`${label}.after must be a segment number between 1 and ${upload.segments.length}`);
+      }
+      if (expect.language !== undefined && !LANGUAGES.includes(expect.language)) {
+        errors.push(`${label}.expect.language must be one of ${LANGUAGES.join(', ')}`);
+      }
+      if (expect.methodology !== undefined
+        && (!Array.isArray(expect.methodology) || expect.methodology.some((m) => !METHODOLOGIES.includes(m)))) {
+        errors.push(`${label}.expect.methodology must be a list of ${METHODOLOGIES.join(', ')}`);
+      }
+      if (expect.stage !== undefined && (!Array.isArray(expect.stage) || expect.stage.some((s) => typeof s !== 'string'))) {
+        errors.push(`${label}.expect.stage must be a list of stage keywords`);
+      }
+    });
+  }
+
+  return { fixture, segments: upload.segments, deal, errors };
+}
+
+/**
+ * Score one checkpoint
+ * Schema and word limits are judged on the first response, before the pipeline's repair
+ * attempt; the expectations on the card that was finally delivered.
+ * @param {Object} expect - Checkpoint expectations
+ * @param {Object|null} firstResponse - First Claude message of the checkpoint
+ * @param {Object} result - Result of generateSalesCoaching
+ * @returns {Array} [{ name, passed, details }]
+ */
+export function scoreCheckpoint(expect, firstResponse, result) {
+  const first = firstResponse ? extractCoaching(firstResponse).coaching : null;
+  const validation = first ? validateCoaching(first) : null;
+  const card = result.success ? result.data : null;
+  const checks = [];
+
+  checks.push({
+    name: 'schema',
+    passed: Boolean(validation?.schemaValid),
+    details: !validation ? ['No card in the first response'] : validation.schemaValid ? [] : validation.errors,
+  });
+  checks.push({
+    name: 'word_limits',
+    passed: Boolean(validation?.valid),
+    details: validation?.schemaValid ? validation.errors : ['Not checked: the first response has schema errors'],
+  });
+  checks.push({
+    name: 'delivered',
+    passed: result.success,
+    details: result.success ? [] : [result.error, ...(result.details || [])],
+  });
+
+  if (expect.language) {
+    const details = card
+      ? ['action', 'tip', 'risk']
+        .filter((group) => card[group].language !== expect.language)
+        .map((group) => `${group}.language is ${card[group].language}, expected ${expect.language}`)
+      : ['No card'];
+    const scriptLanguage = card && detectLanguage(card.action.script);
+    if (scriptLanguage && scriptLanguage !== expect.language) {
+      details.push(`action.script reads as ${scriptLanguage}: "${card.action.script}"`);
+    }
+    checks.push({ name: 'language', passed: details.length === 0, details });
+  }
+
+  if (expect.methodology) {
+    const passed = Boolean(card) && expect.methodology.includes(card.phase.methodology);
+    checks.push({
+      name: 'methodology',
+      passed,
+      details: passed ? [] : [card ? `Got ${card.phase.methodology}, expected ${expect.methodology.join(' or ')}` : 'No card'],
+    });
+  }
+
+  if (expect.stage) {
+    const stage = card?.phase.stage.toLowerCase() || '';
+    const passed = Boolean(card) && expect.stage.some((keyword) => stage.includes(keyword.toLowerCase()));
+    checks.push({
+      name: 'stage',
+      passed,
+      details: passed ? [] : [card ? `Got "${card.phase.stage}", expected ${expect.stage.join(' or ')}` : 'No card'],
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Wrap a client to keep every response it returns
+ * @param {Object} client - Anthropic client (or a stand-in)
+ * @returns {Object} Client with a responses list, newest last
+ */
+function observeClient(client) {
+  const responses = [];
+  const observe = (create) => async (params) => {
+    const message = await create(params);
+    responses.push(message);
+    return message;
+  };
+
+  return {
+    responses,
+    messages: { create: observe((params) => client.messages.create(params)) },
+    beta: { messages: { create: observe((params) => client.beta.messages.create(params)) } },
+  };
+}
+
+/**
+ * Key of a request in a recordings file
+ * The skills container ID changes on every run, so it is left out.
+ * @param {Object} params - Messages API parameters
+ * @returns {string}
+ */
+function requestKey(params) {
+  const container = params.container ? { ...params.container, id: undefined } : undefined;
+  return crypto.createHash('sha256').update(JSON.stringify({ ...params, container })).digest('hex').slice(0, 24);
+}
+
+/**
+ * Client that forwards to a real client and records every response
+ * @param {Object} client - Anthropic client
+ * @param {Object} recordings - { [requestKey]: message }, filled in place
+ * @returns {Object} Client
+ */
+export function createRecordingClient(client, recordings) {
+  const record = (create) => async (params) => {
+    const message = await create(params);
+    recordings[requestKey(params)] = message;
+    return message;
+  };
+
+  return {
+    messages: { create: record((params) => client.messages.create(params)) },
+    beta: { messages: { create: record((params) => client.beta.messages.create(params)) } },
+  };
+}
+
+/**
+ * Client that answers from recordings; requests that were never recorded fail
+ * @param {Object} recordings - { [requestKey]: message }
+ * @returns {Object} Client
+ */
+export function createReplayClient(recordings) {
+  const replay = async (params) => {
+    const message = recordings[requestKey(params)];
+    if (!message) {
+      throw new Error('No recorded response for this request (prompts, fixture or model changed); record it again with --client live');
+    }
+    return message;
+  };
+
+  return { messages: { create: replay }, beta: { messages: { create: replay } } };
+}
+
+/**
+ * Client that answers from sample responses
+ * Select the checkpoint with respondWith before its coaching request; every request then
+ * takes the checkpoint's next response.
+ * @param {Object} responses - { [fixtureId]: { [after]: [card or text, ...] } }
+ * @returns {Object} Client with respondWith(fixtureId, after)
+ */
+export function createScriptedClient(responses) {
+  let queue = [];
+  const respond = async (params) => {
+    if (queue.length === 0) throw new Error('No more sample responses for this checkpoint (see eval/responses.json)');
+    const next = queue.shift();
+    const tool = (params.tools || []).find((t) => t.input_schema);
+
+    return {
+      id: 'msg_scripted',
+      type: 'message',
+      role: 'assistant',
+      model: 'scripted',
+      content: typeof next === 'string'
+        ? [{ type: 'text', text: next }]
+        : [{ type: 'tool_use', id: 'toolu_scripted', name: tool?.name, input: next }],
+      stop_reason: typeof next === 'string' ? 'end_turn' : 'tool_use',
+      usage: { input_tokens: 0, output_tokens: 0 },
+    };
+  };
+
+  return {
+    respondWith: (fixtureId, after) => {
+      const checkpoints = Object.hasOwn(responses, fixtureId) ? responses[fixtureId] : {};
+      queue = Object.hasOwn(checkpoints, String(after)) ? [...checkpoints[after]] : [];
+    },
+    messages: { create: respond },
+    beta: { messages: { create: respond } },
+  };
+}
+
+/**
+ * Prompts of a library version
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile (default: the active one)
+ * @param {number} version - Version (default: the newest)
+ * @returns {Promise<Object>} { profileId, profileName, version, systemPrompt, userPrompt }
+ */
+export async function libraryPrompts(workspaceId, profileId, version) {
+  const library = await getPromptLibrary(workspaceId);
+  const profile = findProfile(library, profileId || library.activeProfileId);
+  if (!profile) throw new Error(`No prompt profile ${profileId}`);
+
+  const chosen = version === undefined ? latestVersion(profile) : profile.versions.find((v) => v.version === version);
+  if (!chosen) throw new Error(`Prompt profile ${profile.id} has no version ${version}`);
+
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    version: chosen.version,
+    systemPrompt: chosen.systemPrompt,
+    userPrompt: chosen.userPrompt,
+  };
+}
+
+/**
+ * Short hash identifying a prompt pair
+ * @param {Object} prompts - { systemPrompt, userPrompt }
+ * @returns {string}
+ */
+export function promptsHash({ systemPrompt, userPrompt }) {
+  return crypto.createHash('sha256').update(`${systemPrompt}\0${userPrompt}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Mean of a list of scores, rounded to one decimal
+ * @param {number[]} scores
+ * @returns {number|null}
+ */
+function mean(scores) {
+  if (scores.length === 0) return null;
+  return Math.round((scores.reduce((sum, value) => sum + value, 0) / scores.length) * 10) / 10;
+}
+
+/**
+ * Run fixtures through the coaching pipeline and score them
+ * Checkpoints run one at a time, like cards in a live call.
+ * @param {Array} fixtures - Results of parseFixture
+ * @param {Object} options
+ * @param {Object} options.prompts - { systemPrompt, userPrompt, profileId, profileName, version, source }
+ * @param {Object} options.client - Client answering the coaching requests (live, recording, replay or scripted)
+ * @param {string} options.workspaceId - Workspace whose model configuration applies
+ * @param {Function} options.onCheckpoint - Called with (fixture, checkpointResult) as results come in
+ * @returns {Promise<Object>} Report
+ */
+export async function runEvaluation(fixtures, { prompts, client, workspaceId, onCheckpoint = () => {} }) {
+  const observed = observeClient(client);
+  setAnthropicClient(observed);
+
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const results = [];
+
+  for (const { fixture, segments, deal } of fixtures) {
+    const upload = uploadedCall(segments, { workspaceId, repName: fixture.repName, deal });
+    const checkpoints = [];
+
+    for (const checkpoint of fixture.checkpoints) {
+      const replay = callAtPoint(upload.call, upload.segments, checkpoint.after);
+      const { transcripts, context } = coachingInput(replay.call, replay.heard, replay.currentTime);
+
+      client.respondWith?.(fixture.id, checkpoint.after);
+      const firstResponse = observed.responses.length;
+      const result = await generateSalesCoaching(transcripts, {
+        ...context,
+        meetingId: fixture.id,
+        prompts: { systemPrompt: prompts.systemPrompt, userPrompt: prompts.userPrompt },
+      });
+
+      const checks = scoreCheckpoint(checkpoint.expect || {}, observed.responses[firstResponse] || null, result);
+      const { speaker, text } = replay.heard[replay.heard.length - 1];
+      const checkpointResult = {
+        after: checkpoint.after,
+        segment: { speaker, text },
+        score: mean(checks.map((check) => (check.passed ? 100 : 0))),
+        checks,
+        card: result.data,
+        requests: observed.responses.length - firstResponse,
+        model: result.metadata?.model || null,
+      };
+      if (result.metadata) {
+        usage.inputTokens += result.metadata.usage.inputTokens;
+        usage.outputTokens += result.metadata.usage.outputTokens;
+      }
+
+      checkpoints.push(checkpointResult);
+      onCheckpoint(fixture, checkpointResult);
+    }
+
+    results.push({
+      id: fixture.id,
+      description: fixture.description || '',
+      score: mean(checkpoints.map((checkpoint) => checkpoint.score)),
+      checkpoints,
+    });
+  }
+
+  const allChecks = results.flatMap((fixture) => fixture.checkpoints.flatMap((checkpoint) => checkpoint.checks));
+  const checks = Object.fromEntries(
+    Object.keys(CHECKS)
+      .map((name) => [name, allChecks.filter((check) => check.name === name)])
+      .filter(([, list]) => list.length > 0)
+      .map(([name, list]) => {
+        const passed = list.filter((check) => check.passed).length;
+        return [name, { passed, total: list.length, rate: Math.round((1000 * passed) / list.length) / 10 }];
+      })
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    prompts: {
+      source: prompts.source,
+      profileId: prompts.profileId ?? null,
+      profileName: prompts.profileName ?? null,
+      version: prompts.version ?? null,
+      hash: promptsHash(prompts),
+    },
+    score: mean(results.flatMap((fixture) => fixture.checkpoints.map((checkpoint) => checkpoint.score))),
+    checks,
+    usage,
+    fixtures: results,
+  };
+}
+
+/**
+ * Signed difference between two scores
+ * @param {number|null} value
+ * @param {number|null} baseline
+ * @returns {string} e.g. " (+12.5)", or an empty string without a baseline
+ */
+function delta(value, baseline) {
+  if (typeof value !== 'number' || typeof baseline !== 'number') return '';
+  const difference = Math.round((value - baseline) * 10) / 10;
+  return ` (${difference >= 0 ? '+' : ''}${difference})`;
+}
+
+/**
+ * Plain-text report, with the changes since a baseline report when given
+ * @param {Object} report - Result of runEvaluation
+ * @param {Object} baseline - Earlier report (optional)
+ * @returns {string}
+ */
+export function formatReport(report, baseline) {
+  const label = ({ prompts }) => (prompts.profileId
+    ? `${prompts.profileName} v${prompts.version} [${prompts.hash}]`
+    : `${prompts.source} [${prompts.hash}]`);
+  const lines = [`Prompts: ${label(report)}`];
+  if (baseline) lines.push(`Baseline: ${label(baseline)} (${baseline.generatedAt})`);
+
+  lines.push('', `Score: ${report.score}${delta(report.score, baseline?.score)}`, '', 'Checks:');
+  Object.entries(report.checks).forEach(([name, check]) => {
+    lines.push(`  ${name.padEnd(12)} ${String(check.rate).padStart(5)}%  ${check.passed}/${check.total}${delta(check.rate, baseline?.checks[name]?.rate)}`);
+  });
+
+  lines.push('', 'Fixtures:');
+  report.fixtures.forEach((fixture) => {
+    const before = baseline?.fixtures.find((f) => f.id === fixture.id);
+    lines.push(`  ${fixture.id.padEnd(32)} ${String(fixture.score).padStart(5)}${delta(fixture.score, before?.score)}`);
+    fixture.checkpoints.forEach((checkpoint) => {
+      checkpoint.checks.filter((check) => !check.passed).forEach((check) => {
+        lines.push(`    after ${checkpoint.after}: ${check.name} failed - ${check.details.join('; ')}`);
+      });
+    });
+  });
+
+  lines.push('', `Tokens: ${report.usage.inputTokens} in, ${report.usage.outputTokens} out`);
+  return lines.join('\n');
+}
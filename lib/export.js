@@ -0,0 +1,278 @@
+import { WORDS_PER_SECOND, computeCallAnalytics } from '@/lib/analytics';
+import { QUALIFICATION_FRAMEWORKS } from '@/lib/schema';
+
+/**
+ * Call exports: JSON, CSV, Markdown report and SRT/WebVTT captions
+ * Every exporter takes a stored call and returns the file body as a string.
+ */
+
+/**
+ * Whether a segment carries its own offsets from the recording
+ * @param {Object} segment - Transcript segment
+ * @returns {boolean}
+ */
+function hasTiming(segment) {
+  return typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end >= segment.start;
+}
+
+/**
+ * Origin of every offset in an export, in ms since the epoch
+ * Segment timings are relative to the start of the recording, which is not stored, so it
+ * is estimated from the timed segments: a final is stored right after it is spoken, so the
+ * recording started no later than its timestamp minus its end offset. Without timed
+ * segments, the call start is the origin.
+ * @param {Object} call - Call context
+ * @returns {number}
+ */
+function timeOrigin(call) {
+  const starts = call.transcripts
+    .filter((segment) => hasTiming(segment) && segment.timestamp)
+    .map((segment) => new Date(segment.timestamp).getTime() - segment.end * 1000)
+    .filter((start) => !Number.isNaN(start));
+  return starts.length > 0 ? Math.min(...starts) : new Date(call.startTime).getTime();
+}
+
+/**
+ * Offset of a segment in seconds: its own timing when available, otherwise derived from
+ * when it was stored and its word count
+ * @param {Object} segment - Transcript segment
+ * @param {number} origin - Time origin in ms (see timeOrigin)
+ * @returns {Object} { start, end }
+ */
+function segmentTiming(segment, origin) {
+  if (hasTiming(segment)) {
+    return { start: segment.start, end: segment.end };
+  }
+
+  const words = segment.text ? segment.text.trim().split(/\s+/).length : 0;
+  const duration = Math.max(1, words / WORDS_PER_SECOND);
+  // Finals are stored once spoken, so the timestamp marks the end of the segment
+  const end = Math.max(duration, (new Date(segment.timestamp).getTime() - origin) / 1000);
+  return { start: end - duration, end };
+}
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} hh:mm:ss,mmm
+ */
+function captionTime(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatOffset(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${rest}`;
+}
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a CSV field
+ * Text that a spreadsheet would run as a formula (a transcript line like "=HYPERLINK(...)")
+ * is prefixed with a quote, so it opens as text.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(value) : String(value).replace(FORMULA_START, "'$&");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Full call record
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+export function toJSON(call) {
+  const { inProgress, ...data } = call;
+  return JSON.stringify({
+    ...data,
+    analytics: computeCallAnalytics(call.transcripts),
+    exportedAt: new Date().toISOString(),
+  }, null, 2);
+}
+
+const CSV_COLUMNS = [
+  'type', 'timestamp', 'start', 'end', 'speaker', 'text',
+  'methodology', 'stage', 'discovery', 'pain_quantified', 'dm_engagement', 'stakeholders', 'alignment', 'risk',
+];
+
+/**
+ * Transcript segments and coaching cards as one chronological table
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+export function toCSV(call) {
+  const origin = timeOrigin(call);
+
+  const segments = call.transcripts.map((segment) => {
+    const { start, end } = segmentTiming(segment, origin);
+    return {
+      type: 'transcript',
+      timestamp: segment.timestamp,
+      start: start.toFixed(2),
+      end: end.toFixed(2),
+      speaker: segment.speaker,
+      text: segment.text,
+    };
+  });
+
+  const cards = call.coachingRecommendations.map((coaching) => ({
+    type: 'coaching',
+    timestamp: coaching.timestamp,
+    text: [
+      coaching.action?.script && `Say: ${coaching.action.script}`,
+      coaching.tip?.insight && `Tip: ${coaching.tip.insight}`,
+      coaching.next?.action && `Next: ${coaching.next.action}`,
+    ].filter(Boolean).join(' | '),
+    methodology: coaching.phase?.methodology,
+    stage: coaching.phase?.stage,
+    ...coaching.metrics,
+    risk: coaching.risk?.warning,
+  }));
+
+  const rows = [...segments, ...cards]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map((row) => CSV_COLUMNS.map((column) => csvField(row[column])).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Human-readable call report for CRM notes
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+export function toMarkdown(call) {
+  const callStart = new Date(call.startTime).getTime();
+  const callEnd = call.endTime ? new Date(call.endTime).getTime() : new Date(call.lastUpdate).getTime();
+  const origin = timeOrigin(call);
+  const lines = [
+    `# Sales Call Report - ${call.meetingId}`,
+    '',
+    `- **Date:** ${new Date(call.startTime).toUTCString()}`,
+    `- **Duration:** ${Math.round((callEnd - callStart) / 60000)} min`,
+    `- **Participants:** ${call.participants.join(', ') || 'Unknown'}`,
+    `- **Status:** ${call.status}`,
+    '',
+  ];
+
+  const summary = call.summary?.status === 'ready' ? call.summary.data : null;
+  if (summary) {
+    lines.push('## Summary', '', summary.overview || '', '');
+
+    if (summary.pain_points?.length > 0) {
+      lines.push('### Pain Points', '', ...summary.pain_points.map((pain) => `- ${pain}`), '');
+    }
+    if (summary.objections?.length > 0) {
+      lines.push('### Objections', '', ...summary.objections.map((o) => `- ${o.objection} (${o.status})${o.response ? ` - ${o.response}` : ''}`), '');
+    }
+    if (summary.next_steps?.length > 0) {
+      lines.push('### Next Steps', '', ...summary.next_steps.map((step) => `- ${step.action}${step.owner ? ` - ${step.owner}` : ''}${step.due ? ` (${step.due})` : ''}`), '');
+    }
+    if (summary.follow_up_email) {
+      lines.push('### Follow-up Email', '', `**${summary.follow_up_email.subject}**`, '', summary.follow_up_email.body, '');
+    }
+  }
+
+  const criteria = call.scorecard?.criteria;
+  if (criteria) {
+    lines.push('## Qualification', '');
+    Object.entries(QUALIFICATION_FRAMEWORKS).forEach(([framework, frameworkCriteria]) => {
+      lines.push(`### ${framework}`, '');
+      frameworkCriteria.forEach((criterion) => {
+        const entry = criteria[criterion];
+        const quote = entry?.evidence?.[0]?.quote;
+        lines.push(`- **${criterion.replace(/_/g, ' ')}:** ${entry ? entry.status : 'uncovered'}${quote ? ` - "${quote}"` : ''}`);
+      });
+      lines.push('');
+    });
+  }
+
+  if (call.coachingRecommendations.length > 0) {
+    lines.push('## Coaching', '');
+    call.coachingRecommendations.forEach((coaching) => {
+      const offset = (new Date(coaching.timestamp).getTime() - origin) / 1000;
+      lines.push(`### ${formatOffset(Math.max(0, offset))} - ${coaching.phase?.methodology || ''} ${coaching.phase?.stage || ''}`.trimEnd(), '');
+      if (coaching.action?.script) lines.push(`- **Say:** "${coaching.action.script}"`);
+      if (coaching.tip?.insight) lines.push(`- **Tip:** ${coaching.tip.insight}`);
+      if (coaching.risk?.warning) lines.push(`- **Risk:** ${coaching.risk.warning}`);
+      if (coaching.next?.action) lines.push(`- **Next:** ${coaching.next.action} (${coaching.next.timeline})`);
+      lines.push('');
+    });
+  }
+
+  lines.push('## Transcript', '');
+  call.transcripts.forEach((segment) => {
+    const { start } = segmentTiming(segment, origin);
+    lines.push(`**[${formatOffset(start)}] ${segment.speaker}:** ${segment.text}`, '');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Caption cues built from the transcript timings
+ * @param {Object} call - Call context
+ * @returns {Array} [{ start, end, speaker, text }]
+ */
+function captionCues(call) {
+  const origin = timeOrigin(call);
+  return call.transcripts.map((segment) => ({
+    ...segmentTiming(segment, origin),
+    speaker: segment.speaker || 'Unknown',
+    text: segment.text,
+  }));
+}
+
+/**
+ * SubRip captions
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+export function toSRT(call) {
+  return captionCues(call)
+    .map((cue, index) => `${index + 1}\n${captionTime(cue.start, ',')} --> ${captionTime(cue.end, ',')}\n${cue.speaker}: ${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * Escape text for a WebVTT cue, where &, < and > start entities and tags
+ * @param {string} text
+ * @returns {string}
+ */
+function vttText(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * WebVTT captions (speakers as voice tags)
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+export function toVTT(call) {
+  const cues = captionCues(call)
+    .map((cue) => `${captionTime(cue.start, '.')} --> ${captionTime(cue.end, '.')}\n<v ${vttText(cue.speaker)}>${vttText(cue.text)}\n`);
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+// Supported formats: exporter, content type and file extension
+export const EXPORT_FORMATS = {
+  json: { render: toJSON, contentType: 'application/json', extension: 'json' },
+  csv: { render: toCSV, contentType: 'text/csv', extension: 'csv' },
+  markdown: { render: toMarkdown, contentType: 'text/markdown', extension: 'md' },
+  srt: { render: toSRT, contentType: 'application/x-subrip', extension: 'srt' },
+  vtt: { render: toVTT, contentType: 'text/vtt', extension: 'vtt' },
+};
@@ -0,0 +1,97 @@
+import storage from '@/lib/storage';
+import { analyzeSegment } from '@/lib/claude';
+
+/**
+ * Instant tip lane
+ * Each finalized statement from the prospect gets one cheap analyzeSegment call so a
+ * tip reaches the dashboard within a second or two, while full coaching cards keep
+ * their slower scheduler cadence.
+ */
+
+// Meetings with a tip being generated; statements arriving meanwhile are skipped
+// rather than queued, so tips never lag behind the conversation
+const inFlight = new Set();
+
+// Longest rep name accepted at bot creation
+export const MAX_REP_NAME_LENGTH = 100;
+
+/**
+ * Validate the rep name sent at bot creation
+ * @param {*} repName
+ * @returns {string|null} Error, or null when valid
+ */
+export function validateRepName(repName) {
+  if (typeof repName !== 'string' || !repName.trim()) return 'rep_name must be a non-empty string';
+  if (repName.trim().length > MAX_REP_NAME_LENGTH) return `rep_name must be at most ${MAX_REP_NAME_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Names of the sales reps, so their own statements don't get tips
+ * @param {Object} call - Call context
+ * @returns {string[]} Lower-cased rep names
+ */
+function getRepNames(call) {
+  const repName = call?.context?.repName;
+  const names = typeof repName === 'string' && repName.trim()
+    ? [repName]
+    : (process.env.SALES_REP_NAMES || '').split(',');
+
+  return names.map((name) => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether the rep side of a call is known (the meeting's rep name or SALES_REP_NAMES)
+ * Instant tips need it: without it the rep's own statements would get tips.
+ * @param {Object} call - Call context
+ * @returns {boolean}
+ */
+export function hasRepNames(call) {
+  return getRepNames(call).length > 0;
+}
+
+/**
+ * Whether a speaker is on the prospect side of the call
+ * Without any known rep name every speaker is treated as a prospect (instant tips check
+ * hasRepNames first).
+ * @param {Object} call - Call context
+ * @param {string} speaker - Speaker name
+ * @returns {boolean}
+ */
+export function isProspect(call, speaker) {
+  return !getRepNames(call).includes((speaker || '').trim().toLowerCase());
+}
+
+/**
+ * Generate and store an instant tip for a finalized segment
+ * @param {string} meetingId - The unique meeting identifier
+ * @param {Object} segment - { text, speaker }
+ * @param {string} workspaceId - Workspace of the call
+ */
+export async function runInstantTip(meetingId, { text, speaker }, workspaceId) {
+  if (inFlight.has(meetingId)) {
+    console.log(`⏭️ Instant tip already in flight for meeting ${meetingId}`);
+    return;
+  }
+
+  inFlight.add(meetingId);
+
+  try {
+    const result = await analyzeSegment(text, speaker, 'prospect', workspaceId);
+
+    if (result.success && result.data?.tip) {
+      await storage.addInstantTip(meetingId, {
+        tip: result.data.tip,
+        category: result.data.category || 'other',
+        sentiment: result.data.sentiment || 'neutral',
+        speaker,
+        text,
+      });
+      console.log(`⚡ Stored instant tip for meeting ${meetingId}`);
+    } else {
+      console.error(`❌ Failed to generate instant tip: ${result.error || 'empty tip'}`);
+    }
+  } finally {
+    inFlight.delete(meetingId);
+  }
+}
@@ -0,0 +1,133 @@
+import storage from '@/lib/storage';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * Meeting history: list stored calls with filters and pagination
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Query params given more than once
+ * Next.js passes a repeated param (?participant=a&participant=b) as an array.
+ * @param {Object} query - req.query
+ * @param {string[]} names - Params that take a single value
+ * @returns {string[]} Names of the params that are not a single string
+ */
+export function repeatedParams(query, names) {
+  return names.filter((name) => query[name] !== undefined && typeof query[name] !== 'string');
+}
+
+/**
+ * Parse a date filter; a bare date (YYYY-MM-DD) covers the whole day
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - Use the end of the day for bare dates
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+export function parseDateFilter(value, endOfDay) {
+  if (!value) return null;
+
+  const isBareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isBareDate ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Summarize a stored call for the meetings list
+ * @param {Object} call - Call context
+ * @returns {Object} Meeting summary
+ */
+export function summarizeMeeting(call) {
+  const start = new Date(call.startTime).getTime();
+  const end = call.endTime
+    ? new Date(call.endTime).getTime()
+    : call.status === 'active' ? Date.now() : new Date(call.lastUpdate).getTime();
+
+  return {
+    meetingId: call.meetingId,
+    workspaceId: workspaceOf(call),
+    owner: call.owner || null,
+    status: call.status,
+    startTime: call.startTime,
+    endTime: call.endTime,
+    duration: Math.max(0, Math.round((end - start) / 1000)), // seconds
+    participants: call.participants || [],
+    cardCount: call.coachingRecommendations?.length || 0,
+    segmentCount: call.transcripts?.length || 0,
+    lastUpdate: call.lastUpdate,
+  };
+}
+
+/**
+ * Whether a meeting matches the filters that need the stored call
+ * Workspace, owner and dates are applied to the meeting index first.
+ * @param {Object} meeting - Meeting summary
+ * @param {Object} filters - { status, participant }
+ * @returns {boolean}
+ */
+function matchesFilters(meeting, { status, participant }) {
+  if (status && meeting.status !== status) return false;
+
+  if (participant) {
+    const needle = participant.toLowerCase();
+    if (!meeting.participants.some((name) => name.toLowerCase().includes(needle))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Load and summarize stored meetings
+ * @param {Array} entries - Meeting index entries
+ * @returns {Promise<Array>} Meeting summaries (deleted meetings left out)
+ */
+async function loadMeetings(entries) {
+  const calls = await Promise.all(entries.map(({ meetingId }) => storage.getCall(meetingId)));
+  return calls.filter(Boolean).map(summarizeMeeting);
+}
+
+/**
+ * List stored meetings, newest first
+ * Only the calls of the workspace (and owner) are loaded, and without status or
+ * participant filters only the ones on the requested page.
+ * @param {Object} options
+ * @param {string} options.status - Only meetings with this status
+ * @param {Date} options.from - Only meetings started at or after this date
+ * @param {Date} options.to - Only meetings started at or before this date
+ * @param {string} options.participant - Only meetings with a participant whose name contains this text
+ * @param {string} options.workspaceId - Only meetings of this workspace
+ * @param {string} options.owner - Only meetings owned by this user (email)
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Meetings per page
+ * @returns {Promise<Object>} { meetings, pagination: { page, pageSize, total, totalPages } }
+ */
+export async function listMeetings({ status, from, to, participant, workspaceId, owner, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const entries = (await storage.getMeetingIndex(workspaceId))
+    .filter((entry) => !owner || entry.owner === owner)
+    .filter((entry) => !from || new Date(entry.startTime) >= from)
+    .filter((entry) => !to || new Date(entry.startTime) <= to)
+    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+  const offset = (page - 1) * pageSize;
+  let meetings;
+  let total;
+  if (status || participant) {
+    const matches = (await loadMeetings(entries)).filter((meeting) => matchesFilters(meeting, { status, participant }));
+    meetings = matches.slice(offset, offset + pageSize);
+    total = matches.length;
+  } else {
+    meetings = await loadMeetings(entries.slice(offset, offset + pageSize));
+    total = entries.length;
+  }
+
+  return {
+    meetings,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import storage from '@/lib/storage';
+import { updateCallState } from '@/lib/claude';
+import { getConfig } from '@/lib/config';
+import { workspaceOf } from '@/lib/workspaces';
+import {
+  CALL_STATE_LIST_FIELDS,
+  CALL_STATE_TEXT_FIELDS,
+  MAX_CALL_STATE_ITEMS,
+  MAX_CALL_STATE_ITEM_WORDS,
+} from '@/lib/schema';
+
+/**
+ * Rolling call memory
+ * The coaching prompt only carries the last few segments, so what was learned earlier
+ * in the call (pains, budget, authority, timeline, stakeholders, objections) is kept in
+ * a compact call state. Each update folds only the segments finalized since the last
+ * one into the previous state, and the state itself is capped, so token use stays
+ * bounded however long the call runs.
+ */
+
+// Most segments folded into the state in one update; a larger backlog catches up over
+// the next updates
+const MAX_SEGMENTS_PER_UPDATE = 40;
+
+/**
+ * Build an empty call state
+ * @returns {Object} Call state
+ */
+export function emptyCallState() {
+  return {
+    ...Object.fromEntries(CALL_STATE_LIST_FIELDS.map((field) => [field, []])),
+    ...Object.fromEntries(CALL_STATE_TEXT_FIELDS.map((field) => [field, ''])),
+  };
+}
+
+/**
+ * Cut a string to the maximum number of words per item
+ * @param {*} value - Model output
+ * @returns {string}
+ */
+function clampText(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().split(/\s+/).slice(0, MAX_CALL_STATE_ITEM_WORDS).join(' ');
+}
+
+/**
+ * Coerce model output into a bounded call state
+ * @param {Object} state - Parsed model output
+ * @returns {Object} Call state
+ */
+export function normalizeCallState(state) {
+  const normalized = emptyCallState();
+
+  CALL_STATE_LIST_FIELDS.forEach((field) => {
+    const items = Array.isArray(state?.[field]) ? state[field] : [];
+    normalized[field] = items.map(clampText).filter(Boolean).slice(0, MAX_CALL_STATE_ITEMS);
+  });
+  CALL_STATE_TEXT_FIELDS.forEach((field) => {
+    normalized[field] = clampText(state?.[field]);
+  });
+
+  return normalized;
+}
+
+/**
+ * Render the call state for the {{CALL_STATE}} prompt placeholder
+ * @param {Object} state - Call state
+ * @returns {string} One line per covered field, or an empty string
+ */
+export function formatCallState(state) {
+  if (!state) return '';
+
+  const lines = [];
+  CALL_STATE_LIST_FIELDS.forEach((field) => {
+    if (state[field]?.length > 0) lines.push(`${field}: ${state[field].join('; ')}`);
+  });
+  CALL_STATE_TEXT_FIELDS.forEach((field) => {
+    if (state[field]) lines.push(`${field}: ${state[field]}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Fold the segments finalized since the last update into the call state
+ * @param {string} meetingId - The unique meeting identifier
+ */
+export async function updateCallMemory(meetingId) {
+  const call = await storage.getCall(meetingId);
+  if (!call) return;
+
+  if (!(await getConfig(workspaceOf(call))).memory.enabled) return;
+
+  const covered = call.memory?.coveredSegments || 0;
+  const segments = call.transcripts.slice(covered, covered + MAX_SEGMENTS_PER_UPDATE);
+  if (segments.length === 0) return;
+
+  const result = await updateCallState(call.memory?.state || emptyCallState(), segments, {
+    meetingId,
+    participants: call.participants,
+    workspaceId: workspaceOf(call),
+  });
+
+  if (!result.success) {
+    // Keep the previous state; the same segments are retried on the next update
+    console.error(`❌ Failed to update call memory: ${result.error}`);
+    return;
+  }
+
+  await storage.setCallMemory(meetingId, {
+    state: normalizeCallState(result.data),
+    coveredSegments: covered + segments.length,
+  });
+  console.log(`🧠 Updated call memory for meeting ${meetingId} (${covered + segments.length} segments)`);
+}
@@ -0,0 +1,186 @@
+/**
+ * Prompt playground
+ * Replays a stored meeting or an uploaded transcript up to chosen points ("after segment N")
+ * and generates a coaching card at each one with a draft prompt and with the saved one.
+ * The Settings page parses uploads and suggests points in the browser before a run, and
+ * prompt evaluations replay their transcripts with the same helpers.
+ */
+
+// Most points per run; each point costs two coaching requests
+export const MAX_PLAYGROUND_POINTS = 4;
+
+// Largest uploaded transcript, in characters
+export const MAX_UPLOAD_LENGTH = 200000;
+
+// "Speaker: text", optionally with a [m:ss] or [h:mm:ss] offset and the Markdown export's bold
+const LINE = /^\s*(?:\*\*)?\s*(?:\[(\d{1,2}(?::\d{2}){1,2})\]\s*)?([^:*[\]]{1,80}?):(?:\*\*)?\s+(.+)$/;
+
+/**
+ * Read a [h:mm:ss] or [m:ss] offset
+ * @param {string} text
+ * @returns {number} Seconds
+ */
+function offsetSeconds(text) {
+  return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Segments of a JSON upload: a list of segments or a call record (e.g. the JSON export)
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Object} { segments, errors }
+ */
+function jsonSegments(data) {
+  const list = Array.isArray(data) ? data : data?.transcripts;
+  if (!Array.isArray(list)) {
+    return { segments: [], errors: ['JSON transcripts must be a list of { speaker, text } or a call export with transcripts'] };
+  }
+
+  const start = data?.startTime ? new Date(data.startTime).getTime() : NaN;
+  const errors = [];
+  const segments = [];
+  list.forEach((segment, index) => {
+    if (typeof segment?.text !== 'string' || !segment.text.trim()) {
+      errors.push(`Segment ${index + 1} has no text`);
+      return;
+    }
+    const stored = new Date(segment.timestamp).getTime();
+    segments.push({
+      speaker: typeof segment.speaker === 'string' && segment.speaker.trim() ? segment.speaker.trim() : 'Unknown',
+      text: segment.text.trim(),
+      offset: Number.isNaN(start) || Number.isNaN(stored) ? null : Math.max(0, Math.round((stored - start) / 1000)),
+    });
+  });
+
+  return { segments, errors };
+}
+
+/**
+ * Parse an uploaded transcript
+ * Accepts one "Speaker: text" line per segment (optionally "[m:ss] Speaker: text"; lines
+ * without a speaker continue the previous segment), the Markdown export (only its
+ * Transcript section is read) or JSON (see jsonSegments).
+ * @param {string} text - Uploaded transcript
+ * @returns {Object} { segments: [{ speaker, text, offset }], errors } - offset in seconds, or null
+ */
+export function parseTranscriptUpload(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { segments: [], errors: ['transcript must be a non-empty string'] };
+  }
+  if (text.length > MAX_UPLOAD_LENGTH) {
+    return { segments: [], errors: [`transcript must be at most ${MAX_UPLOAD_LENGTH} characters`] };
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[{') || trimmed.startsWith('{')) {
+    try {
+      return jsonSegments(JSON.parse(trimmed));
+    } catch (error) {
+      return { segments: [], errors: [`Invalid JSON transcript (${error.message})`] };
+    }
+  }
+
+  // Markdown export: only the lines after "## Transcript"
+  const allLines = text.split('\n');
+  const firstLine = allLines.findIndex((line) => /^##\s+Transcript\s*$/.test(line.trim())) + 1;
+  const lines = allLines.slice(firstLine);
+
+  const segments = [];
+  const errors = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const match = line.match(LINE);
+    if (match) {
+      segments.push({
+        speaker: match[2].trim(),
+        text: match[3].trim(),
+        offset: match[1] ? offsetSeconds(match[1]) : null,
+      });
+    } else if (segments.length > 0) {
+      segments[segments.length - 1].text += ` ${line.trim()}`;
+    } else {
+      errors.push(`Line ${firstLine + index + 1} is not "Speaker: text"`);
+    }
+  });
+
+  if (segments.length === 0 && errors.length === 0) errors.push('transcript has no segments');
+  return { segments, errors };
+}
+
+/**
+ * Stand-in call for an uploaded transcript
+ * When every segment has an offset, offsets become timestamps counted from now, so the
+ * call duration and elapsed time are known.
+ * @param {Array} segments - Segments from parseTranscriptUpload
+ * @param {Object} options - { workspaceId, repName, deal (stored deal context) }
+ * @returns {Object} { call, segments } - segments with a timestamp (null when untimed)
+ */
+export function uploadedCall(segments, { workspaceId, repName, deal } = {}) {
+  const start = Date.now();
+  const timed = segments.every((segment) => segment.offset !== null);
+
+  return {
+    call: {
+      meetingId: 'uploaded-transcript',
+      workspaceId,
+      startTime: timed ? new Date(start).toISOString() : null,
+      context: {
+        ...(typeof repName === 'string' && repName.trim() ? { repName: repName.trim() } : {}),
+        ...(deal ? { deal } : {}),
+      },
+    },
+    segments: segments.map((segment) => ({
+      ...segment,
+      timestamp: timed ? new Date(start + segment.offset * 1000).toISOString() : null,
+    })),
+  };
+}
+
+/**
+ * A call as it stood after a segment: still active, with only the speakers heard so far
+ * and without call memory (memory is not replayed)
+ * @param {Object} call - Stored or uploaded call
+ * @param {Array} segments - Every segment of the call, with timestamps
+ * @param {number} point - Segment number (1-based)
+ * @returns {Object} { call, heard, currentTime } - heard: segments up to the point
+ */
+export function callAtPoint(call, segments, point) {
+  const heard = segments.slice(0, point);
+
+  return {
+    call: {
+      ...call,
+      status: 'active',
+      participants: [...new Set(heard.map((segment) => segment.speaker))],
+      memory: null,
+    },
+    heard,
+    currentTime: heard[heard.length - 1].timestamp,
+  };
+}
+
+/**
+ * Evenly spread points over a transcript, ending with the last segment
+ * @param {number} count - Segments in the transcript
+ * @param {number} points - Number of points (default 3)
+ * @returns {number[]} Segment numbers (1-based)
+ */
+export function suggestPoints(count, points = 3) {
+  const numbers = Array.from({ length: points }, (_, index) => Math.round((count * (index + 1)) / points));
+  return [...new Set(numbers.filter((number) => number >= 1))];
+}
+
+/**
+ * Validate the points of a playground run
+ * @param {Array} points - Segment numbers (1-based)
+ * @param {number} count - Segments in the transcript
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePoints(points, count) {
+  if (!Array.isArray(points) || points.length === 0) return ['points must be a non-empty list of segment numbers'];
+  if (points.length > MAX_PLAYGROUND_POINTS) return [`points must have at most ${MAX_PLAYGROUND_POINTS} entries`];
+
+  return points
+    .filter((point) => !Number.isInteger(point) || point < 1 || point > count)
+    .map((point) => `Point ${point} must be a segment number between 1 and ${count}`);
+}
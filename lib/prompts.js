@@ -0,0 +1,406 @@
+import storage from '@/lib/storage';
+import { validateTemplate } from '@/lib/template';
+
+/**
+ * Prompt library: named coaching prompt profiles per workspace
+ * Each profile keeps every saved version of its system prompt and user prompt
+ * template (with author and timestamp), so changes can be compared and rolled back.
+ * Rolling back saves the old version again as the newest one; history is never
+ * rewritten. One profile per workspace is active and used for live coaching.
+ *
+ * Workspaces without a library start with a "Default" profile holding the prompts
+ * saved before the library existed (or the built-in defaults).
+ */
+
+// Default system prompt (defines Claude's role and output format)
+export const DEFAULT_SYSTEM_PROMPT = `<role>
+Senior AWS Cloud Sales coach for Colombian markets. Analyze transcripts using the coaching-live-sales-calls skill and provide real-time coaching through the record_coaching tool.
+</role>
+
+<context>
+Market: Colombian SMB/enterprise
+Key dynamics: USD pricing concerns, multi-stakeholder approvals, relationship-driven decisions
+</context>
+
+<output_format>
+Call the record_coaching tool exactly once with the coaching card. Required structure:
+{
+  "phase": {"methodology": "string", "stage": "string", "context": "string (max 20 words)"},
+  "action": {"script": "string (EXACTLY 12-25 words)", "language": "EN|ES"},
+  "tip": {"insight": "string (max 20 words)", "rationale": "string (max 20 words)", "language": "EN|ES"},
+  "risk": {"warning": "string (max 15 words)", "consequence": "string (max 5 words)", "language": "EN|ES"},
+  "metrics": {"discovery": 0-100, "pain_quantified": 0-100, "dm_engagement": 0-100, "stakeholders": number, "alignment": 0-100},
+  "next": {"action": "string (max 15 words)", "timeline": "immediate|near-term|scheduled"},
+  "qualification": [{"criterion": "budget|authority|need|timeline|metrics|economic_buyer|decision_criteria|decision_process|identify_pain|champion", "status": "partial|covered", "evidence": "verbatim customer quote (max 25 words)"}]
+}
+</output_format>
+
+<methodologies>
+The coaching-live-sales-calls skill will select optimal methodology:
+- BANT (Budget/Authority/Need/Timeline): Early qualification
+- MEDDIC (Metrics/Buyer/Criteria/Process/Pain/Champion): Enterprise deals
+- SPIN (Situation/Problem/Implication/Need-payoff): Discovery questions
+- Conceptual: Objection handling, validate current investment
+- Value: Quantify ROI in COP
+- Complex: Multi-stakeholder consensus
+- Assumptive Close: Act on buying signals immediately
+</methodologies>
+
+<critical_rules>
+1. Use coaching-live-sales-calls skill for phase/methodology identification
+2. Action script: 12-25 words ONLY (count strictly)
+3. All text fields: Keep to max word limits
+4. Metrics: 0-100 integers only
+5. No explanations outside the record_coaching tool call
+6. Prefer Spanish scripts for Colombian customers
+7. Flag DM engagement <60% as critical
+8. When "think about it" → probe for hidden objection
+9. When timeline questions → assumptive close
+10. Quantify pain in COP (Colombian Pesos) when possible
+11. Multi-stakeholder conflict → identify economic buyer
+12. Qualification: only list BANT/MEDDIC criteria with evidence in the transcript, quoting the customer verbatim; omit the rest
+</critical_rules>
+
+<dm_engagement_scoring>
+80-100: Active questions, sharing pain, strategic discussion
+40-79: Shorter answers, monosyllables, delayed responses
+0-39: Delegating, checking devices, "let me think" exits
+</dm_engagement_scoring>`;
+
+// Default user prompt template (contains the actual data to analyze)
+export const DEFAULT_USER_PROMPT = `<call_state>
+{{CALL_STATE}}
+</call_state>
+
+<transcript>
+{{TRANSCRIPT}}
+</transcript>
+
+<context>
+meeting_id={{MEETING_ID}}|participants={{PARTICIPANTS}}|duration={{DURATION}}m
+</context>
+
+<deal>
+{{DEAL_CONTEXT}}
+</deal>
+
+Analyze with coaching-live-sales-calls skill. Record the coaching card with the record_coaching tool.`;
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Look up a profile by identifier
+ * Only the library's own keys count, so request-supplied ids such as "constructor" or
+ * "__proto__" find nothing.
+ * @param {Object} library - Prompt library
+ * @param {string} profileId - Profile identifier
+ * @returns {Object|null} The profile, or null when it doesn't exist
+ */
+export function findProfile(library, profileId) {
+  if (typeof profileId !== 'string' || !Object.hasOwn(library.profiles, profileId)) return null;
+  return library.profiles[profileId];
+}
+
+/**
+ * Profile identifier from its name ("Colombia AWS SMB" → "colombia-aws-smb")
+ * @param {string} name - Profile name
+ * @param {Object} profiles - Existing profiles by id
+ * @returns {string} Identifier not used by another profile
+ */
+function profileIdFor(name, profiles) {
+  const base = name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'profile';
+
+  let id = base;
+  for (let n = 2; Object.hasOwn(profiles, id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Initial library of a workspace: a Default profile with its current prompts
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {Promise<Object>} { activeProfileId, profiles }
+ */
+async function seedLibrary(workspaceId) {
+  const legacy = await storage.getPrompts(workspaceId);
+  const isCustom = Boolean(legacy.systemPrompt || legacy.userPrompt);
+
+  return {
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: {
+      [DEFAULT_PROFILE_ID]: {
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        createdAt: null,
+        versions: [{
+          version: 1,
+          systemPrompt: legacy.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+          userPrompt: legacy.userPrompt || DEFAULT_USER_PROMPT,
+          author: null,
+          note: isCustom ? 'Prompts saved before the prompt library' : 'Built-in default prompts',
+          createdAt: null,
+        }],
+      },
+    },
+  };
+}
+
+/**
+ * Get the prompt library of a workspace
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {Promise<Object>} { activeProfileId, profiles: { [id]: { id, name, createdAt, versions } } }
+ */
+export async function getPromptLibrary(workspaceId) {
+  return (await storage.getPromptLibrary(workspaceId)) || seedLibrary(workspaceId);
+}
+
+/**
+ * Apply a change to the prompt library under the storage lock
+ * @param {string} workspaceId - Workspace identifier
+ * @param {Function} change - Receives the library, mutates it and returns the result
+ * @returns {Promise<*>} What change returned
+ */
+async function changeLibrary(workspaceId, change) {
+  let result;
+  await storage.updatePromptLibrary(workspaceId, async (stored) => {
+    const library = stored || await seedLibrary(workspaceId);
+    result = change(library);
+    return library;
+  });
+  return result;
+}
+
+/**
+ * Newest version of a profile
+ * @param {Object} profile - Prompt profile
+ * @returns {Object} Version
+ */
+export function latestVersion(profile) {
+  return profile.versions[profile.versions.length - 1];
+}
+
+/**
+ * Profile as listed in the library (without prompt texts)
+ * @param {Object} profile - Prompt profile
+ * @param {string} activeProfileId - Active profile of the workspace
+ * @returns {Object} { id, name, active, version, versionCount, createdAt, updatedAt, updatedBy }
+ */
+export function summarizeProfile(profile, activeProfileId) {
+  const latest = latestVersion(profile);
+  return {
+    id: profile.id,
+    name: profile.name,
+    active: profile.id === activeProfileId,
+    version: latest.version,
+    versionCount: profile.versions.length,
+    createdAt: profile.createdAt,
+    updatedAt: latest.createdAt,
+    updatedBy: latest.author,
+  };
+}
+
+/**
+ * Prompts used for live coaching: the newest version of the active profile, or of
+ * the profile chosen for the meeting when it still exists
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile chosen for the meeting (optional)
+ * @returns {Promise<Object>} { profileId, profileName, version, systemPrompt, userPrompt }
+ */
+export async function getActivePrompts(workspaceId, profileId) {
+  const library = await getPromptLibrary(workspaceId);
+  const profile = findProfile(library, profileId)
+    || findProfile(library, library.activeProfileId)
+    || Object.values(library.profiles)[0];
+  const { version, systemPrompt, userPrompt } = latestVersion(profile);
+
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    version,
+    systemPrompt,
+    userPrompt,
+  };
+}
+
+/**
+ * Validate prompt texts sent to the settings API, including their template syntax
+ * and placeholders (see lib/template.js)
+ * @param {Object} prompts - { systemPrompt, userPrompt }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePrompts({ systemPrompt, userPrompt }) {
+  const errors = [];
+  if (!systemPrompt || typeof systemPrompt !== 'string') {
+    errors.push('System prompt must be a non-empty string');
+  } else {
+    errors.push(...validateTemplate(systemPrompt).map((error) => `System prompt: ${error}`));
+  }
+  if (!userPrompt || typeof userPrompt !== 'string') {
+    errors.push('User prompt must be a non-empty string');
+  } else {
+    errors.push(...validateTemplate(userPrompt).map((error) => `User prompt: ${error}`));
+  }
+  return errors;
+}
+
+/**
+ * Validate a profile name
+ * @param {string} name
+ * @returns {string|null} Error, or null when valid
+ */
+export function validateProfileName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name must be a non-empty string';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Whether another profile already uses a name (case-insensitive)
+ * @param {Object} library - Prompt library
+ * @param {string} name - Profile name
+ * @param {string} profileId - Profile being renamed (its own name doesn't count)
+ * @returns {boolean}
+ */
+export function isProfileNameTaken(library, name, profileId = null) {
+  return Object.values(library.profiles)
+    .some((profile) => profile.id !== profileId && profile.name.toLowerCase() === name.trim().toLowerCase());
+}
+
+/**
+ * Append a version to a profile of a library being changed
+ * Prompts identical to the newest version record nothing.
+ * @param {Object} profile - Prompt profile
+ * @param {Object} prompts - { systemPrompt, userPrompt, note }
+ * @param {Object} author - { email, name } of the user saving
+ * @returns {Object} Newest version
+ */
+function appendVersion(profile, { systemPrompt, userPrompt, note }, author) {
+  const latest = latestVersion(profile);
+  if (latest.systemPrompt === systemPrompt && latest.userPrompt === userPrompt) return latest;
+
+  const version = {
+    version: latest.version + 1,
+    systemPrompt,
+    userPrompt,
+    author: author ? { email: author.email, name: author.name } : null,
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+    createdAt: new Date().toISOString(),
+  };
+  profile.versions.push(version);
+  return version;
+}
+
+/**
+ * Record a new version of a profile
+ * Saving prompts identical to the newest version records nothing.
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile identifier
+ * @param {Object} prompts - { systemPrompt, userPrompt, note }
+ * @param {Object} author - { email, name } of the user saving
+ * @returns {Promise<Object|null>} Newest version, or null when the profile doesn't exist
+ */
+export async function saveVersion(workspaceId, profileId, prompts, author) {
+  return changeLibrary(workspaceId, (library) => {
+    const profile = findProfile(library, profileId);
+    return profile ? appendVersion(profile, prompts, author) : null;
+  });
+}
+
+/**
+ * Roll a profile back: save an earlier version again as the newest one
+ * The version is looked up and appended in the same library change.
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile identifier
+ * @param {number} versionNumber - Version to restore
+ * @param {Object} author - { email, name } of the user rolling back
+ * @returns {Promise<Object|null>} Newest version, or null when the profile or version doesn't exist
+ */
+export async function rollbackProfile(workspaceId, profileId, versionNumber, author) {
+  return changeLibrary(workspaceId, (library) => {
+    const profile = findProfile(library, profileId);
+    const target = profile?.versions.find((v) => v.version === versionNumber);
+    if (!target) return null;
+
+    return appendVersion(profile, {
+      systemPrompt: target.systemPrompt,
+      userPrompt: target.userPrompt,
+      note: `Rolled back to version ${versionNumber}`,
+    }, author);
+  });
+}
+
+/**
+ * Create a profile
+ * The name is checked against the other profiles in the same library change, so two
+ * profiles created together can't end up with the same name.
+ * @param {string} workspaceId - Workspace identifier
+ * @param {Object} fields - { name, systemPrompt, userPrompt, note }
+ * @param {Object} author - { email, name } of the user creating it
+ * @returns {Promise<Object>} { profile }, or { error: 'name_taken' }
+ */
+export async function createProfile(workspaceId, { name, systemPrompt, userPrompt, note }, author) {
+  return changeLibrary(workspaceId, (library) => {
+    if (isProfileNameTaken(library, name)) return { error: 'name_taken' };
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: profileIdFor(name, library.profiles),
+      name: name.trim(),
+      createdAt: now,
+      versions: [{
+        version: 1,
+        systemPrompt,
+        userPrompt,
+        author: author ? { email: author.email, name: author.name } : null,
+        note: typeof note === 'string' && note.trim() ? note.trim() : null,
+        createdAt: now,
+      }],
+    };
+    library.profiles[profile.id] = profile;
+    return { profile };
+  });
+}
+
+/**
+ * Rename a profile and/or make it the active one
+ * The profile and the new name are checked in the same library change.
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile identifier
+ * @param {Object} changes - { name, active: true }
+ * @returns {Promise<Object>} { profile, activeProfileId }, or { error: 'not_found' | 'name_taken' }
+ */
+export async function updateProfile(workspaceId, profileId, { name, active }) {
+  return changeLibrary(workspaceId, (library) => {
+    const profile = findProfile(library, profileId);
+    if (!profile) return { error: 'not_found' };
+    if (name !== undefined && isProfileNameTaken(library, name, profileId)) return { error: 'name_taken' };
+
+    if (name !== undefined) profile.name = name.trim();
+    if (active) library.activeProfileId = profileId;
+    return { profile, activeProfileId: library.activeProfileId };
+  });
+}
+
+/**
+ * Delete a profile (never the active one)
+ * The active profile is checked in the same library change, so a profile activated
+ * meanwhile is kept.
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} profileId - Profile identifier
+ * @returns {Promise<Object>} { deleted: true }, or { error: 'not_found' | 'active' }
+ */
+export async function deleteProfile(workspaceId, profileId) {
+  return changeLibrary(workspaceId, (library) => {
+    if (!findProfile(library, profileId)) return { error: 'not_found' };
+    if (library.activeProfileId === profileId) return { error: 'active' };
+
+    delete library.profiles[profileId];
+    return { deleted: true };
+  });
+}
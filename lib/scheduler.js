@@ -0,0 +1,272 @@
+import storage from '@/lib/storage';
+import { generateSalesCoaching } from '@/lib/claude';
+import { confidentText } from '@/lib/transcript';
+import { formatCallState, updateCallMemory } from '@/lib/memory';
+import { isProspect } from '@/lib/instant';
+import { applyCoachingToScorecard } from '@/lib/scorecard';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * Read an integer threshold from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Per-meeting coaching scheduler
+ * Decides when a new coaching card is worth generating:
+ * - only finalized segments count (partials are ignored)
+ * - fires on enough new words, or on a speaker turn change with a few new words
+ * - debounces bursts of segments, but never waits longer than maxWaitMs
+ * - at most one generation in flight per meeting; segments arriving meanwhile are
+ *   coalesced into the next run
+ *
+ * Note: state lives in memory, so thresholds restart after a serverless cold start.
+ * A serverless function can also be frozen once the webhook has responded, before a
+ * debounce timer fires. So notify() returns the run that is due, for the webhook to await:
+ * a card is generated inside the request once the maximum wait has passed, and a timer
+ * that is overdue is flushed by the meeting's next webhook (partials included).
+ */
+export class CoachingScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.run - async (meetingId) => void, generates and stores coaching
+   * @param {number} options.minSegments - Finalized segments required before the first card
+   * @param {number} options.minNewWords - New finalized words that trigger a card
+   * @param {number} options.turnMinWords - New words required when the speaker changes
+   * @param {number} options.debounceMs - Quiet period to wait for before firing
+   * @param {number} options.maxWaitMs - Upper bound on debouncing during continuous speech
+   */
+  constructor({ run, minSegments, minNewWords, turnMinWords, debounceMs, maxWaitMs }) {
+    this.run = run;
+    this.minSegments = minSegments;
+    this.minNewWords = minNewWords;
+    this.turnMinWords = turnMinWords;
+    this.debounceMs = debounceMs;
+    this.maxWaitMs = maxWaitMs;
+    this.meetings = new Map();
+  }
+
+  /**
+   * Get or create the scheduling state of a meeting
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Object} Scheduling state
+   */
+  getState(meetingId) {
+    if (!this.meetings.has(meetingId)) {
+      this.meetings.set(meetingId, {
+        segments: 0,
+        pendingWords: 0,
+        turnChanged: false,
+        lastSpeaker: null,
+        timer: null,
+        dueAt: null,
+        firstTriggerAt: null,
+        inFlight: false,
+      });
+    }
+    return this.meetings.get(meetingId);
+  }
+
+  /**
+   * Record a stored transcript segment and schedule coaching if it is warranted
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} segment - { speaker, wordCount, isPartial }
+   * @returns {Promise} Settles when the coaching run that became due (if any) is done
+   */
+  notify(meetingId, { speaker, wordCount, isPartial }) {
+    if (isPartial) return this.flushDue(meetingId);
+
+    const state = this.getState(meetingId);
+    state.segments += 1;
+    state.pendingWords += wordCount;
+    if (state.lastSpeaker && speaker !== state.lastSpeaker) {
+      state.turnChanged = true;
+    }
+    state.lastSpeaker = speaker;
+
+    return this.schedule(meetingId, state);
+  }
+
+  /**
+   * Whether enough new content has accumulated to justify a new card
+   * @param {Object} state - Scheduling state
+   * @returns {boolean}
+   */
+  isMeaningful(state) {
+    if (state.segments < this.minSegments) return false;
+    if (state.pendingWords >= this.minNewWords) return true;
+    return state.turnChanged && state.pendingWords >= this.turnMinWords;
+  }
+
+  /**
+   * (Re)arm the debounce timer of a meeting, or run right away once the maximum wait is due
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} state - Scheduling state
+   * @returns {Promise} Settles when the run started now (if any) is done
+   */
+  schedule(meetingId, state) {
+    // A run is already in flight: keep accumulating, it re-checks when done
+    if (state.inFlight || !this.isMeaningful(state)) return Promise.resolve();
+
+    const now = Date.now();
+    if (!state.firstTriggerAt) state.firstTriggerAt = now;
+    const delay = Math.max(0, Math.min(this.debounceMs, state.firstTriggerAt + this.maxWaitMs - now));
+
+    clearTimeout(state.timer);
+    if (delay === 0) return this.fire(meetingId, state);
+
+    state.dueAt = now + delay;
+    state.timer = setTimeout(() => this.fire(meetingId, state), delay);
+    return Promise.resolve();
+  }
+
+  /**
+   * Run a meeting's coaching now if its debounce timer is overdue (the timer may never
+   * fire in a frozen serverless function)
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise} Settles when the run (if any) is done
+   */
+  flushDue(meetingId) {
+    const state = this.meetings.get(meetingId);
+    if (!state?.timer || state.dueAt > Date.now()) return Promise.resolve();
+
+    clearTimeout(state.timer);
+    return this.fire(meetingId, state);
+  }
+
+  /**
+   * Run coaching generation for a meeting, one at a time
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} state - Scheduling state
+   */
+  async fire(meetingId, state) {
+    state.timer = null;
+    state.dueAt = null;
+    state.firstTriggerAt = null;
+    state.pendingWords = 0;
+    state.turnChanged = false;
+    state.inFlight = true;
+
+    try {
+      await this.run(meetingId);
+    } catch (error) {
+      console.error(`❌ Error in coaching generation for meeting ${meetingId}:`, error);
+    } finally {
+      state.inFlight = false;
+    }
+
+    // Segments that arrived while generating may already warrant the next card
+    if (this.meetings.get(meetingId) === state) {
+      this.schedule(meetingId, state);
+    }
+  }
+
+  /**
+   * Drop the scheduling state of a meeting (e.g. when the call ends)
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  cancel(meetingId) {
+    const state = this.meetings.get(meetingId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.meetings.delete(meetingId);
+  }
+}
+
+// Finalized segments in each coaching prompt; earlier parts of the call reach the coach
+// through the call memory
+export const COACHING_WINDOW = 5;
+
+/**
+ * Transcripts and context of a coaching request, as of a moment in the call
+ * Shared by live coaching and the prompt playground, which replays a call up to a segment.
+ * Low-confidence words are dropped so the coach doesn't react to misrecognized speech.
+ * @param {Object} call - Call context
+ * @param {Array} segments - Finalized segments heard so far, oldest first
+ * @param {string|null} currentTime - Time the card is for (ISO); null when unknown
+ * @returns {Object} { transcripts, context } - Arguments of generateSalesCoaching
+ */
+export function coachingInput(call, segments, currentTime = new Date().toISOString()) {
+  const minConfidence = parseFloat(process.env.COACHING_MIN_CONFIDENCE || '0.4');
+  const transcripts = segments
+    .slice(-COACHING_WINDOW)
+    .map((t) => ({ ...t, text: confidentText(t, minConfidence) }))
+    .filter((t) => t.text.trim());
+  const participantsList = call?.participants || [];
+  const duration = call?.startTime && currentTime
+    ? Math.round((new Date(currentTime).getTime() - new Date(call.startTime).getTime()) / 60000)
+    : undefined;
+
+  return {
+    transcripts,
+    context: {
+      meetingId: call?.meetingId,
+      status: call?.status,
+      startTime: call?.startTime,
+      currentTime,
+      participants: participantsList,
+      speakers: participantsList.map((name) => ({ name, role: isProspect(call, name) ? 'prospect' : 'rep' })),
+      repName: call?.context?.repName,
+      duration,
+      callState: formatCallState(call?.memory?.state),
+      memory: call?.memory?.state,
+      workspaceId: workspaceOf(call),
+      promptProfileId: call?.context?.promptProfileId,
+      deal: call?.context?.deal,
+    },
+  };
+}
+
+/**
+ * Generate a coaching card from the latest transcripts and store it, then fold the new
+ * segments into the rolling call memory for the next card
+ * @param {string} meetingId - The unique meeting identifier
+ */
+async function runCoaching(meetingId) {
+  const call = await storage.getCall(meetingId);
+  const { transcripts, context } = coachingInput(call, call?.transcripts || []);
+
+  console.log(`🎯 Triggering coaching generation for meeting ${meetingId}`);
+  console.log(`👥 Participants: ${context.participants.join(', ')}`);
+
+  const coaching = await generateSalesCoaching(transcripts, { ...context, meetingId });
+
+  if (coaching.success) {
+    // Keep which prompt version produced the card, to compare versions later
+    await storage.addCoaching(meetingId, { ...coaching.data, prompt: coaching.metadata.prompt });
+    await applyCoachingToScorecard(meetingId, coaching.data);
+    console.log(`✅ Successfully generated and stored coaching for meeting ${meetingId}`);
+  } else {
+    console.error(`❌ Failed to generate coaching: ${coaching.error}`);
+    await storage.setCoachingError(meetingId, {
+      message: coaching.error,
+      details: coaching.details,
+    });
+  }
+
+  // Runs inside the scheduler's in-flight slot, so updates never overlap
+  try {
+    await updateCallMemory(meetingId);
+  } catch (error) {
+    console.error(`❌ Error updating call memory for meeting ${meetingId}:`, error);
+  }
+}
+
+// Singleton instance
+const coachingScheduler = new CoachingScheduler({
+  run: runCoaching,
+  minSegments: envInt('COACHING_MIN_SEGMENTS', 3),
+  minNewWords: envInt('COACHING_MIN_NEW_WORDS', 25),
+  turnMinWords: envInt('COACHING_TURN_MIN_WORDS', 5),
+  debounceMs: envInt('COACHING_DEBOUNCE_MS', 1500),
+  maxWaitMs: envInt('COACHING_MAX_WAIT_MS', 8000),
+});
+
+export default coachingScheduler;
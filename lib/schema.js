@@ -0,0 +1,313 @@
+/**
+ * Coaching card and post-call summary schemas, and their validation
+ * COACHING_SCHEMA and SUMMARY_SCHEMA are plain JSON Schema so it can be shared with the Claude API;
+ * word limits are not expressible in JSON Schema and live in WORD_LIMITS.
+ */
+
+export const METHODOLOGIES = ['BANT', 'MEDDIC', 'SPIN', 'Conceptual', 'Value', 'Complex', 'Assumptive Close'];
+export const LANGUAGES = ['EN', 'ES'];
+export const TIMELINES = ['immediate', 'near-term', 'scheduled'];
+
+// Qualification criteria tracked by the per-call scorecard, by framework
+export const QUALIFICATION_FRAMEWORKS = {
+  BANT: ['budget', 'authority', 'need', 'timeline'],
+  MEDDIC: ['metrics', 'economic_buyer', 'decision_criteria', 'decision_process', 'identify_pain', 'champion'],
+};
+export const QUALIFICATION_CRITERIA = [...new Set(Object.values(QUALIFICATION_FRAMEWORKS).flat())];
+export const QUALIFICATION_STATUSES = ['partial', 'covered'];
+
+const score = { type: 'integer', minimum: 0, maximum: 100 };
+
+export const COACHING_SCHEMA = {
+  type: 'object',
+  required: ['phase', 'action', 'tip', 'risk', 'metrics', 'next'],
+  properties: {
+    phase: {
+      type: 'object',
+      required: ['methodology', 'stage', 'context'],
+      properties: {
+        methodology: { type: 'string', enum: METHODOLOGIES },
+        stage: { type: 'string' },
+        context: { type: 'string', description: 'Max 20 words' },
+      },
+    },
+    action: {
+      type: 'object',
+      required: ['script', 'language'],
+      properties: {
+        script: { type: 'string', description: 'What the rep should say next, 12-25 words' },
+        language: { type: 'string', enum: LANGUAGES },
+      },
+    },
+    tip: {
+      type: 'object',
+      required: ['insight', 'rationale', 'language'],
+      properties: {
+        insight: { type: 'string', description: 'Max 20 words' },
+        rationale: { type: 'string', description: 'Max 20 words' },
+        language: { type: 'string', enum: LANGUAGES },
+      },
+    },
+    risk: {
+      type: 'object',
+      required: ['warning', 'consequence', 'language'],
+      properties: {
+        warning: { type: 'string', description: 'Max 15 words' },
+        consequence: { type: 'string', description: 'Max 5 words' },
+        language: { type: 'string', enum: LANGUAGES },
+      },
+    },
+    metrics: {
+      type: 'object',
+      required: ['discovery', 'pain_quantified', 'dm_engagement', 'stakeholders', 'alignment'],
+      properties: {
+        discovery: score,
+        pain_quantified: score,
+        dm_engagement: score,
+        stakeholders: { type: 'integer', minimum: 0 },
+        alignment: score,
+      },
+    },
+    next: {
+      type: 'object',
+      required: ['action', 'timeline'],
+      properties: {
+        action: { type: 'string', description: 'Max 15 words' },
+        timeline: { type: 'string', enum: TIMELINES },
+      },
+    },
+    // Optional: qualification evidence heard so far, merged into the call scorecard
+    qualification: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['criterion', 'status', 'evidence'],
+        properties: {
+          criterion: { type: 'string', enum: QUALIFICATION_CRITERIA },
+          status: { type: 'string', enum: QUALIFICATION_STATUSES },
+          evidence: { type: 'string', description: 'Verbatim customer quote from the transcript, max 25 words' },
+        },
+      },
+    },
+  },
+};
+
+const text = { type: 'string' };
+
+// Post-call summary recorded by the record_summary tool (see generateCallSummary)
+export const SUMMARY_LANGUAGES = ['EN', 'ES', 'PT', 'other'];
+export const STAKEHOLDER_STANCES = ['champion', 'supporter', 'neutral', 'skeptic', 'unknown'];
+export const OBJECTION_STATUSES = ['resolved', 'open'];
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['overview', 'pain_points', 'stakeholders', 'objections', 'next_steps', 'bant', 'meddic', 'customer_language', 'follow_up_email'],
+  properties: {
+    overview: { type: 'string', description: 'Max 60 words' },
+    pain_points: { type: 'array', items: text },
+    stakeholders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'role', 'stance'],
+        properties: { name: text, role: text, stance: { type: 'string', enum: STAKEHOLDER_STANCES } },
+      },
+    },
+    objections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['objection', 'response', 'status'],
+        properties: { objection: text, response: text, status: { type: 'string', enum: OBJECTION_STATUSES } },
+      },
+    },
+    next_steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['action', 'owner', 'due'],
+        properties: { action: text, owner: text, due: text },
+      },
+    },
+    bant: {
+      type: 'object',
+      required: QUALIFICATION_FRAMEWORKS.BANT,
+      properties: Object.fromEntries(QUALIFICATION_FRAMEWORKS.BANT.map((key) => [key, text])),
+    },
+    meddic: {
+      type: 'object',
+      required: QUALIFICATION_FRAMEWORKS.MEDDIC,
+      properties: Object.fromEntries(QUALIFICATION_FRAMEWORKS.MEDDIC.map((key) => [key, text])),
+    },
+    customer_language: { type: 'string', enum: SUMMARY_LANGUAGES },
+    follow_up_email: {
+      type: 'object',
+      required: ['subject', 'body', 'language'],
+      properties: {
+        subject: text,
+        body: { type: 'string', description: 'Max 180 words' },
+        language: { type: 'string', enum: SUMMARY_LANGUAGES },
+      },
+    },
+  },
+};
+
+// [min, max] words per text field, keyed by path
+export const WORD_LIMITS = {
+  'phase.context': [0, 20],
+  'action.script': [12, 25],
+  'tip.insight': [0, 20],
+  'tip.rationale': [0, 20],
+  'risk.warning': [0, 15],
+  'risk.consequence': [0, 5],
+  'next.action': [0, 15],
+};
+
+// Max words of each qualification evidence quote
+export const MAX_EVIDENCE_WORDS = 25;
+
+// Rolling call state kept across the call (see lib/memory.js)
+export const CALL_STATE_LIST_FIELDS = ['pains', 'stakeholders', 'objections'];
+export const CALL_STATE_TEXT_FIELDS = ['budget', 'authority', 'timeline'];
+export const MAX_CALL_STATE_ITEMS = 6;
+export const MAX_CALL_STATE_ITEM_WORDS = 25;
+
+/**
+ * Count the words of a string
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Check a value against a (subset of) JSON Schema
+ * Supports type object/array/string/integer/number, required, properties, items, enum,
+ * minimum, maximum.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in messages
+ * @param {Array} errors - Collected error messages
+ * @param {string} root - Name of the checked value in messages about the value itself
+ */
+function checkSchema(value, schema, path, errors, root = 'coaching') {
+  const label = path || root;
+
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path ? `${path}.` : ''}${key} is required`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          checkSchema(value[key], child, path ? `${path}.${key}` : key, errors, root);
+        }
+      });
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${label} must be an array`);
+        return;
+      }
+      value.forEach((item, index) => checkSchema(item, schema.items || {}, `${path}[${index}]`, errors, root));
+      return;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${label} must be a string`);
+        return;
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${label} must be an integer`);
+        return;
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${label} must be a number`);
+        return;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label} must be >= ${schema.minimum} (got ${value})`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${label} must be <= ${schema.maximum} (got ${value})`);
+  }
+}
+
+/**
+ * Check the word limits of a coaching card that matches the schema
+ * @param {Object} coaching - Coaching card
+ * @returns {string[]} Errors (empty when every field is within its limits)
+ */
+function wordLimitErrors(coaching) {
+  const errors = [];
+
+  Object.entries(WORD_LIMITS).forEach(([path, [min, max]]) => {
+    const [group, field] = path.split('.');
+    const words = countWords(coaching[group][field]);
+    if (words < min || words > max) {
+      errors.push(min > 0
+        ? `${path} must be ${min}-${max} words (got ${words})`
+        : `${path} must be at most ${max} words (got ${words})`);
+    }
+  });
+
+  (coaching.qualification || []).forEach((item, index) => {
+    const words = countWords(item.evidence);
+    if (words > MAX_EVIDENCE_WORDS) {
+      errors.push(`qualification[${index}].evidence must be at most ${MAX_EVIDENCE_WORDS} words (got ${words})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a coaching card against the schema, then the word limits
+ * @param {*} coaching - Parsed model output
+ * @returns {Object} { valid: boolean, errors: string[], schemaValid: boolean }
+ */
+export function validateCoaching(coaching) {
+  const errors = [];
+  checkSchema(coaching, COACHING_SCHEMA, '', errors);
+  const schemaValid = errors.length === 0;
+
+  if (schemaValid) {
+    errors.push(...wordLimitErrors(coaching));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    schemaValid,
+  };
+}
+
+/**
+ * Validate a post-call summary against the schema
+ * @param {*} summary - Parsed model output
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateSummary(summary) {
+  const errors = [];
+  checkSchema(summary, SUMMARY_SCHEMA, '', errors, 'summary');
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,58 @@
+import storage from '@/lib/storage';
+import { QUALIFICATION_CRITERIA, QUALIFICATION_STATUSES } from '@/lib/schema';
+
+/**
+ * Deal qualification scorecard
+ * Coaching cards report the BANT/MEDDIC evidence heard so far (`qualification`); each
+ * card is merged into a scorecard persisted on the call, so coverage only ever grows
+ * instead of jumping around like the per-card metrics.
+ */
+
+// Evidence quotes kept per criterion (most recent first)
+const MAX_EVIDENCE_PER_CRITERION = 3;
+
+/**
+ * Merge the qualification items of one coaching card into a scorecard
+ * A criterion never goes back from covered to partial; new quotes are added first.
+ * @param {Object|null} scorecard - Current scorecard
+ * @param {Array} items - [{ criterion, status, evidence }] from a coaching card
+ * @param {string} timestamp - When the evidence was reported
+ * @returns {Object} Updated scorecard ({ criteria })
+ */
+export function mergeQualification(scorecard, items, timestamp) {
+  const criteria = { ...(scorecard?.criteria || {}) };
+
+  items
+    .filter((item) => QUALIFICATION_CRITERIA.includes(item.criterion))
+    .forEach(({ criterion, status, evidence }) => {
+      const current = criteria[criterion] || { status: null, evidence: [] };
+      const strongest = QUALIFICATION_STATUSES.indexOf(status) > QUALIFICATION_STATUSES.indexOf(current.status)
+        ? status
+        : current.status;
+      const quote = evidence?.trim();
+      const isNew = quote && !current.evidence.some((entry) => entry.quote === quote);
+
+      criteria[criterion] = {
+        status: strongest,
+        evidence: isNew
+          ? [{ quote, timestamp }, ...current.evidence].slice(0, MAX_EVIDENCE_PER_CRITERION)
+          : current.evidence,
+      };
+    });
+
+  return { criteria };
+}
+
+/**
+ * Merge a stored coaching card's qualification evidence into the call scorecard
+ * @param {string} meetingId - The unique meeting identifier
+ * @param {Object} coaching - Coaching card
+ */
+export async function applyCoachingToScorecard(meetingId, coaching) {
+  const items = coaching.qualification || [];
+  if (items.length === 0) return;
+
+  const timestamp = new Date().toISOString();
+  await storage.updateScorecard(meetingId, (scorecard) => mergeQualification(scorecard, items, timestamp));
+  console.log(`📋 Updated qualification scorecard for meeting ${meetingId} (${items.length} criteria)`);
+}
@@ -0,0 +1,305 @@
+import storage from '@/lib/storage';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * Full-text search over stored transcripts and coaching cards
+ * Every finalized transcript segment and every coaching card is a document in an
+ * in-memory inverted index (term → document ids). Meetings are (re)indexed lazily
+ * before each query when their transcript or card count changed, so writes handled by
+ * other serverless instances are picked up too. Only the meetings the query may return
+ * (the storage meeting index of its workspace, and owner) are loaded.
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Lower-case and strip accents so "cómo" matches "como"
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalize(text) {
+  return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Parse a keyword query: quoted phrases must appear verbatim, other terms anywhere
+ * @param {string} query - e.g. `pricing COP "think about it"`
+ * @returns {Object} { terms, phrases }
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const rest = (query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(tokenize(phrase).join(' '));
+    return ' ';
+  });
+
+  return {
+    terms: [...new Set([...tokenize(rest), ...phrases.flatMap((phrase) => phrase.split(' '))])],
+    phrases: phrases.filter(Boolean),
+  };
+}
+
+/**
+ * Searchable text of a coaching card
+ * @param {Object} coaching - Coaching card
+ * @returns {string}
+ */
+function coachingText(coaching) {
+  return [
+    coaching.phase?.context,
+    coaching.action?.script,
+    coaching.tip?.insight,
+    coaching.tip?.rationale,
+    coaching.risk?.warning,
+    coaching.next?.action,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Build the documents of a call
+ * Transcript segments carry the phase of the latest coaching card before them, so
+ * methodology/stage filters also apply to what was said.
+ * @param {Object} call - Call context
+ * @returns {Array} Documents
+ */
+function buildDocuments(call) {
+  const cards = call.coachingRecommendations || [];
+  const phaseAt = (timestamp) => {
+    const card = cards.filter((c) => c.timestamp <= timestamp).pop();
+    return card?.phase || null;
+  };
+
+  const transcripts = (call.transcripts || []).map((segment, index) => {
+    const phase = phaseAt(segment.timestamp);
+    return {
+      id: `${call.meetingId}:t:${index}`,
+      meetingId: call.meetingId,
+      workspaceId: workspaceOf(call),
+      owner: call.owner || null,
+      type: 'transcript',
+      index,
+      speaker: segment.speaker || 'Unknown',
+      text: segment.text,
+      timestamp: segment.timestamp,
+      offset: typeof segment.start === 'number' ? segment.start : null,
+      methodology: phase?.methodology || null,
+      stage: phase?.stage || null,
+    };
+  });
+
+  const coaching = cards.map((card, index) => ({
+    id: `${call.meetingId}:c:${index}`,
+    meetingId: call.meetingId,
+    workspaceId: workspaceOf(call),
+    owner: call.owner || null,
+    type: 'coaching',
+    index,
+    speaker: null,
+    text: coachingText(card),
+    timestamp: card.timestamp,
+    offset: null,
+    methodology: card.phase?.methodology || null,
+    stage: card.phase?.stage || null,
+  }));
+
+  return [...transcripts, ...coaching];
+}
+
+/**
+ * Short excerpt around the first matching term
+ * @param {string} text - Document text
+ * @param {string[]} terms - Query terms
+ * @returns {string}
+ */
+function buildSnippet(text, terms) {
+  // Fold character by character so positions line up with the original text
+  const chars = Array.from(text);
+  const folded = chars.map((char) => normalize(char)[0] || ' ').join('');
+  const positions = terms.map((term) => folded.indexOf(term)).filter((position) => position >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(chars.length, first + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${chars.slice(start, end).join('')}${end < chars.length ? '…' : ''}`;
+}
+
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // id → document (with normalized text)
+    this.terms = new Map(); // term → Set of document ids
+    this.meetings = new Map(); // meetingId → { version, ids }
+  }
+
+  /**
+   * Replace the documents of a meeting
+   * @param {Object} call - Call context
+   */
+  indexCall(call) {
+    this.removeMeeting(call.meetingId);
+
+    const ids = buildDocuments(call).map((document) => {
+      const tokens = tokenize(document.text);
+      this.documents.set(document.id, {
+        ...document,
+        normalized: tokens.join(' '),
+        tokens,
+      });
+      tokens.forEach((term) => {
+        if (!this.terms.has(term)) this.terms.set(term, new Set());
+        this.terms.get(term).add(document.id);
+      });
+      return document.id;
+    });
+
+    this.meetings.set(call.meetingId, { version: this.version(call), workspaceId: workspaceOf(call), ids });
+  }
+
+  /**
+   * Drop the documents of a meeting
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  removeMeeting(meetingId) {
+    const entry = this.meetings.get(meetingId);
+    if (!entry) return;
+
+    entry.ids.forEach((id) => {
+      this.documents.get(id)?.tokens.forEach((term) => {
+        const ids = this.terms.get(term);
+        ids?.delete(id);
+        if (ids?.size === 0) this.terms.delete(term);
+      });
+      this.documents.delete(id);
+    });
+    this.meetings.delete(meetingId);
+  }
+
+  /**
+   * Indexed state of a call; segments and cards are append-only, so counts suffice
+   * (plus the workspace and owner, which are set when the bot is created)
+   * @param {Object} call - Call context
+   * @returns {string}
+   */
+  version(call) {
+    return `${workspaceOf(call)}:${call.owner || ''}:${call.transcripts?.length || 0}:${call.coachingRecommendations?.length || 0}`;
+  }
+
+  /**
+   * Bring the meetings of a workspace (or of one owner in it) up to date with storage
+   * @param {Object} scope
+   * @param {string} scope.workspaceId - Workspace identifier
+   * @param {string} scope.owner - Only meetings owned by this user (email)
+   */
+  async refresh({ workspaceId, owner } = {}) {
+    const workspace = workspaceOf({ workspaceId });
+    const entries = await storage.getMeetingIndex(workspace);
+    const meetingIds = new Set(entries.map((entry) => entry.meetingId));
+
+    // Meetings deleted from the workspace or moved out of it
+    Array.from(this.meetings.entries())
+      .filter(([meetingId, entry]) => entry.workspaceId === workspace && !meetingIds.has(meetingId))
+      .forEach(([meetingId]) => this.removeMeeting(meetingId));
+
+    const calls = await Promise.all(entries
+      .filter((entry) => !owner || entry.owner === owner)
+      .map((entry) => storage.getCall(entry.meetingId)));
+    calls
+      .filter((call) => call && this.meetings.get(call.meetingId)?.version !== this.version(call))
+      .forEach((call) => this.indexCall(call));
+  }
+
+  /**
+   * Search indexed documents
+   * @param {Object} options
+   * @param {string} options.query - Keywords and "quoted phrases" (all must match)
+   * @param {string} options.speaker - Part of the speaker name (transcripts only)
+   * @param {Date} options.from - Only documents at or after this date
+   * @param {Date} options.to - Only documents at or before this date
+   * @param {string} options.methodology - Coaching methodology in effect
+   * @param {string} options.stage - Part of the coaching stage in effect
+   * @param {string} options.type - 'transcript' or 'coaching'
+   * @param {string} options.meetingId - Only this meeting
+   * @param {string} options.workspaceId - Only meetings of this workspace
+   * @param {string} options.owner - Only meetings owned by this user (email)
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Results to skip
+   * @returns {Object} { results, total, terms }
+   */
+  search({ query, speaker, from, to, methodology, stage, type, meetingId, workspaceId, owner, limit = DEFAULT_LIMIT, offset = 0 }) {
+    const { terms, phrases } = parseQuery(query);
+
+    // Candidates: documents containing every term (or everything without keywords)
+    let candidates;
+    if (terms.length > 0) {
+      const sets = terms.map((term) => this.terms.get(term) || new Set());
+      sets.sort((a, b) => a.size - b.size);
+      candidates = Array.from(sets[0]).filter((id) => sets.every((set) => set.has(id)));
+    } else {
+      candidates = Array.from(this.documents.keys());
+    }
+
+    const speakerNeedle = normalize(speaker);
+    const stageNeedle = normalize(stage);
+
+    const matches = candidates
+      .map((id) => this.documents.get(id))
+      .filter((document) => phrases.every((phrase) => ` ${document.normalized} `.includes(` ${phrase} `)))
+      .filter((document) => !type || document.type === type)
+      .filter((document) => !meetingId || document.meetingId === meetingId)
+      .filter((document) => !workspaceId || document.workspaceId === workspaceId)
+      .filter((document) => !owner || document.owner === owner)
+      .filter((document) => !speakerNeedle || normalize(document.speaker).includes(speakerNeedle))
+      .filter((document) => !methodology || document.methodology === methodology)
+      .filter((document) => !stageNeedle || normalize(document.stage).includes(stageNeedle))
+      .filter((document) => !from || new Date(document.timestamp) >= from)
+      .filter((document) => !to || new Date(document.timestamp) <= to)
+      .map((document) => ({
+        document,
+        score: terms.reduce((sum, term) => sum + document.tokens.filter((token) => token === term).length, 0)
+          + phrases.length * 5,
+      }))
+      .sort((a, b) => b.score - a.score || new Date(b.document.timestamp) - new Date(a.document.timestamp));
+
+    const results = matches.slice(offset, offset + limit).map(({ document, score }) => {
+      const { normalized, tokens, ...fields } = document;
+      return {
+        ...fields,
+        score,
+        snippet: buildSnippet(document.text, terms),
+      };
+    });
+
+    return {
+      results,
+      total: matches.length,
+      terms,
+    };
+  }
+}
+
+// Singleton instance
+const searchIndex = new SearchIndex();
+
+/**
+ * Refresh the index from storage and run a search
+ * @param {Object} options - See SearchIndex.search
+ * @returns {Promise<Object>} { results, total, terms }
+ */
+export async function searchCalls(options) {
+  await searchIndex.refresh({ workspaceId: options.workspaceId, owner: options.owner });
+  return searchIndex.search(options);
+}
+
+export default searchIndex;
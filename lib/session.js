@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Signed-in user on the client, provided by pages/_app.js
+ * user: { email, name, role }, undefined while loading and null when signed out
+ */
+export const SessionContext = createContext({
+  user: null,
+  setUser: () => {},
+  signOut: () => {},
+});
+
+/**
+ * Read the session from any page or component
+ * @returns {Object} { user, setUser, signOut }
+ */
+export function useSession() {
+  return useContext(SessionContext);
+}
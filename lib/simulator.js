@@ -0,0 +1,174 @@
+/**
+ * Call simulator
+ * Turns a recorded or scripted conversation into the webhook events a Recall.ai bot sends
+ * during a call: bot status changes, Deepgram interim results (transcript.partial_data)
+ * growing word by word, and one finalized transcript.data per segment. Used by
+ * scripts/simulate-call.mjs to develop the dashboard and coaching loop offline.
+ * No storage or network access.
+ */
+
+// Speaking rate used to time segments that have no offset, in seconds per word
+export const SECONDS_PER_WORD = 0.4;
+
+// Silence between untimed segments, in seconds
+const TURN_GAP = 1;
+
+// Interim results are sent every this many words
+const PARTIAL_EVERY = 3;
+
+// Status events around the conversation, with their delay in seconds
+const JOIN_EVENTS = [
+  ['bot.joining_call', 0],
+  ['bot.in_waiting_room', 2],
+  ['bot.in_call_not_recording', 4],
+  ['bot.recording_permission_allowed', 5],
+  ['bot.in_call_recording', 6],
+];
+const LEAVE_EVENTS = [
+  ['bot.call_ended', 2],
+  ['bot.done', 5],
+];
+
+/**
+ * Whether /api/bot/create accepts simulated bots: always outside production,
+ * and in production only with ENABLE_CALL_SIMULATOR=true
+ * @returns {boolean}
+ */
+export function simulatorEnabled() {
+  return process.env.NODE_ENV !== 'production' || process.env.ENABLE_CALL_SIMULATOR === 'true';
+}
+
+/**
+ * Identifier of a simulated bot
+ * @returns {string}
+ */
+export function simulatedBotId() {
+  return `sim-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Place every word of a conversation on the recording's timeline
+ * Segments with an offset start at it (and are compressed to fit before the next one);
+ * the others follow the previous segment after a short pause. Time never goes backwards.
+ * @param {Array} segments - [{ speaker, text, offset }] from parseTranscriptUpload
+ * @returns {Array} [{ speaker, words: [{ text, start, end }] }] - times in seconds
+ */
+export function timeSegments(segments) {
+  let clock = 0;
+
+  return segments.map((segment, index) => {
+    const text = segment.text.split(/\s+/).filter(Boolean);
+    const start = index === 0 ? segment.offset ?? 0 : Math.max(segment.offset ?? clock + TURN_GAP, clock);
+    const next = segments[index + 1]?.offset;
+    const spoken = text.length * SECONDS_PER_WORD;
+    const duration = typeof next === 'number' && next > start ? Math.min(spoken, next - start) : spoken;
+    const perWord = duration / text.length;
+
+    const words = text.map((word, position) => ({
+      text: word,
+      start: start + position * perWord,
+      end: start + (position + 1) * perWord,
+    }));
+    clock = start + duration;
+
+    return { speaker: segment.speaker, words };
+  });
+}
+
+/**
+ * Recall.ai word with { relative, absolute } timestamps
+ * @param {Object} word - { text, start, end } in seconds
+ * @param {number} startedAt - Recording start, in ms
+ * @returns {Object}
+ */
+function recallWord(word, startedAt) {
+  const timestamp = (seconds) => ({
+    relative: Math.round(seconds * 1000) / 1000,
+    absolute: new Date(startedAt + seconds * 1000).toISOString(),
+  });
+
+  return {
+    text: word.text,
+    start_timestamp: timestamp(word.start),
+    end_timestamp: timestamp(word.end),
+    confidence: 0.98,
+  };
+}
+
+/**
+ * Payload of a realtime_endpoints transcript event
+ * @param {string} event - transcript.data or transcript.partial_data
+ * @param {Object} options - { botId, participant, words, startedAt }
+ * @returns {Object}
+ */
+export function transcriptPayload(event, { botId, participant, words, startedAt }) {
+  return {
+    event,
+    data: {
+      data: {
+        words: words.map((word) => recallWord(word, startedAt)),
+        participant: { id: participant.id, name: participant.name, is_host: participant.id === 1, platform: 'unknown', extra_data: {} },
+      },
+      realtime_endpoint: { id: `${botId}-realtime`, metadata: {} },
+      transcript: { id: `${botId}-transcript`, metadata: {} },
+      recording: { id: `${botId}-recording`, metadata: {} },
+      bot: { id: botId, metadata: { simulated: true } },
+    },
+  };
+}
+
+/**
+ * Payload of a bot status change webhook
+ * @param {string} event - e.g. bot.in_call_recording
+ * @param {Object} options - { botId, at (Date) }
+ * @returns {Object}
+ */
+export function statusPayload(event, { botId, at }) {
+  return {
+    event,
+    data: {
+      data: { code: event.replace(/^bot\./, ''), sub_code: null, updated_at: at.toISOString() },
+      bot: { id: botId, metadata: { simulated: true } },
+    },
+  };
+}
+
+/**
+ * Every webhook a bot would send for a conversation, in order
+ * The transcript is timed from the moment recording starts (bot.in_call_recording).
+ * @param {Array} segments - [{ speaker, text, offset }] from parseTranscriptUpload
+ * @param {Object} options - { botId, partials (default true), startedAt (ms, default now) }
+ * @returns {Array} [{ at, payload }] - at: seconds since the bot started joining
+ */
+export function simulatedEvents(segments, { botId, partials = true, startedAt = Date.now() } = {}) {
+  const events = [];
+  const status = (event, at) => events.push({
+    at,
+    payload: statusPayload(event, { botId, at: new Date(startedAt + at * 1000) }),
+  });
+
+  JOIN_EVENTS.forEach(([event, delay]) => status(event, delay));
+  const recording = JOIN_EVENTS[JOIN_EVENTS.length - 1][1];
+  const recordingStart = startedAt + recording * 1000;
+
+  // Participants are numbered in the order they first speak, like Recall.ai does
+  const participants = new Map();
+  let end = recording;
+  timeSegments(segments).forEach(({ speaker, words }) => {
+    if (!participants.has(speaker)) participants.set(speaker, { id: participants.size + 1, name: speaker });
+    const participant = participants.get(speaker);
+    const transcript = (event, heard) => transcriptPayload(event, { botId, participant, words: heard, startedAt: recordingStart });
+
+    if (partials) {
+      for (let count = PARTIAL_EVERY; count < words.length; count += PARTIAL_EVERY) {
+        const heard = words.slice(0, count);
+        events.push({ at: recording + heard[heard.length - 1].end, payload: transcript('transcript.partial_data', heard) });
+      }
+    }
+    end = recording + words[words.length - 1].end;
+    events.push({ at: end, payload: transcript('transcript.data', words) });
+  });
+
+  LEAVE_EVENTS.forEach(([event, delay]) => status(event, end + delay));
+  return events;
+}
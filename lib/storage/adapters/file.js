@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-backed storage adapter
+ * Stores one JSON file per key under a local directory, so data survives restarts.
+ * Intended for local development and self-hosted deployments - Vercel functions
+ * only have a writable (and ephemeral) /tmp directory. Updates are only serialized
+ * within one process, so run a single server instance on a directory.
+ */
+
+class FileAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory where the JSON files are written
+   */
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+    this.ready = null;
+  }
+
+  /**
+   * Create the storage directory on first use
+   */
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    await this.ensureDir();
+    try {
+      const contents = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    await this.ensureDir();
+    // Write to a temp file and rename so readers never see a half-written file
+    const target = this.filePath(key);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value), 'utf8');
+    await fs.rename(tmp, target);
+  }
+
+  async delete(key) {
+    await this.ensureDir();
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async keys(prefix = '') {
+    await this.ensureDir();
+    const files = await fs.readdir(this.dir);
+    return files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .filter((key) => key.startsWith(prefix));
+  }
+}
+
+module.exports = FileAdapter;
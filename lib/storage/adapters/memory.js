@@ -0,0 +1,31 @@
+/**
+ * In-memory storage adapter
+ * Note: This is ephemeral storage that resets on serverless function cold starts
+ * Values are copied on read and write so callers never share references with the store,
+ * which keeps its behavior identical to the persistent adapters
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.store = new Map();
+  }
+
+  async get(key) {
+    const value = this.store.get(key);
+    return value === undefined ? null : JSON.parse(value);
+  }
+
+  async set(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return Array.from(this.store.keys()).filter((key) => key.startsWith(prefix));
+  }
+}
+
+module.exports = MemoryAdapter;
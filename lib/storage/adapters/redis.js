@@ -0,0 +1,96 @@
+/**
+ * Redis storage adapter
+ * Works with any server speaking the Redis protocol (Redis, Upstash, KeyDB, Valkey...)
+ * Values are stored as JSON strings under a common key prefix.
+ * Read-modify-write cycles are atomic across instances: update() writes with a
+ * compare-and-set script and retries when another instance changed the value meanwhile.
+ */
+
+// Maximum compare-and-set attempts of one update
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// Set KEYS[1] to ARGV[2] only if it still holds ARGV[1] ('' when missing)
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+if (current or '') ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+/**
+ * Escape the glob characters of a SCAN MATCH pattern
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+class RedisAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis connection URL (redis:// or rediss://)
+   * @param {string} options.prefix - Prefix applied to every key
+   * @param {Object} options.client - Connected ioredis-compatible client to use instead of the URL
+   */
+  constructor({ url, prefix, client }) {
+    if (client) {
+      this.client = client;
+    } else {
+      if (!url) {
+        throw new Error('REDIS_URL must be set when STORAGE_ADAPTER=redis');
+      }
+      // Required lazily so the client is only loaded when this adapter is selected
+      const Redis = require('ioredis');
+      this.client = new Redis(url, { maxRetriesPerRequest: 2 });
+    }
+    this.client.defineCommand('compareAndSet', { numberOfKeys: 1, lua: COMPARE_AND_SET });
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value) {
+    await this.client.set(this.prefix + key, JSON.stringify(value));
+  }
+
+  /**
+   * Atomically update a value
+   * @param {string} key
+   * @param {Function} mutate - Receives the current value (or null) and returns the value to save,
+   *   or undefined to leave it unchanged; runs again on a fresh copy when the write conflicts
+   * @returns {Promise<Object>} The saved value (the current one when unchanged)
+   */
+  async update(key, mutate) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt += 1) {
+      const raw = await this.client.get(this.prefix + key);
+      const current = raw === null ? null : JSON.parse(raw);
+      const value = await mutate(current);
+      if (value === undefined) return current;
+
+      const saved = await this.client.compareAndSet(this.prefix + key, raw ?? '', JSON.stringify(value));
+      if (saved === 1) return value;
+    }
+    throw new Error(`Too many concurrent updates of ${key}`);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${escapeGlob(this.prefix + prefix)}*`, 'COUNT', 200);
+      cursor = next;
+      keys.push(...batch.map((key) => key.slice(this.prefix.length)));
+    } while (cursor !== '0');
+    return keys;
+  }
+}
+
+module.exports = RedisAdapter;
@@ -0,0 +1,763 @@
+/**
+ * Storage for call contexts and coaching data
+ * The CallStorage class holds all the domain logic and delegates persistence to an
+ * adapter, selected with the STORAGE_ADAPTER environment variable:
+ * - memory (default): ephemeral, resets on serverless function cold starts
+ * - file: JSON files on local disk (STORAGE_FILE_DIR)
+ * - redis: any Redis-protocol server (REDIS_URL)
+ *
+ * Adapters implement a small async key/value interface:
+ *   get(key), set(key, value), delete(key), keys(prefix)
+ * and optionally update(key, mutate), an atomic read-modify-write across instances (redis).
+ * Without it, updates are only serialized within this process, so the memory and file
+ * adapters must not be shared by several server instances.
+ *
+ * The prompt library and model configuration are stored per workspace. The default workspace keeps
+ * the unscoped keys, so settings saved before workspaces existed still apply.
+ *
+ * Each workspace also has a meeting index ([{ meetingId, owner, startTime }]), kept in step with
+ * the calls it lists, so the meetings list and search only load the calls a user may see.
+ * It is built from the stored calls the first time it is read.
+ *
+ * CallStorage is also an EventEmitter so live consumers (the SSE stream) can react
+ * to writes made by this process: 'transcript', 'partial', 'coaching', 'coachingError',
+ * 'instantTip', 'scorecard', 'status' and 'summary' events are emitted with (meetingId, payload).
+ */
+
+const { EventEmitter } = require('events');
+const MemoryAdapter = require('./adapters/memory');
+const FileAdapter = require('./adapters/file');
+const RedisAdapter = require('./adapters/redis');
+
+const CALL_PREFIX = 'call:';
+const USER_PREFIX = 'user:';
+const WORKSPACE_PREFIX = 'workspace:';
+const PROMPTS_KEY = 'prompts';
+const PROMPT_LIBRARY_KEY = 'prompt-library';
+const CONFIG_KEY = 'config';
+const MEETING_INDEX_KEY = 'meeting-index';
+
+// A pending summary older than this is taken to have died with its function and can be claimed again
+const SUMMARY_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Workspace of calls, users and settings created before workspaces existed
+const DEFAULT_WORKSPACE = 'default';
+
+/**
+ * Storage key of a per-workspace setting
+ * @param {string} key - Base key
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {string}
+ */
+function workspaceKey(key, workspaceId = DEFAULT_WORKSPACE) {
+  return workspaceId === DEFAULT_WORKSPACE ? key : `${key}:${workspaceId}`;
+}
+
+/**
+ * Workspace of a stored call
+ * @param {Object} call - Call context
+ * @returns {string}
+ */
+function callWorkspace(call) {
+  return call.workspaceId || DEFAULT_WORKSPACE;
+}
+
+/**
+ * Meeting index entry of a call
+ * @param {Object} call - Call context
+ * @returns {Object} { meetingId, owner, startTime }
+ */
+function indexEntry(call) {
+  return { meetingId: call.meetingId, owner: call.owner || null, startTime: call.startTime };
+}
+
+class CallStorage extends EventEmitter {
+  /**
+   * @param {Object} adapter - Key/value adapter used for persistence
+   */
+  constructor(adapter) {
+    super();
+    this.setMaxListeners(0); // One listener per open dashboard stream
+    this.adapter = adapter;
+    this.locks = new Map(); // Serializes read-modify-write cycles per key
+  }
+
+  /**
+   * Run an update on a stored value, one at a time per key
+   * Adapters with an atomic update also guard against other instances; mutate may then
+   * run more than once, so it must not have side effects beyond the value it returns.
+   * @param {string} key - Storage key
+   * @param {Function} mutate - Receives the current value (or null) and returns the value to save,
+   *   or undefined to leave it unchanged
+   * @returns {Promise<Object>} The saved value (the current one when unchanged)
+   */
+  async update(key, mutate) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(async () => {
+      if (this.adapter.update) return this.adapter.update(key, mutate);
+
+      const current = await this.adapter.get(key);
+      const value = await mutate(current);
+      if (value === undefined) return current;
+      await this.adapter.set(key, value);
+      return value;
+    });
+
+    // Keep the chain alive even if this update fails
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Build an empty call context
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {string} status - Initial status
+   * @returns {Object} Call context
+   */
+  createCall(meetingId, status = 'active') {
+    return {
+      meetingId,
+      workspaceId: null, // Workspace that owns the call (null: the default workspace)
+      owner: null, // Email of the user who created the bot
+      context: {}, // Details provided at bot creation: repName, promptProfileId, deal
+      transcripts: [], // Finalized segments only
+      inProgress: {}, // Latest partial utterance per speaker
+      coachingRecommendations: [],
+      coachingError: null, // Last failed coaching attempt: { message, details, timestamp }
+      instantTips: [], // Quick per-statement tips from the instant lane
+      memory: null, // Rolling call state: { state, coveredSegments, updatedAt }
+      scorecard: null, // Qualification scorecard: { criteria: { [criterion]: { status, evidence } }, updatedAt }
+      participants: [],
+      startTime: new Date().toISOString(),
+      lastUpdate: new Date().toISOString(),
+      status, // waiting, active, ended, error
+      endTime: null,
+      summary: null, // Post-call summary: { status: pending|ready|error, data, error, updatedAt }
+    };
+  }
+
+  /**
+   * Apply a change to a call, creating the call context if needed
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Function} mutate - Receives the call context and modifies it in place
+   * @returns {Promise<Object>} The updated call context
+   */
+  updateCall(meetingId, mutate) {
+    return this.writeCall(meetingId, async (call) => {
+      const current = call || this.createCall(meetingId);
+      await mutate(current);
+      return current;
+    });
+  }
+
+  /**
+   * Run an update on a stored call and keep the meeting indexes in step
+   * The indexes only change when the call is created or changes workspace or owner.
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Function} mutate - Receives the call context (or null) and returns the call to save
+   * @returns {Promise<Object>} The saved call context
+   */
+  async writeCall(meetingId, mutate) {
+    let previous; // Index entry before the update (mutate changes the call in place)
+    const call = await this.update(CALL_PREFIX + meetingId, (stored) => {
+      previous = stored && { workspaceId: callWorkspace(stored), owner: stored.owner };
+      return mutate(stored);
+    });
+
+    if (!previous || previous.workspaceId !== callWorkspace(call) || previous.owner !== call.owner) {
+      const workspaces = new Set([callWorkspace(call), previous?.workspaceId]);
+      await Promise.all(Array.from(workspaces)
+        .filter(Boolean)
+        .map((workspaceId) => this.reindexMeeting(workspaceId, meetingId)));
+    }
+    return call;
+  }
+
+  /**
+   * Store details about a call before it starts (creates it in the waiting state)
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} context - Details to merge into call.context
+   */
+  async setCallContext(meetingId, context) {
+    await this.writeCall(meetingId, (call) => {
+      const current = call || this.createCall(meetingId, 'waiting');
+      current.context = { ...current.context, ...context };
+      current.lastUpdate = new Date().toISOString();
+      return current;
+    });
+  }
+
+  /**
+   * Record who owns a call (creates the call in the waiting state)
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} ownership - { owner, workspaceId }
+   * @param {string} ownership.owner - Email of the user who created the bot
+   * @param {string} ownership.workspaceId - Workspace of that user
+   */
+  async assignCall(meetingId, { owner, workspaceId }) {
+    await this.writeCall(meetingId, (call) => {
+      const current = call || this.createCall(meetingId, 'waiting');
+      current.owner = owner;
+      current.workspaceId = workspaceId;
+      current.lastUpdate = new Date().toISOString();
+      return current;
+    });
+  }
+
+  /**
+   * Initialize or get a call context
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise<Object>} Call context
+   */
+  async getOrCreateCall(meetingId) {
+    const call = await this.adapter.get(CALL_PREFIX + meetingId);
+    if (call) return call;
+    return this.updateCall(meetingId, () => {});
+  }
+
+  /**
+   * Add a transcript segment to a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} transcript - The transcript data
+   */
+  async addTranscript(meetingId, transcript) {
+    const entry = {
+      ...transcript,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.transcripts.push(entry);
+      call.lastUpdate = new Date().toISOString();
+
+      // Transcripts mean the bot is in the call, even if no status event arrived
+      if (call.status === 'waiting') {
+        call.status = 'active';
+      }
+
+      // The final segment replaces the speaker's in-progress utterance
+      if (call.inProgress) {
+        delete call.inProgress[transcript.speaker];
+      }
+
+      // Track participants
+      if (transcript.speaker && !call.participants.includes(transcript.speaker)) {
+        call.participants.push(transcript.speaker);
+      }
+    });
+
+    this.emit('transcript', meetingId, entry);
+  }
+
+  /**
+   * Replace the in-progress (partial) utterance of a speaker
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} transcript - The partial transcript data
+   */
+  async setInProgressTranscript(meetingId, transcript) {
+    const entry = {
+      ...transcript,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.inProgress = { ...call.inProgress, [transcript.speaker]: entry };
+      call.lastUpdate = new Date().toISOString();
+
+      // Track participants
+      if (transcript.speaker && !call.participants.includes(transcript.speaker)) {
+        call.participants.push(transcript.speaker);
+      }
+    });
+
+    this.emit('partial', meetingId, entry);
+  }
+
+  /**
+   * Get the in-progress utterances of a call, oldest first
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise<Array>} Partial transcript segments
+   */
+  async getInProgressTranscripts(meetingId) {
+    const call = await this.getCall(meetingId);
+    if (!call?.inProgress) return [];
+
+    return Object.values(call.inProgress)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Add coaching recommendations to a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} coaching - The coaching data
+   */
+  async addCoaching(meetingId, coaching) {
+    const entry = {
+      ...coaching,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.coachingRecommendations.push(entry);
+      call.coachingError = null;
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('coaching', meetingId, entry);
+  }
+
+  /**
+   * Add an instant tip (fast lane) to a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} tip - { tip, category, sentiment, speaker, text }
+   */
+  async addInstantTip(meetingId, tip) {
+    const entry = {
+      ...tip,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.instantTips = [...(call.instantTips || []), entry];
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('instantTip', meetingId, entry);
+  }
+
+  /**
+   * Get the latest instant tips for a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {number} limit - Maximum number of tips to return
+   * @returns {Promise<Array>} Instant tips, newest first
+   */
+  async getLatestInstantTips(meetingId, limit = 3) {
+    const call = await this.getCall(meetingId);
+    if (!call?.instantTips) return [];
+
+    return call.instantTips
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Store the rolling call state
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} memory - { state, coveredSegments }
+   */
+  async setCallMemory(meetingId, memory) {
+    await this.updateCall(meetingId, (call) => {
+      call.memory = {
+        state: memory.state,
+        coveredSegments: memory.coveredSegments,
+        updatedAt: new Date().toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Record a failed coaching attempt on a call (cleared by the next successful card)
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} error - { message, details }
+   */
+  async setCoachingError(meetingId, { message, details }) {
+    const entry = {
+      message,
+      details: details || [],
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.coachingError = entry;
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('coachingError', meetingId, entry);
+  }
+
+  /**
+   * Update the qualification scorecard of a call
+   * The merge runs under the call lock, so concurrent updates never drop evidence.
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Function} merge - Receives the current scorecard (or null) and returns the new one
+   */
+  async updateScorecard(meetingId, merge) {
+    let entry;
+
+    await this.updateCall(meetingId, (call) => {
+      entry = {
+        ...merge(call.scorecard || null),
+        updatedAt: new Date().toISOString(),
+      };
+      call.scorecard = entry;
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('scorecard', meetingId, entry);
+  }
+
+  /**
+   * Set the post-call summary of a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {Object} summary - { status: pending|ready|error, data, error }
+   */
+  async setSummary(meetingId, summary) {
+    const entry = {
+      status: summary.status,
+      data: summary.data || null,
+      error: summary.error || null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.updateCall(meetingId, (call) => {
+      call.summary = entry;
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('summary', meetingId, entry);
+  }
+
+  /**
+   * Mark a call's summary as pending, unless one is already pending or ready
+   * The check and the change happen in one update, so only one of several end events
+   * arriving together claims the summary. A pending summary older than
+   * SUMMARY_CLAIM_TIMEOUT_MS (its function was stopped before storing a result) can be
+   * claimed again.
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise<Object|null>} The call when claimed, null otherwise
+   */
+  async claimSummary(meetingId) {
+    const entry = { status: 'pending', data: null, error: null, updatedAt: new Date().toISOString() };
+    let claimed;
+
+    const call = await this.updateCall(meetingId, (current) => {
+      const { summary } = current;
+      claimed = !summary
+        || summary.status === 'error'
+        || (summary.status === 'pending' && Date.now() - Date.parse(summary.updatedAt) > SUMMARY_CLAIM_TIMEOUT_MS);
+      if (!claimed) return;
+      current.summary = entry;
+      current.lastUpdate = entry.updatedAt;
+    });
+
+    if (!claimed) return null;
+    this.emit('summary', meetingId, entry);
+    return call;
+  }
+
+  /**
+   * Get all data for a specific call
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise<Object|null>} Call data or null if not found
+   */
+  async getCall(meetingId) {
+    return this.adapter.get(CALL_PREFIX + meetingId);
+  }
+
+  /**
+   * Get the latest coaching recommendations for a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {number} limit - Maximum number of recommendations to return
+   * @returns {Promise<Array>} Coaching recommendations
+   */
+  async getLatestCoaching(meetingId, limit = 5) {
+    const call = await this.getCall(meetingId);
+    if (!call) return [];
+
+    return call.coachingRecommendations
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get recent transcript segments
+   * @param {string} meetingId - The unique meeting identifier
+   * @param {number} limit - Maximum number of segments to return
+   * @returns {Promise<Array>} Transcript segments
+   */
+  async getRecentTranscripts(meetingId, limit = 10) {
+    const call = await this.getCall(meetingId);
+    if (!call) return [];
+
+    return call.transcripts
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get all active calls
+   * @returns {Promise<Array>} List of all call IDs
+   */
+  async getAllCalls() {
+    const keys = await this.adapter.keys(CALL_PREFIX);
+    return keys.map((key) => key.slice(CALL_PREFIX.length));
+  }
+
+  /**
+   * Delete a call from storage
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  async deleteCall(meetingId) {
+    const call = await this.getCall(meetingId);
+    await this.adapter.delete(CALL_PREFIX + meetingId);
+    if (call) await this.reindexMeeting(callWorkspace(call), meetingId);
+  }
+
+  /**
+   * Build the meeting index of a workspace from the stored calls
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Array>} [{ meetingId, owner, startTime }]
+   */
+  async buildMeetingIndex(workspaceId) {
+    const meetingIds = await this.getAllCalls();
+    const calls = await Promise.all(meetingIds.map((meetingId) => this.getCall(meetingId)));
+    return calls
+      .filter((call) => call && callWorkspace(call) === workspaceId)
+      .map(indexEntry);
+  }
+
+  /**
+   * Get the meetings of a workspace without loading the calls
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Array>} [{ meetingId, owner, startTime }]
+   */
+  async getMeetingIndex(workspaceId = DEFAULT_WORKSPACE) {
+    const index = await this.adapter.get(workspaceKey(MEETING_INDEX_KEY, workspaceId));
+    if (index) return index;
+    return this.update(workspaceKey(MEETING_INDEX_KEY, workspaceId), async (current) => current || this.buildMeetingIndex(workspaceId));
+  }
+
+  /**
+   * Bring one meeting's entry in a workspace's meeting index in line with the stored call
+   * The call is read under the index lock, so updates that race still leave the right entry.
+   * @param {string} workspaceId - Workspace identifier
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  async reindexMeeting(workspaceId, meetingId) {
+    await this.update(workspaceKey(MEETING_INDEX_KEY, workspaceId), async (current) => {
+      // An index that was never built picks the call up when it is built
+      if (!current) return undefined;
+
+      const call = await this.getCall(meetingId);
+      const entries = current.filter((entry) => entry.meetingId !== meetingId);
+      if (call && callWorkspace(call) === workspaceId) entries.push(indexEntry(call));
+      return entries;
+    });
+  }
+
+  /**
+   * Clear all call data (for testing purposes)
+   */
+  async clear() {
+    const meetingIds = await this.getAllCalls();
+    await Promise.all(meetingIds.map((meetingId) => this.deleteCall(meetingId)));
+  }
+
+  /**
+   * Mark a call as ended
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  async endCall(meetingId) {
+    if (!(await this.getCall(meetingId))) return;
+
+    await this.updateCall(meetingId, (call) => {
+      call.status = 'ended';
+      call.endTime = new Date().toISOString();
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('status', meetingId, 'ended');
+  }
+
+  /**
+   * Mark a call as active (bot joined the meeting)
+   * @param {string} meetingId - The unique meeting identifier
+   */
+  async activateCall(meetingId) {
+    await this.updateCall(meetingId, (call) => {
+      call.status = 'active';
+      call.lastUpdate = new Date().toISOString();
+    });
+
+    this.emit('status', meetingId, 'active');
+  }
+
+  /**
+   * Get the status of a call
+   * @param {string} meetingId - The unique meeting identifier
+   * @returns {Promise<string|null>} Status or null if not found
+   */
+  async getCallStatus(meetingId) {
+    const call = await this.getCall(meetingId);
+    return call ? call.status : null;
+  }
+
+  /**
+   * Get the custom coaching prompt templates saved before the prompt library existed
+   * Only read to seed a workspace's prompt library.
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Object>} Object with systemPrompt and userPrompt (null if using defaults)
+   */
+  async getPrompts(workspaceId) {
+    const prompts = await this.adapter.get(workspaceKey(PROMPTS_KEY, workspaceId));
+    return {
+      systemPrompt: prompts?.systemPrompt || null,
+      userPrompt: prompts?.userPrompt || null
+    };
+  }
+
+  /**
+   * Get the prompt library of a workspace
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Object|null>} { activeProfileId, profiles: { [id]: profile } } or null if never saved
+   */
+  async getPromptLibrary(workspaceId) {
+    return this.adapter.get(workspaceKey(PROMPT_LIBRARY_KEY, workspaceId));
+  }
+
+  /**
+   * Update the prompt library of a workspace, one change at a time
+   * @param {string} workspaceId - Workspace identifier
+   * @param {Function} mutate - Receives the stored library (or null) and returns the library to save
+   * @returns {Promise<Object>} The saved library
+   */
+  async updatePromptLibrary(workspaceId, mutate) {
+    return this.update(workspaceKey(PROMPT_LIBRARY_KEY, workspaceId), mutate);
+  }
+
+  /**
+   * Get a user account
+   * @param {string} email - Login email (lower case)
+   * @returns {Promise<Object|null>} { email, name, role, workspaceId, passwordHash, sessionVersion,
+   *   loginLinks, createdAt, updatedAt } or null
+   */
+  async getUser(email) {
+    return this.adapter.get(USER_PREFIX + email);
+  }
+
+  /**
+   * Create or replace a user account
+   * @param {Object} user - User record, keyed by its email
+   */
+  async setUser(user) {
+    await this.adapter.set(USER_PREFIX + user.email, user);
+  }
+
+  /**
+   * Apply a change to a user account under the storage lock
+   * @param {string} email - Login email (lower case)
+   * @param {Function} mutate - Receives the user record and modifies it in place
+   * @returns {Promise<Object|null>} The updated user, or null when it doesn't exist
+   */
+  async updateUser(email, mutate) {
+    return this.update(USER_PREFIX + email, async (user) => {
+      if (!user) return undefined;
+      await mutate(user);
+      return user;
+    });
+  }
+
+  /**
+   * Delete a user account
+   * @param {string} email - Login email (lower case)
+   */
+  async deleteUser(email) {
+    await this.adapter.delete(USER_PREFIX + email);
+  }
+
+  /**
+   * Get all user accounts
+   * @returns {Promise<Array>} User records
+   */
+  async getAllUsers() {
+    const keys = await this.adapter.keys(USER_PREFIX);
+    const users = await Promise.all(keys.map((key) => this.adapter.get(key)));
+    return users.filter(Boolean);
+  }
+
+  /**
+   * Get a workspace
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Object|null>} { id, name, webhookSecret, createdAt, updatedAt } or null
+   */
+  async getWorkspace(workspaceId) {
+    return this.adapter.get(WORKSPACE_PREFIX + workspaceId);
+  }
+
+  /**
+   * Create or replace a workspace
+   * @param {Object} workspace - Workspace record, keyed by its id
+   */
+  async setWorkspace(workspace) {
+    await this.adapter.set(WORKSPACE_PREFIX + workspace.id, workspace);
+  }
+
+  /**
+   * Get all stored workspaces
+   * @returns {Promise<Array>} Workspace records
+   */
+  async getAllWorkspaces() {
+    const keys = await this.adapter.keys(WORKSPACE_PREFIX);
+    const workspaces = await Promise.all(keys.map((key) => this.adapter.get(key)));
+    return workspaces.filter(Boolean);
+  }
+
+  /**
+   * Save model/generation configuration overrides of a workspace
+   * @param {string} workspaceId - Workspace identifier
+   * @param {Object|null} config - Partial configuration, or null to reset to defaults
+   */
+  async setConfig(workspaceId, config) {
+    const key = workspaceKey(CONFIG_KEY, workspaceId);
+    if (config) {
+      await this.adapter.set(key, config);
+    } else {
+      await this.adapter.delete(key);
+    }
+  }
+
+  /**
+   * Get model/generation configuration overrides of a workspace
+   * @param {string} workspaceId - Workspace identifier
+   * @returns {Promise<Object|null>} Partial configuration or null if using defaults
+   */
+  async getConfig(workspaceId) {
+    return this.adapter.get(workspaceKey(CONFIG_KEY, workspaceId));
+  }
+}
+
+/**
+ * Create the adapter configured through environment variables
+ * @returns {Object} Storage adapter
+ */
+function createAdapter() {
+  const adapter = (process.env.STORAGE_ADAPTER || 'memory').toLowerCase();
+
+  switch (adapter) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'file':
+      return new FileAdapter({
+        dir: process.env.STORAGE_FILE_DIR || '.data/storage',
+      });
+    case 'redis':
+      return new RedisAdapter({
+        url: process.env.REDIS_URL,
+        prefix: process.env.STORAGE_REDIS_PREFIX || 'rtsc:',
+      });
+    default:
+      throw new Error(`Unknown STORAGE_ADAPTER "${adapter}" (expected memory, file or redis)`);
+  }
+}
+
+// Singleton instance
+const storage = new CallStorage(createAdapter());
+
+module.exports = storage;
+module.exports.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
+module.exports.CallStorage = CallStorage;
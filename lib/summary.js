@@ -0,0 +1,50 @@
+import storage from '@/lib/storage';
+import { generateCallSummary } from '@/lib/claude';
+import { getConfig } from '@/lib/config';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * Run the post-call pass for a meeting: summarize the full transcript and draft the
+ * follow-up email, then store the result on the call.
+ * Recall.ai sends several end events (bot.call_ended, bot.done...), so the summary is
+ * claimed atomically (storage.claimSummary) and a call that already has a pending or
+ * ready summary is skipped; a pending summary whose run never finished is retried after a
+ * timeout.
+ * @param {string} meetingId - The unique meeting identifier
+ */
+export async function summarizeCall(meetingId) {
+  const call = await storage.getCall(meetingId);
+  if (!call) return;
+
+  if (!(await getConfig(workspaceOf(call))).summary.enabled) {
+    console.log(`⏭️ Post-call summary disabled, skipping meeting ${meetingId}`);
+    return;
+  }
+
+  if (call.transcripts.length === 0) {
+    console.log(`⏭️ Skipping summary - no transcript for meeting ${meetingId}`);
+    return;
+  }
+
+  const claimed = await storage.claimSummary(meetingId);
+  if (!claimed) {
+    console.log(`⏭️ Summary already pending or ready for meeting ${meetingId}`);
+    return;
+  }
+
+  const endTime = claimed.endTime ? new Date(claimed.endTime) : new Date();
+  const result = await generateCallSummary(claimed.transcripts, {
+    meetingId,
+    participants: claimed.participants,
+    duration: Math.round((endTime.getTime() - new Date(claimed.startTime).getTime()) / 60000),
+    workspaceId: workspaceOf(claimed),
+  });
+
+  if (result.success) {
+    await storage.setSummary(meetingId, { status: 'ready', data: result.data });
+    console.log(`✅ Stored post-call summary for meeting ${meetingId}`);
+  } else {
+    await storage.setSummary(meetingId, { status: 'error', error: result.error });
+    console.error(`❌ Failed to generate summary: ${[result.error, ...(result.details || [])].join('; ')}`);
+  }
+}
@@ -0,0 +1,335 @@
+import { DEAL_FIELDS, dealValues } from '@/lib/deal';
+import { CALL_STATE_LIST_FIELDS, CALL_STATE_TEXT_FIELDS } from '@/lib/schema';
+
+/**
+ * Prompt templates
+ * Coaching prompts are templates rendered for every coaching request:
+ * - {{NAME}} inserts a variable (every occurrence; lists are comma-separated)
+ * - {{#if NAME}}...{{else}}...{{/if}} and {{#unless NAME}}...{{/unless}} test whether it has a value
+ * - {{#each NAME}}...{{else}}...{{/each}} repeats for each item of a list; inside, {{this}} is
+ *   the item, item fields are available by name (e.g. {{name}}, {{role}} for SPEAKERS),
+ *   and {{@number}}, {{@first}} and {{@last}} give its position
+ * Templates are validated before they are saved, so unknown variables and unbalanced
+ * blocks are rejected instead of reaching Claude. The Settings page checks templates
+ * with validateTemplate and previews them with renderSample as they are edited.
+ */
+
+const TAG = /\{\{([^{}]*)\}\}/g;
+const NAME = /^@?[A-Za-z_]\w*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+// Always available inside {{#each}}
+const LOOP_VARIABLES = ['this', '@index', '@number', '@first', '@last'];
+
+/**
+ * Variables available to coaching prompt templates
+ * list: value is an array (usable with {{#each}}); itemFields: fields of object items;
+ * fallback: text inserted when the value is missing or empty
+ */
+export const PROMPT_VARIABLES = {
+  TRANSCRIPT: { description: 'Latest finalized transcript lines ("Speaker: text")' },
+  MEETING_ID: { description: 'Meeting (bot) ID', fallback: 'Unknown' },
+  CALL_STATUS: { description: 'Call status: waiting, active or ended', fallback: 'Unknown' },
+  DURATION: { description: 'Minutes since the call started', fallback: 'Unknown' },
+  ELAPSED_TIME: { description: 'Time since the call started (h:mm:ss or m:ss)', fallback: 'Unknown' },
+  PARTICIPANTS: { description: 'Participant names', list: true, fallback: 'Unknown' },
+  SPEAKERS: {
+    description: 'Participants with their role',
+    list: true,
+    itemFields: { name: 'Speaker name', role: 'rep or prospect' },
+    format: (speakers) => speakers.map((speaker) => `${speaker.name} (${speaker.role})`).join(', '),
+    fallback: 'Unknown',
+  },
+  REP_NAME: { description: 'Sales rep name given at bot creation', fallback: 'Unknown' },
+  PROSPECTS: { description: 'Participants on the prospect side', list: true, fallback: 'Unknown' },
+  CALL_STATE: { description: 'Everything the call memory has recorded so far', fallback: 'Nothing recorded yet' },
+  ...Object.fromEntries(CALL_STATE_LIST_FIELDS.map((field) => [
+    field.toUpperCase(),
+    { description: `Call memory: ${field} mentioned so far`, list: true, fallback: 'None yet' },
+  ])),
+  ...Object.fromEntries(CALL_STATE_TEXT_FIELDS.map((field) => [
+    field.toUpperCase(),
+    { description: `Call memory: ${field}`, fallback: 'Unknown' },
+  ])),
+  ...Object.fromEntries(DEAL_FIELDS.map((field) => [
+    field.placeholder,
+    { description: `Deal: ${field.label.toLowerCase()}`, list: Boolean(field.maxItems), fallback: 'Unknown' },
+  ])),
+  DEAL_CONTEXT: { description: 'Deal: every provided field on one line', fallback: 'No deal details provided' },
+};
+
+/**
+ * Line number of a position in a template
+ * @param {string} template
+ * @param {number} index
+ * @returns {number} 1-based line
+ */
+function lineAt(template, index) {
+  return template.slice(0, index).split('\n').length;
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * Parsing never fails: problems are reported in errors and the offending tags are kept as text.
+ * @param {string} template
+ * @returns {Object} { nodes, errors }
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [{ block: root, branch: root.children }];
+  const errors = [];
+  let last = 0;
+
+  const source = template || '';
+  for (const match of source.matchAll(TAG)) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) top.branch.push({ type: 'text', text: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const raw = match[0];
+    const tag = match[1].trim();
+    const line = lineAt(source, match.index);
+    const asText = () => top.branch.push({ type: 'text', text: raw });
+
+    if (tag.startsWith('#')) {
+      const [helper, name, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(helper)) {
+        errors.push(`Unknown block {{#${helper}}} on line ${line} (use #if, #unless or #each)`);
+        asText();
+      } else if (!name || rest.length > 0 || !NAME.test(name)) {
+        errors.push(`{{#${helper}}} on line ${line} needs exactly one variable name`);
+        asText();
+      } else {
+        const block = { type: 'block', helper, name, line, children: [], inverse: [] };
+        top.branch.push(block);
+        stack.push({ block, branch: block.children });
+      }
+    } else if (tag.startsWith('/')) {
+      const helper = tag.slice(1).trim();
+      if (stack.length === 1) {
+        errors.push(`Unexpected {{/${helper}}} on line ${line}`);
+        asText();
+      } else if (top.block.helper !== helper) {
+        errors.push(`{{/${helper}}} on line ${line} closes {{#${top.block.helper}}} from line ${top.block.line}`);
+        asText();
+      } else {
+        stack.pop();
+      }
+    } else if (tag === 'else') {
+      if (stack.length === 1 || top.branch === top.block.inverse) {
+        errors.push(`Unexpected {{else}} on line ${line}`);
+        asText();
+      } else {
+        top.branch = top.block.inverse;
+      }
+    } else if (NAME.test(tag)) {
+      top.branch.push({ type: 'variable', name: tag, raw, line });
+    } else {
+      errors.push(`Invalid placeholder ${raw} on line ${line}`);
+      asText();
+    }
+  }
+
+  if (last < source.length) stack[stack.length - 1].branch.push({ type: 'text', text: source.slice(last) });
+
+  stack.slice(1).forEach(({ block }) => {
+    errors.push(`{{#${block.helper} ${block.name}}} on line ${block.line} is never closed with {{/${block.helper}}}`);
+  });
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Check a template against the variables it may use
+ * @param {string} template
+ * @param {Object} variables - Variable definitions (default: PROMPT_VARIABLES)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateTemplate(template, variables = PROMPT_VARIABLES) {
+  const { nodes, errors } = parseTemplate(template);
+
+  // Own keys only: names like "constructor" must not resolve through Object.prototype
+  const known = (name) => Object.hasOwn(variables, name);
+
+  const unknown = (node) => {
+    const suggestion = known(node.name.toUpperCase()) ? ` (did you mean {{${node.name.toUpperCase()}}}?)` : '';
+    return `Unknown placeholder {{${node.name}}} on line ${node.line}${suggestion}`;
+  };
+
+  // scope: names of the enclosing loops' items, innermost last
+  const check = (list, scope) => list.forEach((node) => {
+    if (node.type === 'variable' && !known(node.name) && !scope.includes(node.name)) {
+      errors.push(unknown(node));
+    }
+    if (node.type !== 'block') return;
+
+    if (!known(node.name) && !scope.includes(node.name)) {
+      errors.push(unknown(node));
+    } else if (node.helper === 'each' && !(known(node.name) && variables[node.name].list)) {
+      errors.push(`{{#each ${node.name}}} on line ${node.line} needs a list variable`);
+    }
+
+    const inner = node.helper === 'each'
+      ? [...scope, ...LOOP_VARIABLES, ...Object.keys((known(node.name) && variables[node.name].itemFields) || {})]
+      : scope;
+    check(node.children, inner);
+    check(node.inverse, scope);
+  });
+
+  check(nodes, []);
+  return errors;
+}
+
+/**
+ * Whether a value counts as missing
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render a template
+ * Unknown variables are left as they are, so templates saved before validation existed
+ * still render.
+ * @param {string} template
+ * @param {Object} values - Variable values by name
+ * @param {Object} variables - Variable definitions (default: PROMPT_VARIABLES)
+ * @returns {string}
+ */
+export function renderTemplate(template, values, variables = PROMPT_VARIABLES) {
+  const { nodes } = parseTemplate(template);
+
+  // scopes: loop item scopes, innermost last, then the template values
+  const lookup = (name, scopes) => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (Object.hasOwn(scopes[i], name)) return { found: true, value: scopes[i][name] };
+    }
+    const own = Object.hasOwn(values, name);
+    return { found: own || Object.hasOwn(variables, name), value: own ? values[name] : undefined };
+  };
+
+  const render = (list, scopes) => list.map((node) => {
+    if (node.type === 'text') return node.text;
+
+    const { found, value } = lookup(node.name, scopes);
+
+    if (node.type === 'variable') {
+      if (!found) return node.raw;
+      const definition = Object.hasOwn(variables, node.name) ? variables[node.name] : undefined;
+      if (isEmpty(value)) return definition?.fallback ?? '';
+      if (Array.isArray(value)) return definition?.format ? definition.format(value) : value.join(', ');
+      return String(value);
+    }
+
+    if (node.helper === 'if') return render(isEmpty(value) ? node.inverse : node.children, scopes);
+    if (node.helper === 'unless') return render(isEmpty(value) ? node.children : node.inverse, scopes);
+
+    // each
+    if (!Array.isArray(value) || value.length === 0) return render(node.inverse, scopes);
+    return value.map((item, index) => render(node.children, [...scopes, {
+      ...(item && typeof item === 'object' ? item : {}),
+      this: item,
+      '@index': index,
+      '@number': index + 1,
+      '@first': index === 0,
+      '@last': index === value.length - 1,
+    }])).join('');
+  }).join('');
+
+  return render(nodes, []);
+}
+
+/**
+ * Format seconds as h:mm:ss or m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatElapsed(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Variable values for a coaching prompt
+ * @param {Array} transcripts - Transcript segments ({ speaker, text }) in the prompt
+ * @param {Object} context - { meetingId, status, startTime, currentTime (default: now, null if unknown), duration,
+ *   participants, speakers, repName, callState (text), memory (call state), deal }
+ * @returns {Object} Values by variable name
+ */
+export function buildPromptValues(transcripts, context = {}) {
+  const speakers = context.speakers || [];
+  const startTime = context.startTime ? new Date(context.startTime).getTime() : null;
+  const currentTime = context.currentTime === null ? null : new Date(context.currentTime ?? Date.now()).getTime();
+  const memory = context.memory || {};
+
+  return {
+    TRANSCRIPT: (transcripts || []).map((t) => `${t.speaker || 'Unknown'}: ${t.text}`).join('\n'),
+    MEETING_ID: context.meetingId,
+    CALL_STATUS: context.status,
+    DURATION: context.duration,
+    ELAPSED_TIME: startTime && currentTime ? formatElapsed((currentTime - startTime) / 1000) : null,
+    PARTICIPANTS: context.participants || [],
+    SPEAKERS: speakers,
+    REP_NAME: context.repName,
+    PROSPECTS: speakers.filter((speaker) => speaker.role === 'prospect').map((speaker) => speaker.name),
+    CALL_STATE: context.callState,
+    ...Object.fromEntries(CALL_STATE_LIST_FIELDS.map((field) => [field.toUpperCase(), memory[field] || []])),
+    ...Object.fromEntries(CALL_STATE_TEXT_FIELDS.map((field) => [field.toUpperCase(), memory[field] || null])),
+    ...dealValues(context.deal),
+  };
+}
+
+// Sample call used by the Settings page to preview templates
+export const SAMPLE_TRANSCRIPTS = [
+  { speaker: 'Laura Gómez', text: 'Gracias por la llamada. Hoy pagamos unos 40 millones de pesos al mes en servidores propios.' },
+  { speaker: 'Carlos Ruiz', text: 'And every migration we tried ended in downtime for our billing system.' },
+  { speaker: 'Jane Doe', text: 'Understood. What would an hour of billing downtime cost the business?' },
+  { speaker: 'Carlos Ruiz', text: 'Probably more than what we spend on infrastructure in a month.' },
+  { speaker: 'Laura Gómez', text: 'El presupuesto lo aprueba el CFO, pero necesitamos algo antes de fin de trimestre.' },
+];
+
+export const SAMPLE_CONTEXT = {
+  meetingId: 'sample-meeting',
+  status: 'active',
+  startTime: null, // set when the preview renders
+  duration: 18,
+  participants: ['Jane Doe', 'Laura Gómez', 'Carlos Ruiz'],
+  speakers: [
+    { name: 'Jane Doe', role: 'rep' },
+    { name: 'Laura Gómez', role: 'prospect' },
+    { name: 'Carlos Ruiz', role: 'prospect' },
+  ],
+  repName: 'Jane Doe',
+  callState: 'pains: On-premise servers cost 40M COP per month; Past migrations caused billing downtime\nbudget: Approved by the CFO',
+  memory: {
+    pains: ['On-premise servers cost 40M COP per month', 'Past migrations caused billing downtime'],
+    stakeholders: ['Laura Gómez (IT Director)', 'Carlos Ruiz (Billing lead)'],
+    objections: [],
+    budget: 'Approved by the CFO',
+    authority: '',
+    timeline: 'Before the end of the quarter',
+  },
+  deal: {
+    accountName: 'Acme Colombia',
+    dealStage: 'Discovery',
+    product: 'Amazon EC2',
+    expectedStakeholders: ['CFO', 'IT Director'],
+    customerLanguage: 'ES',
+  },
+};
+
+/**
+ * Render a template against the sample call
+ * @param {string} template
+ * @returns {string}
+ */
+export function renderSample(template) {
+  const startTime = new Date(Date.now() - SAMPLE_CONTEXT.duration * 60000).toISOString();
+  return renderTemplate(template, buildPromptValues(SAMPLE_TRANSCRIPTS, { ...SAMPLE_CONTEXT, startTime }));
+}
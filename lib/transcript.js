@@ -0,0 +1,110 @@
+import storage from '@/lib/storage';
+
+/**
+ * Transcript assembly for real-time transcript events
+ * Deepgram interim results (transcript.partial_data) are successive hypotheses of the
+ * utterance being spoken, so they are kept as a single replaceable "in-progress"
+ * utterance per speaker. The finalized segment (transcript.data) replaces it and is the
+ * only thing appended to the call transcript used for coaching.
+ */
+
+/**
+ * Read a word timestamp in seconds relative to the start of the recording
+ * Recall.ai sends { relative, absolute } objects; plain numbers are accepted too
+ * @param {Object|number|undefined} timestamp - Word start or end timestamp
+ * @returns {number|null}
+ */
+function relativeSeconds(timestamp) {
+  if (typeof timestamp === 'number') return timestamp;
+  if (typeof timestamp?.relative === 'number') return timestamp.relative;
+  return null;
+}
+
+/**
+ * Normalize Deepgram word-level results
+ * @param {Array} words - Raw words from data.data.words
+ * @returns {Array} Words as { text, start, end, confidence }
+ */
+function normalizeWords(words) {
+  return words.map((w) => ({
+    text: w.text,
+    start: relativeSeconds(w.start_timestamp ?? w.start),
+    end: relativeSeconds(w.end_timestamp ?? w.end),
+    confidence: typeof w.confidence === 'number' ? w.confidence : null,
+  }));
+}
+
+/**
+ * Average confidence of the words that carry one
+ * @param {Array} words - Normalized words
+ * @returns {number|null} Mean confidence or null if no word has one
+ */
+function averageConfidence(words) {
+  const scored = words.filter((w) => w.confidence !== null);
+  if (scored.length === 0) return null;
+  return scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length;
+}
+
+/**
+ * Build a transcript segment from a realtime_endpoints transcript event
+ * @param {string} eventName - transcript.data or transcript.partial_data
+ * @param {Object} data - The webhook `data` object
+ * @param {Object} metadata - The webhook `metadata` object
+ * @returns {Object} Segment with text, speaker, timings, confidence, isPartial and metadata
+ */
+export function parseTranscriptEvent(eventName, data, metadata) {
+  // Extract transcript text from Deepgram word-level results
+  // Data structure: data.data.words = [{text, start_timestamp, end_timestamp, confidence?}, ...]
+  const words = normalizeWords(data?.data?.words || []);
+  const isPartial = eventName === 'transcript.partial_data';
+
+  return {
+    text: words.map(w => w.text).join(' '),
+    // Extract speaker name from participant data
+    speaker: data?.data?.participant?.name || 'Unknown',
+    // Offsets in seconds relative to the start of the call recording
+    start: words.length ? words[0].start : null,
+    end: words.length ? words[words.length - 1].end : null,
+    confidence: averageConfidence(words),
+    words,
+    isPartial,
+    metadata: {
+      ...metadata,
+      event_type: eventName,
+      word_count: words.length,
+      is_partial: isPartial,
+    },
+  };
+}
+
+/**
+ * Text of a segment without its low-confidence words
+ * Words without a confidence score are always kept.
+ * @param {Object} segment - Stored transcript segment
+ * @param {number} minConfidence - Minimum word confidence (0-1)
+ * @returns {string}
+ */
+export function confidentText(segment, minConfidence) {
+  if (!segment.words?.length || !minConfidence) return segment.text;
+
+  return segment.words
+    .filter((w) => w.confidence === null || w.confidence >= minConfidence)
+    .map((w) => w.text)
+    .join(' ');
+}
+
+/**
+ * Store a segment: partials replace the speaker's in-progress utterance,
+ * final segments are appended to the transcript and clear it
+ * @param {string} meetingId - The unique meeting identifier
+ * @param {Object} segment - Segment built by parseTranscriptEvent
+ */
+export async function assembleTranscript(meetingId, segment) {
+  const { isPartial, ...transcript } = segment;
+
+  if (isPartial) {
+    await storage.setInProgressTranscript(meetingId, transcript);
+  } else {
+    await storage.addTranscript(meetingId, transcript);
+  }
+}
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import storage from '@/lib/storage';
+
+/**
+ * Workspaces (tenants)
+ * Each workspace owns its meetings, users, coaching prompts, model configuration and
+ * Recall.ai webhook secret, so teams sharing a deployment don't affect each other.
+ * Records written before workspaces existed belong to the default workspace, whose
+ * admins also create the other workspaces.
+ */
+
+export const { DEFAULT_WORKSPACE } = storage;
+
+/**
+ * Workspace of a call or user record
+ * @param {Object|null} record - Call context or user record
+ * @returns {string} Workspace identifier
+ */
+export function workspaceOf(record) {
+  return record?.workspaceId || DEFAULT_WORKSPACE;
+}
+
+/**
+ * Whether a workspace identifier is a valid slug (e.g. "latam", "us-east")
+ * @param {string} workspaceId
+ * @returns {boolean}
+ */
+export function isValidWorkspaceId(workspaceId) {
+  return typeof workspaceId === 'string' && /^[a-z0-9][a-z0-9-]{1,39}$/.test(workspaceId);
+}
+
+/**
+ * Get a workspace; the default workspace exists even before it is first saved
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {Promise<Object|null>} { id, name, webhookSecret, createdAt, updatedAt } or null
+ */
+export async function getWorkspace(workspaceId) {
+  const workspace = await storage.getWorkspace(workspaceId);
+  if (workspace || workspaceId !== DEFAULT_WORKSPACE) return workspace;
+
+  return {
+    id: DEFAULT_WORKSPACE,
+    name: 'Default',
+    webhookSecret: null,
+    createdAt: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * List all workspaces, default first
+ * @returns {Promise<Array>} Workspace records
+ */
+export async function listWorkspaces() {
+  const stored = await storage.getAllWorkspaces();
+  const others = stored
+    .filter((workspace) => workspace.id !== DEFAULT_WORKSPACE)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [await getWorkspace(DEFAULT_WORKSPACE), ...others];
+}
+
+/**
+ * Workspace fields that are safe to return to clients (the webhook secret is never sent back)
+ * @param {Object} workspace - Workspace record
+ * @returns {Object} { id, name, hasWebhookSecret, createdAt }
+ */
+export function publicWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    hasWebhookSecret: Boolean(workspace.webhookSecret),
+    createdAt: workspace.createdAt,
+  };
+}
+
+/**
+ * Recall.ai webhook secret of a workspace: its own secret, or RECALL_WEBHOOK_SECRET
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {Promise<string|null>}
+ */
+export async function getWebhookSecret(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  return workspace?.webhookSecret || process.env.RECALL_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Token that authenticates a workspace's realtime transcript webhooks
+ * Recall.ai doesn't sign realtime_endpoints deliveries, so bots are created with this
+ * token in their realtime endpoint URL instead. It is derived from the webhook secret,
+ * so changing the secret invalidates it.
+ * @param {string} secret - Webhook secret of the workspace
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {string}
+ */
+export function realtimeToken(secret, workspaceId) {
+  return crypto.createHmac('sha256', secret).update(`realtime:${workspaceId}`).digest('hex');
+}
+
+/**
+ * Check a realtime webhook token in constant time
+ * @param {string} token - Token from the request
+ * @param {string} secret - Webhook secret of the workspace
+ * @param {string} workspaceId - Workspace identifier
+ * @returns {boolean}
+ */
+export function isValidRealtimeToken(token, secret, workspaceId) {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(realtimeToken(secret, workspaceId));
+  const received = Buffer.from(token);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Whether a user may create and list workspaces (admins of the default workspace)
+ * @param {Object} user - Stored user record
+ * @returns {boolean}
+ */
+export function canManageWorkspaces(user) {
+  return user.role === 'admin' && workspaceOf(user) === DEFAULT_WORKSPACE;
+}
@@ -1,5 +1,55 @@
+import { useState, useEffect } from 'react'
+import Router, { useRouter } from 'next/router'
 import '@/styles/globals.css'
+import { SessionContext } from '@/lib/session'
+
+// Pages that don't require a signed-in user
+const PUBLIC_PAGES = ['/login']
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  const router = useRouter()
+  const [user, setUser] = useState(undefined)
+  const isPublic = PUBLIC_PAGES.includes(router.pathname)
+  const needsSession = !isPublic && !user
+
+  // Load the session when entering a protected page, sending signed-out visitors to
+  // the login page (signing in and out update the user directly). Router is the
+  // singleton, so only needsSession drives the effect.
+  useEffect(() => {
+    if (!needsSession) return
+
+    let cancelled = false
+    fetch('/api/auth/me')
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((data) => {
+        if (cancelled) return
+        setUser(data?.user || null)
+        if (!data?.user) {
+          Router.replace(`/login?next=${encodeURIComponent(Router.asPath)}`)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [needsSession])
+
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {})
+    setUser(null)
+    router.replace('/login')
+  }
+
+  return (
+    <SessionContext.Provider value={{ user, setUser, signOut }}>
+      {isPublic || user ? (
+        <Component {...pageProps} />
+      ) : (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      )}
+    </SessionContext.Provider>
+  )
 }
@@ -0,0 +1,65 @@
+import { checkLoginLink, consumeLoginLink, sessionCookie, sessionUser } from '@/lib/auth';
+
+/**
+ * API endpoint to sign in with a signed login link
+ * GET /api/auth/link?token=... - Sends valid links to the login page, which asks the
+ * user to confirm (?link=...&next=/path); invalid or expired links go to the login page
+ * with an error. GET never uses the link up, so mail scanners and link previews that
+ * open it don't burn it.
+ * POST /api/auth/link - Uses the link up, sets the session cookie and returns the user
+ * (same shape as GET /api/auth/me)
+ *
+ * Request body (POST):
+ * {
+ *   "token": "..."
+ * }
+ *
+ * Links are created by admins with POST /api/users/[email]/link.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.NEXTAUTH_SECRET) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'NEXTAUTH_SECRET not configured'
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { token, next } = req.query;
+
+      if (!(await checkLoginLink(token))) {
+        return res.redirect(302, '/login?error=link');
+      }
+
+      // Only same-site paths, never another origin
+      const target = typeof next === 'string' && /^\/(?![/\\])/.test(next) ? `&next=${encodeURIComponent(next)}` : '';
+      return res.redirect(302, `/login?link=${encodeURIComponent(token)}${target}`);
+    }
+
+    const user = await consumeLoginLink(req.body?.token);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid link',
+        message: 'This login link is invalid or has expired. Ask an admin for a new one.'
+      });
+    }
+
+    res.setHeader('Set-Cookie', sessionCookie(user));
+    return res.status(200).json({
+      success: true,
+      user: await sessionUser(user)
+    });
+  } catch (error) {
+    console.error('Error signing in with link:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { authenticate, sessionCookie, sessionUser } from '@/lib/auth';
+
+/**
+ * API endpoint to sign in with local credentials
+ * POST /api/auth/login
+ *
+ * Request body:
+ * {
+ *   "email": "jane@example.com",
+ *   "password": "..."
+ * }
+ *
+ * Sets the session cookie and returns the user (same shape as GET /api/auth/me).
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.NEXTAUTH_SECRET) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'NEXTAUTH_SECRET not configured'
+    });
+  }
+
+  const { email, password } = req.body || {};
+
+  try {
+    const user = await authenticate(email, password);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+    }
+
+    res.setHeader('Set-Cookie', sessionCookie(user));
+    return res.status(200).json({
+      success: true,
+      user: await sessionUser(user)
+    });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,27 @@
+import { clearSessionCookie, getSessionUser, revokeSessions } from '@/lib/auth';
+
+/**
+ * API endpoint to sign out
+ * POST /api/auth/logout - Revokes the user's sessions (on every device) and clears the
+ * session cookie
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await getSessionUser(req);
+    if (user) await revokeSessions(user.email);
+
+    res.setHeader('Set-Cookie', clearSessionCookie());
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
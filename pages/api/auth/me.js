@@ -0,0 +1,20 @@
+import { sessionUser, withAuth } from '@/lib/auth';
+
+/**
+ * API endpoint to get the signed-in user
+ * GET /api/auth/me - { email, name, role, workspaceId, workspaceName, canManageWorkspaces },
+ * or 401 when not signed in
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    user: await sessionUser(req.user)
+  });
+}
+
+export default withAuth(handler);
@@ -1,31 +1,76 @@
+import storage from '@/lib/storage';
+import { withAuth } from '@/lib/auth';
+import { parseDealContext } from '@/lib/deal';
+import { findProfile, getPromptLibrary } from '@/lib/prompts';
+import { validateRepName } from '@/lib/instant';
+import { simulatedBotId, simulatorEnabled } from '@/lib/simulator';
+import { getWebhookSecret, realtimeToken } from '@/lib/workspaces';
+
 /**
  * API endpoint to create a Recall.ai bot for a Microsoft Teams meeting
- * POST /api/bot/create
+ * POST /api/bot/create - The signed-in user and their workspace own the meeting
  *
  * Request body:
  * {
  *   "meeting_url": "https://teams.microsoft.com/l/meetup-join/...",
- *   "bot_name": "Sales Coach Bot" (optional)
+ *   "bot_name": "Sales Coach Bot" (optional),
+ *   "rep_name": "Jane Doe" (optional, the rep's display name in Teams, at most 100 characters;
+ *     without it or SALES_REP_NAMES no instant tips are generated),
+ *   "prompt_profile": "us-enterprise-meddic" (optional, defaults to the workspace's active profile),
+ *   "deal_context": { (optional, every field optional; available to prompt templates)
+ *     "account_name": "Acme Corp",
+ *     "deal_stage": "Discovery",
+ *     "product": "Amazon EC2",
+ *     "expected_stakeholders": ["CFO", "IT Director"] (or "CFO, IT Director"),
+ *     "customer_language": "ES",
+ *     "crm_opportunity_id": "006..."
+ *   },
+ *   "simulate": true (optional, development only: registers the meeting without creating a
+ *     Recall.ai bot; scripts/simulate-call.mjs then sends its webhooks)
  * }
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { meeting_url, bot_name } = req.body;
+  const { meeting_url, bot_name, rep_name, prompt_profile, deal_context, simulate } = req.body;
+
+  if (simulate && !simulatorEnabled()) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'The call simulator is disabled in production (set ENABLE_CALL_SIMULATOR=true to allow it)'
+    });
+  }
 
   // Validate required fields
-  if (!meeting_url) {
+  if (!meeting_url && !simulate) {
     return res.status(400).json({
       error: 'Missing required field',
       message: 'meeting_url is required'
     });
   }
 
+  const repNameError = rep_name === undefined || rep_name === null ? null : validateRepName(rep_name);
+  if (repNameError) {
+    return res.status(400).json({
+      error: 'Invalid rep name',
+      message: repNameError
+    });
+  }
+
+  const { deal, errors } = parseDealContext(deal_context);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid deal context',
+      message: errors.join('; '),
+      details: errors
+    });
+  }
+
   // Validate API keys are configured
-  if (!process.env.RECALL_API_KEY) {
+  if (!process.env.RECALL_API_KEY && !simulate) {
     return res.status(500).json({
       error: 'Server configuration error',
       message: 'RECALL_API_KEY not configured'
@@ -34,9 +79,26 @@ export default async function handler(req, res) {
 
 
   try {
+    if (prompt_profile !== undefined && prompt_profile !== null && prompt_profile !== '') {
+      const library = await getPromptLibrary(req.workspaceId);
+      if (!findProfile(library, prompt_profile)) {
+        return res.status(400).json({
+          error: 'Invalid prompt profile',
+          message: `No prompt profile ${prompt_profile} in this workspace`
+        });
+      }
+    }
+
     // Construct webhook URL for this deployment
     const webhookUrl = `${process.env.NEXT_PUBLIC_APP_URL}/api/webhook/recall`;
 
+    // Realtime transcript webhooks aren't signed by Recall.ai; when the workspace has a
+    // webhook secret they carry its realtime token instead
+    const webhookSecret = await getWebhookSecret(req.workspaceId);
+    const realtimeUrl = webhookSecret
+      ? `${webhookUrl}?token=${realtimeToken(webhookSecret, req.workspaceId)}`
+      : webhookUrl;
+
     // Prepare bot configuration with Deepgram streaming transcription
     const botConfig = {
       meeting_url: meeting_url,
@@ -57,7 +119,7 @@ export default async function handler(req, res) {
         realtime_endpoints: [
           {
             type: 'webhook',
-            url: webhookUrl,
+            url: realtimeUrl,
             events: ['transcript.data', 'transcript.partial_data']
           }
         ]
@@ -84,28 +146,35 @@ export default async function handler(req, res) {
       }
     };
 
-    console.log('Creating Recall.ai bot for meeting:', meeting_url);
-    console.log('Webhook URL:', webhookUrl);
-
-    // Call Recall.ai API to create bot
-    const recallResponse = await fetch('https://us-west-2.recall.ai/api/v1/bot', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${process.env.RECALL_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(botConfig)
-    });
+    // Simulated bots never reach Recall.ai
+    let responseData;
+    if (simulate) {
+      responseData = { id: simulatedBotId() };
+      console.log('Simulating bot for meeting:', meeting_url || 'local simulation');
+    } else {
+      console.log('Creating Recall.ai bot for meeting:', meeting_url);
+      console.log('Webhook URL:', webhookUrl);
+
+      // Call Recall.ai API to create bot
+      const recallResponse = await fetch('https://us-west-2.recall.ai/api/v1/bot', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Token ${process.env.RECALL_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(botConfig)
+      });
 
-    const responseData = await recallResponse.json();
+      responseData = await recallResponse.json();
 
-    if (!recallResponse.ok) {
-      console.error('Recall.ai API error:', responseData);
-      return res.status(recallResponse.status).json({
-        error: 'Failed to create bot',
-        message: responseData.message || 'Recall.ai API error',
-        details: responseData
-      });
+      if (!recallResponse.ok) {
+        console.error('Recall.ai API error:', responseData);
+        return res.status(recallResponse.status).json({
+          error: 'Failed to create bot',
+          message: responseData.message || 'Recall.ai API error',
+          details: responseData
+        });
+      }
     }
 
     console.log('Bot created successfully:', responseData.id);
@@ -113,6 +182,18 @@ export default async function handler(req, res) {
     // Extract bot ID - handle both string and object formats
     const botId = typeof responseData.id === 'object' ? responseData.id.id : responseData.id;
 
+    // The creator owns the meeting and its dashboard; their workspace's prompts,
+    // models and webhook secret apply to it
+    await storage.assignCall(botId, { owner: req.user.email, workspaceId: req.workspaceId });
+
+    // Remember who the rep is so instant tips only react to the prospect, and which
+    // prompt profile and deal details the coaching prompt should use
+    await storage.setCallContext(botId, {
+      ...(rep_name && { repName: rep_name.trim() }),
+      ...(prompt_profile && { promptProfileId: prompt_profile }),
+      ...(Object.keys(deal).length > 0 && { deal }),
+    });
+
     // Return success with bot details
     return res.status(200).json({
       success: true,
@@ -123,6 +204,7 @@ export default async function handler(req, res) {
         status: responseData.status_changes?.[0]?.code || 'created',
         join_url: responseData.join_at,
         webhook_url: webhookUrl,
+        ...(simulate && { realtime_webhook_url: realtimeUrl }),
         dashboard_url: `${process.env.NEXT_PUBLIC_APP_URL}/dashboard/${botId}`
       },
       raw_response: responseData
@@ -137,3 +219,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
@@ -1,11 +1,12 @@
 import storage from '@/lib/storage';
+import { withMeetingAccess } from '@/lib/auth';
 
 /**
  * API endpoint to retrieve coaching data for a specific meeting
  * GET /api/coaching/[meetingId] - Get all coaching data
  * GET /api/coaching/[meetingId]?latest=true - Get only latest recommendations
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { meetingId } = req.query;
 
   if (!meetingId) {
@@ -23,24 +24,33 @@ export default async function handler(req, res) {
 
     if (latestOnly) {
       // Return only the latest coaching recommendations
-      const latestCoaching = storage.getLatestCoaching(meetingId, 5);
-      const recentTranscripts = storage.getRecentTranscripts(meetingId, 10);
-      const callStatus = storage.getCallStatus(meetingId);
+      const latestCoaching = await storage.getLatestCoaching(meetingId, 5);
+      const instantTips = await storage.getLatestInstantTips(meetingId, 3);
+      const recentTranscripts = await storage.getRecentTranscripts(meetingId, 10);
+      const inProgress = await storage.getInProgressTranscripts(meetingId);
+      const callStatus = await storage.getCallStatus(meetingId);
+      const call = await storage.getCall(meetingId);
 
       return res.status(200).json({
         success: true,
         data: {
           meetingId,
           coaching: latestCoaching,
+          instantTips,
           transcripts: recentTranscripts,
+          inProgress,
           status: callStatus || 'unknown',
+          summary: call?.summary || null,
+          scorecard: call?.scorecard || null,
+          deal: call?.context?.deal || null,
+          coachingError: call?.coachingError || null,
           lastUpdate: new Date().toISOString(),
         },
       });
     }
 
     // Return full call data
-    const callData = storage.getCall(meetingId);
+    const callData = await storage.getCall(meetingId);
 
     if (!callData) {
       return res.status(404).json({
@@ -61,3 +71,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withMeetingAccess(handler);
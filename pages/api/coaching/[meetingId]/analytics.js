@@ -0,0 +1,49 @@
+import storage from '@/lib/storage';
+import { computeCallAnalytics } from '@/lib/analytics';
+import { withMeetingAccess } from '@/lib/auth';
+
+/**
+ * API endpoint to retrieve conversation analytics for a specific meeting
+ * GET /api/coaching/[meetingId]/analytics - Talk time, talk ratio, longest monologue,
+ * interruptions and questions per speaker
+ */
+async function handler(req, res) {
+  const { meetingId } = req.query;
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'Meeting ID is required' });
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const callData = await storage.getCall(meetingId);
+
+    if (!callData) {
+      return res.status(404).json({
+        error: 'Meeting not found',
+        message: `No data found for meeting ${meetingId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        meetingId,
+        ...computeCallAnalytics(callData.transcripts),
+        lastUpdate: callData.lastUpdate,
+      },
+    });
+  } catch (error) {
+    console.error('Error computing call analytics:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+export default withMeetingAccess(handler);
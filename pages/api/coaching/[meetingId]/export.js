@@ -0,0 +1,58 @@
+import storage from '@/lib/storage';
+import { EXPORT_FORMATS } from '@/lib/export';
+import { withMeetingAccess } from '@/lib/auth';
+
+/**
+ * API endpoint to download a meeting's transcript and coaching
+ * GET /api/coaching/[meetingId]/export?format=json|csv|markdown|srt|vtt
+ *
+ * - json: the full call record with analytics
+ * - csv: transcript segments and coaching cards in one chronological table
+ * - markdown: call report (summary, qualification, coaching, transcript) for CRM notes
+ * - srt / vtt: caption files built from the transcript timestamps
+ */
+async function handler(req, res) {
+  const { meetingId } = req.query;
+  const format = req.query.format === 'md' ? 'markdown' : req.query.format || 'json';
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'Meeting ID is required' });
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+    });
+  }
+
+  try {
+    const callData = await storage.getCall(meetingId);
+
+    if (!callData) {
+      return res.status(404).json({
+        error: 'Meeting not found',
+        message: `No data found for meeting ${meetingId}`,
+      });
+    }
+
+    const filename = `call-${meetingId.replace(/[^\w-]/g, '_')}.${exporter.extension}`;
+    res.setHeader('Content-Type', `${exporter.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(exporter.render(callData));
+  } catch (error) {
+    console.error('Error exporting call:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+export default withMeetingAccess(handler);
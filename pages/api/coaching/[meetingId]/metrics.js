@@ -0,0 +1,51 @@
+import storage from '@/lib/storage';
+import { buildMetricHistory } from '@/lib/analytics';
+import { withMeetingAccess } from '@/lib/auth';
+
+/**
+ * API endpoint to retrieve the coaching metric history for a specific meeting
+ * GET /api/coaching/[meetingId]/metrics - Discovery, pain quantified, DM engagement,
+ * alignment and stakeholders from every coaching card of the call, with the risk alert
+ * fired by each card
+ */
+async function handler(req, res) {
+  const { meetingId } = req.query;
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'Meeting ID is required' });
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const callData = await storage.getCall(meetingId);
+
+    if (!callData) {
+      return res.status(404).json({
+        error: 'Meeting not found',
+        message: `No data found for meeting ${meetingId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        meetingId,
+        startTime: callData.startTime,
+        points: buildMetricHistory(callData.coachingRecommendations, callData.startTime),
+        lastUpdate: callData.lastUpdate,
+      },
+    });
+  } catch (error) {
+    console.error('Error retrieving metric history:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+export default withMeetingAccess(handler);
@@ -0,0 +1,171 @@
+import storage from '@/lib/storage';
+import { withMeetingAccess } from '@/lib/auth';
+
+// Check storage for writes made by other serverless instances
+const SYNC_INTERVAL_MS = 3000;
+// Keep-alive comment so proxies don't drop an idle connection
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Close the stream before the platform timeout; EventSource reconnects on its own
+const MAX_STREAM_DURATION_MS = 5 * 60 * 1000;
+
+/**
+ * Server-Sent Events stream of live coaching data for a meeting
+ * GET /api/coaching/[meetingId]/stream
+ *
+ * Events:
+ * - snapshot: { meetingId, coaching, instantTips, transcripts, inProgress, status, summary, scorecard, deal, coachingError } on connect (same shape as ?latest=true)
+ * - transcript: a new finalized transcript segment
+ * - inProgress: the current partial utterances, whenever they change
+ * - coaching: a new coaching card
+ * - instantTip: a new instant tip for a prospect statement
+ * - coachingError: the last failed coaching attempt, or null once a new card succeeds
+ * - status: { status } when the call becomes active or ends
+ * - summary: the post-call summary whenever its state changes
+ * - scorecard: the qualification scorecard whenever new evidence is merged
+ */
+async function handler(req, res) {
+  const { meetingId } = req.query;
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'Meeting ID is required' });
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Content-Encoding': 'none', // Prevent response compression from buffering events
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Counters of what this client has already received
+  let sentTranscripts = 0;
+  let sentCoaching = 0;
+  let sentInstantTips = 0;
+  let sentStatus = null;
+  let sentInProgress = '{}';
+  let sentSummary = null;
+  let sentScorecard = null;
+  let sentCoachingError = null;
+
+  try {
+    const call = await storage.getCall(meetingId);
+    sentTranscripts = call?.transcripts.length || 0;
+    sentCoaching = call?.coachingRecommendations.length || 0;
+    sentInstantTips = call?.instantTips?.length || 0;
+    sentStatus = call?.status || null;
+    sentInProgress = JSON.stringify(call?.inProgress || {});
+    sentSummary = call?.summary?.updatedAt || null;
+    sentScorecard = call?.scorecard?.updatedAt || null;
+    sentCoachingError = call?.coachingError?.timestamp || null;
+
+    send('snapshot', {
+      meetingId,
+      coaching: await storage.getLatestCoaching(meetingId, 5),
+      instantTips: await storage.getLatestInstantTips(meetingId, 3),
+      transcripts: await storage.getRecentTranscripts(meetingId, 10),
+      inProgress: await storage.getInProgressTranscripts(meetingId),
+      status: sentStatus || 'unknown',
+      summary: call?.summary || null,
+      scorecard: call?.scorecard || null,
+      deal: call?.context?.deal || null,
+      coachingError: call?.coachingError || null,
+      lastUpdate: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error opening coaching stream:', error);
+    send('error', { message: error.message });
+    return res.end();
+  }
+
+  // Push anything stored since the last sync. Driven both by storage events from this
+  // process and by a timer, so writes handled by other instances still reach the client.
+  let syncing = Promise.resolve();
+  const sync = () => {
+    syncing = syncing.then(async () => {
+      const call = await storage.getCall(meetingId);
+      if (!call) return;
+
+      call.transcripts.slice(sentTranscripts).forEach((transcript) => send('transcript', transcript));
+      sentTranscripts = call.transcripts.length;
+
+      const inProgress = JSON.stringify(call.inProgress || {});
+      if (inProgress !== sentInProgress) {
+        sentInProgress = inProgress;
+        send('inProgress', await storage.getInProgressTranscripts(meetingId));
+      }
+
+      call.coachingRecommendations.slice(sentCoaching).forEach((coaching) => send('coaching', coaching));
+      sentCoaching = call.coachingRecommendations.length;
+
+      const instantTips = call.instantTips || [];
+      instantTips.slice(sentInstantTips).forEach((tip) => send('instantTip', tip));
+      sentInstantTips = instantTips.length;
+
+      const coachingError = call.coachingError?.timestamp || null;
+      if (coachingError !== sentCoachingError) {
+        sentCoachingError = coachingError;
+        send('coachingError', call.coachingError || null);
+      }
+
+      if (call.status !== sentStatus) {
+        sentStatus = call.status;
+        send('status', { status: call.status });
+      }
+
+      if (call.summary && call.summary.updatedAt !== sentSummary) {
+        sentSummary = call.summary.updatedAt;
+        send('summary', call.summary);
+      }
+
+      if (call.scorecard && call.scorecard.updatedAt !== sentScorecard) {
+        sentScorecard = call.scorecard.updatedAt;
+        send('scorecard', call.scorecard);
+      }
+    }).catch((error) => {
+      console.error(`Error syncing coaching stream for meeting ${meetingId}:`, error);
+    });
+  };
+
+  const onChange = (changedMeetingId) => {
+    if (changedMeetingId === meetingId) sync();
+  };
+
+  storage.on('transcript', onChange);
+  storage.on('partial', onChange);
+  storage.on('coaching', onChange);
+  storage.on('instantTip', onChange);
+  storage.on('coachingError', onChange);
+  storage.on('status', onChange);
+  storage.on('summary', onChange);
+  storage.on('scorecard', onChange);
+
+  const syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+  const heartbeatTimer = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const closeTimer = setTimeout(() => res.end(), MAX_STREAM_DURATION_MS);
+
+  res.on('close', () => {
+    storage.off('transcript', onChange);
+    storage.off('partial', onChange);
+    storage.off('coaching', onChange);
+    storage.off('instantTip', onChange);
+    storage.off('coachingError', onChange);
+    storage.off('status', onChange);
+    storage.off('summary', onChange);
+    storage.off('scorecard', onChange);
+    clearInterval(syncTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(closeTimer);
+  });
+}
+
+export default withMeetingAccess(handler);
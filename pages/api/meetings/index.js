@@ -0,0 +1,83 @@
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, listMeetings, parseDateFilter, repeatedParams } from '@/lib/meetings';
+import { meetingScope, withAuth } from '@/lib/auth';
+
+const STATUSES = ['waiting', 'active', 'ended', 'error'];
+const PARAMS = ['status', 'from', 'to', 'participant', 'page', 'pageSize'];
+
+/**
+ * API endpoint to list meetings
+ * GET /api/meetings - Meetings of the user's workspace; reps only see the ones they own
+ *
+ * Query params (all optional, each at most once):
+ * - status: waiting|active|ended|error
+ * - from, to: start date range (ISO date or date-time)
+ * - participant: part of a participant name (case-insensitive)
+ * - page: 1-based page number (default 1)
+ * - pageSize: meetings per page (default 20, max 100)
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const repeated = repeatedParams(req.query, PARAMS);
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query',
+      message: `${repeated.join(', ')} must be given once`
+    });
+  }
+
+  const { status, participant } = req.query;
+  const from = parseDateFilter(req.query.from, false);
+  const to = parseDateFilter(req.query.to, true);
+  const page = parseInt(req.query.page || '1', 10);
+  const pageSize = parseInt(req.query.pageSize || `${DEFAULT_PAGE_SIZE}`, 10);
+
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `status must be one of ${STATUSES.join(', ')}`
+    });
+  }
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: 'from and to must be ISO dates (YYYY-MM-DD) or date-times'
+    });
+  }
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+
+  try {
+    const result = await listMeetings({
+      status,
+      from,
+      to,
+      participant,
+      ...meetingScope(req.user),
+      page,
+      pageSize,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error listing meetings:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,109 @@
+import { DEFAULT_LIMIT, MAX_LIMIT, searchCalls } from '@/lib/search';
+import { parseDateFilter, repeatedParams } from '@/lib/meetings';
+import { METHODOLOGIES } from '@/lib/schema';
+import { meetingScope, withAuth } from '@/lib/auth';
+
+const TYPES = ['transcript', 'coaching'];
+const PARAMS = ['q', 'speaker', 'from', 'to', 'methodology', 'stage', 'type', 'meetingId', 'page', 'limit'];
+
+/**
+ * API endpoint to search transcripts and coaching cards across meetings
+ * GET /api/search - Meetings of the user's workspace; reps only search the ones they own
+ *
+ * Query params (all optional, each at most once, combined with AND):
+ * - q: keywords and "quoted phrases"; every one must match (accent and case insensitive)
+ * - speaker: part of the speaker name (transcript segments only)
+ * - from, to: date range (ISO date or date-time)
+ * - methodology: coaching methodology in effect (BANT, MEDDIC, SPIN...)
+ * - stage: part of the coaching stage in effect
+ * - type: transcript|coaching
+ * - meetingId: restrict to one meeting
+ * - page: 1-based page number (default 1)
+ * - limit: results per page (default 20, max 100)
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const repeated = repeatedParams(req.query, PARAMS);
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query',
+      message: `${repeated.join(', ')} must be given once`
+    });
+  }
+
+  const { q, speaker, methodology, stage, type, meetingId } = req.query;
+  const from = parseDateFilter(req.query.from, false);
+  const to = parseDateFilter(req.query.to, true);
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || `${DEFAULT_LIMIT}`, 10);
+
+  if (methodology && !METHODOLOGIES.includes(methodology)) {
+    return res.status(400).json({
+      error: 'Invalid methodology',
+      message: `methodology must be one of ${METHODOLOGIES.join(', ')}`
+    });
+  }
+
+  if (type && !TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid type',
+      message: `type must be one of ${TYPES.join(', ')}`
+    });
+  }
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: 'from and to must be ISO dates (YYYY-MM-DD) or date-times'
+    });
+  }
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `page must be a positive integer and limit between 1 and ${MAX_LIMIT}`
+    });
+  }
+
+  try {
+    const { results, total, terms } = await searchCalls({
+      query: q,
+      speaker,
+      from,
+      to,
+      methodology,
+      stage,
+      type,
+      meetingId,
+      ...meetingScope(req.user),
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        results,
+        terms,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.max(1, Math.ceil(total / limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error searching calls:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,69 @@
+import storage from '@/lib/storage';
+import { DEFAULT_CONFIG, getConfig, validateConfig } from '@/lib/config';
+import { withAuth } from '@/lib/auth';
+
+/**
+ * API endpoint to manage the model and generation settings of the user's workspace
+ * GET: Retrieve current configuration (defaults merged with saved overrides)
+ * POST: Save configuration overrides
+ * DELETE: Reset to the environment defaults
+ *
+ * Configuration groups: coaching (enabled, model, maxTokens, temperature, skillsEnabled,
+ * skillId, skillVersion, betas), segment (enabled, minWords, model, maxTokens, temperature)
+ * memory and summary (enabled, model, maxTokens, temperature)
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const overrides = await storage.getConfig(req.workspaceId);
+      return res.status(200).json({
+        config: await getConfig(req.workspaceId),
+        defaults: DEFAULT_CONFIG,
+        isDefault: !overrides
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { config } = req.body;
+
+      const errors = validateConfig(config);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid configuration',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      // Save overrides
+      await storage.setConfig(req.workspaceId, config);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Configuration updated successfully',
+        config: await getConfig(req.workspaceId)
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      // Reset to environment defaults
+      await storage.setConfig(req.workspaceId, null);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Configuration reset to default',
+        config: DEFAULT_CONFIG
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in config settings API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { writeRoles: ['admin'] });
@@ -0,0 +1,140 @@
+import storage from '@/lib/storage';
+import { canAccessCall, withAuth } from '@/lib/auth';
+import { generateSalesCoaching } from '@/lib/claude';
+import { coachingInput } from '@/lib/scheduler';
+import { findProfile, getActivePrompts, getPromptLibrary, validatePrompts } from '@/lib/prompts';
+import { callAtPoint, parseTranscriptUpload, uploadedCall, validatePoints } from '@/lib/playground';
+
+/**
+ * Transcript of a stored meeting as playground segments
+ * @param {Object} call - Call context
+ * @returns {Array} [{ speaker, text, offset, timestamp }] - offset in seconds from the call start
+ */
+function meetingSegments(call) {
+  const start = new Date(call.startTime).getTime();
+  return call.transcripts.map((segment) => ({
+    ...segment,
+    speaker: segment.speaker || 'Unknown',
+    offset: Math.max(0, Math.round((new Date(segment.timestamp).getTime() - start) / 1000)),
+  }));
+}
+
+/**
+ * API endpoint to try draft prompts on a real call (managers and admins)
+ * GET ?meetingId=: The meeting's transcript, to choose points from
+ * POST: Replay a meeting or an uploaded transcript up to each point and generate a card
+ *       with the draft prompts and with the saved prompts, side by side:
+ *       { meetingId | transcript, repName (uploads), systemPrompt, userPrompt, points: [segment numbers],
+ *         profileId (saved prompts to compare with; default: the meeting's profile or the active one) }
+ *
+ * Cards are generated like live coaching (same window, context and model), except that
+ * the call memory is not replayed. Nothing is stored.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { meetingId } = req.method === 'GET' ? req.query : req.body || {};
+
+  try {
+    let call = null;
+    if (meetingId) {
+      call = await storage.getCall(meetingId);
+
+      if (!call || !canAccessCall(req.user, call)) {
+        return res.status(404).json({
+          error: 'Meeting not found',
+          message: `No data found for meeting ${meetingId}`
+        });
+      }
+    }
+
+    if (req.method === 'GET') {
+      if (!call) {
+        return res.status(400).json({ error: 'Meeting ID is required' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        meetingId,
+        segments: meetingSegments(call).map(({ speaker, text, offset }) => ({ speaker, text, offset })),
+      });
+    }
+
+    const { transcript, repName, systemPrompt, userPrompt, points, profileId } = req.body;
+
+    const promptErrors = validatePrompts({ systemPrompt, userPrompt });
+    if (promptErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid prompts',
+        message: promptErrors.join('; '),
+        details: promptErrors
+      });
+    }
+
+    // The call being replayed: the stored meeting, or a stand-in for the upload
+    let segments;
+    if (call) {
+      segments = meetingSegments(call);
+    } else {
+      const upload = parseTranscriptUpload(transcript);
+      if (upload.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid transcript',
+          message: upload.errors.join('; '),
+          details: upload.errors
+        });
+      }
+
+      ({ call, segments } = uploadedCall(upload.segments, { workspaceId: req.workspaceId, repName }));
+    }
+
+    const pointErrors = validatePoints(points, segments.length);
+    if (pointErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid points',
+        message: pointErrors.join('; '),
+        details: pointErrors
+      });
+    }
+
+    if (profileId !== undefined && !findProfile(await getPromptLibrary(req.workspaceId), profileId)) {
+      return res.status(400).json({
+        error: 'Invalid prompt profile',
+        message: `No prompt profile ${profileId}`
+      });
+    }
+    const saved = await getActivePrompts(req.workspaceId, profileId ?? call.context?.promptProfileId);
+
+    // One point at a time, both prompts in parallel
+    const results = [];
+    for (const point of [...points].sort((a, b) => a - b)) {
+      const replay = callAtPoint(call, segments, point);
+      const { transcripts, context } = coachingInput(replay.call, replay.heard, replay.currentTime);
+
+      const [draft, current] = await Promise.all([
+        generateSalesCoaching(transcripts, { ...context, prompts: { systemPrompt, userPrompt } }),
+        generateSalesCoaching(transcripts, { ...context, prompts: saved }),
+      ]);
+
+      const { speaker, text, offset } = replay.heard[replay.heard.length - 1];
+      results.push({ point, segment: { speaker, text, offset }, draft, saved: current });
+    }
+
+    return res.status(200).json({
+      success: true,
+      segmentCount: segments.length,
+      saved: { profileId: saved.profileId, profileName: saved.profileName, version: saved.version },
+      results,
+    });
+  } catch (error) {
+    console.error('Error running prompt playground:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['manager', 'admin'] });
@@ -1,111 +1,51 @@
-import storage from '@/lib/storage';
-
-// Default system prompt (defines Claude's role and output format)
-const DEFAULT_SYSTEM_PROMPT = `<role>
-Senior AWS Cloud Sales coach for Colombian markets. Analyze transcripts using the coaching-live-sales-calls skill and provide real-time coaching in strict JSON format.
-</role>
-
-<context>
-Market: Colombian SMB/enterprise
-Key dynamics: USD pricing concerns, multi-stakeholder approvals, relationship-driven decisions
-</context>
-
-<output_format>
-Return ONLY valid JSON (no markdown). Required structure:
-{
-  "phase": {"methodology": "string", "stage": "string", "context": "string (max 20 words)"},
-  "action": {"script": "string (EXACTLY 12-25 words)", "language": "EN|ES"},
-  "tip": {"insight": "string (max 20 words)", "rationale": "string (max 20 words)", "language": "EN|ES"},
-  "risk": {"warning": "string (max 15 words)", "consequence": "string (max 5 words)", "language": "EN|ES"},
-  "metrics": {"discovery": 0-100, "pain_quantified": 0-100, "dm_engagement": 0-100, "stakeholders": number, "alignment": 0-100},
-  "next": {"action": "string (max 15 words)", "timeline": "immediate|near-term|scheduled"}
-}
-</output_format>
-
-<methodologies>
-The coaching-live-sales-calls skill will select optimal methodology:
-- BANT (Budget/Authority/Need/Timeline): Early qualification
-- MEDDIC (Metrics/Buyer/Criteria/Process/Pain/Champion): Enterprise deals
-- SPIN (Situation/Problem/Implication/Need-payoff): Discovery questions
-- Conceptual: Objection handling, validate current investment
-- Value: Quantify ROI in COP
-- Complex: Multi-stakeholder consensus
-- Assumptive Close: Act on buying signals immediately
-</methodologies>
-
-<critical_rules>
-1. Use coaching-live-sales-calls skill for phase/methodology identification
-2. Action script: 12-25 words ONLY (count strictly)
-3. All text fields: Keep to max word limits
-4. Metrics: 0-100 integers only
-5. No explanations outside JSON structure
-6. Prefer Spanish scripts for Colombian customers
-7. Flag DM engagement <60% as critical
-8. When "think about it" → probe for hidden objection
-9. When timeline questions → assumptive close
-10. Quantify pain in COP (Colombian Pesos) when possible
-11. Multi-stakeholder conflict → identify economic buyer
-</critical_rules>
-
-<dm_engagement_scoring>
-80-100: Active questions, sharing pain, strategic discussion
-40-79: Shorter answers, monosyllables, delayed responses
-0-39: Delegating, checking devices, "let me think" exits
-</dm_engagement_scoring>`;
-
-// Default user prompt template (contains the actual data to analyze)
-const DEFAULT_USER_PROMPT = `<transcript>
-{{TRANSCRIPT}}
-</transcript>
-
-<context>
-meeting_id={{MEETING_ID}}|participants={{PARTICIPANTS}}|duration={{DURATION}}m
-</context>
-
-Analyze with coaching-live-sales-calls skill. Return coaching JSON.`;
+import { withAuth } from '@/lib/auth';
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_USER_PROMPT,
+  getActivePrompts,
+  saveVersion,
+  validatePrompts,
+} from '@/lib/prompts';
 
 /**
- * API endpoint to manage coaching prompt settings
- * GET: Retrieve current prompt
- * POST: Update prompt
- * DELETE: Reset to default prompt
+ * API endpoint to manage the active coaching prompt profile of the user's workspace
+ * GET: Retrieve the current prompts of the active profile
+ * POST: Save the prompts as a new version of the active profile
+ * DELETE: Save the built-in default prompts as a new version (earlier versions stay in history)
+ *
+ * Named profiles, history and rollback are managed at /api/settings/prompts.
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     if (req.method === 'GET') {
-      // Get current prompts (custom or default)
-      const prompts = storage.getPrompts();
+      const prompts = await getActivePrompts(req.workspaceId);
       return res.status(200).json({
-        systemPrompt: prompts.systemPrompt || DEFAULT_SYSTEM_PROMPT,
-        userPrompt: prompts.userPrompt || DEFAULT_USER_PROMPT,
-        isDefault: !prompts.systemPrompt && !prompts.userPrompt
+        ...prompts,
+        isDefault: prompts.systemPrompt === DEFAULT_SYSTEM_PROMPT && prompts.userPrompt === DEFAULT_USER_PROMPT
       });
     }
 
     if (req.method === 'POST') {
-      // Update prompts
-      const { systemPrompt, userPrompt } = req.body;
+      // Save prompts
+      const { systemPrompt, userPrompt, note } = req.body;
 
-      if (!systemPrompt || typeof systemPrompt !== 'string') {
+      const errors = validatePrompts({ systemPrompt, userPrompt });
+      if (errors.length > 0) {
         return res.status(400).json({
-          error: 'Invalid system prompt',
-          message: 'System prompt must be a non-empty string'
+          error: 'Invalid prompts',
+          message: errors.join('; '),
+          details: errors
         });
       }
 
-      if (!userPrompt || typeof userPrompt !== 'string') {
-        return res.status(400).json({
-          error: 'Invalid user prompt',
-          message: 'User prompt must be a non-empty string'
-        });
-      }
-
-      // Save custom prompts
-      storage.setPrompts({ systemPrompt, userPrompt });
+      const { profileId } = await getActivePrompts(req.workspaceId);
+      const version = await saveVersion(req.workspaceId, profileId, { systemPrompt, userPrompt, note }, req.user);
 
       return res.status(200).json({
         success: true,
         message: 'Prompts updated successfully',
+        profileId,
+        version: version.version,
         systemPrompt,
         userPrompt
       });
@@ -113,11 +53,18 @@ export default async function handler(req, res) {
 
     if (req.method === 'DELETE') {
       // Reset to default prompts
-      storage.setPrompts({ systemPrompt: null, userPrompt: null });
+      const { profileId } = await getActivePrompts(req.workspaceId);
+      const version = await saveVersion(req.workspaceId, profileId, {
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        userPrompt: DEFAULT_USER_PROMPT,
+        note: 'Reset to default prompts',
+      }, req.user);
 
       return res.status(200).json({
         success: true,
         message: 'Prompts reset to default',
+        profileId,
+        version: version.version,
         systemPrompt: DEFAULT_SYSTEM_PROMPT,
         userPrompt: DEFAULT_USER_PROMPT
       });
@@ -133,5 +80,4 @@ export default async function handler(req, res) {
   }
 }
 
-// Export default prompts for use in other modules
-export { DEFAULT_SYSTEM_PROMPT, DEFAULT_USER_PROMPT };
+export default withAuth(handler, { writeRoles: ['admin'] });
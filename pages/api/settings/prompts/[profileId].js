@@ -0,0 +1,156 @@
+import { withAuth } from '@/lib/auth';
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_USER_PROMPT,
+  deleteProfile,
+  findProfile,
+  getPromptLibrary,
+  saveVersion,
+  updateProfile,
+  validateProfileName,
+  validatePrompts,
+} from '@/lib/prompts';
+
+/**
+ * API endpoint to manage one prompt profile of the user's workspace
+ * GET: Retrieve the profile with every version, newest first
+ * POST: Save a new version ({ systemPrompt, userPrompt, note }, or { reset: true } for the
+ *       built-in default prompts; admins only)
+ * PUT: Rename it and/or make it the active profile ({ name, active: true }; admins only)
+ * DELETE: Delete it (admins only; the active profile can't be deleted)
+ */
+async function handler(req, res) {
+  const { profileId } = req.query;
+
+  try {
+    const library = await getPromptLibrary(req.workspaceId);
+    const profile = findProfile(library, profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Prompt profile not found',
+        message: `No prompt profile ${profileId}`
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        profile: {
+          ...profile,
+          active: profile.id === library.activeProfileId,
+          versions: [...profile.versions].reverse()
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { reset, note } = req.body || {};
+      const { systemPrompt, userPrompt } = reset
+        ? { systemPrompt: DEFAULT_SYSTEM_PROMPT, userPrompt: DEFAULT_USER_PROMPT }
+        : req.body || {};
+
+      const errors = validatePrompts({ systemPrompt, userPrompt });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid prompts',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      const version = await saveVersion(req.workspaceId, profileId, {
+        systemPrompt,
+        userPrompt,
+        note: note ?? (reset ? 'Reset to default prompts' : null),
+      }, req.user);
+
+      // Deleted since the library was read
+      if (!version) {
+        return res.status(404).json({
+          error: 'Prompt profile not found',
+          message: `No prompt profile ${profileId}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Saved version ${version.version}`,
+        version
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { name, active } = req.body || {};
+
+      const nameError = name === undefined ? null : validateProfileName(name);
+      if (nameError) {
+        return res.status(400).json({
+          error: 'Invalid prompt profile',
+          message: nameError
+        });
+      }
+
+      if (active !== undefined && active !== true) {
+        return res.status(400).json({
+          error: 'Invalid prompt profile',
+          message: 'active can only be set to true; activate another profile instead'
+        });
+      }
+
+      const { profile: updated, activeProfileId, error } = await updateProfile(req.workspaceId, profileId, { name, active });
+
+      // Deleted since the library was read
+      if (error === 'not_found') {
+        return res.status(404).json({
+          error: 'Prompt profile not found',
+          message: `No prompt profile ${profileId}`
+        });
+      }
+      if (error === 'name_taken') {
+        return res.status(409).json({
+          error: 'Prompt profile already exists',
+          message: `A prompt profile named "${name.trim()}" already exists`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Prompt profile updated successfully',
+        profile: { id: updated.id, name: updated.name, active: updated.id === activeProfileId }
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const { error } = await deleteProfile(req.workspaceId, profileId);
+
+      if (error === 'not_found') {
+        return res.status(404).json({
+          error: 'Prompt profile not found',
+          message: `No prompt profile ${profileId}`
+        });
+      }
+      if (error === 'active') {
+        return res.status(409).json({
+          error: 'Prompt profile is active',
+          message: 'The active prompt profile cannot be deleted; activate another profile first'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Prompt profile deleted successfully'
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in prompt profile API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { writeRoles: ['admin'] });
@@ -0,0 +1,62 @@
+import { withAuth } from '@/lib/auth';
+import { diffLines, diffStats } from '@/lib/diff';
+import { findProfile, getPromptLibrary, latestVersion } from '@/lib/prompts';
+
+/**
+ * API endpoint to compare two versions of a prompt profile
+ * GET /api/settings/prompts/[profileId]/diff?from=2&to=5
+ *
+ * to defaults to the newest version and from to the version before it.
+ * Returns a line diff of the system prompt and of the user prompt template.
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { profileId } = req.query;
+
+  try {
+    const library = await getPromptLibrary(req.workspaceId);
+    const profile = findProfile(library, profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Prompt profile not found',
+        message: `No prompt profile ${profileId}`
+      });
+    }
+
+    const to = req.query.to === undefined ? latestVersion(profile).version : Number(req.query.to);
+    const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+    const versionFrom = profile.versions.find((v) => v.version === from);
+    const versionTo = profile.versions.find((v) => v.version === to);
+
+    if (!versionFrom || !versionTo) {
+      return res.status(404).json({
+        error: 'Prompt version not found',
+        message: `Prompt profile ${profileId} has no version ${versionFrom ? to : from}`
+      });
+    }
+
+    const systemPrompt = diffLines(versionFrom.systemPrompt, versionTo.systemPrompt);
+    const userPrompt = diffLines(versionFrom.userPrompt, versionTo.userPrompt);
+
+    return res.status(200).json({
+      success: true,
+      from,
+      to,
+      systemPrompt: { lines: systemPrompt, ...diffStats(systemPrompt) },
+      userPrompt: { lines: userPrompt, ...diffStats(userPrompt) }
+    });
+  } catch (error) {
+    console.error('Error comparing prompt versions:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,67 @@
+import { withAuth } from '@/lib/auth';
+import { findProfile, getPromptLibrary, rollbackProfile } from '@/lib/prompts';
+
+/**
+ * API endpoint to roll a prompt profile back to an earlier version (admins only)
+ * POST /api/settings/prompts/[profileId]/rollback
+ *
+ * Request body:
+ * {
+ *   "version": 3
+ * }
+ *
+ * The old prompts are saved again as the newest version, so the rollback itself
+ * shows up in the history and can be undone.
+ */
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { profileId } = req.query;
+  const version = Number(req.body?.version);
+
+  try {
+    const library = await getPromptLibrary(req.workspaceId);
+    const profile = findProfile(library, profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Prompt profile not found',
+        message: `No prompt profile ${profileId}`
+      });
+    }
+
+    if (!profile.versions.some((v) => v.version === version)) {
+      return res.status(404).json({
+        error: 'Prompt version not found',
+        message: `Prompt profile ${profileId} has no version ${req.body?.version}`
+      });
+    }
+
+    const restored = await rollbackProfile(req.workspaceId, profileId, version, req.user);
+
+    // Deleted since the library was read
+    if (!restored) {
+      return res.status(404).json({
+        error: 'Prompt profile not found',
+        message: `No prompt profile ${profileId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Rolled back to version ${version}`,
+      version: restored
+    });
+  } catch (error) {
+    console.error('Error rolling back prompt profile:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
@@ -0,0 +1,105 @@
+import { withAuth } from '@/lib/auth';
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_USER_PROMPT,
+  createProfile,
+  findProfile,
+  getPromptLibrary,
+  latestVersion,
+  summarizeProfile,
+  validateProfileName,
+  validatePrompts,
+} from '@/lib/prompts';
+
+/**
+ * API endpoint to manage the prompt library of the user's workspace
+ * GET: List prompt profiles (without prompt texts)
+ * POST: Create a profile (admins only)
+ *
+ * POST request body:
+ * {
+ *   "name": "US enterprise MEDDIC",
+ *   "copyFrom": "default" (optional, start from the newest version of this profile),
+ *   "systemPrompt": "...", "userPrompt": "..." (optional, default to copyFrom or the built-in prompts),
+ *   "note": "..." (optional)
+ * }
+ */
+async function handler(req, res) {
+  try {
+    const library = await getPromptLibrary(req.workspaceId);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        activeProfileId: library.activeProfileId,
+        profiles: Object.values(library.profiles)
+          .map((profile) => summarizeProfile(profile, library.activeProfileId))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { name, copyFrom, note } = req.body || {};
+
+      const nameError = validateProfileName(name);
+      if (nameError) {
+        return res.status(400).json({
+          error: 'Invalid prompt profile',
+          message: nameError
+        });
+      }
+
+      const copied = copyFrom === undefined ? null : findProfile(library, copyFrom);
+      if (copyFrom !== undefined && !copied) {
+        return res.status(404).json({
+          error: 'Prompt profile not found',
+          message: `No prompt profile ${copyFrom}`
+        });
+      }
+
+      const source = copied ? latestVersion(copied) : null;
+      const prompts = {
+        systemPrompt: req.body.systemPrompt ?? source?.systemPrompt ?? DEFAULT_SYSTEM_PROMPT,
+        userPrompt: req.body.userPrompt ?? source?.userPrompt ?? DEFAULT_USER_PROMPT,
+      };
+
+      const errors = validatePrompts(prompts);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid prompts',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      const { profile, error } = await createProfile(req.workspaceId, {
+        name,
+        ...prompts,
+        note: note ?? (source ? `Copied from ${copied.name} version ${source.version}` : null),
+      }, req.user);
+
+      if (error === 'name_taken') {
+        return res.status(409).json({
+          error: 'Prompt profile already exists',
+          message: `A prompt profile named "${name.trim()}" already exists`
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Prompt profile created successfully',
+        profile: { ...profile, active: false }
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in prompt library API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { writeRoles: ['admin'] });
@@ -0,0 +1,103 @@
+import storage from '@/lib/storage';
+import { hashPassword, normalizeEmail, publicUser, sessionCookie, validateUserFields, withAuth } from '@/lib/auth';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * API endpoint to manage a user account of the admin's workspace (admins only)
+ * PUT: Update name, role and/or password ({ name, role, password }; password null removes it).
+ *      A password change signs the user out everywhere (admins changing their own keep this session)
+ * DELETE: Delete the user
+ *
+ * Admins can't change their own role or delete themselves, so a deployment always
+ * keeps at least one admin.
+ */
+async function handler(req, res) {
+  const email = normalizeEmail(req.query.email);
+
+  try {
+    const user = await storage.getUser(email);
+
+    // Users of other workspaces are reported as not found
+    if (!user || workspaceOf(user) !== req.workspaceId) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No user with email ${email}`
+      });
+    }
+
+    const isSelf = user.email === req.user.email;
+
+    if (req.method === 'PUT') {
+      const { name, role, password } = req.body || {};
+
+      const errors = validateUserFields({ name, role, password }, true);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid user',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      if (isSelf && role !== undefined && role !== user.role) {
+        return res.status(400).json({
+          error: 'Invalid user',
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const passwordHash = password ? await hashPassword(password) : null;
+      const updated = await storage.updateUser(email, (stored) => {
+        if (name !== undefined) stored.name = name.trim();
+        if (role !== undefined) stored.role = role;
+        if (password !== undefined) {
+          stored.passwordHash = passwordHash;
+          stored.sessionVersion = (stored.sessionVersion || 0) + 1;
+        }
+        stored.updatedAt = new Date().toISOString();
+      });
+      if (!updated) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user with email ${email}`
+        });
+      }
+
+      if (isSelf && password !== undefined) {
+        res.setHeader('Set-Cookie', sessionCookie(updated));
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'User updated successfully',
+        user: publicUser(updated)
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      if (isSelf) {
+        return res.status(400).json({
+          error: 'Invalid user',
+          message: 'You cannot delete your own account'
+        });
+      }
+
+      await storage.deleteUser(email);
+
+      return res.status(200).json({
+        success: true,
+        message: 'User deleted'
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in user API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
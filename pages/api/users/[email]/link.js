@@ -0,0 +1,60 @@
+import storage from '@/lib/storage';
+import { LOGIN_LINK_TTL_SECONDS, createLoginLink, normalizeEmail, withAuth } from '@/lib/auth';
+import { workspaceOf } from '@/lib/workspaces';
+
+// Longest lifetime of a login link
+const MAX_TTL_HOURS = 7 * 24;
+
+/**
+ * API endpoint to create a signed login link for a user of the admin's workspace (admins only)
+ * POST /api/users/[email]/link
+ *
+ * Request body:
+ * {
+ *   "ttlHours": 24 (optional, 1-168)
+ * }
+ *
+ * Anyone holding the link signs in as the user until it expires, so share it privately.
+ */
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const email = normalizeEmail(req.query.email);
+  const { ttlHours } = req.body || {};
+  const ttlSeconds = ttlHours === undefined ? LOGIN_LINK_TTL_SECONDS : Number(ttlHours) * 3600;
+
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds < 3600 || ttlSeconds > MAX_TTL_HOURS * 3600) {
+    return res.status(400).json({
+      error: 'Invalid ttlHours',
+      message: `ttlHours must be between 1 and ${MAX_TTL_HOURS}`
+    });
+  }
+
+  try {
+    const user = await storage.getUser(email);
+
+    // Users of other workspaces are reported as not found
+    if (!user || workspaceOf(user) !== req.workspaceId) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No user with email ${email}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...(await createLoginLink(user.email, ttlSeconds))
+    });
+  } catch (error) {
+    console.error('Error creating login link:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
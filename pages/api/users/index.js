@@ -0,0 +1,80 @@
+import storage from '@/lib/storage';
+import { hashPassword, normalizeEmail, publicUser, validateUserFields, withAuth } from '@/lib/auth';
+import { workspaceOf } from '@/lib/workspaces';
+
+/**
+ * API endpoint to manage the user accounts of the admin's workspace (admins only)
+ * GET: List users
+ * POST: Create a user in the workspace
+ *
+ * POST request body:
+ * {
+ *   "email": "jane@example.com",
+ *   "name": "Jane Doe" (optional, defaults to the email),
+ *   "role": "rep|manager|admin",
+ *   "password": "..." (optional, at least 8 characters; without one the user signs in with login links)
+ * }
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const users = await storage.getAllUsers();
+      return res.status(200).json({
+        success: true,
+        users: users
+          .filter((user) => workspaceOf(user) === req.workspaceId)
+          .sort((a, b) => a.email.localeCompare(b.email))
+          .map((user) => ({ ...publicUser(user), hasPassword: Boolean(user.passwordHash), createdAt: user.createdAt }))
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { name, role, password } = req.body || {};
+      const email = normalizeEmail(req.body?.email);
+
+      const errors = validateUserFields({ ...req.body, email });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid user',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      // Emails are unique across workspaces: they identify the user at sign-in
+      if (await storage.getUser(email)) {
+        return res.status(409).json({
+          error: 'User already exists',
+          message: `A user with email ${email} already exists`
+        });
+      }
+
+      const user = {
+        email,
+        name: name?.trim() || email,
+        role,
+        workspaceId: req.workspaceId,
+        passwordHash: password ? await hashPassword(password) : null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      await storage.setUser(user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        user: publicUser(user)
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in users API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
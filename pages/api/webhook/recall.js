@@ -1,6 +1,11 @@
 import { Webhook } from 'svix';
 import storage from '@/lib/storage';
-import { generateSalesCoaching } from '@/lib/claude';
+import coachingScheduler from '@/lib/scheduler';
+import { parseTranscriptEvent, assembleTranscript } from '@/lib/transcript';
+import { summarizeCall } from '@/lib/summary';
+import { hasRepNames, isProspect, runInstantTip } from '@/lib/instant';
+import { getConfig } from '@/lib/config';
+import { getWebhookSecret, isValidRealtimeToken, workspaceOf } from '@/lib/workspaces';
 
 /**
  * Helper to read raw body from request
@@ -13,6 +18,25 @@ async function getRawBody(req) {
   return Buffer.concat(chunks).toString('utf8');
 }
 
+/**
+ * Find the bot/meeting ID in a webhook payload; it can be in several places
+ * depending on the event
+ * @param {Object} payload - Webhook payload
+ * @returns {string|undefined}
+ */
+function findMeetingId(payload) {
+  const { data } = payload;
+  return (
+    payload.meeting_id ||
+    payload.bot_id ||
+    data?.bot_id ||
+    data?.id ||
+    data?.meeting_id ||
+    data?.bot?.id ||
+    payload.id
+  );
+}
+
 /**
  * Webhook endpoint to receive Recall.ai transcriptions
  * Expects POST requests with transcript data
@@ -27,14 +51,32 @@ export default async function handler(req, res) {
     // Get the raw body for signature verification
     const rawBody = await getRawBody(req);
 
-    // Verify webhook signature using Svix if secret is configured AND Svix headers are present
+    let unverified;
+    try {
+      unverified = JSON.parse(rawBody);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid JSON', message: err.message });
+    }
+    if (!unverified || typeof unverified !== 'object' || Array.isArray(unverified)) {
+      return res.status(400).json({ error: 'Invalid payload', message: 'Webhook body must be a JSON object' });
+    }
+
+    // The secret of the meeting's workspace applies (RECALL_WEBHOOK_SECRET by default);
+    // the meeting ID is read before verification only to pick that secret
+    const meetingForSecret = findMeetingId(unverified);
+    const workspaceForSecret = workspaceOf(meetingForSecret ? await storage.getCall(meetingForSecret) : null);
+    const webhookSecret = await getWebhookSecret(workspaceForSecret);
+
+    // With a secret, every webhook must be authenticated: regular webhooks by their Svix
+    // signature, realtime_endpoints webhooks (which Recall.ai doesn't sign) by the
+    // workspace's realtime token in the URL (added at bot creation)
     let payload;
     const hasSvixHeaders = req.headers['svix-id'] && req.headers['svix-timestamp'] && req.headers['svix-signature'];
 
-    if (process.env.RECALL_WEBHOOK_SECRET && hasSvixHeaders) {
+    if (webhookSecret && hasSvixHeaders) {
       // Verify using Svix (for regular webhooks from Recall.ai)
       try {
-        const wh = new Webhook(process.env.RECALL_WEBHOOK_SECRET);
+        const wh = new Webhook(webhookSecret);
 
         payload = wh.verify(rawBody, {
           'svix-id': req.headers['svix-id'],
@@ -47,11 +89,22 @@ export default async function handler(req, res) {
         console.error('❌ Invalid webhook signature:', err.message);
         return res.status(401).json({ error: 'Invalid signature' });
       }
+    } else if (webhookSecret) {
+      // No Svix headers - a realtime_endpoints webhook, authenticated by its token
+      if (!isValidRealtimeToken(req.query.token, webhookSecret, workspaceForSecret)) {
+        console.error('❌ Unsigned webhook without a valid realtime token');
+        return res.status(401).json({
+          error: 'Invalid signature',
+          message: 'Webhook must carry a Svix signature or the realtime token'
+        });
+      }
+
+      payload = unverified;
+      console.log('✅ Realtime webhook token verified');
     } else {
-      // No Svix headers - this is likely a realtime_endpoints webhook
-      // These webhooks don't use Svix signatures
-      payload = JSON.parse(rawBody);
-      console.log('ℹ️ Webhook received without Svix signature (realtime_endpoints)');
+      // No secret configured for this workspace or the deployment
+      payload = unverified;
+      console.log('ℹ️ Webhook received without verification (no webhook secret configured)');
     }
 
     // Log the full payload to understand Recall.ai's webhook structure
@@ -59,10 +112,6 @@ export default async function handler(req, res) {
 
     // Extract relevant data from Recall.ai webhook
     const {
-      meeting_id: meetingId,
-      bot_id: botId,
-      transcript,
-      speaker,
       event_type: eventType,
       event,
       data,
@@ -71,14 +120,7 @@ export default async function handler(req, res) {
     } = payload;
 
     // Try multiple possible locations for bot_id/meeting_id
-    const actualMeetingId =
-      meetingId ||
-      botId ||
-      data?.bot_id ||
-      data?.id ||
-      data?.meeting_id ||
-      data?.bot?.id ||
-      payload.id;
+    const actualMeetingId = findMeetingId(payload);
 
     if (!actualMeetingId) {
       console.error('❌ Missing meeting_id/bot_id in webhook payload');
@@ -102,64 +144,39 @@ export default async function handler(req, res) {
       console.log(`📝 Processing transcript event: ${eventName}`);
       console.log(`📝 Raw data object:`, JSON.stringify(data, null, 2));
 
-      // Extract transcript text from Deepgram word-level results
-      // Data structure: data.data.words = [{text: "word", ...}, ...]
-      const words = data?.data?.words || [];
-      const transcriptText = words.map(w => w.text).join(' ');
-
-      // Extract speaker name from participant data
-      const transcriptSpeaker = data?.data?.participant?.name || 'Unknown';
-
-      console.log(`📝 Extracted transcript: "${transcriptText}" from speaker: ${transcriptSpeaker}`);
-
-      if (transcriptText && transcriptText.trim()) {
-        // Store both transcript.data and transcript.partial_data
-        // transcript.partial_data contains real-time word-level data from Deepgram
-        storage.addTranscript(actualMeetingId, {
-          text: transcriptText,
-          speaker: transcriptSpeaker,
-          metadata: {
-            ...metadata,
-            event_type: eventName,
-            word_count: words.length,
-            is_partial: eventName === 'transcript.partial_data'
-          },
-          timestamp: new Date().toISOString(),
-        });
-        console.log(`✅ Stored transcript segment (${words.length} words) for meeting ${actualMeetingId}`);
-
-        // Get recent transcripts for context (last 5 segments)
-        const recentTranscripts = storage.getRecentTranscripts(actualMeetingId, 5);
-        console.log(`📊 Recent transcripts count: ${recentTranscripts.length}`);
-
-        // Generate coaching if we have enough context (at least 3 segments)
-        if (recentTranscripts.length >= 3) {
-          const call = storage.getCall(actualMeetingId);
-
-          // Convert Set to Array for participants
-          const participantsList = call?.participants ? Array.from(call.participants) : [];
-
-          console.log(`🎯 Triggering coaching generation for meeting ${actualMeetingId}`);
-          console.log(`👥 Participants: ${participantsList.join(', ')}`);
-
-          // Generate coaching asynchronously
-          generateSalesCoaching(recentTranscripts, {
-            meetingId: actualMeetingId,
-            participants: participantsList,
-            duration: metadata?.duration,
-          }).then((coaching) => {
-            if (coaching.success) {
-              storage.addCoaching(actualMeetingId, coaching.data);
-              console.log(`✅ Successfully generated and stored coaching for meeting ${actualMeetingId}`);
-            } else {
-              console.error(`❌ Failed to generate coaching: ${coaching.error}`);
-            }
-          }).catch((error) => {
-            console.error('❌ Error in coaching generation:', error);
-            console.error('Error stack:', error.stack);
+      const segment = parseTranscriptEvent(eventName, data, metadata);
+      const wordCount = segment.metadata.word_count;
+
+      console.log(`📝 Extracted transcript: "${segment.text}" from speaker: ${segment.speaker}`);
+
+      if (segment.text && segment.text.trim()) {
+        // Partials replace the speaker's in-progress utterance, finals are appended
+        await assembleTranscript(actualMeetingId, segment);
+        console.log(`✅ Stored ${segment.isPartial ? 'partial' : 'final'} transcript segment (${wordCount} words) for meeting ${actualMeetingId}`);
+
+        // The call's workspace decides which lanes run and with which models
+        const call = await storage.getCall(actualMeetingId);
+        const config = await getConfig(workspaceOf(call));
+
+        // Slow lane: let the scheduler decide whether this segment warrants a new coaching card
+        // (a card that is due is generated before responding, see lib/scheduler.js)
+        if (config.coaching.enabled) {
+          await coachingScheduler.notify(actualMeetingId, {
+            speaker: segment.speaker,
+            wordCount,
+            isPartial: segment.isPartial,
           });
-        } else {
-          console.log(`⏭️ Skipping coaching generation - only ${recentTranscripts.length} segments (need 3+)`);
+        }
+
+        // Fast lane: an instant tip for each finalized prospect statement, once the rep is known
+        if (config.segment.enabled && !segment.isPartial && wordCount >= config.segment.minWords) {
+          if (!hasRepNames(call)) {
+            console.log(`⏭️ Skipping instant tip: no rep name known for meeting ${actualMeetingId}`);
+          } else if (isProspect(call, segment.speaker)) {
+            runInstantTip(actualMeetingId, segment, workspaceOf(call)).catch((error) => {
+              console.error('❌ Error in instant tip generation:', error);
+            });
+          }
         }
       } else {
         console.log(`⏭️ Skipping empty transcript`);
@@ -193,16 +210,19 @@ export default async function handler(req, res) {
             if (transcriptData.words || transcriptData.segments || transcriptData.transcript) {
               const segments = transcriptData.segments || [];
 
-              segments.forEach((segment, index) => {
+              for (const [index, segment] of segments.entries()) {
                 if (segment.text) {
-                  storage.addTranscript(actualMeetingId, {
+                  await storage.addTranscript(actualMeetingId, {
                     text: segment.text,
                     speaker: segment.speaker || `Speaker ${segment.speaker_id || index + 1}`,
+                    start: typeof segment.start === 'number' ? segment.start : null,
+                    end: typeof segment.end === 'number' ? segment.end : null,
+                    confidence: typeof segment.confidence === 'number' ? segment.confidence : null,
                     metadata: { ...segment, source: 'transcript.done' },
                     timestamp: new Date(segment.start * 1000).toISOString(),
                   });
                 }
-              });
+              }
 
               console.log(`✅ Stored ${segments.length} transcript segments`);
             }
@@ -224,26 +244,31 @@ export default async function handler(req, res) {
         eventName === 'bot.in_call_recording' ||
         eventName === 'bot.recording_permission_allowed') {
       console.log(`✅ Bot activated for meeting ${actualMeetingId}`);
-      storage.activateCall(actualMeetingId);
+      await storage.activateCall(actualMeetingId);
     }
 
-    // Bot left or call ended - mark as ended
+    // Bot left or call ended - mark as ended (call.ended and bot.left_call are legacy names)
     if (eventName === 'bot.call_ended' ||
         eventName === 'bot.done' ||
-        eventName === 'bot.fatal') {
+        eventName === 'bot.fatal' ||
+        eventName === 'call.ended' ||
+        eventName === 'bot.left_call') {
       console.log(`🛑 Bot ended for meeting ${actualMeetingId}`);
-      storage.endCall(actualMeetingId);
+      coachingScheduler.cancel(actualMeetingId);
+      await storage.endCall(actualMeetingId);
+
+      // Generate the post-call summary and follow-up email asynchronously
+      if (eventName !== 'bot.fatal') {
+        summarizeCall(actualMeetingId).catch((error) => {
+          console.error('❌ Error in post-call summary:', error);
+        });
+      }
     }
 
     // Legacy support for other event names
     if (eventName === 'call.started' || eventName === 'bot.joined_call') {
       console.log(`Call started: ${actualMeetingId}`);
-      storage.activateCall(actualMeetingId);
-    }
-
-    if (eventName === 'call.ended' || eventName === 'bot.left_call') {
-      console.log(`Call ended: ${actualMeetingId}`);
-      storage.endCall(actualMeetingId);
+      await storage.activateCall(actualMeetingId);
     }
 
     // Return success response
@@ -0,0 +1,77 @@
+import storage from '@/lib/storage';
+import { withAuth } from '@/lib/auth';
+import { getWorkspace, publicWorkspace } from '@/lib/workspaces';
+
+/**
+ * API endpoint to manage the signed-in user's workspace
+ * GET: Retrieve the workspace ({ id, name, hasWebhookSecret, createdAt })
+ * PUT: Update it (admins only)
+ *
+ * PUT request body:
+ * {
+ *   "name": "LATAM" (optional),
+ *   "webhookSecret": "whsec_..." (optional, null to fall back to RECALL_WEBHOOK_SECRET)
+ * }
+ */
+async function handler(req, res) {
+  try {
+    const workspace = await getWorkspace(req.workspaceId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        error: 'Workspace not found',
+        message: `No workspace ${req.workspaceId}`
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        workspace: publicWorkspace(workspace)
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { name, webhookSecret } = req.body || {};
+
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({
+          error: 'Invalid workspace',
+          message: 'name must be a non-empty string'
+        });
+      }
+
+      if (webhookSecret !== undefined && webhookSecret !== null && (typeof webhookSecret !== 'string' || !webhookSecret.trim())) {
+        return res.status(400).json({
+          error: 'Invalid workspace',
+          message: 'webhookSecret must be a non-empty string or null'
+        });
+      }
+
+      const updated = {
+        ...workspace,
+        ...(name !== undefined && { name: name.trim() }),
+        ...(webhookSecret !== undefined && { webhookSecret: webhookSecret ? webhookSecret.trim() : null }),
+        createdAt: workspace.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      await storage.setWorkspace(updated);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Workspace updated successfully',
+        workspace: publicWorkspace(updated)
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in workspace API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { writeRoles: ['admin'] });
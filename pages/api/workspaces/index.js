@@ -0,0 +1,128 @@
+import storage from '@/lib/storage';
+import {
+  createLoginLink,
+  hashPassword,
+  normalizeEmail,
+  publicUser,
+  validateUserFields,
+  withAuth,
+} from '@/lib/auth';
+import {
+  canManageWorkspaces,
+  getWorkspace,
+  isValidWorkspaceId,
+  listWorkspaces,
+  publicWorkspace,
+} from '@/lib/workspaces';
+
+/**
+ * API endpoint to list and create workspaces (admins of the default workspace only)
+ * GET: List workspaces
+ * POST: Create a workspace with its first admin
+ *
+ * POST request body:
+ * {
+ *   "id": "latam" (lowercase letters, digits and dashes),
+ *   "name": "LATAM",
+ *   "webhookSecret": "whsec_..." (optional, defaults to RECALL_WEBHOOK_SECRET),
+ *   "admin": { "email": "ana@example.com", "name": "Ana", "password": "..." (optional) }
+ * }
+ *
+ * The response includes a login link for the new admin.
+ */
+async function handler(req, res) {
+  if (!canManageWorkspaces(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only admins of the default workspace can manage workspaces'
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const workspaces = await listWorkspaces();
+      return res.status(200).json({
+        success: true,
+        workspaces: workspaces.map(publicWorkspace)
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { id, name, webhookSecret, admin } = req.body || {};
+      const adminEmail = normalizeEmail(admin?.email);
+
+      const errors = [];
+      if (!isValidWorkspaceId(id)) {
+        errors.push('id must be 2-40 lowercase letters, digits or dashes');
+      }
+      if (typeof name !== 'string' || !name.trim()) {
+        errors.push('name must be a non-empty string');
+      }
+      if (webhookSecret !== undefined && webhookSecret !== null && (typeof webhookSecret !== 'string' || !webhookSecret.trim())) {
+        errors.push('webhookSecret must be a non-empty string or null');
+      }
+      errors.push(...validateUserFields({ ...admin, email: adminEmail, role: 'admin' }).map((error) => `admin.${error}`));
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid workspace',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      if (await getWorkspace(id)) {
+        return res.status(409).json({
+          error: 'Workspace already exists',
+          message: `A workspace with id ${id} already exists`
+        });
+      }
+
+      if (await storage.getUser(adminEmail)) {
+        return res.status(409).json({
+          error: 'User already exists',
+          message: `A user with email ${adminEmail} already exists`
+        });
+      }
+
+      const now = new Date().toISOString();
+      const workspace = {
+        id,
+        name: name.trim(),
+        webhookSecret: webhookSecret ? webhookSecret.trim() : null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      const user = {
+        email: adminEmail,
+        name: admin.name?.trim() || adminEmail,
+        role: 'admin',
+        workspaceId: id,
+        passwordHash: admin.password ? await hashPassword(admin.password) : null,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await storage.setWorkspace(workspace);
+      await storage.setUser(user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Workspace created successfully',
+        workspace: publicWorkspace(workspace),
+        admin: publicUser(user),
+        loginLink: await createLoginLink(user.email)
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in workspaces API:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
@@ -1,22 +1,113 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
+import { QUALIFICATION_CRITERIA, QUALIFICATION_FRAMEWORKS } from '@/lib/schema';
+import { TREND_METRICS } from '@/lib/analytics';
 
 export default function Dashboard() {
   const router = useRouter();
-  const { meetingId } = router.query;
+  const { meetingId, segment, card } = router.query;
 
   const [coachingData, setCoachingData] = useState(null);
   const [transcripts, setTranscripts] = useState([]);
+  const [inProgress, setInProgress] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [meetingStatus, setMeetingStatus] = useState('unknown');
+  const [usePolling, setUsePolling] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [coachingError, setCoachingError] = useState(null);
+  const [instantTips, setInstantTips] = useState([]);
+  const [scorecard, setScorecard] = useState(null);
+  const [deal, setDeal] = useState(null);
+  const [metricHistory, setMetricHistory] = useState([]);
 
-  // Fetch coaching data
+  // Subscribe to the live stream; fall back to polling if it keeps failing
   useEffect(() => {
     if (!meetingId) return;
 
+    if (typeof window.EventSource === 'undefined') {
+      setUsePolling(true);
+      return;
+    }
+
+    const source = new EventSource(`/api/coaching/${meetingId}/stream`);
+    let failures = 0;
+
+    source.addEventListener('open', () => {
+      failures = 0;
+    });
+
+    source.addEventListener('snapshot', (event) => {
+      const data = JSON.parse(event.data);
+      setCoachingData(data.coaching);
+      setInstantTips(data.instantTips || []);
+      setTranscripts(data.transcripts);
+      setInProgress(data.inProgress || []);
+      setMeetingStatus(data.status || 'unknown');
+      setSummary(data.summary || null);
+      setScorecard(data.scorecard || null);
+      setDeal(data.deal || null);
+      setCoachingError(data.coachingError || null);
+      setError(null);
+      setLoading(false);
+    });
+
+    source.addEventListener('transcript', (event) => {
+      const transcript = JSON.parse(event.data);
+      setTranscripts((previous) => [transcript, ...previous].slice(0, 10));
+    });
+
+    source.addEventListener('inProgress', (event) => {
+      setInProgress(JSON.parse(event.data));
+    });
+
+    source.addEventListener('coaching', (event) => {
+      const coaching = JSON.parse(event.data);
+      setCoachingData((previous) => [coaching, ...(previous || [])].slice(0, 5));
+      setCoachingError(null);
+    });
+
+    source.addEventListener('instantTip', (event) => {
+      const tip = JSON.parse(event.data);
+      setInstantTips((previous) => [tip, ...previous].slice(0, 3));
+    });
+
+    source.addEventListener('coachingError', (event) => {
+      setCoachingError(JSON.parse(event.data));
+    });
+
+    source.addEventListener('status', (event) => {
+      setMeetingStatus(JSON.parse(event.data).status || 'unknown');
+    });
+
+    source.addEventListener('summary', (event) => {
+      setSummary(JSON.parse(event.data));
+    });
+
+    source.addEventListener('scorecard', (event) => {
+      setScorecard(JSON.parse(event.data));
+    });
+
+    // EventSource reconnects by itself; give up after repeated failed attempts
+    source.onerror = () => {
+      failures += 1;
+      if (failures >= 3 || source.readyState === EventSource.CLOSED) {
+        console.warn('Coaching stream unavailable, falling back to polling');
+        source.close();
+        setUsePolling(true);
+      }
+    };
+
+    return () => source.close();
+  }, [meetingId]);
+
+  // Fetch coaching data (polling fallback)
+  useEffect(() => {
+    if (!meetingId || !usePolling) return;
+
     const fetchData = async () => {
       try {
         const response = await fetch(`/api/coaching/${meetingId}?latest=true`);
@@ -24,8 +115,14 @@ export default function Dashboard() {
 
         if (result.success) {
           setCoachingData(result.data.coaching);
+          setInstantTips(result.data.instantTips || []);
           setTranscripts(result.data.transcripts);
+          setInProgress(result.data.inProgress || []);
           setMeetingStatus(result.data.status || 'unknown');
+          setSummary(result.data.summary || null);
+          setScorecard(result.data.scorecard || null);
+          setDeal(result.data.deal || null);
+          setCoachingError(result.data.coachingError || null);
           setError(null);
         } else {
           setError(result.error || 'Failed to fetch data');
@@ -45,7 +142,33 @@ export default function Dashboard() {
     const interval = setInterval(fetchData, pollInterval);
 
     return () => clearInterval(interval);
-  }, [meetingId, meetingStatus]);
+  }, [meetingId, meetingStatus, usePolling]);
+
+  // Refresh call analytics whenever a new finalized segment arrives
+  const latestTranscriptTime = transcripts[0]?.timestamp;
+  useEffect(() => {
+    if (!meetingId || !latestTranscriptTime) return;
+
+    fetch(`/api/coaching/${meetingId}/analytics`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (result.success) setAnalytics(result.data);
+      })
+      .catch((err) => console.error('Error fetching analytics:', err));
+  }, [meetingId, latestTranscriptTime]);
+
+  // Refresh the metric history whenever a new coaching card arrives
+  const latestCoachingTime = coachingData?.[0]?.timestamp;
+  useEffect(() => {
+    if (!meetingId || !latestCoachingTime) return;
+
+    fetch(`/api/coaching/${meetingId}/metrics`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (result.success) setMetricHistory(result.data.points);
+      })
+      .catch((err) => console.error('Error fetching metric history:', err));
+  }, [meetingId, latestCoachingTime]);
 
   if (loading) {
     return (
@@ -78,6 +201,13 @@ export default function Dashboard() {
                   Sales Coaching Dashboard
                 </h1>
                 <p className="text-sm text-gray-600">Meeting ID: {meetingId}</p>
+                {deal && (
+                  <p className="text-sm text-gray-600">
+                    {[deal.accountName, deal.dealStage, deal.product, deal.crmOpportunityId && `CRM ${deal.crmOpportunityId}`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                )}
               </div>
               <div className="flex items-center space-x-2">
                 {meetingStatus === 'ended' ? (
@@ -112,6 +242,19 @@ export default function Dashboard() {
                   <p className="text-sm text-blue-800">
                     The bot has left the meeting. You can still review all transcripts and coaching recommendations below.
                   </p>
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <span className="text-xs font-medium text-blue-900">Download:</span>
+                    {EXPORTS.map(({ format, label }) => (
+                      <a
+                        key={format}
+                        href={`/api/coaching/${encodeURIComponent(meetingId)}/export?format=${format}`}
+                        className="text-xs bg-white border border-blue-200 text-blue-800 hover:bg-blue-100 px-2 py-1 rounded"
+                        download
+                      >
+                        {label}
+                      </a>
+                    ))}
+                  </div>
                 </div>
               </div>
             </div>
@@ -120,6 +263,27 @@ export default function Dashboard() {
           <div className="grid lg:grid-cols-3 gap-6">
             {/* Coaching Recommendations */}
             <div className="lg:col-span-2 space-y-6">
+              {/* Moment opened from search */}
+              {(segment !== undefined || card !== undefined) && (
+                <MomentPanel
+                  meetingId={meetingId}
+                  segmentIndex={segment !== undefined ? parseInt(segment, 10) : null}
+                  cardIndex={card !== undefined ? parseInt(card, 10) : null}
+                  query={router.query.q || ''}
+                  onClose={() => router.replace(`/dashboard/${encodeURIComponent(meetingId)}`, undefined, { shallow: true })}
+                />
+              )}
+
+              {/* Post-Call Summary */}
+              {meetingStatus === 'ended' && summary && (
+                <SummaryPanel summary={summary} />
+              )}
+
+              {/* Metric Trends */}
+              {metricHistory.length > 0 && (
+                <MetricTrendChart points={metricHistory} />
+              )}
+
               <div className="bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-xl font-semibold text-gray-800 mb-4">
                   Coaching Insights
@@ -144,6 +308,30 @@ export default function Dashboard() {
                   </div>
                 )}
 
+                {instantTips.length > 0 && meetingStatus !== 'ended' && (
+                  <InstantTip tip={instantTips[0]} />
+                )}
+
+                {coachingError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                    <p className="text-red-800 text-sm font-medium">
+                      ⚠️ The last coaching update failed: {coachingError.message}
+                    </p>
+                    {coachingError.details?.length > 0 && (
+                      <ul className="list-disc list-inside mt-2 text-xs text-red-700">
+                        {coachingError.details.map((detail, index) => (
+                          <li key={index}>{detail}</li>
+                        ))}
+                      </ul>
+                    )}
+                    {coachingData?.length > 0 && (
+                      <p className="text-xs text-red-600 mt-2">
+                        Cards below are from earlier in the call.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {!coachingData || coachingData.length === 0 ? (
                   <div className="text-center py-12">
                     <div className="text-6xl mb-4">🎯</div>
@@ -166,31 +354,55 @@ export default function Dashboard() {
 
             {/* Transcript Sidebar */}
             <div className="lg:col-span-1">
-              <div className="bg-white rounded-lg shadow-md p-6 sticky top-4">
-                <h2 className="text-xl font-semibold text-gray-800 mb-4">
-                  Recent Transcript
-                </h2>
+              <div className="sticky top-4 space-y-6">
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">
+                    Recent Transcript
+                  </h2>
 
-                {transcripts.length === 0 ? (
-                  <p className="text-gray-500 text-sm">
-                    No transcript available yet...
-                  </p>
-                ) : (
-                  <div className="space-y-3 max-h-96 overflow-y-auto">
-                    {transcripts.map((transcript, index) => (
-                      <div key={index} className="border-l-2 border-primary-300 pl-3">
-                        <p className="text-sm font-medium text-gray-700">
-                          {transcript.speaker}
-                        </p>
-                        <p className="text-sm text-gray-600 mt-1">
-                          {transcript.text}
-                        </p>
-                        <p className="text-xs text-gray-400 mt-1">
-                          {new Date(transcript.timestamp).toLocaleTimeString()}
-                        </p>
-                      </div>
-                    ))}
-                  </div>
+                  {transcripts.length === 0 && inProgress.length === 0 ? (
+                    <p className="text-gray-500 text-sm">
+                      No transcript available yet...
+                    </p>
+                  ) : (
+                    <div className="space-y-3 max-h-96 overflow-y-auto">
+                      {/* Utterances still being spoken (interim results) */}
+                      {inProgress.map((transcript) => (
+                        <div key={`partial-${transcript.speaker}`} className="border-l-2 border-gray-200 pl-3">
+                          <p className="text-sm font-medium text-gray-500">
+                            {transcript.speaker}
+                          </p>
+                          <p className="text-sm text-gray-400 italic mt-1">
+                            {transcript.text}…
+                          </p>
+                        </div>
+                      ))}
+                      {transcripts.map((transcript, index) => (
+                        <div key={index} className="border-l-2 border-primary-300 pl-3">
+                          <p className="text-sm font-medium text-gray-700">
+                            {transcript.speaker}
+                          </p>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {transcript.text}
+                          </p>
+                          <p className="text-xs text-gray-400 mt-1">
+                            {new Date(transcript.timestamp).toLocaleTimeString()}
+                            {typeof transcript.start === 'number' && (
+                              <span className="ml-2">@ {formatOffset(transcript.start)}</span>
+                            )}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Qualification Scorecard */}
+                <ScorecardPanel scorecard={scorecard} />
+
+                {/* Call Analytics */}
+                {analytics && analytics.speakers.length > 0 && (
+                  <AnalyticsPanel analytics={analytics} />
                 )}
               </div>
             </div>
@@ -201,6 +413,143 @@ export default function Dashboard() {
   );
 }
 
+/**
+ * Format a call offset in seconds as m:ss
+ */
+function formatOffset(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${rest}`;
+}
+
+// Download buttons on the ended-meeting banner
+const EXPORTS = [
+  { format: 'markdown', label: 'Report (Markdown)' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'srt', label: 'SRT' },
+  { format: 'vtt', label: 'WebVTT' },
+];
+
+// Transcript segments shown on each side of a search match
+const MOMENT_CONTEXT = 3;
+
+/**
+ * A transcript segment or coaching card opened from search, with surrounding context
+ */
+function MomentPanel({ meetingId, segmentIndex, cardIndex, query, onClose }) {
+  const [call, setCall] = useState(null);
+  const [error, setError] = useState(null);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    fetch(`/api/coaching/${meetingId}`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (result.success) setCall(result.data);
+        else setError(result.message || result.error);
+      })
+      .catch((err) => setError(err.message));
+  }, [meetingId]);
+
+  useEffect(() => {
+    if (call) panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [call]);
+
+  const coaching = cardIndex !== null ? call?.coachingRecommendations[cardIndex] : null;
+  const start = segmentIndex !== null ? Math.max(0, segmentIndex - MOMENT_CONTEXT) : 0;
+  const context = segmentIndex !== null ? call?.transcripts.slice(start, segmentIndex + MOMENT_CONTEXT + 1) : [];
+
+  return (
+    <div ref={panelRef} className="bg-white rounded-lg shadow-md p-6 border-2 border-yellow-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          🔎 Search Result{query ? `: "${query}"` : ''}
+        </h2>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+          Close
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      {!call && !error && <p className="text-sm text-gray-500">Loading moment...</p>}
+
+      {call && coaching && (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            Coaching card from {new Date(coaching.timestamp).toLocaleTimeString()}
+          </p>
+          <CoachingCard coaching={coaching} />
+        </>
+      )}
+
+      {call && context?.length > 0 && (
+        <div className="space-y-3">
+          {context.map((transcript, offset) => {
+            const isMatch = start + offset === segmentIndex;
+            return (
+              <div
+                key={start + offset}
+                className={`border-l-2 pl-3 ${isMatch ? 'border-yellow-400 bg-yellow-50 py-2' : 'border-gray-200'}`}
+              >
+                <p className="text-sm font-medium text-gray-700">
+                  {transcript.speaker}
+                  {typeof transcript.start === 'number' && (
+                    <span className="ml-2 text-xs text-gray-400">@ {formatOffset(transcript.start)}</span>
+                  )}
+                </p>
+                <p className={`text-sm mt-1 ${isMatch ? 'text-gray-900' : 'text-gray-500'}`}>{transcript.text}</p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {call && !coaching && context?.length === 0 && (
+        <p className="text-sm text-gray-500">This moment is no longer available.</p>
+      )}
+    </div>
+  );
+}
+
+// Badge colors for instant tip sentiment
+const SENTIMENT_STYLES = {
+  positive: 'bg-green-100 text-green-800',
+  neutral: 'bg-gray-100 text-gray-700',
+  negative: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Instant tip banner - quick reaction to the prospect's last statement
+ */
+function InstantTip({ tip }) {
+  return (
+    <div className="bg-yellow-50 border-l-4 border-yellow-400 rounded-lg p-4 mb-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="text-xs font-semibold text-yellow-800 uppercase tracking-wide mb-1">
+            ⚡ Instant Tip
+          </p>
+          <p className="text-yellow-900 font-medium">{tip.tip}</p>
+          {tip.text && (
+            <p className="text-xs text-gray-600 italic mt-2">
+              {tip.speaker}: "{tip.text}"
+            </p>
+          )}
+        </div>
+        <div className="flex flex-col items-end gap-1 shrink-0">
+          <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+            {tip.category?.replace(/_/g, ' ')}
+          </span>
+          <span className={`text-xs px-2 py-1 rounded ${SENTIMENT_STYLES[tip.sentiment] || SENTIMENT_STYLES.neutral}`}>
+            {tip.sentiment}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function CoachingCard({ coaching }) {
   // Handle both old and new format for backwards compatibility
   const isNewFormat = coaching.phase && coaching.action && coaching.tip;
@@ -332,6 +681,305 @@ function CoachingCard({ coaching }) {
   );
 }
 
+function SummaryPanel({ summary }) {
+  const [copied, setCopied] = useState(false);
+
+  if (summary.status === 'pending') {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 flex items-center space-x-3">
+        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+        <p className="text-gray-600 text-sm">Generating post-call summary and follow-up email...</p>
+      </div>
+    );
+  }
+
+  if (summary.status === 'error' || !summary.data) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+        <p className="text-yellow-800 text-sm">Post-call summary unavailable: {summary.error || 'unknown error'}</p>
+      </div>
+    );
+  }
+
+  const data = summary.data;
+  const email = data.follow_up_email;
+
+  const copyEmail = async () => {
+    await navigator.clipboard.writeText(`${email.subject}\n\n${email.body}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-5">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-800 mb-2">Call Summary</h2>
+        <p className="text-sm text-gray-700">{data.overview}</p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <SummaryList title="😣 Pain Points" items={data.pain_points} />
+        <SummaryList
+          title="👥 Stakeholders"
+          items={data.stakeholders?.map((s) => `${s.name} - ${s.role}${s.stance ? ` (${s.stance})` : ''}`)}
+        />
+        <SummaryList
+          title="🛡️ Objections"
+          items={data.objections?.map((o) => `${o.objection} [${o.status}]`)}
+        />
+        <SummaryList
+          title="🎯 Agreed Next Steps"
+          items={data.next_steps?.map((n) => `${n.action} - ${n.owner}${n.due ? `, ${n.due}` : ''}`)}
+        />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <QualificationTable title="BANT" fields={data.bant} />
+        <QualificationTable title="MEDDIC" fields={data.meddic} />
+      </div>
+
+      {email && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-gray-900 text-sm">
+              ✉️ Follow-up Email
+              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-200 text-gray-800">
+                {email.language}
+              </span>
+            </h4>
+            <button
+              onClick={copyEmail}
+              className="text-sm text-primary-600 hover:text-primary-700"
+            >
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+          </div>
+          <p className="text-sm font-medium text-gray-800 mb-2">{email.subject}</p>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{email.body}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SummaryList({ title, items }) {
+  return (
+    <div>
+      <h4 className="font-semibold text-gray-900 text-sm mb-2">{title}</h4>
+      {!items || items.length === 0 ? (
+        <p className="text-sm text-gray-500">None identified</p>
+      ) : (
+        <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+          {items.map((item, index) => (
+            <li key={index}>{item}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function QualificationTable({ title, fields }) {
+  if (!fields) return null;
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h4 className="font-semibold text-gray-900 text-sm mb-2">{title}</h4>
+      <dl className="space-y-1 text-sm">
+        {Object.entries(fields).map(([key, value]) => (
+          <div key={key} className="flex gap-2">
+            <dt className="font-medium text-gray-700 capitalize whitespace-nowrap">{key.replace(/_/g, ' ')}:</dt>
+            <dd className={value === 'Unknown' ? 'text-gray-400' : 'text-gray-700'}>{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+// Display for each scorecard status (a criterion without evidence is uncovered)
+const CRITERION_STATUS = {
+  covered: { icon: '✅', className: 'text-gray-800' },
+  partial: { icon: '◐', className: 'text-gray-700' },
+  uncovered: { icon: '○', className: 'text-gray-400' },
+};
+
+/**
+ * BANT/MEDDIC qualification coverage accumulated across the call
+ */
+function ScorecardPanel({ scorecard }) {
+  const criteria = scorecard?.criteria || {};
+  const uncovered = QUALIFICATION_CRITERIA.filter((criterion) => !criteria[criterion]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Qualification Scorecard
+      </h2>
+
+      {uncovered.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+          <p className="text-xs font-semibold text-yellow-800 mb-1">Still uncovered</p>
+          <p className="text-xs text-yellow-800 capitalize">
+            {uncovered.map((criterion) => criterion.replace(/_/g, ' ')).join(', ')}
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {Object.entries(QUALIFICATION_FRAMEWORKS).map(([framework, frameworkCriteria]) => (
+          <div key={framework}>
+            <h3 className="font-semibold text-gray-900 text-sm mb-2">{framework}</h3>
+            <ul className="space-y-2">
+              {frameworkCriteria.map((criterion) => {
+                const entry = criteria[criterion];
+                const status = CRITERION_STATUS[entry?.status || 'uncovered'];
+
+                return (
+                  <li key={criterion} className="text-sm">
+                    <span className={`capitalize ${status.className}`}>
+                      {status.icon} {criterion.replace(/_/g, ' ')}
+                    </span>
+                    {entry?.evidence?.[0] && (
+                      <p className="text-xs text-gray-500 italic ml-6">"{entry.evidence[0].quote}"</p>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function AnalyticsPanel({ analytics }) {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Call Analytics
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">
+        {formatOffset(analytics.totalTalkTime)} of talk time · {analytics.turns} turns
+      </p>
+      <div className="space-y-4">
+        {analytics.speakers.map((speaker) => (
+          <div key={speaker.speaker}>
+            <MetricBar label={speaker.speaker} value={speaker.talkRatio} />
+            <div className="grid grid-cols-3 gap-2 mt-2 text-xs text-gray-600">
+              <span title="Longest monologue">🎙️ {formatOffset(speaker.longestMonologue)}</span>
+              <span title="Interruptions">✋ {speaker.interruptions}</span>
+              <span title="Questions asked">❓ {speaker.questions}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Line colors and labels of the trend chart
+const TREND_STYLES = {
+  discovery: { label: 'Discovery', color: '#3b82f6' },
+  pain_quantified: { label: 'Pain Quantified', color: '#f59e0b' },
+  dm_engagement: { label: 'DM Engagement', color: '#10b981' },
+  alignment: { label: 'Alignment', color: '#8b5cf6' },
+};
+
+const CHART = { width: 600, height: 220, left: 32, right: 12, top: 20, bottom: 24 };
+
+/**
+ * Coaching metrics over the whole call, with markers where risk alerts fired
+ */
+function MetricTrendChart({ points }) {
+  // Position by call offset when known, otherwise evenly by card
+  const xs = points.map((point, index) => (typeof point.offset === 'number' ? point.offset : index));
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const spanX = maxX - minX || 1;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (index) => CHART.left + (points.length === 1 ? plotWidth / 2 : ((xs[index] - minX) / spanX) * plotWidth);
+  const y = (value) => CHART.top + (1 - value / 100) * plotHeight;
+  const hasOffsets = points.every((point) => typeof point.offset === 'number');
+  const riskCount = points.filter((point) => point.risk).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Metric Trends</h2>
+        <span className="text-xs text-gray-500">
+          {points.length} cards · {riskCount} risk alerts
+        </span>
+      </div>
+
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto">
+        {[0, 50, 100].map((value) => (
+          <g key={value}>
+            <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" />
+            <text x={CHART.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{value}</text>
+          </g>
+        ))}
+
+        {/* Risk alerts */}
+        {points.map((point, index) => point.risk && (
+          <g key={`risk-${index}`}>
+            <line x1={x(index)} x2={x(index)} y1={CHART.top} y2={CHART.height - CHART.bottom} stroke="#fca5a5" strokeDasharray="3 3" />
+            <circle cx={x(index)} cy={CHART.top - 8} r="5" fill="#ef4444">
+              <title>⚠️ {point.risk.warning}{point.risk.consequence ? ` (${point.risk.consequence})` : ''}</title>
+            </circle>
+          </g>
+        ))}
+
+        {TREND_METRICS.map((metric) => {
+          const series = points
+            .map((point, index) => ({ index, value: point[metric] }))
+            .filter(({ value }) => typeof value === 'number');
+
+          return (
+            <g key={metric}>
+              <polyline
+                points={series.map(({ index, value }) => `${x(index)},${y(value)}`).join(' ')}
+                fill="none"
+                stroke={TREND_STYLES[metric].color}
+                strokeWidth="2"
+              />
+              {series.map(({ index, value }) => (
+                <circle key={index} cx={x(index)} cy={y(value)} r="3" fill={TREND_STYLES[metric].color}>
+                  <title>{TREND_STYLES[metric].label}: {value}%</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+
+        {hasOffsets && (
+          <>
+            <text x={CHART.left} y={CHART.height - 6} fontSize="10" fill="#9ca3af">{formatOffset(minX)}</text>
+            <text x={CHART.width - CHART.right} y={CHART.height - 6} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {formatOffset(maxX)}
+            </text>
+          </>
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2">
+        {TREND_METRICS.map((metric) => (
+          <span key={metric} className="flex items-center gap-1 text-xs text-gray-700">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: TREND_STYLES[metric].color }}></span>
+            {TREND_STYLES[metric].label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1 text-xs text-gray-700">
+          <span className="inline-block w-3 h-3 rounded-full bg-red-500"></span>
+          Risk alert
+        </span>
+      </div>
+    </div>
+  );
+}
+
 function MetricBar({ label, value }) {
   const getColor = (val) => {
     if (val >= 70) return 'bg-green-500';
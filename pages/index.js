@@ -1,15 +1,30 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
+import { useSession } from '@/lib/session';
+import { DEAL_FIELDS } from '@/lib/deal';
 
 export default function Home() {
   const [meetingId, setMeetingId] = useState('');
   const [meetingUrl, setMeetingUrl] = useState('');
+  const [repName, setRepName] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [promptProfile, setPromptProfile] = useState('');
+  const [deal, setDeal] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [botCreated, setBotCreated] = useState(null);
   const router = useRouter();
+  const { user, signOut } = useSession();
+
+  // Prompt profiles to pick from (empty selection: the workspace's active profile)
+  useEffect(() => {
+    fetch('/api/settings/prompts')
+      .then((response) => response.json())
+      .then((data) => setProfiles(data.profiles || []))
+      .catch((err) => console.error('Error fetching prompt profiles:', err));
+  }, []);
 
   const handleViewDashboard = (e) => {
     e.preventDefault();
@@ -33,6 +48,9 @@ export default function Home() {
         body: JSON.stringify({
           meeting_url: meetingUrl,
           bot_name: 'NoteTaker.ai',
+          rep_name: repName.trim() || undefined,
+          prompt_profile: promptProfile || undefined,
+          deal_context: deal,
         }),
       });
 
@@ -69,16 +87,44 @@ export default function Home() {
           <div className="max-w-2xl mx-auto">
             {/* Header */}
             <div className="text-center mb-12 relative">
-              <Link
-                href="/settings"
-                className="absolute right-0 top-0 text-gray-600 hover:text-gray-900 flex items-center gap-2 text-sm"
-              >
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                </svg>
-                Settings
-              </Link>
+              <div className="absolute right-0 top-0 flex items-center gap-4">
+                <Link
+                  href="/search"
+                  className="text-gray-600 hover:text-gray-900 flex items-center gap-2 text-sm"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                  Search
+                </Link>
+                <Link
+                  href="/meetings"
+                  className="text-gray-600 hover:text-gray-900 flex items-center gap-2 text-sm"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+                  </svg>
+                  Meetings
+                </Link>
+                <Link
+                  href="/settings"
+                  className="text-gray-600 hover:text-gray-900 flex items-center gap-2 text-sm"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                  </svg>
+                  Settings
+                </Link>
+                {user && (
+                  <span className="text-sm text-gray-600 border-l border-gray-300 pl-4">
+                    {user.name} <span className="text-xs text-gray-400">({user.role} · {user.workspaceName})</span>
+                    <button onClick={signOut} className="ml-2 text-primary-600 hover:text-primary-700">
+                      Sign out
+                    </button>
+                  </span>
+                )}
+              </div>
               <h1 className="text-5xl font-bold text-gray-900 mb-4">
                 Real-Time Sales Coaching
               </h1>
@@ -150,6 +196,69 @@ export default function Home() {
                   </p>
                 </div>
 
+                <div>
+                  <label
+                    htmlFor="repName"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    Your Name in Teams (optional)
+                  </label>
+                  <input
+                    type="text"
+                    id="repName"
+                    value={repName}
+                    onChange={(e) => setRepName(e.target.value)}
+                    placeholder="Jane Doe"
+                    maxLength={100}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white placeholder-gray-400"
+                    disabled={loading}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Instant tips are only generated for the other speakers, and only when your name is known
+                  </p>
+                </div>
+
+                <details className="border border-gray-200 rounded-lg p-4">
+                  <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+                    Prompt profile and deal details (optional)
+                  </summary>
+                  <p className="text-xs text-gray-500 mt-2 mb-4">
+                    The coaching prompt uses this profile, and the deal details fill its deal placeholders
+                  </p>
+
+                  <div className="grid sm:grid-cols-2 gap-4">
+                    <label className="block sm:col-span-2">
+                      <span className="block text-sm font-medium text-gray-700 mb-1">Prompt profile</span>
+                      <select
+                        value={promptProfile}
+                        onChange={(e) => setPromptProfile(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white text-sm"
+                        disabled={loading}
+                      >
+                        <option value="">Workspace default{profiles.find((p) => p.active) ? ` (${profiles.find((p) => p.active).name})` : ''}</option>
+                        {profiles.map((profile) => (
+                          <option key={profile.id} value={profile.id}>{profile.name}</option>
+                        ))}
+                      </select>
+                    </label>
+
+                    {DEAL_FIELDS.map((field) => (
+                      <label key={field.param} className="block">
+                        <span className="block text-sm font-medium text-gray-700 mb-1">{field.label}</span>
+                        <input
+                          type="text"
+                          value={deal[field.param] || ''}
+                          onChange={(e) => setDeal({ ...deal, [field.param]: e.target.value })}
+                          placeholder={field.maxItems ? 'Comma-separated names' : undefined}
+                          maxLength={field.maxItems ? undefined : field.maxLength}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white text-sm placeholder-gray-400"
+                          disabled={loading}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </details>
+
                 <button
                   type="submit"
                   disabled={loading}
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useSession } from '@/lib/session';
+
+const ERRORS = {
+  link: 'This login link is invalid or has expired. Ask an admin for a new one.',
+};
+
+export default function Login() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { setUser } = useSession();
+  const router = useRouter();
+
+  // Only same-site paths, never another origin
+  const next = typeof router.query.next === 'string' && /^\/(?![/\\])/.test(router.query.next)
+    ? router.query.next
+    : '/';
+
+  // Login link opened from /api/auth/link, used up only once the user confirms
+  const link = typeof router.query.link === 'string' ? router.query.link : null;
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(link ? '/api/auth/link' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(link ? { token: link } : { email, password }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setUser(result.user);
+        router.replace(next);
+      } else {
+        setError(result.message || 'Failed to sign in');
+      }
+    } catch (err) {
+      setError(err.message || 'Network error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white';
+
+  return (
+    <>
+      <Head>
+        <title>Sign In - Sales Coaching</title>
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-16">
+          <div className="max-w-md mx-auto">
+            <div className="text-center mb-8">
+              <h1 className="text-4xl font-bold text-gray-900 mb-2">Sales Coaching</h1>
+              <p className="text-gray-600">Sign in to see your calls</p>
+            </div>
+
+            <form onSubmit={handleLogin} className="bg-white rounded-2xl shadow-xl p-8 space-y-4">
+              {(error || ERRORS[router.query.error]) && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-red-800 text-sm">❌ {error || ERRORS[router.query.error]}</p>
+                </div>
+              )}
+
+              {link ? (
+                <p className="text-gray-700 text-sm">
+                  You opened a login link. Continue to sign in; the link then stops working.
+                </p>
+              ) : (
+                <>
+                  <label className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">Email</span>
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      autoComplete="username"
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+
+                  <label className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">Password</span>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      autoComplete="current-password"
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+                </>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+              >
+                {loading ? 'Signing in...' : link ? 'Continue' : 'Sign In'}
+              </button>
+
+              {!link && (
+                <p className="text-xs text-gray-500 text-center">
+                  No password? Ask an admin for a login link.
+                </p>
+              )}
+            </form>
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}
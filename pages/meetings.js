@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  waiting: 'bg-yellow-100 text-yellow-800',
+  ended: 'bg-gray-100 text-gray-800',
+  error: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_FILTERS = { status: '', from: '', to: '', participant: '' };
+
+/**
+ * Format a duration in seconds as h:mm:ss or m:ss
+ */
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toString().padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+export default function Meetings() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [meetings, setMeetings] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchMeetings = async () => {
+      setLoading(true);
+
+      try {
+        const params = new URLSearchParams({ page: String(page) });
+        Object.entries(appliedFilters).forEach(([key, value]) => {
+          if (value.trim()) params.set(key, value.trim());
+        });
+
+        const response = await fetch(`/api/meetings?${params}`);
+        const result = await response.json();
+
+        if (result.success) {
+          setMeetings(result.data.meetings);
+          setPagination(result.data.pagination);
+          setError(null);
+        } else {
+          setError(result.message || result.error || 'Failed to load meetings');
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMeetings();
+  }, [appliedFilters, page]);
+
+  const updateFilter = (key, value) => {
+    setFilters((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white text-sm';
+
+  return (
+    <>
+      <Head>
+        <title>Meetings - Sales Coaching</title>
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-8">
+          {/* Header */}
+          <div className="mb-8">
+            <Link href="/" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
+              ← Back to Home
+            </Link>
+            <h1 className="text-4xl font-bold text-gray-900">Meetings</h1>
+            <p className="text-gray-600 mt-2">Browse past and live coaching sessions</p>
+          </div>
+
+          {/* Filters */}
+          <form onSubmit={handleSearch} className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <div className="grid md:grid-cols-4 gap-4">
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Status</span>
+                <select
+                  value={filters.status}
+                  onChange={(e) => updateFilter('status', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">All</option>
+                  <option value="active">Active</option>
+                  <option value="waiting">Waiting</option>
+                  <option value="ended">Ended</option>
+                  <option value="error">Error</option>
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">From</span>
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => updateFilter('from', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">To</span>
+                <input
+                  type="date"
+                  value={filters.to}
+                  onChange={(e) => updateFilter('to', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Participant</span>
+                <input
+                  type="text"
+                  value={filters.participant}
+                  onChange={(e) => updateFilter('participant', e.target.value)}
+                  placeholder="Name"
+                  className={inputClass}
+                />
+              </label>
+            </div>
+
+            <div className="flex gap-4 mt-4">
+              <button
+                type="submit"
+                className="bg-primary-600 hover:bg-primary-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+              >
+                Apply Filters
+              </button>
+              <button
+                type="button"
+                onClick={handleClear}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition duration-200"
+              >
+                Clear
+              </button>
+            </div>
+          </form>
+
+          {/* Meetings */}
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                <p className="text-red-800 text-sm">❌ {error}</p>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+              </div>
+            ) : meetings.length === 0 ? (
+              <p className="text-center text-gray-500 py-12">No meetings found</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Started</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium">Duration</th>
+                      <th className="py-2 pr-4 font-medium">Participants</th>
+                      <th className="py-2 pr-4 font-medium">Cards</th>
+                      <th className="py-2 font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {meetings.map((meeting) => (
+                      <tr key={meeting.meetingId} className="border-b border-gray-100">
+                        <td className="py-3 pr-4 text-gray-800 whitespace-nowrap">
+                          {new Date(meeting.startTime).toLocaleString()}
+                          <p className="text-xs text-gray-400 font-mono">{meeting.meetingId}</p>
+                        </td>
+                        <td className="py-3 pr-4">
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[meeting.status] || STATUS_STYLES.ended}`}>
+                            {meeting.status}
+                          </span>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">{formatDuration(meeting.duration)}</td>
+                        <td className="py-3 pr-4 text-gray-700">
+                          {meeting.participants.length > 0 ? meeting.participants.join(', ') : '—'}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">{meeting.cardCount}</td>
+                        <td className="py-3 text-right whitespace-nowrap">
+                          <Link
+                            href={`/dashboard/${encodeURIComponent(meeting.meetingId)}`}
+                            className="text-primary-600 hover:text-primary-700 font-medium"
+                          >
+                            Dashboard →
+                          </Link>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Pagination */}
+            {pagination && pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} · {pagination.total} meetings
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1}
+                    className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pagination.totalPages}
+                    className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,259 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { METHODOLOGIES } from '@/lib/schema';
+
+const EMPTY_FILTERS = { q: '', speaker: '', from: '', to: '', methodology: '', stage: '', type: '' };
+
+/**
+ * Lower-case and strip accents, as the search index does
+ */
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Render text with the matched query terms highlighted
+ */
+function Highlight({ text, terms }) {
+  return text.split(/([^\p{L}\p{N}]+)/u).map((part, index) => (
+    terms.includes(fold(part))
+      ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+      : <span key={index}>{part}</span>
+  ));
+}
+
+/**
+ * Dashboard link that opens the matching moment
+ */
+function momentUrl(result, query) {
+  const params = new URLSearchParams({
+    [result.type === 'coaching' ? 'card' : 'segment']: String(result.index),
+  });
+  if (query) params.set('q', query);
+  return `/dashboard/${encodeURIComponent(result.meetingId)}?${params}`;
+}
+
+export default function Search() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searched, setSearched] = useState(null);
+  const [results, setResults] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async (activeFilters, page) => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ page: String(page) });
+      Object.entries(activeFilters).forEach(([key, value]) => {
+        if (value.trim()) params.set(key, value.trim());
+      });
+
+      const response = await fetch(`/api/search?${params}`);
+      const result = await response.json();
+
+      if (result.success) {
+        setResults(result.data.results);
+        setTerms(result.data.terms);
+        setPagination(result.data.pagination);
+        setSearched(activeFilters);
+        setError(null);
+      } else {
+        setError(result.message || result.error || 'Search failed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    runSearch(filters, 1);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white text-sm';
+
+  return (
+    <>
+      <Head>
+        <title>Search - Sales Coaching</title>
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-8">
+          {/* Header */}
+          <div className="mb-8">
+            <Link href="/" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
+              ← Back to Home
+            </Link>
+            <h1 className="text-4xl font-bold text-gray-900">Search</h1>
+            <p className="text-gray-600 mt-2">Find moments across call transcripts and coaching cards</p>
+          </div>
+
+          {/* Filters */}
+          <form onSubmit={handleSearch} className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <div className="flex gap-4 mb-4">
+              <input
+                type="text"
+                value={filters.q}
+                onChange={(e) => updateFilter('q', e.target.value)}
+                placeholder='pricing COP, "think about it"...'
+                className={`${inputClass} text-base`}
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-2 px-6 rounded-lg transition duration-200"
+              >
+                {loading ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+
+            <div className="grid md:grid-cols-6 gap-4">
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Speaker</span>
+                <input
+                  type="text"
+                  value={filters.speaker}
+                  onChange={(e) => updateFilter('speaker', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">From</span>
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => updateFilter('from', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">To</span>
+                <input
+                  type="date"
+                  value={filters.to}
+                  onChange={(e) => updateFilter('to', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Methodology</span>
+                <select
+                  value={filters.methodology}
+                  onChange={(e) => updateFilter('methodology', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Any</option>
+                  {METHODOLOGIES.map((methodology) => (
+                    <option key={methodology} value={methodology}>{methodology}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Stage</span>
+                <input
+                  type="text"
+                  value={filters.stage}
+                  onChange={(e) => updateFilter('stage', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">In</span>
+                <select
+                  value={filters.type}
+                  onChange={(e) => updateFilter('type', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Transcripts and coaching</option>
+                  <option value="transcript">Transcripts</option>
+                  <option value="coaching">Coaching cards</option>
+                </select>
+              </label>
+            </div>
+          </form>
+
+          {/* Results */}
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+              <p className="text-red-800 text-sm">❌ {error}</p>
+            </div>
+          )}
+
+          {searched && (
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600 mb-4">
+                {pagination.total} {pagination.total === 1 ? 'match' : 'matches'}
+              </p>
+
+              {results.length === 0 ? (
+                <p className="text-center text-gray-500 py-12">No matches found</p>
+              ) : (
+                <ul className="space-y-4">
+                  {results.map((result) => (
+                    <li key={`${result.meetingId}-${result.type}-${result.index}`} className="border-l-4 border-primary-300 pl-4">
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                        <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700 font-medium">
+                          {result.type === 'coaching' ? '🎯 Coaching' : `🗣️ ${result.speaker}`}
+                        </span>
+                        {result.methodology && (
+                          <span className="px-2 py-0.5 rounded bg-primary-100 text-primary-800">
+                            {result.methodology}{result.stage ? ` · ${result.stage}` : ''}
+                          </span>
+                        )}
+                        <span>{new Date(result.timestamp).toLocaleString()}</span>
+                        <span className="font-mono">{result.meetingId}</span>
+                      </div>
+                      <p className="text-sm text-gray-800">
+                        <Highlight text={result.snippet} terms={terms} />
+                      </p>
+                      <Link
+                        href={momentUrl(result, searched.q.trim())}
+                        className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Open in dashboard →
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Pagination */}
+              {pagination.totalPages > 1 && (
+                <div className="flex items-center justify-between mt-6 text-sm text-gray-600">
+                  <span>Page {pagination.page} of {pagination.totalPages}</span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => runSearch(searched, pagination.page - 1)}
+                      disabled={loading || pagination.page <= 1}
+                      className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => runSearch(searched, pagination.page + 1)}
+                      disabled={loading || pagination.page >= pagination.totalPages}
+                      className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
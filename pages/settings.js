@@ -1,25 +1,36 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
+import { useSession } from '@/lib/session';
+import { PROMPT_VARIABLES, renderSample, validateTemplate } from '@/lib/template';
+import { MAX_PLAYGROUND_POINTS, parseTranscriptUpload, suggestPoints } from '@/lib/playground';
 
 export default function Settings() {
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState(null);
   const [systemPrompt, setSystemPrompt] = useState('');
   const [userPrompt, setUserPrompt] = useState('');
+  const [note, setNote] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
+  const { user } = useSession();
+  const isAdmin = user?.role === 'admin';
 
-  // Load current prompts on mount
+  // Load the prompt library on mount
   useEffect(() => {
-    fetchPrompts();
+    fetchLibrary();
   }, []);
 
-  const fetchPrompts = async () => {
+  /**
+   * Load the profile list, then one profile (the active one by default)
+   */
+  const fetchLibrary = async (profileId) => {
     try {
-      const response = await fetch('/api/settings/prompt');
+      const response = await fetch('/api/settings/prompts');
       const data = await response.json();
-      setSystemPrompt(data.systemPrompt || '');
-      setUserPrompt(data.userPrompt || '');
+      setProfiles(data.profiles || []);
+      await fetchProfile(profileId || data.activeProfileId);
     } catch (error) {
       console.error('Error fetching prompts:', error);
       setMessage({ type: 'error', text: 'Failed to load prompts' });
@@ -28,21 +39,37 @@ export default function Settings() {
     }
   };
 
-  const handleSave = async () => {
+  const fetchProfile = async (profileId) => {
+    const response = await fetch(`/api/settings/prompts/${encodeURIComponent(profileId)}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message);
+
+    const [latest] = data.profile.versions;
+    setProfile(data.profile);
+    setSystemPrompt(latest.systemPrompt);
+    setUserPrompt(latest.userPrompt);
+    setNote('');
+  };
+
+  /**
+   * Send a change to a prompt library endpoint and reload the library, showing the
+   * profile picked from the response (the current one by default, the active one on null)
+   */
+  const sendChange = async (url, options, successText, pickProfile = () => profile.id) => {
     setSaving(true);
     setMessage({ type: '', text: '' });
 
     try {
-      const response = await fetch('/api/settings/prompt', {
-        method: 'POST',
+      const response = await fetch(url, {
+        ...options,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ systemPrompt, userPrompt }),
       });
+      const data = await response.json();
 
       if (response.ok) {
-        setMessage({ type: 'success', text: 'Prompts saved successfully!' });
+        setMessage({ type: 'success', text: successText || data.message });
+        await fetchLibrary(pickProfile(data));
       } else {
-        const data = await response.json();
         setMessage({ type: 'error', text: data.message || 'Failed to save prompts' });
       }
     } catch (error) {
@@ -53,29 +80,68 @@ export default function Settings() {
     }
   };
 
-  const handleReset = async () => {
-    if (!confirm('Reset to default prompts? This cannot be undone.')) return;
+  const profileUrl = (suffix = '') => `/api/settings/prompts/${encodeURIComponent(profile.id)}${suffix}`;
 
-    setSaving(true);
-    try {
-      const response = await fetch('/api/settings/prompt', {
-        method: 'DELETE',
-      });
+  const handleSave = () => sendChange(profileUrl(), {
+    method: 'POST',
+    body: JSON.stringify({ systemPrompt, userPrompt, note }),
+  }, 'Prompts saved successfully!');
 
-      if (response.ok) {
-        const data = await response.json();
-        setSystemPrompt(data.systemPrompt);
-        setUserPrompt(data.userPrompt);
-        setMessage({ type: 'success', text: 'Prompts reset to default' });
-      }
+  const handleReset = () => {
+    if (!confirm('Reset this profile to the default prompts? The current version stays in its history.')) return;
+    sendChange(profileUrl(), { method: 'POST', body: JSON.stringify({ reset: true }) }, 'Prompts reset to default');
+  };
+
+  const handleCreate = () => {
+    const name = prompt(`Name of the new profile (starts as a copy of "${profile.name}"):`);
+    if (!name) return;
+    sendChange('/api/settings/prompts', {
+      method: 'POST',
+      body: JSON.stringify({ name, copyFrom: profile.id }),
+    }, `Created profile "${name}"`, (data) => data.profile.id);
+  };
+
+  const handleRename = () => {
+    const name = prompt('New profile name:', profile.name);
+    if (!name || name === profile.name) return;
+    sendChange(profileUrl(), { method: 'PUT', body: JSON.stringify({ name }) }, 'Profile renamed');
+  };
+
+  const handleActivate = () => sendChange(profileUrl(), {
+    method: 'PUT',
+    body: JSON.stringify({ active: true }),
+  }, `"${profile.name}" is now used for live coaching`);
+
+  const handleDelete = () => {
+    if (!confirm(`Delete the profile "${profile.name}" and its whole history?`)) return;
+    sendChange(profileUrl(), { method: 'DELETE' }, 'Profile deleted', () => null);
+  };
+
+  const handleRollback = (version) => {
+    if (!confirm(`Restore version ${version}? It is saved again as the newest version.`)) return;
+    sendChange(profileUrl('/rollback'), {
+      method: 'POST',
+      body: JSON.stringify({ version }),
+    }, `Rolled back to version ${version}`);
+  };
+
+  const handleSelect = async (profileId) => {
+    try {
+      await fetchProfile(profileId);
     } catch (error) {
-      console.error('Error resetting prompts:', error);
-      setMessage({ type: 'error', text: 'Failed to reset prompts' });
-    } finally {
-      setSaving(false);
+      console.error('Error fetching prompt profile:', error);
+      setMessage({ type: 'error', text: 'Failed to load prompt profile' });
     }
   };
 
+  const isDirty = profile && (
+    systemPrompt !== profile.versions[0].systemPrompt || userPrompt !== profile.versions[0].userPrompt
+  );
+
+  // Checked again by the server when saving
+  const systemErrors = useMemo(() => validateTemplate(systemPrompt), [systemPrompt]);
+  const userErrors = useMemo(() => validateTemplate(userPrompt), [userPrompt]);
+
   return (
     <>
       <Head>
@@ -90,9 +156,18 @@ export default function Settings() {
               ← Back to Home
             </Link>
             <h1 className="text-4xl font-bold text-gray-900">Settings</h1>
-            <p className="text-gray-600 mt-2">Configure your AI coaching prompts</p>
+            <p className="text-gray-600 mt-2">
+              Configure your AI coaching prompts and models
+              {user && <> for the <strong>{user.workspaceName}</strong> workspace</>}
+            </p>
           </div>
 
+          {!isAdmin && (
+            <div className="mb-6 p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm">
+              Settings are read-only. Only admins can change prompts, models and users.
+            </div>
+          )}
+
           {/* Message */}
           {message.text && (
             <div className={`mb-6 p-4 rounded-lg ${
@@ -110,6 +185,74 @@ export default function Settings() {
             </div>
           ) : (
             <>
+              {/* Prompt Profiles */}
+              <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+                <div className="mb-4">
+                  <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+                    Prompt Profiles
+                  </h2>
+                  <p className="text-sm text-gray-600">
+                    Named prompt sets with their full version history. The active profile is used for live coaching.
+                  </p>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={profile?.id || ''}
+                    onChange={(e) => handleSelect(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white"
+                  >
+                    {profiles.map((item) => (
+                      <option key={item.id} value={item.id}>
+                        {item.name} (v{item.version}){item.active ? ' - active' : ''}
+                      </option>
+                    ))}
+                  </select>
+
+                  {profile?.active ? (
+                    <span className="px-2 py-1 rounded bg-green-100 text-green-800 text-xs font-semibold">
+                      Active
+                    </span>
+                  ) : isAdmin && (
+                    <button
+                      onClick={handleActivate}
+                      disabled={saving}
+                      className="text-sm bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold py-2 px-3 rounded-lg transition duration-200"
+                    >
+                      Set as Active
+                    </button>
+                  )}
+
+                  {isAdmin && (
+                    <>
+                      <button
+                        onClick={handleCreate}
+                        disabled={saving}
+                        className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        New Profile
+                      </button>
+                      <button
+                        onClick={handleRename}
+                        disabled={saving}
+                        className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Rename
+                      </button>
+                      {!profile?.active && (
+                        <button
+                          onClick={handleDelete}
+                          disabled={saving}
+                          className="text-sm text-red-600 hover:text-red-700 font-medium"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+
               {/* System Prompt Editor */}
               <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
                 <div className="mb-6">
@@ -118,15 +261,18 @@ export default function Settings() {
                   </h2>
                   <p className="text-sm text-gray-600">
                     Defines Claude's role, personality, and output format. This sets the context for how Claude should behave.
+                    Placeholders work here too (see the Template Reference below).
                   </p>
                 </div>
 
                 <textarea
                   value={systemPrompt}
                   onChange={(e) => setSystemPrompt(e.target.value)}
+                  readOnly={!isAdmin}
                   className="w-full h-64 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white font-mono text-sm resize-y"
                   placeholder="Enter system prompt here..."
                 />
+                <TemplateErrors errors={systemErrors} />
               </div>
 
               {/* User Prompt Editor */}
@@ -136,43 +282,83 @@ export default function Settings() {
                     User Prompt Template
                   </h2>
                   <p className="text-sm text-gray-600">
-                    Contains the actual data to analyze. Use placeholders:{' '}
-                    <code className="bg-gray-100 px-1 py-0.5 rounded">{'{{TRANSCRIPT}}'}</code>,{' '}
-                    <code className="bg-gray-100 px-1 py-0.5 rounded">{'{{MEETING_ID}}'}</code>,{' '}
-                    <code className="bg-gray-100 px-1 py-0.5 rounded">{'{{PARTICIPANTS}}'}</code>,{' '}
-                    <code className="bg-gray-100 px-1 py-0.5 rounded">{'{{DURATION}}'}</code>
+                    Contains the actual data to analyze. Use placeholders such as{' '}
+                    <code className="bg-gray-100 px-1 py-0.5 rounded">{'{{TRANSCRIPT}}'}</code>, conditionals and loops (see the Template Reference below).
                   </p>
                 </div>
 
                 <textarea
                   value={userPrompt}
                   onChange={(e) => setUserPrompt(e.target.value)}
+                  readOnly={!isAdmin}
                   className="w-full h-64 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white font-mono text-sm resize-y"
                   placeholder="Enter user prompt template here..."
                 />
+                <TemplateErrors errors={userErrors} />
               </div>
 
+              {/* Live Preview */}
+              <TemplatePreview systemPrompt={systemPrompt} userPrompt={userPrompt} />
+
+              {/* Playground */}
+              {profile && user?.role !== 'rep' && (
+                <PromptPlayground
+                  systemPrompt={systemPrompt}
+                  userPrompt={userPrompt}
+                  profile={profile}
+                  disabled={systemErrors.length + userErrors.length > 0}
+                />
+              )}
+
               {/* Action Buttons */}
-              <div className="flex gap-4 mb-8">
-                <button
-                  onClick={handleSave}
-                  disabled={saving}
-                  className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
-                >
-                  {saving ? 'Saving...' : 'Save Prompts'}
-                </button>
+              {isAdmin && (
+                <div className="flex flex-wrap gap-4 mb-6">
+                  <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="What changed? (optional)"
+                    className="flex-1 min-w-[16rem] px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-gray-900 bg-white"
+                  />
 
-                <button
-                  onClick={handleReset}
-                  disabled={saving}
-                  className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
-                >
-                  Reset to Default
-                </button>
-              </div>
+                  <button
+                    onClick={handleSave}
+                    disabled={saving || !isDirty || systemErrors.length + userErrors.length > 0}
+                    className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+                  >
+                    {saving ? 'Saving...' : isDirty ? 'Save as New Version' : 'No Changes'}
+                  </button>
+
+                  <button
+                    onClick={handleReset}
+                    disabled={saving}
+                    className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+                  >
+                    Reset to Default
+                  </button>
+                </div>
+              )}
+
+              {/* Version History */}
+              {profile && (
+                <PromptHistory
+                  profile={profile}
+                  canRollback={isAdmin && !saving}
+                  onRollback={handleRollback}
+                />
+              )}
             </>
           )}
 
+          {/* Model Configuration */}
+          <ModelSettings onMessage={setMessage} readOnly={!isAdmin} />
+
+          {/* Users */}
+          {isAdmin && <UserSettings currentUser={user} onMessage={setMessage} />}
+
+          {/* Workspace */}
+          {isAdmin && <WorkspaceSettings currentUser={user} onMessage={setMessage} />}
+
           {/* Tips */}
           <div className="bg-blue-50 rounded-xl p-6 border border-blue-200">
             <h3 className="font-semibold text-gray-800 mb-3">
@@ -182,9 +368,9 @@ export default function Settings() {
               <li><strong>System Prompt:</strong> Define Claude's role, expertise, and output format. Keep it focused on "who" Claude is and "how" to respond.</li>
               <li><strong>User Prompt:</strong> Provide the specific task and data to analyze. Use placeholders for dynamic content.</li>
               <li><strong>Separation Benefits:</strong> Separating prompts improves Claude's understanding and response quality.</li>
-              <li><strong>Placeholders:</strong> Use <code className="bg-white px-1 py-0.5 rounded">{'{{TRANSCRIPT}}'}</code>, <code className="bg-white px-1 py-0.5 rounded">{'{{MEETING_ID}}'}</code>, <code className="bg-white px-1 py-0.5 rounded">{'{{PARTICIPANTS}}'}</code>, <code className="bg-white px-1 py-0.5 rounded">{'{{DURATION}}'}</code> in user prompt only.</li>
-              <li><strong>JSON Output:</strong> Request structured JSON in system prompt for consistent parsing.</li>
-              <li><strong>Testing:</strong> Test your custom prompts with sample calls before production use.</li>
+              <li><strong>Placeholders:</strong> Work in both prompts. Use <code className="bg-white px-1 py-0.5 rounded">{'{{#if ...}}'}</code> for details that may be missing, such as deal fields, and check the preview before saving.</li>
+              <li><strong>Structured Output:</strong> Coaching cards are returned through the <code className="bg-white px-1 py-0.5 rounded">record_coaching</code> tool, whose schema enforces the card format. Ask for it in the system prompt.</li>
+              <li><strong>Testing:</strong> Try your changes in the Playground on a few real calls, at different points, before saving them.</li>
             </ul>
           </div>
         </div>
@@ -192,3 +378,1212 @@ export default function Settings() {
     </>
   );
 }
+
+/**
+ * Template errors under a prompt editor
+ */
+function TemplateErrors({ errors }) {
+  if (errors.length === 0) return null;
+
+  return (
+    <ul className="mt-3 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800 list-disc list-inside space-y-1">
+      {errors.map((error) => <li key={error}>{error}</li>)}
+    </ul>
+  );
+}
+
+const TEMPLATE_SYNTAX = [
+  ['{{NAME}}', 'Insert a variable (lists are comma-separated)'],
+  ['{{#if NAME}}...{{else}}...{{/if}}', 'Only when the variable has a value'],
+  ['{{#unless NAME}}...{{/unless}}', 'Only when the variable is empty'],
+  ['{{#each NAME}}...{{else}}...{{/each}}', 'Repeat for each item of a list'],
+  ['{{this}}, {{@number}}, {{@first}}, {{@last}}', 'Inside #each: the item and its position'],
+];
+
+/**
+ * Live preview of the prompts rendered against a sample call, with the template reference
+ */
+function TemplatePreview({ systemPrompt, userPrompt }) {
+  const [open, setOpen] = useState(true);
+
+  // Rendered only while open, on every edit
+  const rendered = useMemo(
+    () => (open ? { system: renderSample(systemPrompt), user: renderSample(userPrompt) } : null),
+    [open, systemPrompt, userPrompt]
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+            Preview
+          </h2>
+          <p className="text-sm text-gray-600">
+            The prompts as Claude would receive them during a sample bilingual discovery call.
+          </p>
+        </div>
+        <button
+          onClick={() => setOpen(!open)}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg transition duration-200"
+        >
+          {open ? 'Hide Preview' : 'Show Preview'}
+        </button>
+      </div>
+
+      {rendered && (
+        <div className="grid md:grid-cols-2 gap-4 mt-6">
+          {[['System prompt', rendered.system], ['User prompt', rendered.user]].map(([title, text]) => (
+            <div key={title}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+              <pre className="h-80 overflow-auto p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-800 whitespace-pre-wrap">
+                {text}
+              </pre>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <details className="mt-6">
+        <summary className="cursor-pointer text-sm font-semibold text-gray-700">Template Reference</summary>
+
+        <table className="w-full mt-4 text-sm">
+          <tbody>
+            {TEMPLATE_SYNTAX.map(([syntax, description]) => (
+              <tr key={syntax} className="border-b border-gray-100">
+                <td className="py-1 pr-4 font-mono text-xs text-gray-900 whitespace-nowrap">{syntax}</td>
+                <td className="py-1 text-gray-600">{description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <table className="w-full mt-4 text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-1 pr-4 font-medium">Variable</th>
+              <th className="py-1 pr-4 font-medium">Value</th>
+              <th className="py-1 font-medium">When empty</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(PROMPT_VARIABLES).map(([name, variable]) => (
+              <tr key={name} className="border-b border-gray-100">
+                <td className="py-1 pr-4 font-mono text-xs text-gray-900">{`{{${name}}}`}</td>
+                <td className="py-1 pr-4 text-gray-600">
+                  {variable.description}
+                  {variable.list && ' (list)'}
+                  {variable.itemFields && `; items have ${Object.keys(variable.itemFields).map((field) => `{{${field}}}`).join(', ')}`}
+                </td>
+                <td className="py-1 text-gray-500">{variable.fallback || '(empty)'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  );
+}
+
+/**
+ * Format a call offset as h:mm:ss or m:ss
+ */
+function formatOffset(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Try the prompts being edited on a stored meeting or an uploaded transcript: a card is
+ * generated at each chosen point with the draft and with the saved version of the profile
+ */
+function PromptPlayground({ systemPrompt, userPrompt, profile, disabled }) {
+  const [source, setSource] = useState('meeting');
+  const [meetings, setMeetings] = useState([]);
+  const [meetingId, setMeetingId] = useState('');
+  const [meetingSegments, setMeetingSegments] = useState([]);
+  const [upload, setUpload] = useState('');
+  const [repName, setRepName] = useState('');
+  const [points, setPoints] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/meetings?pageSize=100')
+      .then((response) => response.json())
+      .then((data) => setMeetings(data.data?.meetings || []))
+      .catch((err) => console.error('Error fetching meetings:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!meetingId) {
+      setMeetingSegments([]);
+      return;
+    }
+    fetch(`/api/settings/playground?meetingId=${encodeURIComponent(meetingId)}`)
+      .then((response) => response.json())
+      .then((data) => {
+        setMeetingSegments(data.segments || []);
+        setError(data.success ? null : data.message || data.error);
+      })
+      .catch((err) => setError(err.message));
+  }, [meetingId]);
+
+  const parsed = useMemo(() => (upload.trim() ? parseTranscriptUpload(upload) : null), [upload]);
+  const segments = source === 'meeting' ? meetingSegments : parsed?.segments || [];
+
+  // New transcript: start from points spread over it
+  useEffect(() => {
+    setPoints(suggestPoints(segments.length));
+    setResult(null);
+  }, [segments.length, source, meetingId]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setUpload(await file.text());
+  };
+
+  const setPoint = (index, value) => {
+    const number = Math.min(segments.length, Math.max(1, parseInt(value, 10) || 1));
+    setPoints(points.map((point, i) => (i === index ? number : point)));
+  };
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const response = await fetch('/api/settings/playground', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(source === 'meeting' ? { meetingId } : { transcript: upload, repName }),
+          systemPrompt,
+          userPrompt,
+          points,
+          profileId: profile.id,
+        }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setResult(data);
+      } else {
+        setError(data.details ? data.details.join('; ') : data.message || data.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const segmentLabel = (segment) => `${segment.offset !== null ? `[${formatOffset(segment.offset)}] ` : ''}${segment.speaker}: ${segment.text}`;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Playground
+        </h2>
+        <p className="text-sm text-gray-600">
+          Replay a call up to chosen points and compare the cards of the prompts above with
+          those of the saved version of &quot;{profile.name}&quot;. Call memory is not replayed and nothing is stored.
+        </p>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {[['meeting', 'Stored Meeting'], ['upload', 'Upload Transcript']].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setSource(value)}
+            className={`py-2 px-4 rounded-lg text-sm font-semibold transition duration-200 ${
+              source === value ? 'bg-primary-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {source === 'meeting' ? (
+        <select
+          value={meetingId}
+          onChange={(e) => setMeetingId(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 bg-white mb-4"
+        >
+          <option value="">Select a meeting...</option>
+          {meetings.filter((meeting) => meeting.segmentCount > 0).map((meeting) => (
+            <option key={meeting.meetingId} value={meeting.meetingId}>
+              {new Date(meeting.startTime).toLocaleString()} · {meeting.participants.join(', ') || meeting.meetingId} ({meeting.segmentCount} segments)
+            </option>
+          ))}
+        </select>
+      ) : (
+        <div className="mb-4">
+          <textarea
+            value={upload}
+            onChange={(e) => setUpload(e.target.value)}
+            className="w-full h-40 px-4 py-3 border border-gray-300 rounded-lg text-gray-900 bg-white font-mono text-sm resize-y"
+            placeholder={'One "Speaker: text" line per segment ("[m:ss] Speaker: text" for timings), or a Markdown or JSON export'}
+          />
+          <div className="flex flex-wrap items-center gap-4 mt-2">
+            <input type="file" accept=".txt,.md,.json" onChange={handleFile} className="text-sm text-gray-700" />
+            <input
+              type="text"
+              value={repName}
+              onChange={(e) => setRepName(e.target.value)}
+              placeholder="Sales rep name (optional)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 bg-white"
+            />
+          </div>
+          {parsed?.errors.length > 0 && <TemplateErrors errors={parsed.errors} />}
+        </div>
+      )}
+
+      {segments.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Generate a card after segment... ({segments.length} segments)
+          </h3>
+          <div className="space-y-2">
+            {points.map((point, index) => (
+              <div key={index} className="flex items-center gap-3">
+                <input
+                  type="number"
+                  min={1}
+                  max={segments.length}
+                  value={point}
+                  onChange={(e) => setPoint(index, e.target.value)}
+                  className="w-24 px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-900 bg-white"
+                />
+                <span className="flex-1 text-sm text-gray-600 truncate">{segments[point - 1] && segmentLabel(segments[point - 1])}</span>
+                <button
+                  onClick={() => setPoints(points.filter((_, i) => i !== index))}
+                  disabled={points.length === 1}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:text-gray-300"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          {points.length < MAX_PLAYGROUND_POINTS && (
+            <button
+              onClick={() => setPoints([...points, segments.length])}
+              className="mt-2 text-sm text-primary-600 hover:text-primary-800 font-semibold"
+            >
+              + Add point
+            </button>
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={run}
+        disabled={running || disabled || points.length === 0 || segments.length === 0}
+        className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+      >
+        {running ? `Generating ${points.length * 2} cards...` : 'Run Playground'}
+      </button>
+      {disabled && <p className="mt-2 text-sm text-red-700">Fix the template errors above first.</p>}
+      {error && <p className="mt-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">{error}</p>}
+
+      {result && (
+        <div className="mt-6 space-y-6">
+          {result.results.map(({ point, segment, draft, saved }) => (
+            <div key={point}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2 truncate">
+                After segment {point}: {segmentLabel(segment)}
+              </h3>
+              <div className="grid md:grid-cols-2 gap-4">
+                <PlaygroundCard title="Draft" coaching={draft} />
+                <PlaygroundCard title={`Saved: ${result.saved.profileName} v${result.saved.version}`} coaching={saved} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One generated card (or the error) in the playground
+ */
+function PlaygroundCard({ title, coaching }) {
+  const card = coaching.data;
+
+  return (
+    <div className="p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm">
+      <div className="text-xs font-semibold text-gray-500 uppercase mb-2">{title}</div>
+      {!coaching.success ? (
+        <div className="text-red-700">
+          {coaching.error}
+          {coaching.details && <ul className="list-disc list-inside mt-1">{coaching.details.map((detail) => <li key={detail}>{detail}</li>)}</ul>}
+        </div>
+      ) : (
+        <div className="space-y-2 text-gray-800">
+          <div className="text-xs text-gray-500">{card.phase.methodology} · {card.phase.stage} — {card.phase.context}</div>
+          <div><strong>Say:</strong> &quot;{card.action.script}&quot; ({card.action.language})</div>
+          <div><strong>Tip:</strong> {card.tip.insight} <span className="text-gray-500">{card.tip.rationale}</span></div>
+          <div><strong>Risk:</strong> {card.risk.warning} <span className="text-gray-500">({card.risk.consequence})</span></div>
+          <div><strong>Next:</strong> {card.next.action} ({card.next.timeline})</div>
+          <div className="text-xs text-gray-500">
+            Discovery {card.metrics.discovery} · Pain {card.metrics.pain_quantified} · DM {card.metrics.dm_engagement} · Stakeholders {card.metrics.stakeholders} · Alignment {card.metrics.alignment}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Version history of a prompt profile with diffs between versions and rollback
+ */
+function PromptHistory({ profile, canRollback, onRollback }) {
+  const newest = profile.versions[0].version;
+  const [from, setFrom] = useState(Math.max(1, newest - 1));
+  const [to, setTo] = useState(newest);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Start from the latest change whenever another profile or version is shown
+  useEffect(() => {
+    setFrom(Math.max(1, newest - 1));
+    setTo(newest);
+    setDiff(null);
+  }, [profile.id, newest]);
+
+  const compare = async (fromVersion, toVersion) => {
+    try {
+      const params = new URLSearchParams({ from: String(fromVersion), to: String(toVersion) });
+      const response = await fetch(`/api/settings/prompts/${encodeURIComponent(profile.id)}/diff?${params}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setFrom(fromVersion);
+        setTo(toVersion);
+        setDiff(data);
+        setError(null);
+      } else {
+        setError(data.message || 'Failed to compare versions');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const versionSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="px-2 py-1 border border-gray-300 rounded text-gray-900 bg-white text-sm"
+    >
+      {profile.versions.map((v) => (
+        <option key={v.version} value={v.version}>v{v.version}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Version History
+        </h2>
+        <p className="text-sm text-gray-600">
+          Every save of &quot;{profile.name}&quot; is kept. Restoring a version saves it again as the newest one.
+        </p>
+      </div>
+
+      <ul className="divide-y divide-gray-100 mb-6">
+        {profile.versions.map((v) => (
+          <li key={v.version} className="py-3 flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-mono font-semibold text-gray-800 w-10">v{v.version}</span>
+            <span className="text-gray-500">{v.createdAt ? new Date(v.createdAt).toLocaleString() : 'Initial'}</span>
+            <span className="text-gray-700">{v.author?.name || v.author?.email || 'System'}</span>
+            {v.note && <span className="text-gray-500 italic">{v.note}</span>}
+            <span className="ml-auto flex gap-3">
+              {v.version > 1 && (
+                <button
+                  onClick={() => compare(v.version - 1, v.version)}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Changes
+                </button>
+              )}
+              {v.version === newest ? (
+                <span className="text-xs text-gray-400">Current</span>
+              ) : canRollback && (
+                <button
+                  onClick={() => onRollback(v.version)}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Restore
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {profile.versions.length > 1 && (
+        <div className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          Compare {versionSelect(from, setFrom)} with {versionSelect(to, setTo)}
+          <button
+            onClick={() => compare(from, to)}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-1 px-3 rounded transition duration-200"
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {diff && (
+        <div className="space-y-4">
+          {[['System Prompt', diff.systemPrompt], ['User Prompt Template', diff.userPrompt]].map(([title, result]) => (
+            <div key={title}>
+              <h3 className="font-semibold text-gray-800 mb-2 text-sm">
+                {title}: v{diff.from} → v{diff.to}{' '}
+                <span className="text-green-700">+{result.added}</span>{' '}
+                <span className="text-red-700">-{result.removed}</span>
+              </h3>
+              {result.added === 0 && result.removed === 0 ? (
+                <p className="text-sm text-gray-500">No changes</p>
+              ) : (
+                <pre className="border border-gray-200 rounded-lg text-xs font-mono overflow-x-auto max-h-96">
+                  {result.lines.map((line, index) => (
+                    <div
+                      key={index}
+                      className={
+                        line.type === 'added' ? 'bg-green-50 text-green-800'
+                          : line.type === 'removed' ? 'bg-red-50 text-red-800'
+                            : 'text-gray-600'
+                      }
+                    >
+                      {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                    </div>
+                  ))}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const GROUPS = [
+  { key: 'coaching', title: 'Coaching Cards', description: 'Full coaching cards generated on the scheduler cadence' },
+  { key: 'segment', title: 'Instant Tips', description: 'Quick tip for each prospect statement, within a second or two' },
+  { key: 'memory', title: 'Call Memory', description: 'Rolling summary of pains, budget, stakeholders and objections fed to the coach' },
+  { key: 'summary', title: 'Post-Call Summary', description: 'Summary and follow-up email after the call' },
+];
+
+function ModelSettings({ onMessage, readOnly }) {
+  const [config, setConfig] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchConfig();
+  }, []);
+
+  const fetchConfig = async () => {
+    try {
+      const response = await fetch('/api/settings/config');
+      const data = await response.json();
+      setConfig(data.config);
+    } catch (error) {
+      console.error('Error fetching config:', error);
+      onMessage({ type: 'error', text: 'Failed to load model configuration' });
+    }
+  };
+
+  const updateField = (group, key, value) => {
+    setConfig((previous) => ({
+      ...previous,
+      [group]: { ...previous[group], [key]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    onMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch('/api/settings/config', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ config }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setConfig(data.config);
+        onMessage({ type: 'success', text: 'Model configuration saved successfully!' });
+      } else {
+        onMessage({ type: 'error', text: data.message || 'Failed to save model configuration' });
+      }
+    } catch (error) {
+      console.error('Error saving config:', error);
+      onMessage({ type: 'error', text: 'Failed to save model configuration' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm('Reset model configuration to the environment defaults?')) return;
+
+    setSaving(true);
+    try {
+      const response = await fetch('/api/settings/config', { method: 'DELETE' });
+
+      if (response.ok) {
+        const data = await response.json();
+        setConfig(data.config);
+        onMessage({ type: 'success', text: 'Model configuration reset to default' });
+      }
+    } catch (error) {
+      console.error('Error resetting config:', error);
+      onMessage({ type: 'error', text: 'Failed to reset model configuration' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config) return null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white text-sm';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Model Configuration
+        </h2>
+        <p className="text-sm text-gray-600">
+          Models and generation parameters for each Claude call. Defaults come from environment variables.
+        </p>
+      </div>
+
+      <fieldset disabled={readOnly} className="space-y-6">
+        {GROUPS.map(({ key, title, description }) => (
+          <div key={key} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="font-semibold text-gray-800">{title}</h3>
+                <p className="text-xs text-gray-500 mb-3">{description}</p>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={config[key].enabled}
+                  onChange={(e) => updateField(key, 'enabled', e.target.checked)}
+                />
+                Enabled
+              </label>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4">
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Model</span>
+                <input
+                  type="text"
+                  value={config[key].model}
+                  onChange={(e) => updateField(key, 'model', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Max tokens</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={config[key].maxTokens}
+                  onChange={(e) => updateField(key, 'maxTokens', parseInt(e.target.value, 10) || 0)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Temperature</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.1"
+                  value={config[key].temperature}
+                  onChange={(e) => updateField(key, 'temperature', parseFloat(e.target.value) || 0)}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+
+            {key === 'segment' && (
+              <div className="grid md:grid-cols-3 gap-4 mt-4">
+                <label className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-1">Minimum words per statement</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={config.segment.minWords}
+                    onChange={(e) => updateField('segment', 'minWords', parseInt(e.target.value, 10) || 0)}
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+            )}
+
+            {key === 'coaching' && (
+              <div className="mt-4 space-y-4">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.coaching.skillsEnabled}
+                    onChange={(e) => updateField('coaching', 'skillsEnabled', e.target.checked)}
+                  />
+                  Use the coaching-live-sales-calls skill container
+                </label>
+
+                {config.coaching.skillsEnabled && (
+                  <div className="grid md:grid-cols-3 gap-4">
+                    <label className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-1">Skill ID</span>
+                      <input
+                        type="text"
+                        value={config.coaching.skillId}
+                        onChange={(e) => updateField('coaching', 'skillId', e.target.value)}
+                        className={`${inputClass} font-mono`}
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-1">Skill version</span>
+                      <input
+                        type="text"
+                        value={config.coaching.skillVersion}
+                        onChange={(e) => updateField('coaching', 'skillVersion', e.target.value)}
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-1">Beta flags (comma separated)</span>
+                      <input
+                        type="text"
+                        value={config.coaching.betas.join(', ')}
+                        onChange={(e) => updateField('coaching', 'betas', e.target.value.split(',').map((beta) => beta.trim()).filter(Boolean))}
+                        className={`${inputClass} font-mono`}
+                      />
+                    </label>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </fieldset>
+
+      {!readOnly && (
+        <div className="flex gap-4 mt-6">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Configuration'}
+          </button>
+
+          <button
+            onClick={handleReset}
+            disabled={saving}
+            className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 shadow-md hover:shadow-lg disabled:cursor-not-allowed"
+          >
+            Reset to Default
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const ROLES = ['rep', 'manager', 'admin'];
+
+const EMPTY_USER = { email: '', name: '', role: 'rep', password: '' };
+
+function UserSettings({ currentUser, onMessage }) {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [loginLink, setLoginLink] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await fetch('/api/users');
+      const data = await response.json();
+      if (data.success) setUsers(data.users);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      onMessage({ type: 'error', text: 'Failed to load users' });
+    }
+  };
+
+  // Run a users API request and refresh the list on success
+  const request = async (url, options, successText) => {
+    setSaving(true);
+    onMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        if (successText) onMessage({ type: 'success', text: successText });
+        await fetchUsers();
+        return data;
+      }
+      onMessage({ type: 'error', text: data.message || 'Request failed' });
+    } catch (error) {
+      console.error('Error in users request:', error);
+      onMessage({ type: 'error', text: 'Request failed' });
+    } finally {
+      setSaving(false);
+    }
+    return null;
+  };
+
+  const userUrl = (email) => `/api/users/${encodeURIComponent(email)}`;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const { password, ...fields } = newUser;
+    const data = await request('/api/users', {
+      method: 'POST',
+      body: JSON.stringify({ ...fields, ...(password && { password }) }),
+    }, 'User created successfully!');
+    if (data) setNewUser(EMPTY_USER);
+  };
+
+  const handleRoleChange = (email, role) => {
+    request(userUrl(email), { method: 'PUT', body: JSON.stringify({ role }) }, 'Role updated');
+  };
+
+  const handleDelete = (email) => {
+    if (!confirm(`Delete ${email}? They will no longer be able to sign in.`)) return;
+    request(userUrl(email), { method: 'DELETE' }, 'User deleted');
+  };
+
+  const handleLoginLink = async (email) => {
+    const data = await request(`${userUrl(email)}/link`, { method: 'POST', body: '{}' });
+    if (data) setLoginLink({ email, ...data });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white text-sm';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Users
+        </h2>
+        <p className="text-sm text-gray-600">
+          Reps see the meetings they create, managers see every meeting, admins also manage settings and users.
+        </p>
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">User</th>
+              <th className="py-2 pr-4 font-medium">Role</th>
+              <th className="py-2 pr-4 font-medium">Sign-in</th>
+              <th className="py-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr key={user.email} className="border-b border-gray-100">
+                <td className="py-3 pr-4 text-gray-800">
+                  {user.name}
+                  <p className="text-xs text-gray-400">{user.email}</p>
+                </td>
+                <td className="py-3 pr-4">
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user.email, e.target.value)}
+                    disabled={saving || user.email === currentUser.email}
+                    className={inputClass}
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-3 pr-4 text-gray-700">
+                  {user.hasPassword ? 'Password or link' : 'Link only'}
+                </td>
+                <td className="py-3 text-right whitespace-nowrap space-x-4">
+                  <button
+                    onClick={() => handleLoginLink(user.email)}
+                    disabled={saving}
+                    className="text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Login link
+                  </button>
+                  {user.email !== currentUser.email && (
+                    <button
+                      onClick={() => handleDelete(user.email)}
+                      disabled={saving}
+                      className="text-red-600 hover:text-red-700 font-medium"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {loginLink && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 text-sm">
+          <p className="text-gray-700 mb-2">
+            Login link for <strong>{loginLink.email}</strong>, valid until {new Date(loginLink.expiresAt).toLocaleString()}. Share it privately:
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={loginLink.url}
+            onFocus={(e) => e.target.select()}
+            className={`${inputClass} font-mono text-xs`}
+          />
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4">
+        <h3 className="font-semibold text-gray-800 mb-3">Add User</h3>
+        <div className="grid md:grid-cols-4 gap-4">
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Email</span>
+            <input
+              type="email"
+              value={newUser.email}
+              onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </label>
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Name</span>
+            <input
+              type="text"
+              value={newUser.name}
+              onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Role</span>
+            <select
+              value={newUser.role}
+              onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+              className={inputClass}
+            >
+              {ROLES.map((role) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Password (optional)</span>
+            <input
+              type="password"
+              value={newUser.password}
+              onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+              placeholder="Login links only"
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="mt-4 bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+        >
+          Add User
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const EMPTY_WORKSPACE = { id: '', name: '', adminEmail: '', adminName: '' };
+
+function WorkspaceSettings({ currentUser, onMessage }) {
+  const [workspace, setWorkspace] = useState(null);
+  const [name, setName] = useState('');
+  const [webhookSecret, setWebhookSecret] = useState('');
+  const [workspaces, setWorkspaces] = useState([]);
+  const [newWorkspace, setNewWorkspace] = useState(EMPTY_WORKSPACE);
+  const [created, setCreated] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchWorkspace();
+    if (currentUser.canManageWorkspaces) fetchWorkspaces();
+  }, [currentUser.canManageWorkspaces]);
+
+  const fetchWorkspace = async () => {
+    try {
+      const response = await fetch('/api/workspace');
+      const data = await response.json();
+      if (data.success) {
+        setWorkspace(data.workspace);
+        setName(data.workspace.name);
+      }
+    } catch (error) {
+      console.error('Error fetching workspace:', error);
+      onMessage({ type: 'error', text: 'Failed to load workspace' });
+    }
+  };
+
+  const fetchWorkspaces = async () => {
+    try {
+      const response = await fetch('/api/workspaces');
+      const data = await response.json();
+      if (data.success) setWorkspaces(data.workspaces);
+    } catch (error) {
+      console.error('Error fetching workspaces:', error);
+    }
+  };
+
+  const saveWorkspace = async (changes, successText) => {
+    setSaving(true);
+    onMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch('/api/workspace', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setWorkspace(data.workspace);
+        setWebhookSecret('');
+        onMessage({ type: 'success', text: successText });
+      } else {
+        onMessage({ type: 'error', text: data.message || 'Failed to save workspace' });
+      }
+    } catch (error) {
+      console.error('Error saving workspace:', error);
+      onMessage({ type: 'error', text: 'Failed to save workspace' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveWorkspace({ name, ...(webhookSecret.trim() && { webhookSecret }) }, 'Workspace saved successfully!');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    onMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch('/api/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: newWorkspace.id,
+          name: newWorkspace.name,
+          admin: { email: newWorkspace.adminEmail, name: newWorkspace.adminName || undefined },
+        }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setCreated(data);
+        setNewWorkspace(EMPTY_WORKSPACE);
+        onMessage({ type: 'success', text: 'Workspace created successfully!' });
+        fetchWorkspaces();
+      } else {
+        onMessage({ type: 'error', text: data.message || 'Failed to create workspace' });
+      }
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      onMessage({ type: 'error', text: 'Failed to create workspace' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!workspace) return null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none transition text-gray-900 bg-white text-sm';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Workspace
+        </h2>
+        <p className="text-sm text-gray-600">
+          Meetings, users, prompts and models on this page belong to this workspace only.
+        </p>
+      </div>
+
+      <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4">
+        <div className="grid md:grid-cols-3 gap-4">
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">ID</span>
+            <input type="text" value={workspace.id} readOnly className={`${inputClass} font-mono bg-gray-50`} />
+          </label>
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Name</span>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClass}
+              required
+            />
+          </label>
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Recall.ai webhook secret</span>
+            <input
+              type="password"
+              value={webhookSecret}
+              onChange={(e) => setWebhookSecret(e.target.value)}
+              placeholder={workspace.hasWebhookSecret ? 'Set (enter a new one to replace it)' : 'Using RECALL_WEBHOOK_SECRET'}
+              autoComplete="off"
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+        </div>
+        <div className="flex gap-4 mt-4">
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+          >
+            Save Workspace
+          </button>
+          {workspace.hasWebhookSecret && (
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => saveWorkspace({ webhookSecret: null }, 'Webhook secret cleared')}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition duration-200"
+            >
+              Clear Webhook Secret
+            </button>
+          )}
+        </div>
+      </form>
+
+      {currentUser.canManageWorkspaces && (
+        <div className="mt-6">
+          <h3 className="font-semibold text-gray-800 mb-3">All Workspaces</h3>
+          <ul className="text-sm text-gray-700 mb-4 space-y-1">
+            {workspaces.map((item) => (
+              <li key={item.id}>
+                {item.name} <span className="font-mono text-xs text-gray-400">{item.id}</span>
+                {item.hasWebhookSecret && <span className="ml-2 text-xs text-green-700">own webhook secret</span>}
+              </li>
+            ))}
+          </ul>
+
+          {created && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-sm">
+              <p className="text-gray-700 mb-2">
+                Send this login link to <strong>{created.admin.email}</strong>, the admin of {created.workspace.name}:
+              </p>
+              <input
+                type="text"
+                readOnly
+                value={created.loginLink.url}
+                onFocus={(e) => e.target.select()}
+                className={`${inputClass} font-mono text-xs`}
+              />
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4">
+            <h3 className="font-semibold text-gray-800 mb-3">Add Workspace</h3>
+            <div className="grid md:grid-cols-4 gap-4">
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">ID</span>
+                <input
+                  type="text"
+                  value={newWorkspace.id}
+                  onChange={(e) => setNewWorkspace({ ...newWorkspace, id: e.target.value.toLowerCase() })}
+                  placeholder="latam"
+                  className={`${inputClass} font-mono`}
+                  required
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Name</span>
+                <input
+                  type="text"
+                  value={newWorkspace.name}
+                  onChange={(e) => setNewWorkspace({ ...newWorkspace, name: e.target.value })}
+                  placeholder="LATAM"
+                  className={inputClass}
+                  required
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Admin email</span>
+                <input
+                  type="email"
+                  value={newWorkspace.adminEmail}
+                  onChange={(e) => setNewWorkspace({ ...newWorkspace, adminEmail: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Admin name</span>
+                <input
+                  type="text"
+                  value={newWorkspace.adminName}
+                  onChange={(e) => setNewWorkspace({ ...newWorkspace, adminName: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="mt-4 bg-primary-600 hover:bg-primary-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+            >
+              Add Workspace
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
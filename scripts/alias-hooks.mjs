@@ -0,0 +1,28 @@
+import { existsSync, statSync } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Module hooks that let plain Node run the app's lib/ modules outside Next.js:
+ * resolves the "@/..." alias (see tsconfig.json) and loads lib/ as ES modules, except
+ * the CommonJS storage layer.
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const libUrl = `${pathToFileURL(path.join(root, 'lib')).href}/`;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith('@/')) return nextResolve(specifier, context);
+
+  const base = path.join(root, specifier.slice(2));
+  const file = [`${base}.js`, path.join(base, 'index.js'), base]
+    .find((candidate) => existsSync(candidate) && statSync(candidate).isFile());
+  return nextResolve(file ? pathToFileURL(file).href : specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(libUrl) && !url.startsWith(`${libUrl}storage/`)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
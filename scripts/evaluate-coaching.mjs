@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+import { readFileSync, readdirSync, writeFileSync, existsSync } from 'fs';
+import { register } from 'module';
+import path from 'path';
+import { parseArgs } from 'util';
+
+/**
+ * Offline coaching evaluation
+ * Runs the golden fixtures through the coaching pipeline and prints a scored report
+ * (see lib/evaluation.js). Usage: npm run eval -- [options]
+ */
+
+const USAGE = `Usage: npm run eval -- [options]
+
+  --client live|replay|mock  Who answers the coaching requests (default: live)
+                               live: the Claude API (needs CLAUDE_API_KEY)
+                               replay: responses recorded earlier with --record
+                               mock: the sample responses of the responses file
+  --record                   With live: save the responses to the recordings file
+  --recordings <file>        Recordings file (default: eval/recordings.json)
+  --responses <file>         Sample responses for mock (default: eval/responses.json)
+  --fixtures <dir>           Fixture directory (default: eval/fixtures)
+  --prompts <file>           Evaluate a JSON file with { systemPrompt, userPrompt }
+  --profile <id>             Evaluate a prompt library profile (default: the active one)
+  --version <n>              Version of the profile (default: the newest)
+  --workspace <id>           Workspace of the profile and model configuration (default: default)
+  --out <file>               Write the JSON report
+  --compare <file>           Show the changes since an earlier JSON report
+  --min-score <n>            Exit with code 1 when the score is lower
+  --verbose                  Show the pipeline's logs
+`;
+
+const { values: options } = parseArgs({
+  options: {
+    client: { type: 'string', default: 'live' },
+    record: { type: 'boolean', default: false },
+    recordings: { type: 'string', default: 'eval/recordings.json' },
+    responses: { type: 'string', default: 'eval/responses.json' },
+    fixtures: { type: 'string', default: 'eval/fixtures' },
+    prompts: { type: 'string' },
+    profile: { type: 'string' },
+    version: { type: 'string' },
+    workspace: { type: 'string', default: 'default' },
+    out: { type: 'string' },
+    compare: { type: 'string' },
+    'min-score': { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+/**
+ * Print an error and exit
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file
+ * @returns {*}
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    return fail(`Can't read ${file}: ${error.message}`);
+  }
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!['live', 'replay', 'mock'].includes(options.client)) fail(`--client must be live, replay or mock\n\n${USAGE}`);
+if (options.record && options.client !== 'live') fail('--record needs --client live');
+
+if (options.client === 'live' && !process.env.CLAUDE_API_KEY) {
+  fail('CLAUDE_API_KEY is not set (use --client replay or mock to run offline)');
+}
+
+// The pipeline logs every step; keep the output to the report unless asked
+const logs = { log: console.log, warn: console.warn, error: console.error };
+const quiet = (on) => {
+  if (options.verbose) return;
+  Object.assign(console, on ? { log() {}, warn() {}, error() {} } : logs);
+};
+
+register('./alias-hooks.mjs', import.meta.url);
+quiet(true);
+const {
+  createRecordingClient,
+  createReplayClient,
+  createScriptedClient,
+  formatReport,
+  libraryPrompts,
+  parseFixture,
+  runEvaluation,
+} = await import('@/lib/evaluation');
+const { validatePrompts } = await import('@/lib/prompts');
+quiet(false);
+
+// Fixtures
+const fixtureFiles = existsSync(options.fixtures)
+  ? readdirSync(options.fixtures).filter((file) => file.endsWith('.json')).sort()
+  : [];
+if (fixtureFiles.length === 0) fail(`No fixtures in ${options.fixtures}`);
+
+const fixtures = fixtureFiles.map((file) => {
+  const parsed = parseFixture(readJson(path.join(options.fixtures, file)));
+  if (parsed.errors.length > 0) fail(`${file}:\n  ${parsed.errors.join('\n  ')}`);
+  return parsed;
+});
+
+// Prompts
+let prompts;
+if (options.prompts) {
+  prompts = { ...readJson(options.prompts), source: options.prompts };
+  const errors = validatePrompts(prompts);
+  if (errors.length > 0) fail(`${options.prompts}:\n  ${errors.join('\n  ')}`);
+} else {
+  try {
+    const version = options.version === undefined ? undefined : Number(options.version);
+    prompts = { ...(await libraryPrompts(options.workspace, options.profile, version)), source: 'library' };
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+// Client
+const recordings = options.client === 'replay' || options.record
+  ? (existsSync(options.recordings) ? readJson(options.recordings) : {})
+  : null;
+let client;
+if (options.client === 'live') {
+  const { default: Anthropic } = await import('@anthropic-ai/sdk');
+  const anthropic = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+  client = options.record ? createRecordingClient(anthropic, recordings) : anthropic;
+} else if (options.client === 'replay') {
+  if (Object.keys(recordings).length === 0) fail(`No recordings in ${options.recordings} (run with --client live --record first)`);
+  client = createReplayClient(recordings);
+} else {
+  const responses = readJson(options.responses);
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) fail(`${options.responses} must be an object of sample responses per fixture`);
+  client = createScriptedClient(responses);
+}
+
+const baseline = options.compare ? readJson(options.compare) : null;
+
+const checkpointCount = fixtures.reduce((count, { fixture }) => count + fixture.checkpoints.length, 0);
+process.stdout.write(`Evaluating ${fixtures.length} fixtures (${checkpointCount} checkpoints) with the ${options.client} client\n`);
+quiet(true);
+
+const report = await runEvaluation(fixtures, {
+  prompts,
+  client,
+  workspaceId: options.workspace,
+  onCheckpoint: (fixture, checkpoint) => {
+    process.stdout.write(`  ${fixture.id} after segment ${checkpoint.after}: ${checkpoint.score}\n`);
+  },
+});
+report.client = options.client;
+quiet(false);
+
+if (options.record) {
+  writeFileSync(options.recordings, `${JSON.stringify(recordings, null, 2)}\n`);
+  console.log(`\nRecorded ${Object.keys(recordings).length} responses to ${options.recordings}`);
+}
+if (options.out) {
+  writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(`\nReport written to ${options.out}`);
+}
+
+console.log(`\n${formatReport(report, baseline)}`);
+
+const minScore = options['min-score'] === undefined ? null : Number(options['min-score']);
+if (minScore !== null && !(report.score >= minScore)) {
+  console.error(`\n❌ Score ${report.score} is below --min-score ${minScore}`);
+  process.exit(1);
+}
+process.exit(0);
@@ -0,0 +1,8 @@
+import { register } from 'module';
+
+/**
+ * Registers the module hooks in alias-hooks.mjs before anything else loads, so a command can
+ * import lib/ directly: node --import ./scripts/register-hooks.mjs ... (used by npm test)
+ */
+
+register('./alias-hooks.mjs', import.meta.url);
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+import { register } from 'module';
+import { parseArgs } from 'util';
+import { Webhook } from 'svix';
+
+/**
+ * Call simulator
+ * Replays a recorded or scripted conversation into /api/webhook/recall as the webhooks a
+ * Recall.ai bot would send (see lib/simulator.js), so the dashboard and the coaching loop
+ * run without a real meeting. Usage: npm run simulate -- [options]
+ */
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --fixture <file>      Scripted conversation: an eval fixture with transcript, repName and
+                        deal_context (default: eval/fixtures/colombia-aws-discovery.json)
+  --transcript <file>   Recorded conversation instead: "Speaker: text" lines (optionally
+                        "[m:ss] Speaker: text"), a Markdown export or a JSON export
+  --url <url>           App to send the webhooks to (default: NEXT_PUBLIC_APP_URL or
+                        http://localhost:3000)
+  --speed <n>           Playback speed: 1 is real time, 10 ten times faster, 0 no waiting
+                        (default: 1)
+  --email <email>       Sign in as this user, who will own the meeting (default: ADMIN_EMAIL)
+  --password <pw>       Their password (default: ADMIN_PASSWORD)
+  --rep <name>          The rep's speaker name (default: the fixture's repName)
+  --profile <id>        Prompt profile of the meeting (default: the workspace's active one)
+  --meeting <id>        Send the webhooks for this meeting instead of registering a new one
+  --secret <secret>     Sign the bot status webhooks with this Svix secret, and the transcript
+                        webhooks too when the meeting isn't registered (default:
+                        RECALL_WEBHOOK_SECRET)
+  --final-only          Skip the interim results (transcript.partial_data)
+  --verbose             Show every webhook
+`;
+
+const { values: options } = parseArgs({
+  options: {
+    fixture: { type: 'string' },
+    transcript: { type: 'string' },
+    url: { type: 'string', default: process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000' },
+    speed: { type: 'string', default: '1' },
+    email: { type: 'string', default: process.env.ADMIN_EMAIL },
+    password: { type: 'string', default: process.env.ADMIN_PASSWORD },
+    rep: { type: 'string' },
+    profile: { type: 'string' },
+    meeting: { type: 'string' },
+    secret: { type: 'string', default: process.env.RECALL_WEBHOOK_SECRET },
+    'final-only': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+/**
+ * Print an error and exit
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Read a text file
+ * @param {string} file
+ * @returns {string}
+ */
+function readText(file) {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (error) {
+    return fail(`Can't read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function clock(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sign in and return the session cookie
+ * @param {string} baseUrl
+ * @returns {Promise<string>} Cookie header
+ */
+async function signIn(baseUrl) {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: options.email, password: options.password }),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    fail(`Sign-in as ${options.email} failed (${response.status}): ${body.message || body.error || 'unknown error'}`);
+  }
+  return response.headers.getSetCookie().map((cookie) => cookie.split(';')[0]).join('; ');
+}
+
+/**
+ * Register a simulated meeting through the bot creation endpoint
+ * @param {string} baseUrl
+ * @param {string} cookie - Session cookie
+ * @param {Object} details - { repName, deal }
+ * @returns {Promise<Object>} { meetingId, realtimeToken (null when the workspace has no webhook secret) }
+ */
+async function registerMeeting(baseUrl, cookie, { repName, deal }) {
+  const response = await fetch(`${baseUrl}/api/bot/create`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({
+      simulate: true,
+      bot_name: 'Simulated Bot',
+      ...(repName && { rep_name: repName }),
+      ...(options.profile && { prompt_profile: options.profile }),
+      ...(deal && { deal_context: deal }),
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) fail(`Can't register the meeting (${response.status}): ${body.message || body.error || 'unknown error'}`);
+  const realtimeUrl = new URL(body.data.realtime_webhook_url || body.data.webhook_url, baseUrl);
+  return { meetingId: body.data.meeting_id, realtimeToken: realtimeUrl.searchParams.get('token') };
+}
+
+/**
+ * Post one webhook like Recall.ai does: bot status events are Svix-signed when a secret
+ * is set; transcript events (realtime endpoints) are unsigned and carry the realtime
+ * token in the URL, or are signed too when there is no token
+ * @param {string} webhookUrl
+ * @param {Object} payload
+ * @param {Object} auth - { signer (Webhook or null), realtimeToken (or null) }
+ * @returns {Promise<Response>}
+ */
+function postWebhook(webhookUrl, payload, { signer, realtimeToken }) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  const realtime = !payload.event.startsWith('bot.');
+
+  if (realtime && realtimeToken) {
+    return fetch(`${webhookUrl}?token=${encodeURIComponent(realtimeToken)}`, { method: 'POST', headers, body });
+  }
+  if (signer) {
+    const id = `msg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    const timestamp = new Date();
+    headers['svix-id'] = id;
+    headers['svix-timestamp'] = String(Math.floor(timestamp.getTime() / 1000));
+    headers['svix-signature'] = signer.sign(id, timestamp, body);
+  }
+
+  return fetch(webhookUrl, { method: 'POST', headers, body });
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (options.fixture && options.transcript) fail('Use --fixture or --transcript, not both');
+
+const speed = Number(options.speed);
+if (!Number.isFinite(speed) || speed < 0) fail('--speed must be a number of at least 0');
+
+let signer = null;
+if (options.secret) {
+  try {
+    signer = new Webhook(options.secret);
+  } catch (error) {
+    fail(`Invalid webhook secret: ${error.message}`);
+  }
+}
+
+register('./alias-hooks.mjs', import.meta.url);
+const { parseTranscriptUpload } = await import('@/lib/playground');
+const { simulatedBotId, simulatedEvents } = await import('@/lib/simulator');
+
+// Conversation
+let source;
+let transcript;
+let repName = options.rep;
+let deal;
+if (options.transcript) {
+  source = options.transcript;
+  transcript = readText(options.transcript);
+} else {
+  source = options.fixture || 'eval/fixtures/colombia-aws-discovery.json';
+  let fixture;
+  try {
+    fixture = JSON.parse(readText(source));
+  } catch (error) {
+    fail(`${source} is not valid JSON: ${error.message}`);
+  }
+  transcript = typeof fixture.transcript === 'string' ? fixture.transcript : JSON.stringify(fixture.transcript ?? '');
+  repName = repName ?? fixture.repName;
+  deal = fixture.deal_context;
+}
+
+const { segments, errors } = parseTranscriptUpload(transcript);
+if (errors.length > 0) fail(`${source}:\n  ${errors.join('\n  ')}`);
+
+// Meeting
+const baseUrl = options.url.replace(/\/+$/, '');
+let meetingId = options.meeting;
+let realtimeToken = null;
+try {
+  if (!meetingId && options.email && options.password) {
+    ({ meetingId, realtimeToken } = await registerMeeting(baseUrl, await signIn(baseUrl), { repName, deal }));
+  } else if (!meetingId) {
+    meetingId = simulatedBotId();
+    console.warn('⚠️ No --email/--password: the meeting has no owner (only managers and admins of the default workspace see it) and no rep or deal context');
+  }
+} catch (error) {
+  fail(`Can't reach ${baseUrl}: ${error.cause?.message || error.message}`);
+}
+
+const events = simulatedEvents(segments, { botId: meetingId, partials: !options['final-only'] });
+const duration = events[events.length - 1].at;
+console.log(`🎬 Simulating ${segments.length} segments from ${source} (${clock(duration)} of call) at ${speed === 0 ? 'full' : `${speed}x`} speed`);
+console.log(`   Dashboard: ${baseUrl}/dashboard/${meetingId}\n`);
+
+// Playback
+const webhookUrl = `${baseUrl}/api/webhook/recall`;
+const started = Date.now();
+let failures = 0;
+for (const { at, payload } of events) {
+  const wait = speed === 0 ? 0 : started + (at * 1000) / speed - Date.now();
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+
+  let response;
+  try {
+    response = await postWebhook(webhookUrl, payload, { signer, realtimeToken });
+  } catch (error) {
+    fail(`Can't reach ${webhookUrl}: ${error.cause?.message || error.message}`);
+  }
+  if (!response.ok) {
+    failures += 1;
+    const body = await response.json().catch(() => ({}));
+    console.error(`❌ [${clock(at)}] ${payload.event} rejected (${response.status}): ${body.message || body.error || 'unknown error'}`);
+    continue;
+  }
+
+  if (payload.event === 'transcript.data') {
+    const { participant, words } = payload.data.data;
+    console.log(`📝 [${clock(at)}] ${participant.name}: ${words.map((word) => word.text).join(' ')}`);
+  } else if (payload.event.startsWith('bot.') || options.verbose) {
+    console.log(`${payload.event.startsWith('bot.') ? '🤖' : '…'} [${clock(at)}] ${payload.event}`);
+  }
+}
+
+console.log(`\n${failures === 0 ? '✅' : '⚠️'} Sent ${events.length} webhooks${failures > 0 ? ` (${failures} rejected)` : ''}`);
+console.log(`   Dashboard: ${baseUrl}/dashboard/${meetingId}`);
+process.exit(failures > 0 ? 1 : 0);
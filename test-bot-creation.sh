@@ -1,9 +1,11 @@
 #!/bin/bash
 # Test bot creation API
-# Usage: ./test-bot-creation.sh "YOUR_TEAMS_MEETING_URL"
+# Usage: EMAIL=you@example.com PASSWORD=... ./test-bot-creation.sh "YOUR_TEAMS_MEETING_URL"
 
 MEETING_URL="${1:-https://teams.microsoft.com/l/meetup-join/example}"
 APP_URL="https://mvp-rtsc.vercel.app"
+COOKIE_JAR="$(mktemp)"
+trap 'rm -f "$COOKIE_JAR"' EXIT
 
 echo "🤖 Testing Bot Creation API"
 echo "=============================="
@@ -11,9 +13,18 @@ echo "Meeting URL: $MEETING_URL"
 echo "App URL: $APP_URL"
 echo ""
 
+echo "🔑 Signing in as $EMAIL..."
+curl -X POST "$APP_URL/api/auth/login" \
+  -H "Content-Type: application/json" \
+  -d "{\"email\":\"$EMAIL\",\"password\":\"$PASSWORD\"}" \
+  -c "$COOKIE_JAR" \
+  -s -o /dev/null -w "HTTP Status: %{http_code}\n"
+echo ""
+
 echo "📤 Sending request..."
 curl -X POST "$APP_URL/api/bot/create" \
   -H "Content-Type: application/json" \
+  -b "$COOKIE_JAR" \
   -d "{\"meeting_url\":\"$MEETING_URL\",\"bot_name\":\"Sales Coach AI\"}" \
   -w "\n\nHTTP Status: %{http_code}\n" \
   -s | jq '.' || echo "Response (raw):"
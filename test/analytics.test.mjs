@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildMetricHistory, computeCallAnalytics, countQuestions } from '@/lib/analytics';
+
+describe('countQuestions', () => {
+  it('counts question marks', () => {
+    assert.equal(countQuestions('Is it live? Who owns it?'), 2);
+  });
+
+  it('counts an unpunctuated segment opening with an interrogative once', () => {
+    assert.equal(countQuestions('how do you handle audits today'), 1);
+    assert.equal(countQuestions('¿cuánto pagan hoy'), 1);
+    assert.equal(countQuestions('we handle audits manually'), 0);
+    assert.equal(countQuestions(''), 0);
+  });
+});
+
+describe('computeCallAnalytics', () => {
+  it('measures talk time, turns, monologues and interruptions from timings', () => {
+    const analytics = computeCallAnalytics([
+      { speaker: 'Ana', text: 'What does downtime cost you?', start: 0, end: 4 },
+      { speaker: 'Bob', text: 'About fifteen million per hour', start: 5, end: 15 },
+      { speaker: 'Bob', text: 'and audits take thirty hours a week', start: 16, end: 24 },
+      { speaker: 'Ana', text: 'Who signs off on that budget', start: 23, end: 26 },
+    ]);
+
+    assert.equal(analytics.totalTalkTime, 25);
+    assert.equal(analytics.turns, 3);
+    assert.equal(analytics.segments, 4);
+
+    const [bob, ana] = analytics.speakers;
+    assert.deepEqual(bob, {
+      speaker: 'Bob', talkTime: 18, talkRatio: 72, words: 12, turns: 1, longestMonologue: 19, interruptions: 0, questions: 0,
+    });
+    assert.deepEqual(ana, {
+      speaker: 'Ana', talkTime: 7, talkRatio: 28, words: 11, turns: 2, longestMonologue: 4, interruptions: 1, questions: 2,
+    });
+  });
+
+  it('estimates durations from the word count without timings', () => {
+    const analytics = computeCallAnalytics([
+      { speaker: 'Ana', text: 'one two three four five' },
+      { text: 'six seven eight nine ten' },
+    ]);
+
+    assert.equal(analytics.totalTalkTime, 4);
+    assert.deepEqual(analytics.speakers.map((s) => [s.speaker, s.talkTime, s.talkRatio, s.interruptions]), [
+      ['Ana', 2, 50, 0],
+      ['Unknown', 2, 50, 0],
+    ]);
+  });
+
+  it('handles a call without transcripts', () => {
+    assert.deepEqual(computeCallAnalytics(), { totalTalkTime: 0, turns: 0, segments: 0, speakers: [] });
+  });
+});
+
+describe('buildMetricHistory', () => {
+  it('turns coaching cards into points offset from the call start', () => {
+    const history = buildMetricHistory([
+      {
+        timestamp: '2026-01-01T10:01:30Z',
+        phase: { methodology: 'SPIN', stage: 'Implication' },
+        metrics: { discovery: 60, pain_quantified: 70, dm_engagement: 20, stakeholders: 2, alignment: 50 },
+        risk: { warning: '  No budget owner  ', consequence: 'Stalled deal' },
+      },
+      { timestamp: '2026-01-01T10:02:00Z', error: 'no metrics' },
+      {
+        timestamp: '2026-01-01T09:59:00Z',
+        metrics: { discovery: 80 },
+        risk: { warning: ' ' },
+      },
+    ], '2026-01-01T10:00:00Z');
+
+    assert.deepEqual(history, [
+      {
+        timestamp: '2026-01-01T10:01:30Z',
+        offset: 90,
+        discovery: 60,
+        pain_quantified: 70,
+        dm_engagement: 20,
+        alignment: 50,
+        stakeholders: 2,
+        methodology: 'SPIN',
+        stage: 'Implication',
+        risk: { warning: 'No budget owner', consequence: 'Stalled deal' },
+      },
+      {
+        timestamp: '2026-01-01T09:59:00Z',
+        offset: 0,
+        discovery: 80,
+        pain_quantified: null,
+        dm_engagement: null,
+        alignment: null,
+        stakeholders: null,
+        methodology: null,
+        stage: null,
+        risk: null,
+      },
+    ]);
+  });
+
+  it('leaves offsets empty without a start time', () => {
+    assert.equal(buildMetricHistory([{ timestamp: '2026-01-01T10:00:00Z', metrics: {} }])[0].offset, null);
+  });
+});
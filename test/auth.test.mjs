@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import storage from '@/lib/storage';
+import {
+  SESSION_COOKIE, authenticate, canAccessCall, checkLoginLink, consumeLoginLink, createLoginLink, getSessionUser,
+  hashPassword, meetingScope, revokeSessions, sessionCookie, validateUserFields, withAuth,
+} from '@/lib/auth';
+import linkHandler from '../pages/api/auth/link.js';
+
+/**
+ * Request signed in with a session cookie
+ * @param {Object} user - Stored user record
+ * @param {Object} fields - Other request fields (method, query, body)
+ * @returns {Object}
+ */
+function signedIn(user, fields = {}) {
+  const token = sessionCookie(user).split(';')[0].split('=')[1];
+  return { method: 'GET', query: {}, cookies: { [SESSION_COOKIE]: token }, ...fields };
+}
+
+/**
+ * Run an API route
+ * @param {Function} handler - API route handler
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { status, body, headers, location }
+ */
+async function run(handler, req) {
+  const res = {
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    redirect(code, location) { this.statusCode = code; this.location = location; return this; },
+  };
+  await handler({ cookies: {}, query: {}, ...req }, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers, location: res.location };
+}
+
+const tokenOf = (link) => new URL(link.url).searchParams.get('token');
+
+const ana = { email: 'ana@acme.com', name: 'Ana', role: 'rep', workspaceId: 'acme' };
+const mia = { email: 'mia@acme.com', name: 'Mia', role: 'manager', workspaceId: 'acme' };
+
+before(async () => {
+  process.env.NEXTAUTH_SECRET = 'test-secret';
+  process.env.NEXT_PUBLIC_APP_URL = 'https://coach.example.com';
+  await storage.setUser({ ...ana, passwordHash: await hashPassword('correct horse') });
+  await storage.setUser(mia);
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('authenticate', () => {
+  it('checks the stored password hash', async () => {
+    assert.equal((await authenticate(' ANA@acme.com ', 'correct horse')).email, ana.email);
+    assert.equal(await authenticate(ana.email, 'wrong horse'), null);
+    assert.equal(await authenticate(mia.email, 'anything'), null);
+    assert.equal(await authenticate(ana.email, ''), null);
+  });
+
+  it('only bootstraps the admin from the environment while there are no users', async () => {
+    process.env.ADMIN_EMAIL = 'root@acme.com';
+    process.env.ADMIN_PASSWORD = 'bootstrap-pass';
+    assert.equal(await authenticate('root@acme.com', 'bootstrap-pass'), null);
+    assert.equal(await storage.getUser('root@acme.com'), null);
+  });
+});
+
+describe('validateUserFields', () => {
+  it('reports invalid fields', () => {
+    assert.deepEqual(validateUserFields({ email: 'ana', name: ' ', role: 'owner', password: 'short' }), [
+      'email must be a valid email address',
+      'name must be a non-empty string',
+      'role must be one of rep, manager, admin',
+      'password must be at least 8 characters',
+    ]);
+    assert.deepEqual(validateUserFields({ email: 'ana@acme.com', role: 'rep' }), []);
+    assert.deepEqual(validateUserFields({ name: 'Ana B' }, true), []);
+  });
+});
+
+describe('sessions', () => {
+  it('resolves the user of a session cookie until their sessions are revoked', async () => {
+    const stored = await storage.getUser(mia.email);
+    const req = signedIn(stored);
+    assert.equal((await getSessionUser(req)).email, mia.email);
+
+    await revokeSessions(mia.email);
+    assert.equal(await getSessionUser(req), null);
+    assert.equal((await getSessionUser(signedIn(await storage.getUser(mia.email)))).email, mia.email);
+  });
+
+  it('rejects tampered and expired tokens', async () => {
+    const req = signedIn(await storage.getUser(mia.email));
+    const [body, signature] = req.cookies[SESSION_COOKIE].split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), sub: ana.email })).toString('base64url');
+    assert.equal(await getSessionUser({ cookies: { [SESSION_COOKIE]: `${forged}.${signature}` } }), null);
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+    assert.equal(await getSessionUser(req), null);
+  });
+});
+
+describe('access', () => {
+  it('lets reps see their own calls and managers the whole workspace', () => {
+    const call = { meetingId: 'm-1', workspaceId: 'acme', owner: mia.email };
+    assert.equal(canAccessCall(ana, call), false);
+    assert.equal(canAccessCall(mia, call), true);
+    assert.equal(canAccessCall({ ...mia, workspaceId: 'globex' }, call), false);
+    assert.deepEqual(meetingScope(ana), { workspaceId: 'acme', owner: ana.email });
+    assert.deepEqual(meetingScope(mia), { workspaceId: 'acme', owner: undefined });
+  });
+
+  it('requires a session and an allowed role', async () => {
+    const route = withAuth((req, res) => res.status(200).json({ workspaceId: req.workspaceId }), { roles: ['rep', 'manager'], writeRoles: ['manager'] });
+
+    assert.equal((await run(route, { method: 'GET' })).status, 401);
+    assert.deepEqual((await run(route, signedIn(ana))).body, { workspaceId: 'acme' });
+    assert.equal((await run(route, signedIn(ana, { method: 'POST' }))).status, 403);
+    assert.equal((await run(route, signedIn(await storage.getUser(mia.email), { method: 'POST' }))).status, 200);
+  });
+});
+
+describe('login links', () => {
+  it('work once and only for existing users', async () => {
+    assert.equal(await createLoginLink('nobody@acme.com'), null);
+
+    const link = await createLoginLink(ana.email, 3600);
+    assert.match(link.url, /^https:\/\/coach\.example\.com\/api\/auth\/link\?token=/);
+
+    assert.equal((await checkLoginLink(tokenOf(link))).email, ana.email);
+    assert.equal((await checkLoginLink(tokenOf(link))).email, ana.email);
+    assert.equal((await consumeLoginLink(tokenOf(link))).email, ana.email);
+    assert.equal(await consumeLoginLink(tokenOf(link)), null);
+    assert.equal(await checkLoginLink(tokenOf(link)), null);
+  });
+
+  it('expire', async () => {
+    const link = await createLoginLink(ana.email, 60);
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+    assert.equal(await checkLoginLink(tokenOf(link)), null);
+    assert.equal(await consumeLoginLink(tokenOf(link)), null);
+  });
+
+  it('are only used up when the sign-in is confirmed with a POST', async () => {
+    const token = tokenOf(await createLoginLink(ana.email));
+
+    // Opening the link twice (a mail scanner, then the user) leaves it usable
+    for (let i = 0; i < 2; i++) {
+      const opened = await run(linkHandler, { method: 'GET', query: { token, next: '/meetings' } });
+      assert.equal(opened.status, 302);
+      assert.equal(opened.location, `/login?link=${encodeURIComponent(token)}&next=%2Fmeetings`);
+      assert.equal(opened.headers['set-cookie'], undefined);
+    }
+
+    const confirmed = await run(linkHandler, { method: 'POST', body: { token } });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.user.email, ana.email);
+    assert.match(confirmed.headers['set-cookie'], new RegExp(`^${SESSION_COOKIE}=`));
+
+    const reused = await run(linkHandler, { method: 'POST', body: { token } });
+    assert.equal(reused.status, 401);
+    assert.equal((await run(linkHandler, { method: 'GET', query: { token } })).location, '/login?error=link');
+  });
+
+  it('never redirect to another origin', async () => {
+    const token = tokenOf(await createLoginLink(ana.email));
+    const opened = await run(linkHandler, { method: 'GET', query: { token, next: '//evil.example.com' } });
+    assert.equal(opened.location, `/login?link=${encodeURIComponent(token)}`);
+  });
+});
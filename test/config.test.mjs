@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import { DEFAULT_CONFIG, getConfig, mergeConfig, validateConfig } from '@/lib/config';
+
+describe('validateConfig', () => {
+  it('accepts a partial configuration', () => {
+    assert.deepEqual(validateConfig({ coaching: { model: 'claude-haiku-4-5-20251001', temperature: 0.2 }, summary: { enabled: false } }), []);
+    assert.deepEqual(validateConfig({ segment: null }), []);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.deepEqual(validateConfig(null), ['Configuration must be an object']);
+    assert.deepEqual(validateConfig('coaching'), ['Configuration must be an object']);
+    assert.deepEqual(validateConfig({ memory: [] }), ['Configuration group "memory" must be an object']);
+  });
+
+  it('rejects unknown groups and settings of another group', () => {
+    assert.deepEqual(validateConfig({ billing: {}, summary: { skillId: 'skill_1' }, segment: { betas: [] } }), [
+      'Unknown configuration group "billing"',
+      'Unknown setting "summary.skillId"',
+      'Unknown setting "segment.betas"',
+    ]);
+  });
+
+  it('checks the type and range of each setting', () => {
+    assert.deepEqual(validateConfig({
+      coaching: { model: ' ', maxTokens: 0, temperature: 1.5, skillsEnabled: 'yes', betas: ['a', 1] },
+      segment: { minWords: -1 },
+    }), [
+      'coaching.model must be a non-empty string',
+      'coaching.maxTokens must be an integer between 1 and 64000',
+      'coaching.temperature must be a number between 0 and 1',
+      'coaching.skillsEnabled must be a boolean',
+      'coaching.betas must be an array of strings',
+      'segment.minWords must be a non-negative integer',
+    ]);
+  });
+
+  it('reports a skillId that is not a string instead of throwing', () => {
+    assert.deepEqual(validateConfig({ coaching: { skillId: 42 } }), ['coaching.skillId must be a string']);
+    assert.deepEqual(validateConfig({ coaching: { skillId: ['skill_1'], skillsEnabled: true } }), ['coaching.skillId must be a string']);
+  });
+
+  it('requires a skillId only while skills are enabled', () => {
+    assert.deepEqual(validateConfig({ coaching: { skillId: ' ', skillsEnabled: true } }), [
+      'coaching.skillId is required when skills are enabled',
+    ]);
+    assert.deepEqual(validateConfig({ coaching: { skillId: '', skillsEnabled: false } }), []);
+  });
+});
+
+describe('getConfig', () => {
+  it('merges saved overrides on top of the defaults, per workspace', async () => {
+    await storage.setConfig('acme', { coaching: { temperature: 0.1 } });
+
+    const config = await getConfig('acme');
+    assert.equal(config.coaching.temperature, 0.1);
+    assert.equal(config.coaching.model, DEFAULT_CONFIG.coaching.model);
+    assert.deepEqual(config.summary, DEFAULT_CONFIG.summary);
+    assert.deepEqual(await getConfig('other'), mergeConfig());
+  });
+});
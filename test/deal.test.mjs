@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { dealValues, formatDealContext, parseDealContext } from '@/lib/deal';
+
+describe('parseDealContext', () => {
+  it('stores trimmed fields under their camelCase keys and drops empty ones', () => {
+    const { deal, errors } = parseDealContext({
+      account_name: ' Acme ',
+      deal_stage: 'Discovery',
+      product: '',
+      expected_stakeholders: 'CFO, VP Engineering,, ',
+      crm_opportunity_id: null,
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(deal, { accountName: 'Acme', dealStage: 'Discovery', expectedStakeholders: ['CFO', 'VP Engineering'] });
+  });
+
+  it('accepts stakeholders as a list', () => {
+    assert.deepEqual(parseDealContext({ expected_stakeholders: [' CFO ', 'CTO'] }).deal, { expectedStakeholders: ['CFO', 'CTO'] });
+  });
+
+  it('treats a missing context as empty', () => {
+    assert.deepEqual(parseDealContext(undefined), { deal: {}, errors: [] });
+    assert.deepEqual(parseDealContext(null), { deal: {}, errors: [] });
+  });
+
+  it('reports every invalid field', () => {
+    assert.deepEqual(parseDealContext(['Acme']).errors, ['deal_context must be an object']);
+    assert.deepEqual(parseDealContext({
+      account_name: 42,
+      deal_stage: 'x'.repeat(101),
+      expected_stakeholders: ['CFO', 7],
+    }).errors, [
+      'deal_context.account_name must be a string',
+      'deal_context.deal_stage must be at most 100 characters',
+      'deal_context.expected_stakeholders must be a list of names or a comma-separated string',
+    ]);
+    assert.deepEqual(parseDealContext({ expected_stakeholders: Array.from({ length: 21 }, (_, i) => `P${i}`) }).errors, [
+      'deal_context.expected_stakeholders must have at most 20 entries',
+    ]);
+  });
+});
+
+describe('deal template values', () => {
+  const deal = { accountName: 'Acme', expectedStakeholders: ['CFO', 'CTO'], customerLanguage: 'es' };
+
+  it('formats the provided fields on one line', () => {
+    assert.equal(formatDealContext(deal), 'account_name=Acme|expected_stakeholders=CFO, CTO|customer_language=es');
+    assert.equal(formatDealContext(undefined), '');
+  });
+
+  it('gives every placeholder a value, null when missing', () => {
+    assert.deepEqual(dealValues(deal), {
+      ACCOUNT_NAME: 'Acme',
+      DEAL_STAGE: null,
+      PRODUCT: null,
+      EXPECTED_STAKEHOLDERS: ['CFO', 'CTO'],
+      CUSTOMER_LANGUAGE: 'es',
+      CRM_OPPORTUNITY_ID: null,
+      DEAL_CONTEXT: 'account_name=Acme|expected_stakeholders=CFO, CTO|customer_language=es',
+    });
+  });
+});
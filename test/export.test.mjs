@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { toCSV, toJSON, toMarkdown, toSRT, toVTT } from '@/lib/export';
+
+/**
+ * Ended call: the bot joined at 10:00:00 and recording started 30s later
+ * @param {Object} fields - Call fields to replace
+ * @returns {Object} Call context
+ */
+function call(fields = {}) {
+  return {
+    meetingId: 'export-1',
+    startTime: '2026-03-01T10:00:00.000Z',
+    endTime: '2026-03-01T10:20:00.000Z',
+    lastUpdate: '2026-03-01T10:20:00.000Z',
+    status: 'ended',
+    participants: ['Ana', 'Bob'],
+    inProgress: { Bob: { text: 'and' } },
+    transcripts: [
+      { speaker: 'Ana', text: 'How often is billing down?', start: 2, end: 4, timestamp: '2026-03-01T10:00:34.500Z' },
+      { speaker: 'Bob', text: 'Twice a month', start: 5, end: 6, timestamp: '2026-03-01T10:00:36.000Z' },
+      // Stored without word timings (e.g. before timings were kept)
+      { speaker: 'Bob', text: 'each outage costs fifteen million', timestamp: '2026-03-01T10:00:42.000Z' },
+    ],
+    coachingRecommendations: [
+      {
+        timestamp: '2026-03-01T10:01:30.000Z',
+        phase: { methodology: 'SPIN', stage: 'Implication' },
+        action: { script: 'Ask what a year of outages costs' },
+        next: { action: 'Quantify yearly cost', timeline: 'immediate' },
+        metrics: { discovery: 60, pain_quantified: 70, dm_engagement: 20, stakeholders: 2, alignment: 50 },
+        risk: { warning: 'No budget owner' },
+      },
+    ],
+    summary: null,
+    scorecard: null,
+    ...fields,
+  };
+}
+
+describe('export timings', () => {
+  it('puts segments with and without word timings on the recording clock', () => {
+    assert.equal(toSRT(call()), [
+      '1\n00:00:02,000 --> 00:00:04,000\nAna: How often is billing down?\n',
+      '2\n00:00:05,000 --> 00:00:06,000\nBob: Twice a month\n',
+      '3\n00:00:10,000 --> 00:00:12,000\nBob: each outage costs fifteen million\n',
+    ].join('\n'));
+  });
+
+  it('offsets coaching cards from the same origin as the transcript', () => {
+    const markdown = toMarkdown(call());
+    assert.match(markdown, /### 1:00 - SPIN Implication/);
+    assert.match(markdown, /\*\*\[0:02\] Ana:\*\* How often is billing down\?/);
+    assert.match(markdown, /\*\*\[0:10\] Bob:\*\* each outage costs fifteen million/);
+    assert.match(markdown, /- \*\*Duration:\*\* 20 min/);
+  });
+
+  it('falls back to the call start without any timed segment', () => {
+    const untimed = call({ transcripts: [{ speaker: 'Ana', text: 'Hello there', timestamp: '2026-03-01T10:00:05.000Z' }] });
+    assert.match(toSRT(untimed), /^1\n00:00:04,000 --> 00:00:05,000\n/);
+  });
+});
+
+describe('toVTT', () => {
+  it('writes speakers as voice tags', () => {
+    const vtt = toVTT(call());
+    assert.ok(vtt.startsWith('WEBVTT\n\n00:00:02.000 --> 00:00:04.000\n<v Ana>How often is billing down?\n'));
+  });
+
+  it('escapes &, < and > in speakers and text', () => {
+    const vtt = toVTT(call({
+      transcripts: [{ speaker: 'Bob <Acme & Co>', text: 'We pay <b>more</b> --> & more', start: 1, end: 2, timestamp: '2026-03-01T10:00:32.000Z' }],
+    }));
+    assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Bob &lt;Acme &amp; Co&gt;>We pay &lt;b&gt;more&lt;/b&gt; --&gt; &amp; more\n');
+  });
+});
+
+describe('toCSV', () => {
+  it('lists segments and cards in order', () => {
+    const [header, ...rows] = toCSV(call()).split('\r\n');
+    assert.equal(header, 'type,timestamp,start,end,speaker,text,methodology,stage,discovery,pain_quantified,dm_engagement,stakeholders,alignment,risk');
+    assert.deepEqual(rows.map((row) => row.split(',').slice(0, 4)), [
+      ['transcript', '2026-03-01T10:00:34.500Z', '2.00', '4.00'],
+      ['transcript', '2026-03-01T10:00:36.000Z', '5.00', '6.00'],
+      ['transcript', '2026-03-01T10:00:42.000Z', '10.00', '12.00'],
+      ['coaching', '2026-03-01T10:01:30.000Z', '', ''],
+    ]);
+    assert.equal(rows[3], 'coaching,2026-03-01T10:01:30.000Z,,,,Say: Ask what a year of outages costs | Next: Quantify yearly cost,SPIN,Implication,60,70,20,2,50,No budget owner');
+  });
+
+  it('quotes separators and keeps formulas from running', () => {
+    const csv = toCSV(call({
+      coachingRecommendations: [],
+      transcripts: [
+        { speaker: '=HYPERLINK("http://x")', text: 'Yes, "maybe"', start: 1, end: 2, timestamp: '2026-03-01T10:00:32.000Z' },
+        { speaker: 'Bob', text: '-5 is fine', start: 3, end: 4, timestamp: '2026-03-01T10:00:34.000Z' },
+      ],
+    }));
+    const [, first, second] = csv.split('\r\n');
+    assert.equal(first, 'transcript,2026-03-01T10:00:32.000Z,1.00,2.00,"\'=HYPERLINK(""http://x"")","Yes, ""maybe""",,,,,,,,');
+    assert.equal(second, "transcript,2026-03-01T10:00:34.000Z,3.00,4.00,Bob,'-5 is fine,,,,,,,,");
+  });
+});
+
+describe('toJSON', () => {
+  it('exports the call with analytics and without in-progress partials', () => {
+    const data = JSON.parse(toJSON(call()));
+    assert.equal(data.inProgress, undefined);
+    assert.equal(data.transcripts.length, 3);
+    assert.deepEqual(data.analytics.speakers.map((s) => s.speaker), ['Bob', 'Ana']);
+    assert.ok(data.exportedAt);
+  });
+});
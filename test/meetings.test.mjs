@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import { SESSION_COOKIE, sessionCookie } from '@/lib/auth';
+import { listMeetings, parseDateFilter, repeatedParams } from '@/lib/meetings';
+import handler from '../pages/api/meetings/index.js';
+
+/**
+ * Store a call as the webhook would have left it
+ * @param {string} meetingId
+ * @param {Object} fields - Call fields to set (startTime, workspaceId, owner, status, participants...)
+ */
+function meeting(meetingId, fields) {
+  return storage.writeCall(meetingId, () => ({ ...storage.createCall(meetingId, 'ended'), workspaceId: 'acme', ...fields }));
+}
+
+/**
+ * Call an API route as a signed-in user
+ * @param {Object} user - Stored user record
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} { status, body }
+ */
+async function get(user, query) {
+  const cookie = sessionCookie(user).split(';')[0].split('=')[1];
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ method: 'GET', query, cookies: { [SESSION_COOKIE]: cookie } }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+const ana = { email: 'ana@acme.com', name: 'Ana', role: 'rep', workspaceId: 'acme' };
+const mia = { email: 'mia@acme.com', name: 'Mia', role: 'manager', workspaceId: 'acme' };
+
+before(async () => {
+  process.env.NEXTAUTH_SECRET = 'test-secret';
+  await storage.setUser(ana);
+  await storage.setUser(mia);
+
+  await meeting('m-1', { startTime: '2026-03-01T09:00:00.000Z', owner: ana.email, participants: ['Ana', 'Bob Stone'] });
+  await meeting('m-2', { startTime: '2026-03-02T09:00:00.000Z', owner: mia.email, participants: ['Mia', 'Carla'] });
+  await meeting('m-3', { startTime: '2026-03-03T09:00:00.000Z', owner: ana.email, participants: ['Ana', 'Bob Stone'], status: 'active' });
+  await meeting('m-4', { startTime: '2026-03-04T09:00:00.000Z', owner: ana.email, participants: ['Ana'], workspaceId: 'globex' });
+});
+
+describe('parseDateFilter', () => {
+  it('covers the whole day of a bare date', () => {
+    assert.equal(parseDateFilter('2026-03-01', false).toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(parseDateFilter('2026-03-01', true).toISOString(), '2026-03-01T23:59:59.999Z');
+    assert.equal(parseDateFilter('2026-03-01T12:30:00Z', true).toISOString(), '2026-03-01T12:30:00.000Z');
+  });
+
+  it('tells an absent filter from an invalid one', () => {
+    assert.equal(parseDateFilter(undefined, false), null);
+    assert.equal(parseDateFilter('yesterday', false), undefined);
+  });
+});
+
+describe('repeatedParams', () => {
+  it('lists the params that are not a single string', () => {
+    assert.deepEqual(repeatedParams({ status: 'ended', participant: ['a', 'b'], page: '2' }, ['status', 'participant', 'page', 'to']), ['participant']);
+  });
+});
+
+describe('listMeetings', () => {
+  it('lists the meetings of one workspace, newest first', async () => {
+    const { meetings, pagination } = await listMeetings({ workspaceId: 'acme' });
+    assert.deepEqual(meetings.map((m) => m.meetingId), ['m-3', 'm-2', 'm-1']);
+    assert.deepEqual(pagination, { page: 1, pageSize: 20, total: 3, totalPages: 1 });
+  });
+
+  it('filters by owner, status, participant and start date', async () => {
+    const ids = async (filters) => (await listMeetings({ workspaceId: 'acme', ...filters })).meetings.map((m) => m.meetingId);
+
+    assert.deepEqual(await ids({ owner: ana.email }), ['m-3', 'm-1']);
+    assert.deepEqual(await ids({ status: 'ended' }), ['m-2', 'm-1']);
+    assert.deepEqual(await ids({ participant: 'bob s' }), ['m-3', 'm-1']);
+    assert.deepEqual(await ids({ from: parseDateFilter('2026-03-02', false), to: parseDateFilter('2026-03-02', true) }), ['m-2']);
+  });
+
+  it('pages the meetings with and without filters on the stored calls', async () => {
+    const page = await listMeetings({ workspaceId: 'acme', page: 2, pageSize: 2 });
+    assert.deepEqual(page.meetings.map((m) => m.meetingId), ['m-1']);
+    assert.deepEqual(page.pagination, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+
+    const filtered = await listMeetings({ workspaceId: 'acme', participant: 'ana', pageSize: 1 });
+    assert.deepEqual(filtered.meetings.map((m) => m.meetingId), ['m-3']);
+    assert.equal(filtered.pagination.total, 2);
+  });
+
+  it('follows a call that moves to another workspace or is deleted', async () => {
+    await meeting('m-5', { startTime: '2026-03-05T09:00:00.000Z', owner: mia.email });
+    await storage.assignCall('m-5', { owner: mia.email, workspaceId: 'globex' });
+
+    assert.deepEqual((await storage.getMeetingIndex('acme')).map((e) => e.meetingId).sort(), ['m-1', 'm-2', 'm-3']);
+    assert.deepEqual((await storage.getMeetingIndex('globex')).map((e) => e.meetingId).sort(), ['m-4', 'm-5']);
+
+    await storage.deleteCall('m-5');
+    assert.deepEqual((await storage.getMeetingIndex('globex')).map((e) => e.meetingId), ['m-4']);
+  });
+});
+
+describe('GET /api/meetings', () => {
+  it('scopes reps to their own meetings and managers to the workspace', async () => {
+    const rep = await get(ana, {});
+    assert.equal(rep.status, 200);
+    assert.deepEqual(rep.body.data.meetings.map((m) => m.meetingId), ['m-3', 'm-1']);
+
+    const manager = await get(mia, { status: 'ended' });
+    assert.deepEqual(manager.body.data.meetings.map((m) => m.meetingId), ['m-2', 'm-1']);
+  });
+
+  it('rejects a filter given more than once', async () => {
+    const { status, body } = await get(mia, { participant: ['Ana', 'Bob'], status: ['ended', 'active'] });
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'Invalid query', message: 'status, participant must be given once' });
+  });
+
+  it('rejects invalid status, dates and pagination', async () => {
+    assert.equal((await get(mia, { status: 'done' })).body.error, 'Invalid status');
+    assert.equal((await get(mia, { from: 'soon' })).body.error, 'Invalid date');
+    assert.equal((await get(mia, { pageSize: '500' })).body.error, 'Invalid pagination');
+  });
+});
@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import { before, beforeEach, describe, it, mock } from 'node:test';
+import storage from '@/lib/storage';
+import { SESSION_COOKIE, sessionCookie } from '@/lib/auth';
+import { setAnthropicClient } from '@/lib/claude';
+import { createScriptedClient } from '@/lib/evaluation';
+import { callAtPoint, parseTranscriptUpload, suggestPoints, uploadedCall, validatePoints } from '@/lib/playground';
+import handler from '../pages/api/settings/playground.js';
+
+const card = (script) => ({
+  phase: { methodology: 'SPIN', stage: 'Implication', context: 'Outages cost 15M per hour' },
+  action: { script, language: 'EN' },
+  tip: { insight: 'The pain has a number; widen it to a yearly cost', rationale: 'A yearly cost justifies the migration', language: 'EN' },
+  risk: { warning: 'No budget owner identified yet', consequence: 'No economic buyer', language: 'EN' },
+  metrics: { discovery: 60, pain_quantified: 70, dm_engagement: 20, stakeholders: 2, alignment: 50 },
+  next: { action: 'Ask who approves the budget', timeline: 'immediate' },
+});
+
+describe('parseTranscriptUpload', () => {
+  it('reads "Speaker: text" lines with optional offsets and continuation lines', () => {
+    const { segments, errors } = parseTranscriptUpload('[0:05] Ana: How often is billing down?\n\n[1:02:03] Bob: Twice a month\nand each time it costs us');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(segments, [
+      { speaker: 'Ana', text: 'How often is billing down?', offset: 5 },
+      { speaker: 'Bob', text: 'Twice a month and each time it costs us', offset: 3723 },
+    ]);
+  });
+
+  it('reads only the Transcript section of the Markdown export', () => {
+    const markdown = '# Call\n\n- **Duration:** 20 min\n\n## Transcript\n\n**[0:02] Ana:** Hello there\n**[0:04] Bob:** Hi';
+    assert.deepEqual(parseTranscriptUpload(markdown).segments, [
+      { speaker: 'Ana', text: 'Hello there', offset: 2 },
+      { speaker: 'Bob', text: 'Hi', offset: 4 },
+    ]);
+  });
+
+  it('reads JSON segments and call exports', () => {
+    const exported = JSON.stringify({
+      startTime: '2026-03-01T10:00:00.000Z',
+      transcripts: [
+        { speaker: 'Ana', text: ' Hello ', timestamp: '2026-03-01T10:00:07.400Z' },
+        { text: 'Hi' },
+        { speaker: 'Bob', text: '' },
+      ],
+    });
+    assert.deepEqual(parseTranscriptUpload(exported), {
+      segments: [{ speaker: 'Ana', text: 'Hello', offset: 7 }, { speaker: 'Unknown', text: 'Hi', offset: null }],
+      errors: ['Segment 3 has no text'],
+    });
+  });
+
+  it('reports uploads it cannot read', () => {
+    assert.deepEqual(parseTranscriptUpload('  ').errors, ['transcript must be a non-empty string']);
+    assert.deepEqual(parseTranscriptUpload('hello\nAna: hi').errors, ['Line 1 is not "Speaker: text"']);
+    assert.deepEqual(parseTranscriptUpload('{"transcripts": 1}').errors, ['JSON transcripts must be a list of { speaker, text } or a call export with transcripts']);
+    assert.match(parseTranscriptUpload('{nope').errors[0], /^Invalid JSON transcript/);
+  });
+});
+
+describe('replay points', () => {
+  it('times uploads only when every segment has an offset', () => {
+    const timed = uploadedCall([{ speaker: 'Ana', text: 'Hi', offset: 0 }, { speaker: 'Bob', text: 'Hello', offset: 90 }], { repName: ' Ana ' });
+    assert.equal(new Date(timed.segments[1].timestamp) - new Date(timed.call.startTime), 90000);
+    assert.deepEqual(timed.call.context, { repName: 'Ana' });
+
+    const untimed = uploadedCall([{ speaker: 'Ana', text: 'Hi', offset: 0 }, { speaker: 'Bob', text: 'Hello', offset: null }]);
+    assert.equal(untimed.call.startTime, null);
+    assert.deepEqual(untimed.segments.map((s) => s.timestamp), [null, null]);
+  });
+
+  it('replays a call as it stood after a segment, without its memory', () => {
+    const segments = [
+      { speaker: 'Ana', text: 'Hi', timestamp: 't1' },
+      { speaker: 'Bob', text: 'Hello', timestamp: 't2' },
+      { speaker: 'Cy', text: 'Hey', timestamp: 't3' },
+    ];
+    const replay = callAtPoint({ meetingId: 'm-1', status: 'ended', memory: { pains: ['x'] } }, segments, 2);
+    assert.deepEqual(replay.call, { meetingId: 'm-1', status: 'active', participants: ['Ana', 'Bob'], memory: null });
+    assert.equal(replay.heard.length, 2);
+    assert.equal(replay.currentTime, 't2');
+  });
+
+  it('suggests evenly spread points and checks the chosen ones', () => {
+    assert.deepEqual(suggestPoints(10), [3, 7, 10]);
+    assert.deepEqual(suggestPoints(1), [1]);
+    assert.deepEqual(validatePoints([1, 10], 10), []);
+    assert.deepEqual(validatePoints([0, 2.5, 11], 10), [
+      'Point 0 must be a segment number between 1 and 10',
+      'Point 2.5 must be a segment number between 1 and 10',
+      'Point 11 must be a segment number between 1 and 10',
+    ]);
+    assert.deepEqual(validatePoints([1, 2, 3, 4, 5], 10), ['points must have at most 4 entries']);
+    assert.deepEqual(validatePoints([], 10), ['points must be a non-empty list of segment numbers']);
+  });
+});
+
+describe('POST /api/settings/playground', () => {
+  const mia = { email: 'mia@acme.com', name: 'Mia', role: 'manager', workspaceId: 'acme' };
+  const draft = { systemPrompt: 'You are a strict SPIN coach.', userPrompt: '<transcript>\n{{TRANSCRIPT}}\n</transcript>' };
+  const transcript = 'Ana: How often is billing down?\nBob: Twice a month, and it costs 15 million per hour';
+
+  const post = async (body) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(data) { this.body = data; return this; },
+    };
+    const cookie = sessionCookie(mia).split(';')[0].split('=')[1];
+    await handler({ method: 'POST', query: {}, body, cookies: { [SESSION_COOKIE]: cookie } }, res);
+    return { status: res.statusCode, body: res.body };
+  };
+
+  before(async () => {
+    process.env.NEXTAUTH_SECRET = 'test-secret';
+    await storage.setUser(mia);
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  it('generates a card with the draft and the saved prompts at each point', async () => {
+    const client = createScriptedClient({
+      test: { 1: [card('Ask how many hours of downtime they had this year and what it did to their largest customers')] },
+    });
+    const create = mock.fn(async (params) => {
+      client.respondWith('test', 1);
+      return client.messages.create(params);
+    });
+    setAnthropicClient({ messages: { create }, beta: { messages: { create } } });
+
+    const { status, body } = await post({ transcript, ...draft, points: [2] });
+    assert.equal(status, 200);
+    assert.equal(body.segmentCount, 2);
+    assert.deepEqual(body.saved, { profileId: 'default', profileName: 'Default', version: 1 });
+    assert.deepEqual(body.results[0].segment, { speaker: 'Bob', text: 'Twice a month, and it costs 15 million per hour', offset: null });
+    assert.equal(body.results[0].draft.success, true);
+    assert.equal(body.results[0].saved.success, true);
+
+    const systems = create.mock.calls.map((call) => JSON.stringify(call.arguments[0].system));
+    assert.equal(systems.length, 2);
+    assert.equal(systems.filter((system) => system.includes(draft.systemPrompt)).length, 1);
+  });
+
+  it('rejects invalid transcripts, points and profiles before calling Claude', async () => {
+    assert.equal((await post({ transcript: 'no speaker here', ...draft, points: [1] })).body.error, 'Invalid transcript');
+    assert.equal((await post({ transcript, ...draft, points: [3] })).body.error, 'Invalid points');
+    assert.equal((await post({ transcript, ...draft, points: [1], profileId: 'missing' })).body.error, 'Invalid prompt profile');
+    assert.equal((await post({ transcript, systemPrompt: '', userPrompt: '', points: [1] })).status, 400);
+  });
+});
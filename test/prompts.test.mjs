@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import { SESSION_COOKIE, sessionCookie } from '@/lib/auth';
+import { diffLines, diffStats } from '@/lib/diff';
+import {
+  DEFAULT_SYSTEM_PROMPT, createProfile, deleteProfile, getActivePrompts, getPromptLibrary, rollbackProfile, saveVersion,
+  updateProfile,
+} from '@/lib/prompts';
+import libraryHandler from '../pages/api/settings/prompts/index.js';
+import profileHandler from '../pages/api/settings/prompts/[profileId].js';
+
+const admin = { email: 'root@acme.com', name: 'Root', role: 'admin', workspaceId: 'acme' };
+const prompts = (n) => ({ systemPrompt: `You coach sales reps (${n}).`, userPrompt: '<transcript>\n{{TRANSCRIPT}}\n</transcript>' });
+
+/**
+ * Call a prompt settings route as the admin
+ * @param {Function} handler - API route handler
+ * @param {Object} req - Request fields (method, query, body)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function run(handler, req) {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  const cookie = sessionCookie(admin).split(';')[0].split('=')[1];
+  await handler({ query: {}, cookies: { [SESSION_COOKIE]: cookie }, ...req }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+before(async () => {
+  process.env.NEXTAUTH_SECRET = 'test-secret';
+  await storage.setUser(admin);
+});
+
+describe('diffLines', () => {
+  it('keeps common lines and marks the removed and added ones', () => {
+    const lines = diffLines('role\nrules v1\nformat', 'role\nrules v2\nformat\nexamples');
+    assert.deepEqual(lines, [
+      { type: 'same', text: 'role' },
+      { type: 'removed', text: 'rules v1' },
+      { type: 'added', text: 'rules v2' },
+      { type: 'same', text: 'format' },
+      { type: 'added', text: 'examples' },
+    ]);
+    assert.deepEqual(diffStats(lines), { added: 2, removed: 1 });
+  });
+
+  it('treats a missing text as one empty line', () => {
+    assert.deepEqual(diffLines(undefined, 'a'), [{ type: 'removed', text: '' }, { type: 'added', text: 'a' }]);
+  });
+});
+
+describe('prompt library', () => {
+  it('starts with a Default profile holding the built-in prompts', async () => {
+    const library = await getPromptLibrary('fresh');
+    assert.equal(library.activeProfileId, 'default');
+    assert.equal(library.profiles.default.versions[0].systemPrompt, DEFAULT_SYSTEM_PROMPT);
+    assert.equal((await getActivePrompts('fresh')).profileName, 'Default');
+  });
+
+  it('records versions, skips identical saves and rolls back as a new version', async () => {
+    const { profile } = await createProfile('lib', { name: 'US MEDDIC', ...prompts(1) }, admin);
+    assert.equal(profile.id, 'us-meddic');
+
+    assert.equal((await saveVersion('lib', 'us-meddic', { ...prompts(2), note: ' tighter ' }, admin)).version, 2);
+    assert.equal((await saveVersion('lib', 'us-meddic', prompts(2), admin)).version, 2);
+
+    const restored = await rollbackProfile('lib', 'us-meddic', 1, admin);
+    assert.deepEqual([restored.version, restored.systemPrompt, restored.note], [3, prompts(1).systemPrompt, 'Rolled back to version 1']);
+    assert.equal(await rollbackProfile('lib', 'us-meddic', 9, admin), null);
+    assert.equal(await saveVersion('lib', 'missing', prompts(3), admin), null);
+
+    const versions = (await getPromptLibrary('lib')).profiles['us-meddic'].versions;
+    assert.deepEqual(versions.map((v) => [v.version, v.note, v.author.email]), [
+      [1, null, admin.email],
+      [2, 'tighter', admin.email],
+      [3, 'Rolled back to version 1', admin.email],
+    ]);
+  });
+
+  it('uses the meeting\'s profile, then the active one', async () => {
+    await createProfile('pick', { name: 'LATAM', ...prompts(1) }, admin);
+    assert.equal((await getActivePrompts('pick', 'latam')).profileId, 'latam');
+    assert.equal((await getActivePrompts('pick', 'deleted-meanwhile')).profileId, 'default');
+
+    await updateProfile('pick', 'latam', { active: true });
+    assert.equal((await getActivePrompts('pick')).profileId, 'latam');
+  });
+
+  it('checks names and the active profile inside the library change', async () => {
+    await createProfile('locks', { name: 'Enterprise', ...prompts(1) }, admin);
+
+    // Created together: only one gets the name
+    const results = await Promise.all([
+      createProfile('locks', { name: 'SMB', ...prompts(1) }, admin),
+      createProfile('locks', { name: ' smb ', ...prompts(2) }, admin),
+    ]);
+    assert.deepEqual(results.map((r) => r.error || r.profile.id), ['smb', 'name_taken']);
+
+    assert.deepEqual(await updateProfile('locks', 'smb', { name: 'ENTERPRISE' }), { error: 'name_taken' });
+    assert.deepEqual(await updateProfile('locks', 'gone', { name: 'Gone' }), { error: 'not_found' });
+    assert.equal((await updateProfile('locks', 'smb', { name: 'SMB ' })).profile.name, 'SMB');
+
+    // Activated while a delete was on its way
+    await Promise.all([updateProfile('locks', 'smb', { active: true }), deleteProfile('locks', 'default')]);
+    assert.deepEqual(await deleteProfile('locks', 'smb'), { error: 'active' });
+    assert.deepEqual(await deleteProfile('locks', 'default'), { error: 'not_found' });
+    assert.deepEqual(await deleteProfile('locks', 'enterprise'), { deleted: true });
+    assert.deepEqual(Object.keys((await getPromptLibrary('locks')).profiles), ['smb']);
+  });
+});
+
+describe('prompt settings API', () => {
+  it('creates profiles and reports a taken name with 409', async () => {
+    const created = await run(libraryHandler, { method: 'POST', body: { name: 'Renewals', copyFrom: 'default' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.profile.versions[0].note, 'Copied from Default version 1');
+
+    const duplicate = await run(libraryHandler, { method: 'POST', body: { name: 'renewals' } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.message, 'A prompt profile named "renewals" already exists');
+  });
+
+  it('renames a profile and reports a taken name with 409', async () => {
+    await run(libraryHandler, { method: 'POST', body: { name: 'Upsell' } });
+    const renamed = await run(profileHandler, { method: 'PUT', query: { profileId: 'upsell' }, body: { name: 'Expansion' } });
+    assert.deepEqual(renamed.body.profile, { id: 'upsell', name: 'Expansion', active: false });
+
+    const taken = await run(profileHandler, { method: 'PUT', query: { profileId: 'upsell' }, body: { name: 'Renewals' } });
+    assert.equal(taken.status, 409);
+  });
+
+  it('refuses to delete the active profile with 409 and deletes the others', async () => {
+    const active = await run(profileHandler, { method: 'DELETE', query: { profileId: 'default' } });
+    assert.equal(active.status, 409);
+    assert.equal(active.body.error, 'Prompt profile is active');
+
+    assert.equal((await run(profileHandler, { method: 'DELETE', query: { profileId: 'upsell' } })).status, 200);
+    assert.equal((await run(profileHandler, { method: 'DELETE', query: { profileId: 'upsell' } })).status, 404);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { COACHING_WINDOW, CoachingScheduler, coachingInput } from '@/lib/scheduler';
+
+const OPTIONS = { minSegments: 2, minNewWords: 20, turnMinWords: 5, debounceMs: 1000, maxWaitMs: 5000 };
+
+describe('CoachingScheduler', () => {
+  let runs;
+  let scheduler;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-01T10:00:00Z') });
+    runs = [];
+    scheduler = new CoachingScheduler({ ...OPTIONS, run: async (meetingId) => { runs.push(meetingId); } });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  const say = (speaker, wordCount, isPartial = false) => scheduler.notify('m1', { speaker, wordCount, isPartial });
+
+  it('ignores partials and waits for the first segments', async () => {
+    await say('Ana', 50, true);
+    await say('Ana', 50);
+    mock.timers.tick(2000);
+    assert.deepEqual(runs, []);
+
+    await say('Ana', 1);
+    mock.timers.tick(999);
+    assert.deepEqual(runs, []);
+    mock.timers.tick(1);
+    assert.deepEqual(runs, ['m1']);
+  });
+
+  it('fires on a speaker turn change with a few new words', async () => {
+    await say('Ana', 2);
+    await say('Bob', 2);
+    mock.timers.tick(1000);
+    assert.deepEqual(runs, []);
+
+    await say('Bob', 1);
+    mock.timers.tick(1000);
+    assert.deepEqual(runs, ['m1']);
+  });
+
+  it('debounces bursts up to the maximum wait', async () => {
+    await say('Ana', 10);
+    await say('Ana', 10);
+    for (let i = 0; i < 4; i += 1) {
+      mock.timers.tick(900);
+      await say('Ana', 5);
+    }
+    assert.deepEqual(runs, []);
+
+    mock.timers.tick(1000);
+    assert.deepEqual(runs, ['m1']);
+  });
+
+  // A frozen serverless function: the clock moves on, but no timer fires
+  const freeze = (ms) => mock.timers.setTime(Date.now() + ms);
+
+  it('runs inside the request once the maximum wait is due', async () => {
+    await say('Ana', 10);
+    await say('Ana', 10);
+    freeze(5000);
+
+    const due = say('Ana', 5);
+    assert.deepEqual(runs, ['m1']);
+    await due;
+  });
+
+  it('flushes an overdue timer on the next webhook, partials included', async () => {
+    await say('Ana', 10);
+    await say('Ana', 10);
+    freeze(999);
+    await say('Bob', 2, true);
+    assert.deepEqual(runs, []);
+
+    freeze(1);
+    await say('Bob', 2, true);
+    assert.deepEqual(runs, ['m1']);
+  });
+
+  it('keeps one run in flight and coalesces the segments that arrive meanwhile', async () => {
+    let finish;
+    scheduler.run = (meetingId) => new Promise((resolve) => {
+      runs.push(meetingId);
+      finish = resolve;
+    });
+
+    await say('Ana', 10);
+    await say('Ana', 10);
+    mock.timers.tick(1000);
+    assert.equal(runs.length, 1);
+
+    await say('Bob', 30);
+    mock.timers.tick(5000);
+    assert.equal(runs.length, 1);
+
+    finish();
+    await new Promise(setImmediate);
+    mock.timers.tick(1000);
+    assert.equal(runs.length, 2);
+  });
+
+  it('drops the pending run when cancelled', async () => {
+    await say('Ana', 10);
+    await say('Ana', 10);
+    scheduler.cancel('m1');
+    mock.timers.tick(5000);
+    assert.deepEqual(runs, []);
+  });
+});
+
+describe('coachingInput', () => {
+  it('sends the latest segments without low-confidence words, with the call context', () => {
+    const segments = Array.from({ length: 7 }, (_, index) => ({ speaker: index % 2 ? 'Bob' : 'Ana', text: `segment ${index}` }));
+    segments[6] = {
+      speaker: 'Ana',
+      text: 'we pay forty million',
+      words: [
+        { text: 'we', confidence: 0.9 },
+        { text: 'pay', confidence: 0.9 },
+        { text: 'forty', confidence: 0.1 },
+        { text: 'million', confidence: 0.9 },
+      ],
+    };
+    const call = {
+      meetingId: 'm1',
+      status: 'active',
+      startTime: '2026-01-01T10:00:00Z',
+      participants: ['Ana', 'Bob'],
+      context: { repName: 'Ana', deal: { company: 'Acme' } },
+      workspaceId: 'w1',
+    };
+
+    const { transcripts, context } = coachingInput(call, segments, '2026-01-01T10:12:00Z');
+    assert.equal(transcripts.length, COACHING_WINDOW);
+    assert.deepEqual(transcripts.map((t) => t.text), ['segment 2', 'segment 3', 'segment 4', 'segment 5', 'we pay million']);
+    assert.equal(context.duration, 12);
+    assert.deepEqual(context.speakers, [{ name: 'Ana', role: 'rep' }, { name: 'Bob', role: 'prospect' }]);
+    assert.equal(context.workspaceId, 'w1');
+    assert.deepEqual(context.deal, { company: 'Acme' });
+  });
+
+  it('has no duration when the time is unknown', () => {
+    assert.equal(coachingInput({ startTime: '2026-01-01T10:00:00Z' }, [], null).context.duration, undefined);
+  });
+});
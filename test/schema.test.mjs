@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it, mock } from 'node:test';
+import { generateSalesCoaching, setAnthropicClient } from '@/lib/claude';
+import { createScriptedClient } from '@/lib/evaluation';
+import { countWords, validateCoaching } from '@/lib/schema';
+
+const card = () => ({
+  phase: { methodology: 'SPIN', stage: 'Implication', context: 'Outages cost 15M per hour' },
+  action: { script: 'How many hours of downtime did you have this year, and how did it affect your largest customers?', language: 'EN' },
+  tip: { insight: 'The pain has a number; widen it to a yearly cost', rationale: 'A yearly cost justifies the migration', language: 'EN' },
+  risk: { warning: 'No budget owner identified yet', consequence: 'No economic buyer', language: 'EN' },
+  metrics: { discovery: 60, pain_quantified: 70, dm_engagement: 20, stakeholders: 2, alignment: 50 },
+  next: { action: 'Ask who approves the budget', timeline: 'immediate' },
+});
+
+describe('validateCoaching', () => {
+  it('accepts a complete card', () => {
+    assert.deepEqual(validateCoaching(card()), { valid: true, errors: [], schemaValid: true });
+  });
+
+  it('reports missing groups, wrong types and values outside the enums', () => {
+    const { risk, ...coaching } = card();
+    coaching.phase.methodology = 'Challenger';
+    coaching.metrics.discovery = 'high';
+
+    const { valid, schemaValid, errors } = validateCoaching(coaching);
+    assert.equal(valid, false);
+    assert.equal(schemaValid, false);
+    assert.deepEqual(errors.sort(), [
+      'metrics.discovery must be an integer',
+      'phase.methodology must be one of BANT, MEDDIC, SPIN, Conceptual, Value, Complex, Assumptive Close (got "Challenger")',
+      'risk is required',
+    ]);
+  });
+
+  it('rejects scores outside 0-100', () => {
+    const coaching = card();
+    coaching.metrics.alignment = 120;
+    assert.deepEqual(validateCoaching(coaching).errors, ['metrics.alignment must be <= 100 (got 120)']);
+  });
+
+  it('checks word limits only once the schema matches', () => {
+    const coaching = card();
+    coaching.action.script = 'Tell me more';
+    coaching.risk.consequence = 'The deal stalls for another quarter';
+
+    const { valid, schemaValid, errors } = validateCoaching(coaching);
+    assert.equal(valid, false);
+    assert.equal(schemaValid, true);
+    assert.deepEqual(errors, [
+      'action.script must be 12-25 words (got 3)',
+      'risk.consequence must be at most 5 words (got 6)',
+    ]);
+  });
+
+  it('limits qualification evidence quotes', () => {
+    const coaching = { ...card(), qualification: [{ criterion: 'champion', status: 'partial', evidence: 'word '.repeat(26) }] };
+    assert.deepEqual(validateCoaching(coaching).errors, ['qualification[0].evidence must be at most 25 words (got 26)']);
+  });
+
+  it('counts words on any whitespace', () => {
+    assert.equal(countWords('  one two\nthree\tfour '), 4);
+    assert.equal(countWords('   '), 0);
+  });
+});
+
+describe('coaching repair', () => {
+  const transcripts = [{ speaker: 'Ana', text: 'We lose about 15 million per hour when billing is down.' }];
+  const prompts = { systemPrompt: 'You coach sales reps.', userPrompt: '{{TRANSCRIPT}}' };
+  let client;
+
+  const coach = (responses) => {
+    client = createScriptedClient({ test: { 1: responses } });
+    client.respondWith('test', 1);
+    const create = mock.fn(client.messages.create);
+    setAnthropicClient({ messages: { create }, beta: { messages: { create } } });
+    return generateSalesCoaching(transcripts, { prompts }).then((result) => ({ result, requests: create.mock.calls }));
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  it('delivers a valid first card without a repair request', async () => {
+    const { result, requests } = await coach([card()]);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, card());
+    assert.equal(requests.length, 1);
+  });
+
+  it('sends the validation errors back and delivers the repaired card', async () => {
+    const { risk, ...broken } = card();
+    const { result, requests } = await coach([broken, card()]);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, card());
+    assert.equal(requests.length, 2);
+
+    const [repair] = requests[1].arguments[0].messages.slice(-1);
+    assert.equal(repair.content[0].type, 'tool_result');
+    assert.equal(repair.content[0].is_error, true);
+    assert.match(repair.content[0].content, /- risk is required/);
+  });
+
+  it('reads a card sent as JSON text and repairs it in a text message', async () => {
+    const long = card();
+    long.next.action = 'Ask who approves the budget, who else signs, and when the next budget committee meets this quarter';
+    const { result, requests } = await coach([`\`\`\`json\n${JSON.stringify(long)}\n\`\`\``, card()]);
+
+    assert.equal(result.success, true);
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].arguments[0].messages.at(-1).content, /next\.action must be at most 15 words/);
+  });
+
+  it('gives up after one repair attempt', async () => {
+    const { risk, ...broken } = card();
+    const { result, requests } = await coach([broken, broken]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Coaching output failed schema validation');
+    assert.deepEqual(result.details, ['risk is required']);
+    assert.equal(requests.length, 2);
+  });
+});
+
+describe('paused skill turns', () => {
+  const transcripts = [{ speaker: 'Ana', text: 'We lose about 15 million per hour when billing is down.' }];
+  const prompts = { systemPrompt: 'You coach sales reps.', userPrompt: '{{TRANSCRIPT}}' };
+
+  const message = (stopReason, content) => ({
+    model: 'fake', content, stop_reason: stopReason, usage: { input_tokens: 1, output_tokens: 1 },
+  });
+  const paused = (step) => message('pause_turn', [{ type: 'text', text: `running step ${step}` }]);
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  it('continues paused turns and repairs a still-paused response without repeating it', async () => {
+    const responses = [paused(1), paused(2), paused(3), paused(4),
+      message('tool_use', [{ type: 'tool_use', id: 'toolu_1', name: 'record_coaching', input: card() }])];
+    const sent = [];
+    const create = async (params) => {
+      sent.push(params.messages.map((m) => JSON.stringify(m)));
+      return responses.shift();
+    };
+    setAnthropicClient({ messages: { create }, beta: { messages: { create } } });
+
+    const result = await generateSalesCoaching(transcripts, { prompts });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.metadata.usage, { inputTokens: 5, outputTokens: 5 });
+    assert.deepEqual(sent.map((messages) => messages.length), [1, 2, 3, 4, 6]);
+
+    const repair = sent.at(-1).map((m) => JSON.parse(m));
+    assert.deepEqual(repair.slice(1, 5).map((m) => [m.role, m.content[0].text]), [
+      ['assistant', 'running step 1'],
+      ['assistant', 'running step 2'],
+      ['assistant', 'running step 3'],
+      ['assistant', 'running step 4'],
+    ]);
+    assert.equal(repair[5].role, 'user');
+    assert.match(repair[5].content, /No record_coaching tool call/);
+  });
+});
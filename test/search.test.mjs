@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import { SESSION_COOKIE, sessionCookie } from '@/lib/auth';
+import { SearchIndex, parseQuery, searchCalls, tokenize } from '@/lib/search';
+import handler from '../pages/api/search.js';
+
+/**
+ * Call with transcript segments and coaching cards
+ * @param {string} meetingId
+ * @param {Object} fields - Call fields to set
+ * @returns {Object} Call context
+ */
+function call(meetingId, fields = {}) {
+  return {
+    meetingId,
+    workspaceId: 'acme',
+    owner: 'ana@acme.com',
+    transcripts: [
+      { speaker: 'Bob Stone', text: 'Our billing is down twice a month', timestamp: '2026-03-01T09:01:00.000Z', start: 60 },
+      { speaker: 'Ana', text: 'How much does that cost you?', timestamp: '2026-03-01T09:03:00.000Z', start: 180 },
+      { speaker: 'Bob Stone', text: 'Cada caída cuesta quince millones', timestamp: '2026-03-01T09:04:00.000Z', start: 240 },
+    ],
+    coachingRecommendations: [
+      {
+        timestamp: '2026-03-01T09:02:00.000Z',
+        phase: { methodology: 'SPIN', stage: 'Problem', context: 'Billing outages' },
+        action: { script: 'Ask what each billing outage costs' },
+      },
+    ],
+    ...fields,
+  };
+}
+
+describe('parseQuery', () => {
+  it('splits keywords and quoted phrases, accent and case insensitive', () => {
+    assert.deepEqual(parseQuery('Caída "Billing is  DOWN" cost'), {
+      terms: ['caida', 'cost', 'billing', 'is', 'down'],
+      phrases: ['billing is down'],
+    });
+    assert.deepEqual(parseQuery(undefined), { terms: [], phrases: [] });
+    assert.deepEqual(tokenize('¿Cuánto cuesta?'), ['cuanto', 'cuesta']);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex();
+  index.indexCall(call('s-1'));
+  const ids = (options) => index.search(options).results.map((r) => `${r.type}:${r.index}`);
+
+  it('matches every keyword and phrases verbatim', () => {
+    assert.deepEqual(ids({ query: 'billing' }), ['coaching:0', 'transcript:0']);
+    assert.deepEqual(ids({ query: '"billing is down"' }), ['transcript:0']);
+    assert.deepEqual(ids({ query: '"is billing"' }), []);
+    assert.deepEqual(ids({ query: 'caida quince' }), ['transcript:2']);
+  });
+
+  it('gives segments the phase of the latest card before them', () => {
+    assert.deepEqual(ids({ methodology: 'SPIN', type: 'transcript' }), ['transcript:2', 'transcript:1']);
+    assert.deepEqual(ids({ stage: 'prob', speaker: 'bob' }), ['transcript:2']);
+  });
+
+  it('returns snippets, offsets and pages', () => {
+    const { results, total } = index.search({ query: 'cost', limit: 1 });
+    assert.equal(total, 1);
+    assert.equal(results[0].snippet, 'How much does that cost you?');
+    assert.equal(results[0].offset, 180);
+    assert.equal(index.search({ limit: 2, offset: 2 }).results.length, 2);
+  });
+
+  it('replaces the documents of a reindexed meeting', () => {
+    index.indexCall(call('s-1', { transcripts: [], coachingRecommendations: [] }));
+    assert.equal(index.search({}).total, 0);
+    assert.equal(index.terms.size, 0);
+  });
+});
+
+describe('searchCalls', () => {
+  before(async () => {
+    const store = (meetingId, fields) => storage.writeCall(meetingId, () => ({ ...storage.createCall(meetingId, 'ended'), ...call(meetingId, fields) }));
+    await store('s-acme');
+    await store('s-mia', { owner: 'mia@acme.com' });
+    await store('s-globex', { workspaceId: 'globex' });
+  });
+
+  it('only searches the meetings of the workspace and owner', async () => {
+    const meetings = async (options) => [...new Set((await searchCalls({ query: 'billing', ...options })).results.map((r) => r.meetingId))].sort();
+
+    assert.deepEqual(await meetings({ workspaceId: 'acme' }), ['s-acme', 's-mia']);
+    assert.deepEqual(await meetings({ workspaceId: 'acme', owner: 'ana@acme.com' }), ['s-acme']);
+    assert.deepEqual(await meetings({ workspaceId: 'globex' }), ['s-globex']);
+  });
+
+  it('picks up new segments and meetings that left the workspace', async () => {
+    await storage.addTranscript('s-acme', { speaker: 'Bob Stone', text: 'Procurement needs a security review' });
+    assert.equal((await searchCalls({ query: 'procurement', workspaceId: 'acme' })).total, 1);
+
+    await storage.assignCall('s-mia', { owner: 'mia@acme.com', workspaceId: 'globex' });
+    const results = (await searchCalls({ query: 'billing', workspaceId: 'acme' })).results;
+    assert.deepEqual([...new Set(results.map((r) => r.meetingId))], ['s-acme']);
+  });
+});
+
+describe('GET /api/search', () => {
+  const mia = { email: 'mia@acme.com', name: 'Mia', role: 'manager', workspaceId: 'acme' };
+
+  const get = async (query) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    const cookie = sessionCookie(mia).split(';')[0].split('=')[1];
+    await handler({ method: 'GET', query, cookies: { [SESSION_COOKIE]: cookie } }, res);
+    return { status: res.statusCode, body: res.body };
+  };
+
+  before(async () => {
+    process.env.NEXTAUTH_SECRET = 'test-secret';
+    await storage.setUser(mia);
+  });
+
+  it('searches the workspace of the signed-in user', async () => {
+    const { status, body } = await get({ q: 'billing', type: 'transcript' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.results.map((r) => r.meetingId), ['s-acme']);
+    assert.deepEqual(body.data.pagination, { page: 1, limit: 20, total: 1, totalPages: 1 });
+  });
+
+  it('rejects a param given more than once', async () => {
+    const { status, body } = await get({ q: ['billing', 'cost'], speaker: 'Bob', stage: ['a', 'b'] });
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'Invalid query', message: 'q, stage must be given once' });
+  });
+
+  it('rejects an unknown methodology or type', async () => {
+    assert.equal((await get({ methodology: 'Challenger' })).body.error, 'Invalid methodology');
+    assert.equal((await get({ type: 'email' })).body.error, 'Invalid type');
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { SECONDS_PER_WORD, simulatedEvents, simulatorEnabled, timeSegments } from '@/lib/simulator';
+import { parseTranscriptEvent } from '@/lib/transcript';
+
+const STARTED_AT = Date.parse('2026-03-01T10:00:00.000Z');
+
+const spans = (timed) => timed.map(({ words }) => [words[0].start, words[words.length - 1].end].map((t) => Math.round(t * 100) / 100));
+
+describe('timeSegments', () => {
+  it('paces untimed segments at the speaking rate with a pause between turns', () => {
+    const timed = timeSegments([
+      { speaker: 'Ana', text: 'How often is billing down?', offset: null },
+      { speaker: 'Bob', text: 'Twice a month', offset: null },
+    ]);
+    assert.deepEqual(spans(timed), [[0, 5 * SECONDS_PER_WORD], [5 * SECONDS_PER_WORD + 1, 8 * SECONDS_PER_WORD + 1]]);
+    assert.deepEqual(timed[1].words.map((w) => w.text), ['Twice', 'a', 'month']);
+  });
+
+  it('starts timed segments at their offset and fits them before the next one', () => {
+    const timed = timeSegments([
+      { speaker: 'Ana', text: 'one two three four five six', offset: 10 },
+      { speaker: 'Bob', text: 'yes', offset: 11 },
+      { speaker: 'Ana', text: 'late', offset: 5 },
+    ]);
+    assert.deepEqual(spans(timed), [[10, 11], [11, 11.4], [11.4, 11.8]]);
+  });
+});
+
+describe('simulatedEvents', () => {
+  const segments = [
+    { speaker: 'Ana', text: 'How often is billing down for you?', offset: 0 },
+    { speaker: 'Bob', text: 'Twice a month', offset: 4 },
+  ];
+  const events = simulatedEvents(segments, { botId: 'sim-1', startedAt: STARTED_AT });
+
+  it('sends the status changes of a bot around the conversation', () => {
+    const statuses = events.filter(({ payload }) => payload.event.startsWith('bot.'));
+    assert.deepEqual(statuses.map(({ at, payload }) => [Math.round(at * 100) / 100, payload.event]), [
+      [0, 'bot.joining_call'],
+      [2, 'bot.in_waiting_room'],
+      [4, 'bot.in_call_not_recording'],
+      [5, 'bot.recording_permission_allowed'],
+      [6, 'bot.in_call_recording'],
+      [13.2, 'bot.call_ended'],
+      [16.2, 'bot.done'],
+    ]);
+    assert.deepEqual(statuses[4].payload.data.data, { code: 'in_call_recording', sub_code: null, updated_at: '2026-03-01T10:00:06.000Z' });
+  });
+
+  it('grows interim results word by word before each final segment, in time order', () => {
+    const transcripts = events.filter(({ payload }) => payload.event.startsWith('transcript.'));
+    assert.deepEqual(transcripts.map(({ payload }) => [payload.event, payload.data.data.words.length]), [
+      ['transcript.partial_data', 3],
+      ['transcript.partial_data', 6],
+      ['transcript.data', 7],
+      ['transcript.data', 3],
+    ]);
+    assert.deepEqual(events.map((e) => e.at), [...events.map((e) => e.at)].sort((a, b) => a - b));
+  });
+
+  it('builds payloads the webhook reads like Recall.ai ones', () => {
+    const finals = events.filter(({ payload }) => payload.event === 'transcript.data');
+    const [ana, bob] = finals.map(({ payload }) => parseTranscriptEvent(payload.event, payload.data, {}));
+
+    assert.deepEqual([ana.speaker, ana.text, ana.start], ['Ana', 'How often is billing down for you?', 0]);
+    assert.deepEqual([bob.speaker, bob.text, bob.start], ['Bob', 'Twice a month', 4]);
+    assert.equal(finals[1].payload.data.data.words[0].start_timestamp.absolute, '2026-03-01T10:00:10.000Z');
+    assert.deepEqual(finals.map(({ payload }) => payload.data.data.participant.id), [1, 2]);
+    assert.equal(finals[0].payload.data.bot.id, 'sim-1');
+  });
+
+  it('can leave out the interim results', () => {
+    const finalOnly = simulatedEvents(segments, { botId: 'sim-1', startedAt: STARTED_AT, partials: false });
+    assert.equal(finalOnly.filter(({ payload }) => payload.event === 'transcript.partial_data').length, 0);
+    assert.equal(finalOnly.length, events.length - 2);
+  });
+});
+
+describe('simulatorEnabled', () => {
+  const { NODE_ENV } = process.env;
+
+  afterEach(() => {
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+    delete process.env.ENABLE_CALL_SIMULATOR;
+  });
+
+  it('is off in production unless ENABLE_CALL_SIMULATOR is true', () => {
+    process.env.NODE_ENV = 'production';
+    assert.equal(simulatorEnabled(), false);
+    process.env.ENABLE_CALL_SIMULATOR = 'true';
+    assert.equal(simulatorEnabled(), true);
+
+    delete process.env.ENABLE_CALL_SIMULATOR;
+    process.env.NODE_ENV = 'test';
+    assert.equal(simulatorEnabled(), true);
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import FileAdapter from '@/lib/storage/adapters/file';
+import MemoryAdapter from '@/lib/storage/adapters/memory';
+import RedisAdapter from '@/lib/storage/adapters/redis';
+
+const { CallStorage } = storage;
+
+/**
+ * In-process stand-in for a Redis server: strings, SCAN and the adapter's
+ * compare-and-set script, with a pause before each reply so updates interleave
+ * @returns {Object} ioredis-like client, plus the MATCH patterns it received
+ */
+function fakeRedis() {
+  const data = new Map();
+  const tick = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 3));
+
+  return {
+    data,
+    patterns: [],
+    defineCommand(name) {
+      assert.equal(name, 'compareAndSet');
+    },
+    async get(key) {
+      await tick();
+      return data.has(key) ? data.get(key) : null;
+    },
+    async set(key, value) {
+      await tick();
+      data.set(key, value);
+    },
+    async del(key) {
+      data.delete(key);
+    },
+    async scan(cursor, match, pattern) {
+      this.patterns.push(pattern);
+      const literal = pattern.slice(0, -1).replace(/\\(.)/g, '$1');
+      return ['0', Array.from(data.keys()).filter((key) => key.startsWith(literal))];
+    },
+    async compareAndSet(key, expected, value) {
+      await tick();
+      if ((data.get(key) ?? '') !== expected) return 0;
+      data.set(key, value);
+      return 1;
+    },
+  };
+}
+
+const dirs = [];
+after(() => Promise.all(dirs.map((dir) => rm(dir, { recursive: true, force: true }))));
+
+const adapters = {
+  memory: async () => new MemoryAdapter(),
+  file: async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'rtsc-storage-'));
+    dirs.push(dir);
+    return new FileAdapter({ dir });
+  },
+  redis: async () => new RedisAdapter({ prefix: 'test:', client: fakeRedis() }),
+};
+
+Object.entries(adapters).forEach(([name, create]) => {
+  describe(`${name} adapter`, () => {
+    it('stores copies of JSON values and deletes them', async () => {
+      const adapter = await create();
+      const value = { list: [1, 2], nested: { ok: true } };
+
+      await adapter.set('call:a', value);
+      value.list.push(3);
+      const stored = await adapter.get('call:a');
+      assert.deepEqual(stored, { list: [1, 2], nested: { ok: true } });
+
+      stored.nested.ok = false;
+      assert.equal((await adapter.get('call:a')).nested.ok, true);
+
+      await adapter.delete('call:a');
+      assert.equal(await adapter.get('call:a'), null);
+    });
+
+    it('lists keys by prefix', async () => {
+      const adapter = await create();
+      await adapter.set('call:a', 1);
+      await adapter.set('call:b', 2);
+      await adapter.set('user:ana@example.com', 3);
+
+      assert.deepEqual((await adapter.keys('call:')).sort(), ['call:a', 'call:b']);
+      assert.deepEqual(await adapter.keys('user:'), ['user:ana@example.com']);
+    });
+
+    it('keeps every concurrent update of a call', async () => {
+      const calls = new CallStorage(await create());
+      await Promise.all(Array.from({ length: 10 }, (_, index) => (
+        calls.addTranscript('m1', { speaker: `S${index % 3}`, text: `segment ${index}` })
+      )));
+
+      const call = await calls.getCall('m1');
+      assert.equal(call.transcripts.length, 10);
+      assert.deepEqual(call.participants.sort(), ['S0', 'S1', 'S2']);
+    });
+  });
+});
+
+describe('redis adapter', () => {
+  it('retries an update when another instance wrote in between', async () => {
+    const client = fakeRedis();
+    const instances = [1, 2, 3].map(() => new RedisAdapter({ prefix: 'test:', client }));
+
+    await Promise.all(Array.from({ length: 12 }, (_, index) => (
+      instances[index % 3].update('counter', (value) => ({ count: (value?.count || 0) + 1 }))
+    )));
+
+    assert.deepEqual(JSON.parse(client.data.get('test:counter')), { count: 12 });
+  });
+
+  it('leaves the value alone when the update returns undefined', async () => {
+    const client = fakeRedis();
+    const adapter = new RedisAdapter({ prefix: 'test:', client });
+    await adapter.set('key', { a: 1 });
+
+    assert.deepEqual(await adapter.update('key', () => undefined), { a: 1 });
+    assert.equal(client.data.get('test:key'), '{"a":1}');
+  });
+
+  it('escapes glob characters of the prefixes it scans', async () => {
+    const client = fakeRedis();
+    const adapter = new RedisAdapter({ prefix: 'app[1]*:', client });
+    await adapter.set('call:a?', 1);
+
+    assert.deepEqual(await adapter.keys('call:a?'), ['call:a?']);
+    assert.deepEqual(client.patterns, ['app\\[1\\]\\*:call:a\\?*']);
+  });
+
+  it('needs a URL without a client', () => {
+    assert.throws(() => new RedisAdapter({ prefix: 'test:' }), /REDIS_URL must be set/);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import storage from '@/lib/storage';
+import { setAnthropicClient } from '@/lib/claude';
+import { createScriptedClient } from '@/lib/evaluation';
+import { validateSummary } from '@/lib/schema';
+import { summarizeCall } from '@/lib/summary';
+
+const summary = () => ({
+  overview: 'Billing outages cost the prospect 15M per hour; they want a pilot before Q3.',
+  pain_points: ['Billing outages cost 15M per hour'],
+  stakeholders: [{ name: 'Bob', role: 'CTO', stance: 'supporter' }],
+  objections: [{ objection: 'Migration risk', response: 'Phased rollout', status: 'open' }],
+  next_steps: [{ action: 'Send the pilot proposal', owner: 'Ana', due: 'Friday' }],
+  bant: { budget: 'Unknown', authority: 'CFO signs', need: 'Stable billing', timeline: 'Q3' },
+  meddic: {
+    metrics: '15M per hour', economic_buyer: 'CFO', decision_criteria: 'Uptime', decision_process: 'Unknown',
+    identify_pain: 'Outages', champion: 'Bob',
+  },
+  customer_language: 'EN',
+  follow_up_email: { subject: 'Pilot next steps', body: 'Hi Bob, thanks for your time today...', language: 'EN' },
+});
+
+/**
+ * Store an ended call with a transcript
+ * @param {string} meetingId
+ */
+async function endedCall(meetingId) {
+  await storage.addTranscript(meetingId, { speaker: 'Bob', text: 'Outages cost us 15 million per hour.' });
+  await storage.endCall(meetingId);
+}
+
+/**
+ * Answer every summary request with the given responses, in order
+ * @param {Array} responses - Summaries (tool calls) or text
+ * @returns {Function} The mocked messages.create
+ */
+function respond(responses) {
+  const client = createScriptedClient({ test: { 1: responses } });
+  client.respondWith('test', 1);
+  const create = mock.fn(client.messages.create);
+  setAnthropicClient({ messages: { create }, beta: { messages: { create } } });
+  return create;
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('validateSummary', () => {
+  it('accepts a complete summary', () => {
+    assert.deepEqual(validateSummary(summary()), { valid: true, errors: [] });
+  });
+
+  it('reports missing fields and values outside the enums', () => {
+    const { meddic, ...broken } = summary();
+    broken.stakeholders[0].stance = 'hostile';
+    broken.pain_points = 'Outages';
+
+    assert.deepEqual(validateSummary(broken).errors.sort(), [
+      'meddic is required',
+      'pain_points must be an array',
+      'stakeholders[0].stance must be one of champion, supporter, neutral, skeptic, unknown (got "hostile")',
+    ]);
+    assert.deepEqual(validateSummary(null).errors, ['summary must be an object']);
+  });
+});
+
+describe('summarizeCall', () => {
+  it('forces the summary tool and stores a valid summary', async () => {
+    const create = respond([summary()]);
+    await endedCall('summary-ok');
+
+    await summarizeCall('summary-ok');
+
+    const params = create.mock.calls[0].arguments[0];
+    assert.deepEqual(params.tool_choice, { type: 'tool', name: 'record_summary' });
+    const call = await storage.getCall('summary-ok');
+    assert.equal(call.summary.status, 'ready');
+    assert.deepEqual(call.summary.data, summary());
+  });
+
+  it('stores an error for a summary that fails validation or is not a tool call', async () => {
+    const { follow_up_email, ...broken } = summary();
+    respond([broken, '{"overview": "Plain JSON is no longer read"}']);
+    await endedCall('summary-invalid');
+    await endedCall('summary-text');
+
+    await summarizeCall('summary-invalid');
+    await summarizeCall('summary-text');
+
+    for (const meetingId of ['summary-invalid', 'summary-text']) {
+      const call = await storage.getCall(meetingId);
+      assert.equal(call.summary.status, 'error');
+      assert.equal(call.summary.data, null);
+      assert.equal(call.summary.error, 'Summary output failed schema validation');
+    }
+  });
+});
+
+describe('claimSummary', () => {
+  it('claims a summary once, then again after an error', async () => {
+    await endedCall('claim-once');
+
+    assert.ok(await storage.claimSummary('claim-once'));
+    assert.equal(await storage.claimSummary('claim-once'), null);
+
+    await storage.setSummary('claim-once', { status: 'error', error: 'failed' });
+    assert.ok(await storage.claimSummary('claim-once'));
+  });
+
+  it('never claims a ready summary', async () => {
+    await endedCall('claim-ready');
+    await storage.setSummary('claim-ready', { status: 'ready', data: summary() });
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 24 * 60 * 60 * 1000 });
+    assert.equal(await storage.claimSummary('claim-ready'), null);
+  });
+
+  it('claims a pending summary again once its run has timed out', async () => {
+    await endedCall('claim-stale');
+    assert.ok(await storage.claimSummary('claim-stale'));
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 4 * 60 * 1000 });
+    assert.equal(await storage.claimSummary('claim-stale'), null);
+
+    mock.timers.setTime(Date.now() + 2 * 60 * 1000);
+    const claimed = await storage.claimSummary('claim-stale');
+    assert.equal(claimed.summary.status, 'pending');
+    assert.equal(claimed.summary.updatedAt, new Date().toISOString());
+  });
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildPromptValues, renderSample, renderTemplate, validateTemplate } from '@/lib/template';
+
+describe('validateTemplate', () => {
+  it('accepts known variables, blocks and loop fields', () => {
+    const template = [
+      'Rep: {{REP_NAME}}',
+      '{{#if PAINS}}Pains:{{#each PAINS}} {{@number}}. {{this}}{{/each}}{{else}}No pains yet{{/if}}',
+      '{{#each SPEAKERS}}{{name}} ({{role}}){{#unless @last}}, {{/unless}}{{/each}}',
+    ].join('\n');
+    assert.deepEqual(validateTemplate(template), []);
+  });
+
+  it('reports unknown placeholders with a suggestion for the wrong case', () => {
+    assert.deepEqual(validateTemplate('Hi {{rep_name}}\n{{NOPE}}'), [
+      'Unknown placeholder {{rep_name}} on line 1 (did you mean {{REP_NAME}}?)',
+      'Unknown placeholder {{NOPE}} on line 2',
+    ]);
+  });
+
+  it('does not resolve names through Object.prototype', () => {
+    assert.deepEqual(validateTemplate('{{constructor}}'), ['Unknown placeholder {{constructor}} on line 1']);
+  });
+
+  it('reports blocks that are unknown, unclosed, mismatched or loop over a non-list', () => {
+    assert.deepEqual(validateTemplate('{{#with REP_NAME}}{{/with}}'), [
+      'Unknown block {{#with}} on line 1 (use #if, #unless or #each)',
+      'Unexpected {{/with}} on line 1',
+    ]);
+    assert.deepEqual(validateTemplate('{{#if REP_NAME}}\nopen'), [
+      '{{#if REP_NAME}} on line 1 is never closed with {{/if}}',
+    ]);
+    assert.deepEqual(validateTemplate('{{#if REP_NAME}}{{/each}}{{/if}}'), [
+      '{{/each}} on line 1 closes {{#if}} from line 1',
+    ]);
+    assert.deepEqual(validateTemplate('{{#each REP_NAME}}{{this}}{{/each}}'), [
+      '{{#each REP_NAME}} on line 1 needs a list variable',
+    ]);
+  });
+
+  it('keeps loop fields inside their loop', () => {
+    assert.deepEqual(validateTemplate('{{#each SPEAKERS}}{{name}}{{/each}} {{name}}'), [
+      'Unknown placeholder {{name}} on line 1',
+    ]);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills values and falls back for missing ones', () => {
+    assert.equal(
+      renderTemplate('{{REP_NAME}} / {{BUDGET}} / {{PAINS}}', { REP_NAME: 'Ana', PAINS: [] }),
+      'Ana / Unknown / None yet',
+    );
+  });
+
+  it('joins lists and formats the speakers', () => {
+    const values = {
+      PARTICIPANTS: ['Ana', 'Bob'],
+      SPEAKERS: [{ name: 'Ana', role: 'rep' }, { name: 'Bob', role: 'prospect' }],
+    };
+    assert.equal(renderTemplate('{{PARTICIPANTS}} | {{SPEAKERS}}', values), 'Ana, Bob | Ana (rep), Bob (prospect)');
+  });
+
+  it('renders conditionals and loops with their helpers', () => {
+    const template = '{{#each PAINS}}{{@number}}. {{this}}{{#unless @last}}; {{/unless}}{{else}}none{{/each}}'
+      + '{{#if BUDGET}} [{{BUDGET}}]{{/if}}';
+    assert.equal(renderTemplate(template, { PAINS: ['downtime', 'audits'] }), '1. downtime; 2. audits');
+    assert.equal(renderTemplate(template, { PAINS: [], BUDGET: '50k' }), 'none [50k]');
+  });
+
+  it('leaves unknown placeholders and prototype names as written', () => {
+    assert.equal(renderTemplate('{{OLD_NAME}} {{constructor}}', {}), '{{OLD_NAME}} {{constructor}}');
+  });
+
+  it('renders the transcript and call details of a coaching request', () => {
+    const values = buildPromptValues(
+      [{ speaker: 'Ana', text: 'Hello' }, { speaker: 'Bob', text: 'Hi' }],
+      {
+        meetingId: 'm1',
+        startTime: '2026-01-01T10:00:00Z',
+        currentTime: '2026-01-01T10:03:05Z',
+        speakers: [{ name: 'Ana', role: 'rep' }, { name: 'Bob', role: 'prospect' }],
+      },
+    );
+    assert.equal(
+      renderTemplate('{{MEETING_ID}} {{ELAPSED_TIME}}\n{{TRANSCRIPT}}\n{{PROSPECTS}}', values),
+      'm1 3:05\nAna: Hello\nBob: Hi\nBob',
+    );
+  });
+
+  it('renders deal placeholders and previews against the sample call', () => {
+    const values = buildPromptValues([], { meetingId: 'm1', deal: { accountName: 'Acme', expectedStakeholders: ['CFO'] } });
+    assert.equal(
+      renderTemplate('{{ACCOUNT_NAME}}{{#if DEAL_STAGE}} ({{DEAL_STAGE}}){{/if}}: {{#each EXPECTED_STAKEHOLDERS}}{{this}}{{/each}}', values),
+      'Acme: CFO',
+    );
+    assert.equal(renderSample('{{DEAL_STAGE}} / {{PRODUCT}}'), 'Discovery / Amazon EC2');
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import storage from '@/lib/storage';
+import { assembleTranscript, confidentText, parseTranscriptEvent } from '@/lib/transcript';
+
+/**
+ * Segment of a Recall.ai transcript webhook, as the webhook handler builds it
+ * @param {string} event - transcript.data or transcript.partial_data
+ * @param {Object} participant - { id, name }
+ * @param {string} text - Words heard so far
+ * @param {number} start - First word, in seconds
+ * @returns {Object}
+ */
+function segment(event, participant, text, start = 0) {
+  const words = text.split(' ').map((word, index) => ({
+    text: word,
+    start_timestamp: { relative: start + index * 0.5, absolute: null },
+    end_timestamp: { relative: start + (index + 1) * 0.5, absolute: null },
+    confidence: 0.98,
+  }));
+  const data = { data: { words, participant }, bot: { id: 'bot-1' } };
+  return parseTranscriptEvent(event, data, { bot_id: 'bot-1' });
+}
+
+const ana = { id: 1, name: 'Ana' };
+const bob = { id: 2, name: 'Bob' };
+
+describe('parseTranscriptEvent', () => {
+  it('reads text, speaker, timings and confidence from the words', () => {
+    const parsed = segment('transcript.data', ana, 'How is billing today', 2);
+    assert.equal(parsed.text, 'How is billing today');
+    assert.equal(parsed.speaker, 'Ana');
+    assert.equal(parsed.start, 2);
+    assert.equal(parsed.end, 4);
+    assert.equal(parsed.confidence, 0.98);
+    assert.equal(parsed.isPartial, false);
+    assert.deepEqual(parsed.metadata, { bot_id: 'bot-1', event_type: 'transcript.data', word_count: 4, is_partial: false });
+  });
+
+  it('accepts plain-number timings and words without a confidence', () => {
+    const data = { data: { words: [{ text: 'hi', start: 1.5, end: 2 }], participant: ana } };
+    const parsed = parseTranscriptEvent('transcript.data', data, {});
+    assert.deepEqual(parsed.words, [{ text: 'hi', start: 1.5, end: 2, confidence: null }]);
+    assert.equal(parsed.confidence, null);
+    assert.equal(parsed.speaker, 'Ana');
+  });
+
+  it('marks interim results as partial', () => {
+    assert.equal(segment('transcript.partial_data', ana, 'How is').isPartial, true);
+  });
+
+  it('drops low-confidence words only when a threshold is set', () => {
+    const parsed = segment('transcript.data', ana, 'we pay forty million');
+    parsed.words[2].confidence = 0.3;
+    parsed.words[3].confidence = null;
+    assert.equal(confidentText(parsed, 0.5), 'we pay million');
+    assert.equal(confidentText(parsed, 0), 'we pay forty million');
+  });
+});
+
+describe('assembleTranscript', () => {
+  it('keeps one in-progress utterance per speaker and replaces it with the final segment', async () => {
+    const meetingId = 'reconcile-1';
+
+    await assembleTranscript(meetingId, segment('transcript.partial_data', ana, 'We lose'));
+    await assembleTranscript(meetingId, segment('transcript.partial_data', ana, 'We lose fifteen million'));
+    await assembleTranscript(meetingId, segment('transcript.partial_data', bob, 'Per'));
+
+    let call = await storage.getCall(meetingId);
+    assert.deepEqual(call.transcripts, []);
+    assert.deepEqual(Object.keys(call.inProgress).sort(), ['Ana', 'Bob']);
+    assert.equal(call.inProgress.Ana.text, 'We lose fifteen million');
+    assert.deepEqual(call.participants, ['Ana', 'Bob']);
+
+    await assembleTranscript(meetingId, segment('transcript.data', ana, 'We lose fifteen million per hour'));
+
+    call = await storage.getCall(meetingId);
+    assert.deepEqual(call.transcripts.map((t) => [t.speaker, t.text]), [['Ana', 'We lose fifteen million per hour']]);
+    assert.equal(call.transcripts[0].isPartial, undefined);
+    assert.deepEqual(Object.keys(call.inProgress), ['Bob']);
+    assert.equal(call.status, 'active');
+  });
+
+  it('appends final segments in order without partials', async () => {
+    const meetingId = 'reconcile-2';
+
+    await assembleTranscript(meetingId, segment('transcript.data', ana, 'Hello Bob'));
+    await assembleTranscript(meetingId, segment('transcript.data', bob, 'Hi Ana', 1));
+    await assembleTranscript(meetingId, segment('transcript.data', ana, 'Shall we start', 2));
+
+    const call = await storage.getCall(meetingId);
+    assert.deepEqual(call.transcripts.map((t) => t.text), ['Hello Bob', 'Hi Ana', 'Shall we start']);
+    assert.deepEqual(await storage.getInProgressTranscripts(meetingId), []);
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { before, beforeEach, describe, it, mock } from 'node:test';
+import { Webhook } from 'svix';
+import storage from '@/lib/storage';
+import { SESSION_COOKIE, sessionCookie } from '@/lib/auth';
+import {
+  canManageWorkspaces, getWebhookSecret, isValidRealtimeToken, isValidWorkspaceId, listWorkspaces, realtimeToken,
+} from '@/lib/workspaces';
+import webhookHandler from '../pages/api/webhook/recall.js';
+import workspacesHandler from '../pages/api/workspaces/index.js';
+
+const ACME_SECRET = `whsec_${Buffer.from('acme-webhook-secret').toString('base64')}`;
+const DEFAULT_SECRET = `whsec_${Buffer.from('deployment-webhook-secret').toString('base64')}`;
+
+const root = { email: 'root@example.com', name: 'Root', role: 'admin', workspaceId: 'default' };
+
+/**
+ * Run an API route
+ * @param {Function} handler - API route handler
+ * @param {Object} req - Request fields
+ * @returns {Promise<Object>} { status, body }
+ */
+async function run(handler, req) {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ headers: {}, query: {}, cookies: {}, ...req }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+/**
+ * Deliver a webhook the way Recall.ai does (raw body, optional Svix headers)
+ * @param {Object} payload - Webhook payload
+ * @param {Object} options
+ * @param {string} options.secret - Sign the body with this secret (Svix headers)
+ * @param {string} options.token - Realtime token in the URL
+ * @returns {Promise<Object>} { status, body }
+ */
+function deliver(payload, { secret, token } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = {};
+  if (secret) {
+    const timestamp = new Date();
+    headers['svix-id'] = 'msg_1';
+    headers['svix-timestamp'] = String(Math.floor(timestamp.getTime() / 1000));
+    headers['svix-signature'] = new Webhook(secret).sign('msg_1', timestamp, body);
+  }
+
+  return run(webhookHandler, {
+    method: 'POST',
+    headers,
+    query: token ? { token } : {},
+    [Symbol.asyncIterator]: async function* chunks() {
+      yield Buffer.from(body);
+    },
+  });
+}
+
+const recording = (meetingId) => ({ event: 'bot.in_call_recording', data: { bot: { id: meetingId } } });
+
+before(async () => {
+  process.env.NEXTAUTH_SECRET = 'test-secret';
+  await storage.setUser(root);
+  await storage.setWorkspace({ id: 'acme', name: 'Acme', webhookSecret: ACME_SECRET });
+  await storage.setWorkspace({ id: 'globex', name: 'Globex', webhookSecret: null });
+  await storage.assignCall('acme-call', { owner: 'ana@acme.com', workspaceId: 'acme' });
+  await storage.assignCall('globex-call', { owner: 'bo@globex.com', workspaceId: 'globex' });
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  delete process.env.RECALL_WEBHOOK_SECRET;
+});
+
+describe('workspaces', () => {
+  it('accepts slugs as workspace IDs', () => {
+    assert.equal(isValidWorkspaceId('us-east'), true);
+    assert.equal(isValidWorkspaceId('a'), false);
+    assert.equal(isValidWorkspaceId('-latam'), false);
+    assert.equal(isValidWorkspaceId('LATAM'), false);
+    assert.equal(isValidWorkspaceId(42), false);
+  });
+
+  it('lists the default workspace first, even before it is saved', async () => {
+    assert.deepEqual((await listWorkspaces()).map((w) => w.id), ['default', 'acme', 'globex']);
+  });
+
+  it('lets only admins of the default workspace manage workspaces', () => {
+    assert.equal(canManageWorkspaces(root), true);
+    assert.equal(canManageWorkspaces({ ...root, workspaceId: 'acme' }), false);
+    assert.equal(canManageWorkspaces({ ...root, role: 'manager' }), false);
+  });
+
+  it('uses the deployment webhook secret unless the workspace has its own', async () => {
+    process.env.RECALL_WEBHOOK_SECRET = DEFAULT_SECRET;
+    assert.equal(await getWebhookSecret('acme'), ACME_SECRET);
+    assert.equal(await getWebhookSecret('globex'), DEFAULT_SECRET);
+    assert.equal(await getWebhookSecret('default'), DEFAULT_SECRET);
+  });
+
+  it('derives a realtime token per workspace and secret', () => {
+    const token = realtimeToken(ACME_SECRET, 'acme');
+    assert.equal(isValidRealtimeToken(token, ACME_SECRET, 'acme'), true);
+    assert.equal(isValidRealtimeToken(token, ACME_SECRET, 'globex'), false);
+    assert.equal(isValidRealtimeToken(token, DEFAULT_SECRET, 'acme'), false);
+    assert.equal(isValidRealtimeToken(token.slice(1), ACME_SECRET, 'acme'), false);
+    assert.equal(isValidRealtimeToken(undefined, ACME_SECRET, 'acme'), false);
+  });
+});
+
+describe('POST /api/workspaces', () => {
+  const create = (body, user = root) => run(workspacesHandler, {
+    method: 'POST',
+    body,
+    cookies: { [SESSION_COOKIE]: sessionCookie(user).split(';')[0].split('=')[1] },
+  });
+
+  it('creates a workspace with its first admin and a login link', async () => {
+    const { status, body } = await create({ id: 'latam', name: ' LATAM ', admin: { email: 'Lia@Latam.com', name: 'Lia' } });
+    assert.equal(status, 201);
+    assert.deepEqual(body.workspace, { id: 'latam', name: 'LATAM', hasWebhookSecret: false, createdAt: body.workspace.createdAt });
+    assert.deepEqual(body.admin, { email: 'lia@latam.com', name: 'Lia', role: 'admin', workspaceId: 'latam' });
+    assert.match(body.loginLink.url, /\/api\/auth\/link\?token=/);
+  });
+
+  it('rejects invalid fields, existing workspaces and other admins', async () => {
+    const invalid = await create({ id: 'L', name: '', admin: { email: 'nobody' } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [
+      'id must be 2-40 lowercase letters, digits or dashes',
+      'name must be a non-empty string',
+      'admin.email must be a valid email address',
+    ]);
+
+    assert.equal((await create({ id: 'acme', name: 'Acme 2', admin: { email: 'new@acme.com' } })).status, 409);
+
+    await storage.setUser({ ...root, email: 'lia@latam.com', workspaceId: 'latam' });
+    assert.equal((await create({ id: 'other', name: 'Other', admin: { email: 'x@other.com' } }, { ...root, email: 'lia@latam.com' })).status, 403);
+  });
+});
+
+describe('webhook authentication', () => {
+  it('accepts webhooks signed with the secret of the meeting\'s workspace', async () => {
+    const { status } = await deliver(recording('acme-call'), { secret: ACME_SECRET });
+    assert.equal(status, 200);
+    assert.equal((await storage.getCall('acme-call')).status, 'active');
+  });
+
+  it('rejects webhooks signed with another secret', async () => {
+    process.env.RECALL_WEBHOOK_SECRET = DEFAULT_SECRET;
+    const { status, body } = await deliver(recording('acme-call'), { secret: DEFAULT_SECRET });
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid signature');
+  });
+
+  it('accepts unsigned realtime webhooks only with the workspace\'s realtime token', async () => {
+    assert.equal((await deliver(recording('acme-call'))).status, 401);
+    assert.equal((await deliver(recording('acme-call'), { token: realtimeToken(ACME_SECRET, 'globex') })).status, 401);
+    assert.equal((await deliver(recording('acme-call'), { token: realtimeToken(ACME_SECRET, 'acme') })).status, 200);
+  });
+
+  it('falls back to the deployment secret for workspaces without their own', async () => {
+    process.env.RECALL_WEBHOOK_SECRET = DEFAULT_SECRET;
+    assert.equal((await deliver(recording('globex-call'))).status, 401);
+    assert.equal((await deliver(recording('globex-call'), { secret: DEFAULT_SECRET })).status, 200);
+  });
+
+  it('processes webhooks unverified when no secret is configured', async () => {
+    const { status, body } = await deliver(recording('globex-call'));
+    assert.equal(status, 200);
+    assert.equal(body.meetingId, 'globex-call');
+  });
+
+  it('rejects bodies that are not a JSON object', async () => {
+    const { status } = await run(webhookHandler, {
+      method: 'POST',
+      [Symbol.asyncIterator]: async function* chunks() {
+        yield Buffer.from('[1, 2]');
+      },
+    });
+    assert.equal(status, 400);
+  });
+});